@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+const os = require('os');
+const path = require('path');
+const DataQuality = require('../public/data-quality');
+const DataConverter = require('../public/data-converter');
+const JsonStore = require('../server/json-store');
+const { AuditLog, diffProducts } = require('../server/audit-log');
+const { ImageChecker } = require('../server/image-check');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'db.json');
+
+const USAGE = `Usage: node bin/data-quality.js [file] [options]
+
+Report data-quality problems in a products file (db.json by default).
+
+Options:
+  --check-images     Also request every image URL and report the broken ones
+  --only <types>     Only show these issue types (comma-separated)
+  --fix[=<types>]    Apply the suggested fixes, of every fixable type or of
+                     the given ones: ${DataQuality.FIXABLE.join(', ')}
+  --dry-run          With --fix, list the changes without writing them
+  --author <name>    Name recorded in the audit log (default: your user name)
+  --json             Print the report as JSON
+  --help             Show this help
+
+Fixes are written to the file and recorded in audit-log.jsonl next to it,
+like any other change, so the dashboard can undo them. Stop the server before
+fixing, or use the dashboard's Data quality panel instead.
+
+Exits with 1 when errors remain, 2 on bad usage.`;
+
+/**
+ * Parse the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { file, checkImages, only, fix, dryRun, author, json, help }
+ * @throws {Error} On an unknown option or a bad issue type
+ */
+function parseArgs(argv) {
+  const options = { file: DEFAULT_FILE, checkImages: false, only: null, fix: null, dryRun: false, author: null, json: false, help: false };
+  const types = (value, allowed, flag) => {
+    const list = String(value).split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = list.find(type => !allowed.includes(type));
+    if (!list.length || unknown) {
+      throw new Error(`${flag} takes a comma-separated list of: ${allowed.join(', ')}`);
+    }
+    return list;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = () => {
+      const next = inline !== undefined ? inline : argv[++i];
+      if (next === undefined || next === '') throw new Error(`${flag} needs a value`);
+      return next;
+    };
+
+    switch (flag) {
+      case '--check-images': options.checkImages = true; break;
+      case '--only': options.only = types(value(), Object.keys(DataQuality.CHECKS), flag); break;
+      case '--fix': options.fix = inline !== undefined ? types(inline, DataQuality.FIXABLE, flag) : DataQuality.FIXABLE; break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--author': options.author = value(); break;
+      case '--json': options.json = true; break;
+      case '--help': case '-h': options.help = true; break;
+      default:
+        if (flag.startsWith('-')) throw new Error(`Unknown option ${flag}`);
+        options.file = path.resolve(flag);
+    }
+  }
+  if (options.dryRun && !options.fix) {
+    throw new Error('--dry-run needs --fix');
+  }
+  return options;
+}
+
+/**
+ * Format a field value for a change line
+ * @param {*} value - Value
+ * @returns {string} Short text
+ */
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  return text === undefined ? '(none)' : text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * @param {number} count - Number
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "1 error", "3 errors"
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Print a report as text
+ * @param {Object} report - Result of DataQuality.analyze
+ * @param {Array|null} only - Issue types to show, or null for all
+ */
+function printReport(report, only) {
+  const issues = only ? report.issues.filter(issue => only.includes(issue.type)) : report.issues;
+  console.log(`${plural(report.total, 'product')} checked${report.imagesChecked ? ', images loaded' : ''}: ` +
+    `${plural(report.counts.error, 'error')}, ${plural(report.counts.warning, 'warning')}, ${plural(report.counts.info, 'note')}`);
+
+  ['error', 'warning', 'info'].forEach(severity => {
+    const group = issues.filter(issue => issue.severity === severity);
+    if (!group.length) return;
+    console.log(`\n${severity.toUpperCase()}S`);
+    group.forEach(issue => {
+      const ids = issue.productIds.map(id => `#${id}`).join(' ');
+      console.log(`  [${issue.type}] ${DataQuality.describe(issue)}  (${ids})${issue.fix ? '  fixable' : ''}`);
+    });
+  });
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Run with --help for usage.');
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const store = new JsonStore(options.file, null);
+  const data = await store.read();
+  if (!Array.isArray(data)) {
+    console.error(`${options.file} does not contain a list of products`);
+    return 2;
+  }
+
+  let unreachableImages = null;
+  if (options.checkImages) {
+    const urls = data.flatMap(record => DataConverter.normalizeProduct(record || {}).images);
+    if (!options.json) console.error(`Checking ${new Set(urls).size} image URLs...`);
+    // Runs on the operator's own machine, so local image servers are fine
+    unreachableImages = await new ImageChecker({ allowPrivate: true })
+      .findUnreachable(urls.filter(url => !DataQuality.isPlaceholderImage(url)));
+  }
+
+  let report = DataQuality.analyze(data, { unreachableImages });
+  let applied = null;
+  if (options.fix) {
+    if (options.dryRun) {
+      applied = DataQuality.applyFixes(data, report, options.fix);
+      report = DataQuality.analyze(data, { unreachableImages });
+    } else {
+      let changes = [];
+      [applied, report] = await store.update(current => {
+        const before = JSON.parse(JSON.stringify(current));
+        const result = DataQuality.applyFixes(current, DataQuality.analyze(current, { unreachableImages }), options.fix);
+        changes = diffProducts(before, current);
+        return [result, DataQuality.analyze(current, { unreachableImages })];
+      });
+      const audit = new AuditLog(path.join(path.dirname(options.file), 'audit-log.jsonl'));
+      await audit.record(changes, { author: options.author || os.userInfo().username, source: 'quality' });
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(applied ? { dryRun: options.dryRun, applied, report } : report, null, 2));
+  } else {
+    if (applied) {
+      console.log(`${options.dryRun ? 'Would make' : 'Made'} ${plural(applied.length, 'change')}:`);
+      applied.forEach(change => {
+        console.log(`  #${change.productId} ${change.field}: ${formatValue(change.before)} -> ${formatValue(change.after)}  [${change.type}]`);
+      });
+      console.log(options.dryRun ? '\nReport after these changes:' : '\nReport after fixing:');
+    }
+    printReport(report, options.only);
+  }
+  return report.counts.error ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(error.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,648 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataConverter = require('../public/data-converter');
+const SearchIndex = require('../public/search-index');
+const { SearchQuery, SearchQueryError } = require('../public/search-query');
+const JsonStore = require('../server/json-store');
+const { AuditLog, diffProducts } = require('../server/audit-log');
+const { planImport } = require('../server/products');
+const { writeXlsx, readXlsx } = require('../server/xlsx');
+
+const DEFAULT_DB = path.join(__dirname, '..', 'db.json');
+
+// Exit codes, for scripts and cron jobs
+const EXIT_OK = 0;
+const EXIT_PROBLEMS = 1;   // validation errors, rejected import rows, records migrate could not fix
+const EXIT_FAILURE = 2;    // bad usage, unreadable files
+
+const USAGE = `Usage: product-cli <command> [options]
+
+Commands:
+  list                 List products
+  search <query>       Search products (same syntax as the dashboard search box)
+  stats                Price and count statistics
+  export               Write products as CSV, XLSX or JSON
+  import <file>        Create or update products from a CSV, XLSX or JSON file
+  validate             Check every record against the product schema
+  migrate              Bring db.json up to the current schema
+
+Common options:
+  --db <file>          Products file (default: db.json)
+  --json               Print JSON instead of a table
+  --help               Show this help
+
+list, search, stats and export:
+  --category <name|id> Only this category
+  --categories <ids>   Only these category ids (comma-separated)
+  --price-min <n>      --price-max <n>
+  --created-from <date> --created-to <date>    (YYYY, YYYY-MM or YYYY-MM-DD)
+  --updated-from <date> --updated-to <date>
+  --images <counts>    Image counts: ${DataConverter.IMAGE_BUCKETS.join(', ')}
+  --sort <keys>        e.g. price:desc,title (fields: ${DataConverter.SORT_FIELDS.join(', ')})
+  --order <asc|desc>   Direction of keys without one
+  --limit <n>          --offset <n>   (list, search and export)
+  --q <query>          Search first (stats and export)
+
+stats:
+  --group-by <${DataConverter.STATS_GROUPS.join('|')}>  --interval <${DataConverter.STATS_INTERVALS.join('|')}>  --bins <n>
+
+export:
+  --format <csv|xlsx|json>  (default: from --output, else csv)
+  --output <file>      Write to a file instead of stdout
+
+import and migrate:
+  --format <csv|xlsx|json>  File format for import (default: from the extension)
+  --dry-run            Show what would change without writing
+  --author <name>      Name recorded in the audit log (default: your user name)
+
+Exit codes: 0 success, 1 data problems found (validate, import, migrate),
+2 bad usage or failure.`;
+
+/**
+ * A mistake on the command line, as opposed to a failure while running
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { command, positional, flags } where flags maps option
+ *   names (without dashes) to values, true for switches
+ * @throws {UsageError} When an option needs a value and has none
+ */
+function parseArgs(argv) {
+  const switches = new Set(['json', 'dry-run', 'help']);
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      flags.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inline] = arg.slice(2).split(/=(.*)/s);
+      if (switches.has(name)) {
+        flags[name] = true;
+        continue;
+      }
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined || value === '') {
+        throw new UsageError(`--${name} needs a value`);
+      }
+      flags[name] = value;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { command: positional.shift() || null, positional, flags };
+}
+
+/**
+ * Refuse options the command does not take
+ * @param {Object} flags - Parsed options
+ * @param {string[]} allowed - Option names the command accepts
+ */
+function checkFlags(flags, allowed) {
+  const known = new Set([...allowed, 'db', 'json', 'help']);
+  const unknown = Object.keys(flags).find(name => !known.has(name));
+  if (unknown) {
+    throw new UsageError(`Unknown option --${unknown}`);
+  }
+}
+
+/**
+ * @param {string} param - Parameter name used by DataConverter, e.g. 'priceMin'
+ * @returns {string} Option name, e.g. 'price-min'
+ */
+function optionName(param) {
+  return param.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Read a non-negative integer option
+ * @param {Object} flags - Parsed options
+ * @param {string} name - Option name
+ * @returns {number|null} Value, or null when not given
+ */
+function integerFlag(flags, name) {
+  if (flags[name] === undefined) return null;
+  const value = Number(flags[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+const QUERY_FLAGS = ['category', 'sort', 'order', ...DataConverter.FILTER_PARAMS.map(optionName)];
+
+/**
+ * Read the filter and sort options shared by list, search, stats and export,
+ * with the checks the API applies to the same query parameters
+ * @param {Object} flags - Parsed options
+ * @returns {Object} { category, filters, sortKeys }
+ */
+function parseQueryFlags(flags) {
+  const params = {};
+  DataConverter.FILTER_PARAMS.forEach(param => {
+    if (flags[optionName(param)] !== undefined) params[param] = flags[optionName(param)];
+  });
+  const { filters, errors } = DataConverter.parseFilters(params);
+  if (errors.length) {
+    throw new UsageError(errors.map(error => `--${optionName(error.field)}: ${error.message}`).join('\n'));
+  }
+
+  const order = flags.order || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new UsageError('--order must be asc or desc');
+  }
+  const sortKeys = DataConverter.parseSortKeys(flags.sort || 'id', order);
+  const badField = sortKeys.find(key => !DataConverter.SORT_FIELDS.includes(key.field));
+  if (badField) {
+    throw new UsageError(`Cannot sort by "${badField.field}". Use one of: ${DataConverter.SORT_FIELDS.join(', ')}`);
+  }
+  if (!sortKeys.length || sortKeys.length > DataConverter.MAX_SORT_KEYS) {
+    throw new UsageError(`--sort takes between 1 and ${DataConverter.MAX_SORT_KEYS} keys`);
+  }
+
+  return { category: flags.category || '', filters, sortKeys };
+}
+
+/**
+ * Load the catalogue the way the API shows it: normalised products, each
+ * with the categories.json copy of its category when there is one
+ * @param {string} dbFile - Products file
+ * @returns {Promise<Object>} { records, products, categories }
+ */
+async function loadCatalogue(dbFile) {
+  const records = await new JsonStore(dbFile, null).read();
+  if (!Array.isArray(records)) {
+    throw new Error(`${dbFile} does not contain a list of products`);
+  }
+  const categories = await readCategories(dbFile, records);
+  const byId = new Map(categories.map(c => [c.id, c]));
+  const products = records
+    .filter(record => record && typeof record === 'object')
+    .map(record => {
+      const product = DataConverter.normalizeProduct(record);
+      const category = byId.get(product.category.id);
+      return category ? { ...product, category: { ...category } } : product;
+    });
+  return { records, products, categories };
+}
+
+/**
+ * Read categories.json next to the products file, or derive the categories
+ * from the copies embedded in products when it does not exist yet
+ * @param {string} dbFile - Products file
+ * @param {Array} records - Raw product records
+ * @returns {Promise<Array>} Normalised categories
+ */
+async function readCategories(dbFile, records) {
+  const stored = await categoryStore(dbFile).read();
+  if (stored.length) {
+    return stored.map(c => DataConverter.normalizeCategory(c));
+  }
+  const products = records.filter(record => record && typeof record === 'object').map(r => DataConverter.normalizeProduct(r));
+  return DataConverter.getUniqueCategories(products).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * @param {string} dbFile - Products file
+ * @returns {JsonStore} Store of the categories.json next to it
+ */
+function categoryStore(dbFile) {
+  return new JsonStore(path.join(path.dirname(dbFile), 'categories.json'));
+}
+
+/**
+ * Write through a store and record the changes in the audit log next to it,
+ * as the API does, so they show up in the dashboard's history and can be undone
+ * @param {string} dbFile - Products file
+ * @param {Object} flags - Parsed options (author)
+ * @param {string} source - Audit source, e.g. 'import'
+ * @param {Function} mutator - (records) => result, changes records in place
+ * @returns {Promise<*>} Whatever the mutator returned
+ */
+async function updateProducts(dbFile, flags, source, mutator) {
+  let changes = [];
+  const result = await new JsonStore(dbFile, null).update(data => {
+    const before = JSON.parse(JSON.stringify(data));
+    const value = mutator(data);
+    changes = diffProducts(before, data);
+    return value;
+  });
+  const audit = new AuditLog(path.join(path.dirname(dbFile), 'audit-log.jsonl'));
+  await audit.record(changes, { author: flags.author || os.userInfo().username, source });
+  return result;
+}
+
+/**
+ * Lay out rows as a plain-text table
+ * @param {Array} columns - { header, value: row => text, align: 'left'|'right', max }
+ * @param {Array} rows - Rows
+ * @returns {string} The table, header first
+ */
+function formatTable(columns, rows) {
+  const cells = rows.map(row => columns.map(column => {
+    const text = String(column.value(row) ?? '').replace(/\s+/g, ' ');
+    const chars = Array.from(text);
+    return column.max && chars.length > column.max ? `${chars.slice(0, column.max - 1).join('')}…` : text;
+  }));
+  const widths = columns.map((column, i) =>
+    Math.max(column.header.length, ...cells.map(row => Array.from(row[i]).length)));
+  const pad = (text, i) => {
+    const fill = ' '.repeat(widths[i] - Array.from(text).length);
+    return columns[i].align === 'right' ? fill + text : text + fill;
+  };
+
+  return [
+    columns.map((column, i) => pad(column.header, i)).join('  '),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...cells.map(row => row.map(pad).join('  '))
+  ].map(line => line.trimEnd()).join('\n');
+}
+
+/**
+ * @param {number} count - Number
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "1 error", "3 errors"
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * @param {number} value - Amount in USD
+ * @returns {string} Amount with two decimals
+ */
+function formatPrice(value) {
+  return Number(value).toFixed(2);
+}
+
+const PRODUCT_COLUMNS = [
+  { header: 'ID', value: p => p.id, align: 'right' },
+  { header: 'Title', value: p => p.title, max: 40 },
+  { header: 'Price', value: p => formatPrice(p.price), align: 'right' },
+  { header: 'Category', value: p => p.category.name, max: 20 },
+  { header: 'Images', value: p => p.images.length, align: 'right' },
+  { header: 'Updated', value: p => p.updatedAt.slice(0, 10) }
+];
+
+/**
+ * Print JSON, or a table and a footer line
+ * @param {Object} flags - Parsed options
+ * @param {*} json - Value printed with --json
+ * @param {Function} text - () => text printed otherwise
+ */
+function output(flags, json, text) {
+  process.stdout.write(`${flags.json ? JSON.stringify(json, null, 2) : text()}\n`);
+}
+
+/**
+ * Filter and sort the catalogue for list, search and export
+ * @param {Array} products - Normalised products
+ * @param {Object} flags - Parsed options
+ * @param {string} searchTerm - Search query, '' for none
+ * @returns {Array} Matching products, sorted
+ */
+function selectProducts(products, flags, searchTerm = '') {
+  const { category, filters, sortKeys } = parseQueryFlags(flags);
+  try {
+    SearchQuery.parse(searchTerm);
+  } catch (error) {
+    if (error instanceof SearchQueryError) throw new UsageError(`Invalid search: ${error.message}`);
+    throw error;
+  }
+
+  // The relevance order needs the search scores, which only searchProducts returns
+  if (searchTerm) {
+    const { products: found, scores } = DataConverter.searchProducts(products, searchTerm, category, new SearchIndex(products), filters);
+    return DataConverter.sortProducts(found, flags.sort ? sortKeys : [{ field: 'relevance', ascending: false }], true, scores);
+  }
+  return DataConverter.sortProducts(DataConverter.filterProducts(products, '', category, null, filters), sortKeys);
+}
+
+/**
+ * Apply --offset and --limit
+ * @param {Array} products - Selected products
+ * @param {Object} flags - Parsed options
+ * @returns {Array} The requested slice
+ */
+function slice(products, flags) {
+  const offset = integerFlag(flags, 'offset') || 0;
+  const limit = integerFlag(flags, 'limit');
+  return products.slice(offset, limit === null ? undefined : offset + limit);
+}
+
+const COMMANDS = {
+  list: {
+    flags: [...QUERY_FLAGS, 'limit', 'offset'],
+    async run({ flags, positional, dbFile }) {
+      if (positional.length) throw new UsageError('list takes no arguments; use search <query>');
+      const { products } = await loadCatalogue(dbFile);
+      const selected = selectProducts(products, flags);
+      const shown = slice(selected, flags);
+      output(flags, { total: selected.length, products: shown }, () =>
+        `${formatTable(PRODUCT_COLUMNS, shown)}\n${shown.length} of ${plural(selected.length, 'product')}`);
+      return EXIT_OK;
+    }
+  },
+
+  search: {
+    flags: [...QUERY_FLAGS, 'limit', 'offset'],
+    async run({ flags, positional, dbFile }) {
+      const query = positional.join(' ').trim();
+      if (!query) throw new UsageError('search needs a query, e.g. product-cli search "price:>100 shoes"');
+      const { products } = await loadCatalogue(dbFile);
+      const selected = selectProducts(products, flags, query);
+      const shown = slice(selected, flags);
+      output(flags, { query, total: selected.length, products: shown }, () =>
+        `${formatTable(PRODUCT_COLUMNS, shown)}\n${shown.length} of ${selected.length} ${selected.length === 1 ? 'match' : 'matches'}`);
+      return EXIT_OK;
+    }
+  },
+
+  stats: {
+    flags: [...QUERY_FLAGS, 'q', 'group-by', 'interval', 'bins'],
+    async run({ flags, dbFile }) {
+      const { options, errors } = DataConverter.parseStatsOptions({
+        groupBy: flags['group-by'],
+        interval: flags.interval,
+        bins: flags.bins
+      });
+      if (errors.length) throw new UsageError(errors.map(error => error.message).join('\n'));
+
+      const { products } = await loadCatalogue(dbFile);
+      const stats = DataConverter.calculateStatistics(selectProducts(products, flags, flags.q || ''), options);
+      output(flags, stats, () => {
+        const summary = [
+          ['Products', stats.totalProducts],
+          ['Categories', stats.totalCategories],
+          ['Total value', formatPrice(stats.totalValue)],
+          ['Average price', formatPrice(stats.averagePrice)],
+          ['Median price', formatPrice(stats.medianPrice)],
+          ['Min / max price', `${formatPrice(stats.minPrice)} / ${formatPrice(stats.maxPrice)}`],
+          ['Quartiles', [stats.quartiles.q1, stats.quartiles.q2, stats.quartiles.q3].map(formatPrice).join(' / ')],
+          ['Std. deviation', formatPrice(stats.stdDevPrice)]
+        ].map(([label, value]) => `${label.padEnd(16)}${value}`).join('\n');
+        const groups = formatTable([
+          { header: stats.groupBy === 'images' ? 'Images' : 'Category', value: g => g.label, max: 30 },
+          { header: 'Count', value: g => g.count, align: 'right' },
+          { header: 'Total', value: g => formatPrice(g.totalValue), align: 'right' },
+          { header: 'Average', value: g => formatPrice(g.averagePrice), align: 'right' },
+          { header: 'Min', value: g => formatPrice(g.minPrice), align: 'right' },
+          { header: 'Max', value: g => formatPrice(g.maxPrice), align: 'right' }
+        ], stats.groups);
+        return `${summary}\n\n${groups}`;
+      });
+      return EXIT_OK;
+    }
+  },
+
+  export: {
+    flags: [...QUERY_FLAGS, 'q', 'limit', 'offset', 'format', 'output'],
+    async run({ flags, dbFile }) {
+      const extension = flags.output ? path.extname(flags.output).slice(1).toLowerCase() : '';
+      const format = flags.format || (['csv', 'xlsx', 'json'].includes(extension) ? extension : 'csv');
+      if (!['csv', 'xlsx', 'json'].includes(format)) throw new UsageError('--format must be csv, xlsx or json');
+      if (format === 'xlsx' && !flags.output && process.stdout.isTTY) {
+        throw new UsageError('XLSX is binary; give --output <file> or redirect stdout');
+      }
+
+      const { products } = await loadCatalogue(dbFile);
+      const selected = slice(selectProducts(products, flags, flags.q || ''), flags);
+      const body = format === 'xlsx'
+        ? writeXlsx(DataConverter.productsToRows(selected), 'Products')
+        : Buffer.from(format === 'json' ? `${DataConverter.objectToJson(selected)}\n` : DataConverter.productsToCsv(selected), 'utf-8');
+
+      if (flags.output) {
+        await fs.promises.writeFile(flags.output, body);
+        process.stderr.write(`Exported ${plural(selected.length, 'product')} to ${flags.output}\n`);
+      } else {
+        process.stdout.write(body);
+      }
+      return EXIT_OK;
+    }
+  },
+
+  import: {
+    flags: ['format', 'dry-run', 'author'],
+    async run({ flags, positional, dbFile }) {
+      if (positional.length !== 1) throw new UsageError('import needs exactly one file');
+      const file = positional[0];
+      const format = flags.format || path.extname(file).slice(1).toLowerCase();
+      if (!['csv', 'xlsx', 'json'].includes(format)) {
+        throw new UsageError('Cannot tell the file format; give --format csv, xlsx or json');
+      }
+
+      const entries = readImportFile(await fs.promises.readFile(file), format);
+      const { categories } = await loadCatalogue(dbFile);
+      const plan = records => planImport(records.map(r => DataConverter.normalizeProduct(r)), entries, categories);
+
+      let rows;
+      if (flags['dry-run']) {
+        rows = plan(await new JsonStore(dbFile, null).read());
+      } else {
+        rows = await updateProducts(dbFile, flags, 'import', data => {
+          const result = plan(data);
+          result.forEach(entry => {
+            if (entry.errors.length || entry.action === 'unchanged') return;
+            const index = data.findIndex(p => p && Number(p.id) === entry.product.id);
+            if (index === -1) {
+              data.push(entry.product);
+            } else {
+              data[index] = entry.product;
+            }
+          });
+          return result;
+        });
+      }
+
+      const summary = { total: rows.length, create: 0, update: 0, unchanged: 0, invalid: 0 };
+      rows.forEach(entry => {
+        summary[entry.errors.length ? 'invalid' : entry.action]++;
+      });
+      const invalid = rows.filter(entry => entry.errors.length);
+      output(flags, { dryRun: Boolean(flags['dry-run']), summary, rows }, () => {
+        const lines = [`${flags['dry-run'] ? 'Would import' : 'Imported'} ${plural(summary.total, 'row')}: ` +
+          `${summary.create} new, ${summary.update} updated, ${summary.unchanged} unchanged, ${summary.invalid} rejected`];
+        if (invalid.length) {
+          lines.push('', formatTable([
+            { header: 'Row', value: entry => entry.row, align: 'right' },
+            { header: 'Errors', value: entry => entry.errors.join('; ') }
+          ], invalid));
+        }
+        return lines.join('\n');
+      });
+      return invalid.length ? EXIT_PROBLEMS : EXIT_OK;
+    }
+  },
+
+  validate: {
+    flags: [],
+    async run({ flags, dbFile }) {
+      const data = await new JsonStore(dbFile, null).read();
+      const { records, errors } = DataConverter.validateProducts(data);
+      const total = Array.isArray(data) ? data.length : 0;
+      output(flags, { total, valid: records.length, errors }, () => {
+        const line = `${records.length} of ${plural(total, 'record')} valid, ${plural(errors.length, 'error')}`;
+        return errors.length ? `${formatTable([
+          { header: 'Record', value: e => (e.index === null ? 'file' : e.index), align: 'right' },
+          { header: 'ID', value: e => e.id ?? '', align: 'right' },
+          { header: 'Field', value: e => e.path },
+          { header: 'Problem', value: e => e.reason }
+        ], errors)}\n${line}` : line;
+      });
+      return errors.length ? EXIT_PROBLEMS : EXIT_OK;
+    }
+  },
+
+  migrate: {
+    flags: ['dry-run', 'author'],
+    async run({ flags, dbFile }) {
+      const { records, categories } = await loadCatalogue(dbFile);
+      const plan = data => migrateRecords(data, categories);
+
+      let result;
+      if (flags['dry-run']) {
+        result = plan(records);
+      } else {
+        result = await updateProducts(dbFile, flags, 'migrate', plan);
+        // The API seeds categories.json on first use; do it now so the copy
+        // just written into every product has a collection behind it
+        const store = categoryStore(dbFile);
+        if (!(await store.stat()).size) {
+          await store.write(categories);
+          result.categoriesCreated = categories.length;
+        }
+      }
+
+      output(flags, { dryRun: Boolean(flags['dry-run']), ...result }, () => {
+        const lines = [`${flags['dry-run'] ? 'Would migrate' : 'Migrated'} ${result.changed.length} of ${plural(result.total, 'record')}`];
+        result.changed.forEach(({ id, fields }) => lines.push(`  #${id}: ${fields.join(', ')}`));
+        if (result.categoriesCreated) lines.push(`Created categories.json with ${result.categoriesCreated} ${result.categoriesCreated === 1 ? 'category' : 'categories'}`);
+        if (result.invalid.length) {
+          lines.push('', 'Still invalid, fix by hand:', formatTable([
+            { header: 'Record', value: e => e.index, align: 'right' },
+            { header: 'ID', value: e => e.id, align: 'right' },
+            { header: 'Field', value: e => e.path },
+            { header: 'Problem', value: e => e.reason }
+          ], result.invalid));
+        }
+        return lines.join('\n');
+      });
+      return result.invalid.length ? EXIT_PROBLEMS : EXIT_OK;
+    }
+  }
+};
+
+/**
+ * Parse an import file into { row, product } entries, as the import route does
+ * @param {Buffer} body - File contents
+ * @param {string} format - 'csv', 'xlsx' or 'json'
+ * @returns {Array} List of { row, product }
+ */
+function readImportFile(body, format) {
+  let entries;
+  try {
+    if (format === 'json') {
+      const data = JSON.parse(body.toString('utf-8'));
+      if (!Array.isArray(data)) throw new Error('expected a list of products');
+      entries = data.map((product, index) => ({ row: index + 1, product }));
+    } else {
+      entries = DataConverter.rowsToProducts(format === 'xlsx' ? readXlsx(body) : DataConverter.parseCsv(body.toString('utf-8')));
+    }
+  } catch (error) {
+    throw new Error(`Could not read ${format.toUpperCase()} file: ${error.message}`);
+  }
+  if (!entries.length) {
+    throw new Error('The file contains no product rows');
+  }
+  return entries;
+}
+
+/**
+ * Rewrite every record in the current shape: the fields the app reads,
+ * with their proper types, in the usual order; a slug for every product
+ * that has a title; and the categories.json copy of its category
+ * @param {Array} data - Raw product records; changed in place
+ * @param {Array} categories - Category collection
+ * @returns {Object} { total, changed: [{ id, fields }], invalid: [{ index, id, path, reason }] }
+ */
+function migrateRecords(data, categories) {
+  const byId = new Map(categories.map(c => [c.id, c]));
+  const slugs = new Set(data.map(record => record && record.slug).filter(Boolean));
+  const changed = [];
+  const invalid = [];
+
+  data.forEach((record, index) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      invalid.push({ index, id: null, path: '', reason: 'is not a product object' });
+      return;
+    }
+
+    const product = DataConverter.normalizeProduct(record);
+    const category = byId.get(product.category.id);
+    if (category) product.category = { ...category };
+    if (!product.slug) {
+      const base = DataConverter.slugify(product.title);
+      let slug = base;
+      for (let n = 2; slug && slugs.has(slug); n++) slug = `${base}-${n}`;
+      if (slug) slugs.add(slug);
+      product.slug = slug;
+    }
+
+    const fields = Array.from(new Set([...Object.keys(record), ...Object.keys(product)]))
+      .filter(field => JSON.stringify(record[field]) !== JSON.stringify(product[field]));
+    const reordered = JSON.stringify(Object.keys(record)) !== JSON.stringify(Object.keys(product));
+    if (fields.length || reordered) {
+      changed.push({ id: product.id, fields: fields.length ? fields : ['field order'] });
+      data[index] = product;
+    }
+
+    DataConverter.validateProduct(product).forEach(error => invalid.push({ index, id: product.id, ...error }));
+  });
+
+  return { total: data.length, changed, invalid };
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_FAILURE;
+  }
+
+  const command = COMMANDS[args.command];
+  if (args.flags.help || !args.command) {
+    console.log(USAGE);
+    return args.command || args.flags.help ? EXIT_OK : EXIT_FAILURE;
+  }
+  if (!command) {
+    console.error(`Unknown command "${args.command}". Run product-cli --help for usage.`);
+    return EXIT_FAILURE;
+  }
+
+  try {
+    checkFlags(args.flags, command.flags);
+    const dbFile = path.resolve(args.flags.db || DEFAULT_DB);
+    return await command.run({ ...args, dbFile });
+  } catch (error) {
+    console.error(error instanceof UsageError ? error.message : `Error: ${error.message}`);
+    return EXIT_FAILURE;
+  }
+}
+
+// Piping into head and the like closes stdout early; that is not an error
+process.stdout.on('error', error => {
+  if (error.code === 'EPIPE') process.exit(process.exitCode || EXIT_OK);
+  throw error;
+});
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,454 @@
+// Client for the REST API served by server.js
+
+/**
+ * Error returned by the API, carrying the HTTP status and field details
+ */
+class ApiError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class ProductApi {
+    /**
+     * Send a request to the API and decode the JSON response
+     * @param {string} method - HTTP method
+     * @param {string} url - API path
+     * @param {Object} body - Optional JSON body
+     * @param {Object} headers - Extra request headers
+     * @returns {Promise<*>} Decoded response body (null for 204)
+     */
+    static async request(method, url, body, headers = {}) {
+        const options = { method, headers: { Accept: 'application/json', ...this.csrfHeaders(method), ...headers } };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        
+        return this.decode(await fetch(url, options), url);
+    }
+    
+    /**
+     * Header proving a write comes from this page, not another site
+     * @param {string} method - HTTP method
+     * @returns {Object} X-CSRF-Token header for writes, or nothing
+     */
+    static csrfHeaders(method) {
+        return this.csrfToken && method !== 'GET' ? { 'X-CSRF-Token': this.csrfToken } : {};
+    }
+    
+    /**
+     * Header asking the server to refuse a write when the product changed
+     * since the client saw it (409 Conflict)
+     * @param {string|null} expectedUpdatedAt - updatedAt the client saw
+     * @returns {Object} X-Expected-Updated-At header, or nothing
+     */
+    static conflictHeaders(expectedUpdatedAt) {
+        return expectedUpdatedAt ? { 'X-Expected-Updated-At': expectedUpdatedAt } : {};
+    }
+    
+    /**
+     * Whether a request failed because the server could not be reached,
+     * rather than because it answered with an error
+     * @param {Error} error - Error thrown by a ProductApi method
+     * @returns {boolean} True for network failures
+     */
+    static isNetworkError(error) {
+        return !(error instanceof ApiError);
+    }
+    
+    /**
+     * Decode a JSON API response, throwing ApiError for error statuses
+     * @param {Response} response - Fetch response
+     * @param {string} url - Requested URL, for error messages
+     * @returns {Promise<*>} Decoded response body (null for 204)
+     */
+    static async decode(response, url) {
+        if (response.status === 204) {
+            return null;
+        }
+        
+        const text = await response.text();
+        let payload = null;
+        try {
+            payload = text ? JSON.parse(text) : null;
+        } catch (error) {
+            throw new ApiError(response.status, `Invalid JSON response from ${url}`);
+        }
+        
+        // The session ran out (or the server restarted) while the page was
+        // open; the token is dropped so that this is reported once
+        if (response.status === 401 && this.csrfToken) {
+            this.csrfToken = null;
+            if (this.onUnauthorized) this.onUnauthorized();
+        }
+        
+        if (!response.ok) {
+            const error = payload?.error || {};
+            throw new ApiError(response.status, error.message || `HTTP error! status: ${response.status}`, error.details);
+        }
+        
+        return payload;
+    }
+    
+    /**
+     * Fetch one page of products matching the given filters
+     * @param {Object} query - { q, category, sort, order, page, pageSize, filters, stats }
+     * @returns {Promise<Object>} { data, meta, stats, facets } as built by DataConverter.queryProducts
+     */
+    static async queryProducts(query = {}) {
+        const result = await this.request('GET', `/api/products?${this.listParams(query)}`);
+        result.data = result.data.map(product => DataConverter.normalizeProduct(product));
+        return result;
+    }
+    
+    /**
+     * Flatten a list query into URL parameters, leaving out empty values
+     * @param {Object} query - { q, category, sort, order, page, pageSize, filters, stats }
+     * @returns {URLSearchParams} Parameters
+     */
+    static listParams(query) {
+        const { filters, stats, ...rest } = query;
+        const params = new URLSearchParams();
+        Object.entries({ ...rest, ...stats, ...DataConverter.filtersToParams(filters) }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        });
+        return params;
+    }
+    
+    /**
+     * Fetch a single product
+     * @param {number} id - Product id
+     * @returns {Promise<Object>} Product
+     */
+    static async getProduct(id) {
+        return DataConverter.normalizeProduct(await this.request('GET', `/api/products/${id}`));
+    }
+    
+    /**
+     * Fetch a product by its slug
+     * @param {string} slug - Product slug
+     * @returns {Promise<Object>} Product
+     */
+    static async getProductBySlug(slug) {
+        return DataConverter.normalizeProduct(await this.request('GET', `/api/products/by-slug/${encodeURIComponent(slug)}`));
+    }
+    
+    /**
+     * Find the products before and after one in a filtered, sorted list
+     * @param {number} id - Product id
+     * @param {Object} query - { q, sort, filters } describing the list
+     * @returns {Promise<Object>} { position, total, previous, next } (see DataConverter.findNeighbours)
+     */
+    static async getNeighbours(id, query = {}) {
+        return this.request('GET', `/api/products/${id}/neighbours?${this.listParams(query)}`);
+    }
+    
+    /**
+     * Create a product
+     * @param {Object} product - Product fields (category may be given as categoryId)
+     * @returns {Promise<Object>} Created product
+     */
+    static async createProduct(product) {
+        return DataConverter.normalizeProduct(await this.request('POST', '/api/products', product));
+    }
+    
+    /**
+     * Replace a product
+     * @param {number} id - Product id
+     * @param {Object} product - Full product fields
+     * @param {Object} options
+     * @param {string} options.expectedUpdatedAt - Fail with 409 if the product changed since
+     * @returns {Promise<Object>} Updated product
+     */
+    static async updateProduct(id, product, { expectedUpdatedAt = null } = {}) {
+        return DataConverter.normalizeProduct(
+            await this.request('PUT', `/api/products/${id}`, product, this.conflictHeaders(expectedUpdatedAt))
+        );
+    }
+    
+    /**
+     * Update some fields of a product
+     * @param {number} id - Product id
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<Object>} Updated product
+     */
+    static async patchProduct(id, changes) {
+        return DataConverter.normalizeProduct(await this.request('PATCH', `/api/products/${id}`, changes));
+    }
+    
+    /**
+     * Delete a product
+     * @param {number} id - Product id
+     * @param {Object} options
+     * @param {string} options.expectedUpdatedAt - Fail with 409 if the product changed since
+     */
+    static async deleteProduct(id, { expectedUpdatedAt = null } = {}) {
+        await this.request('DELETE', `/api/products/${id}`, undefined, this.conflictHeaders(expectedUpdatedAt));
+    }
+    
+    /**
+     * Build the download URL for exporting the filtered, sorted view
+     * @param {Object} query - { q, category, sort, order, filters, ids }; ids
+     *   (comma-separated) limits the export to selected products
+     * @param {string} format - 'csv' or 'xlsx'
+     * @returns {string} Export URL
+     */
+    static exportUrl(query, format) {
+        const params = new URLSearchParams({ format });
+        ['q', 'category', 'sort', 'order', 'ids'].forEach(key => {
+            if (query[key]) params.set(key, query[key]);
+        });
+        Object.entries(DataConverter.filtersToParams(query.filters)).forEach(([key, value]) => {
+            params.set(key, value);
+        });
+        return `/api/products/export?${params}`;
+    }
+    
+    /**
+     * Run a bulk operation, or preview it
+     * @param {Object} request - { action, ids | query, categoryId, price, percent, dryRun }
+     * @returns {Promise<Object>} { dryRun, action, summary, results }
+     */
+    static async bulkUpdate(request) {
+        return this.request('POST', '/api/products/bulk', request);
+    }
+    
+    /**
+     * Upload a CSV or XLSX file for import
+     * @param {File} file - Spreadsheet chosen by the user
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Only preview, do not write
+     * @returns {Promise<Object>} { dryRun, summary, rows }
+     */
+    static async importProducts(file, { dryRun = false } = {}) {
+        const format = /\.xlsx$/i.test(file.name) ? 'xlsx' : 'csv';
+        const url = `/api/products/import?format=${format}&dryRun=${dryRun}`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                Accept: 'application/json',
+                ...this.csrfHeaders('POST'),
+                'Content-Type': format === 'xlsx'
+                    ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+                    : 'text/csv; charset=utf-8'
+            },
+            body: file
+        });
+        return this.decode(response, url);
+    }
+    
+    /**
+     * Fetch the change history, newest first
+     * @param {Object} options
+     * @param {number} options.productId - Only changes to this product
+     * @param {number} options.before - Only entries older than this entry id (paging)
+     * @param {number} options.limit - Page size
+     * @returns {Promise<Object>} { entries, hasMore }
+     */
+    static async listHistory({ productId = null, before = null, limit = null } = {}) {
+        const params = new URLSearchParams();
+        if (before) params.set('before', before);
+        if (limit) params.set('limit', limit);
+        const url = productId ? `/api/products/${productId}/history` : '/api/history';
+        return this.request('GET', `${url}?${params}`);
+    }
+    
+    /**
+     * Fetch what undo and redo would act on
+     * @returns {Promise<Object>} { undo, redo }, each a batch summary or null
+     */
+    static async getHistoryStacks() {
+        return this.request('GET', '/api/history/stacks');
+    }
+    
+    /**
+     * Undo the most recent change (every product it touched)
+     * @returns {Promise<Object>} The new { undo, redo }
+     */
+    static async undo() {
+        return this.request('POST', '/api/history/undo');
+    }
+    
+    /**
+     * Redo the most recently undone change
+     * @returns {Promise<Object>} The new { undo, redo }
+     */
+    static async redo() {
+        return this.request('POST', '/api/history/redo');
+    }
+    
+    /**
+     * Put a product back to the version recorded by a history entry
+     * @param {number} id - Product id
+     * @param {number} entryId - History entry id
+     * @returns {Promise<Object>} Restored product
+     */
+    static async restoreProduct(id, entryId) {
+        return DataConverter.normalizeProduct(await this.request('POST', `/api/products/${id}/restore`, { entryId }));
+    }
+    
+    /**
+     * Fetch the schema validation report for db.json
+     * @returns {Promise<Object>} { total, valid, errors: [{ index, id, path, reason }] }
+     */
+    static async getValidationReport() {
+        return this.request('GET', '/api/reports/validation');
+    }
+    
+    /**
+     * Fetch the data-quality report for db.json
+     * @param {Object} options
+     * @param {boolean} options.checkImages - Also load every image URL (slow)
+     * @returns {Promise<Object>} { generatedAt, total, imagesChecked, counts, summary, issues }
+     */
+    static async getQualityReport({ checkImages = false } = {}) {
+        return this.request('GET', `/api/reports/quality?checkImages=${checkImages}`);
+    }
+    
+    /**
+     * Apply the suggested fixes of the data-quality report
+     * @param {Object} request - { types, dryRun, checkImages }
+     * @returns {Promise<Object>} { dryRun, types, applied, report }
+     */
+    static async fixQuality(request) {
+        return this.request('POST', '/api/reports/quality/fix', request);
+    }
+    
+    /**
+     * Fetch all categories
+     * @returns {Promise<Array>} Categories, each with productCount
+     */
+    static async listCategories() {
+        const data = await this.request('GET', '/api/categories');
+        return data.map(category => this.normalizeCategory(category));
+    }
+    
+    /**
+     * Create a category
+     * @param {Object} category - { name, image, slug }
+     * @returns {Promise<Object>} Created category
+     */
+    static async createCategory(category) {
+        return this.normalizeCategory(await this.request('POST', '/api/categories', category));
+    }
+    
+    /**
+     * Rename a category or change its image; products follow
+     * @param {number} id - Category id
+     * @param {Object} changes - { name, image, slug }
+     * @returns {Promise<Object>} Updated category
+     */
+    static async updateCategory(id, changes) {
+        return this.normalizeCategory(await this.request('PATCH', `/api/categories/${id}`, changes));
+    }
+    
+    /**
+     * Move every product of a category into another and delete the first
+     * @param {number} id - Category to merge away
+     * @param {number} into - Category that receives the products
+     * @returns {Promise<Object>} { moved, category }
+     */
+    static async mergeCategory(id, into) {
+        const result = await this.request('POST', `/api/categories/${id}/merge`, { into });
+        return { moved: result.moved, category: this.normalizeCategory(result.category) };
+    }
+    
+    /**
+     * Delete a category that has no products
+     * @param {number} id - Category id
+     */
+    static async deleteCategory(id) {
+        await this.request('DELETE', `/api/categories/${id}`);
+    }
+    
+    /**
+     * Fetch who is signed in, and remember the CSRF token for writes
+     * @returns {Promise<Object>} { user, csrfToken }, user null when signed out
+     */
+    static async getSession() {
+        const session = await this.request('GET', '/api/auth/session');
+        this.csrfToken = session.csrfToken;
+        return session;
+    }
+    
+    /**
+     * Sign in
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object>} { user, csrfToken }
+     */
+    static async login(username, password) {
+        const session = await this.request('POST', '/api/auth/login', { username, password });
+        this.csrfToken = session.csrfToken;
+        return session;
+    }
+    
+    /**
+     * Sign out
+     */
+    static async logout() {
+        await this.request('POST', '/api/auth/logout');
+        this.csrfToken = null;
+    }
+    
+    /**
+     * Fetch all user accounts (admins only)
+     * @returns {Promise<Array>} Users as { id, username, role, createdAt, updatedAt }
+     */
+    static async listUsers() {
+        return this.request('GET', '/api/users');
+    }
+    
+    /**
+     * Create a user account
+     * @param {Object} user - { username, password, role }
+     * @returns {Promise<Object>} Created user
+     */
+    static async createUser(user) {
+        return this.request('POST', '/api/users', user);
+    }
+    
+    /**
+     * Change a user's name or role, or reset their password
+     * @param {number} id - User id
+     * @param {Object} changes - { username, role, password }
+     * @returns {Promise<Object>} Updated user
+     */
+    static async updateUser(id, changes) {
+        return this.request('PATCH', `/api/users/${id}`, changes);
+    }
+    
+    /**
+     * Delete a user account
+     * @param {number} id - User id
+     */
+    static async deleteUser(id) {
+        await this.request('DELETE', `/api/users/${id}`);
+    }
+    
+    /**
+     * Normalise a category from the API, keeping its product count
+     * @param {Object} category - Raw category
+     * @returns {Object} Category with productCount
+     */
+    static normalizeCategory(category) {
+        return { ...DataConverter.normalizeCategory(category), productCount: Number(category.productCount) || 0 };
+    }
+}
+
+// Token sent with every write, from the signed-in session
+ProductApi.csrfToken = null;
+
+// Called when a request fails because the session has ended
+ProductApi.onUnauthorized = null;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProductApi, ApiError };
+}
@@ -0,0 +1,2497 @@
+// Main application for displaying product data
+class ProductTableApp {
+    constructor() {
+        this.products = [];         // rows of the current page
+        this.categories = [];
+        this.pageMeta = { total: 0, totalUnfiltered: 0, page: 1, totalPages: 1 };
+        this.stats = DataConverter.calculateStatistics([]);
+        this.facets = null;
+        this.localProducts = null;  // full catalogue, only when the API is unavailable
+        this.dataSource = null;     // source set in config.js; null for the server's API
+        this.offline = null;        // { savedAt } when working on the IndexedDB copy
+        this.offlineSync = new OfflineSync();
+        this.offlineCopyTimer = null;
+        this.reconnectTimer = null;
+        this.reconnecting = false;
+        this.searchIndex = null;    // index over localProducts
+        this.highlightTokens = [];
+        this.pageRequestId = 0;
+        this.productForm = null;
+        this.importDialog = null;
+        this.bulkDialog = null;
+        this.historyPanel = null;
+        this.categoryManager = null;
+        this.session = null;        // { user, csrfToken }; user is null when signed out
+        this.loginModal = null;
+        this.userManager = null;
+        this.qualityPanel = null;
+        this.detailModal = null;
+        this.detailRoute = null;    // deep link shown in the detail modal, as a string key
+        this.detailPushed = false;  // the detail view added a history entry we can go back over
+        this.historyStacks = { undo: null, redo: null };  // what undo / redo would act on
+        this.selection = new Set();        // ids of selected products
+        this.selectAllMatching = false;    // every product matching the filters is selected
+        this.facetPanel = null;
+        this.statsCharts = null;
+        this.statsInterval = 'day';  // timeline step, 'day' or 'week'
+        this.liveUpdates = null;
+        this.liveQueue = Promise.resolve();  // live changes are applied one at a time
+        this.validationReport = null;
+        this.validationDismissed = false;
+        this.liveStatus = 'connecting';
+        this.lastUpdated = null;     // when the data was last loaded
+        this.currentPage = 1;
+        this.pageSize = DataConverter.DEFAULT_PAGE_SIZE;  // rows per page, or 'all'
+        this.virtualScroll = false;  // one scrolling list instead of pages
+        this.tableRenderer = null;
+        this.tableHeader = null;
+        this.columnLayout = new ColumnLayout(ProductTableApp.COLUMNS);  // shown columns, widths, density
+        this.columnChooser = null;
+        this.searchTerm = '';
+        this.filters = {};          // facet filters, see DataConverter.parseFilters
+        this.sortKeys = [{ field: 'id', ascending: true }];  // primary key first
+        
+        // Initialize the application
+        this.init();
+    }
+    
+    /**
+     * Initialize the application
+     */
+    async init() {
+        // Saved language and currency; translates the static markup
+        I18n.init();
+        
+        // Restore search, filters, sort and page from the address bar
+        this.setViewParams(new URLSearchParams(window.location.search));
+        
+        // Keep the app itself available offline
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/service-worker.js').catch(error => {
+                console.warn('Service worker not registered:', error);
+            });
+        }
+        
+        // Where products come from
+        try {
+            this.dataSource = DataSource.fromConfig(AppConfig.dataSource);
+        } catch (error) {
+            console.error('Ignoring the data source in config.js:', error);
+        }
+        
+        // Edits queued in an earlier offline session
+        await this.offlineSync.load().catch(error => console.error('Failed to read offline edits:', error));
+        
+        // Nothing can be read signed out
+        await this.loadSession();
+        
+        // Load data from the API, db.json or the offline copy
+        await this.loadData();
+        if (!this.localProducts && this.offlineSync.pending.length) {
+            await this.syncOfflineEdits();
+            await this.loadPage();
+        }
+        
+        // Set up event listeners
+        this.setupEventListeners();
+        
+        // Follow changes made elsewhere
+        this.startLiveUpdates();
+        this.refreshHistory();
+        
+        // Render the initial view
+        this.render();
+        this.renderSavedViews();
+        
+        // Update sort dropdown
+        this.updateSortDropdown();
+        
+        // Drop invalid or default parameters from the address bar
+        this.updateUrl('replace');
+        
+        // Open the product a deep link points to
+        this.showRoute();
+    }
+    
+    /**
+     * Find out who is signed in, and ask for a sign-in when nobody is.
+     * Without a server (offline, or a static server with no /api routes) the
+     * last signed-in user is assumed, so that edits can still be queued; the
+     * server checks them when they are sent.
+     */
+    async loadSession() {
+        ProductApi.onUnauthorized = () => this.handleSessionExpired();
+        
+        let session;
+        try {
+            session = await ProductApi.getSession();
+        } catch (error) {
+            console.warn('Sign-in not available:', error);
+            let user = null;
+            try {
+                user = JSON.parse(localStorage.getItem(ProductTableApp.USER_KEY));
+            } catch (parseError) {
+                // Ignore a damaged value
+            }
+            this.setSession({ user, csrfToken: null });
+            return;
+        }
+        
+        if (!session.user) {
+            session = await this.getLoginModal().prompt();
+        }
+        this.setSession(session);
+    }
+    
+    /**
+     * Take on a session and show or hide what its user may do
+     * @param {Object} session - { user, csrfToken }
+     */
+    setSession(session) {
+        this.session = session;
+        if (session.user) {
+            localStorage.setItem(ProductTableApp.USER_KEY, JSON.stringify(session.user));
+        }
+        this.applyPermissions();
+        if (this.tableRenderer) this.renderTable();
+    }
+    
+    /**
+     * @param {string} role - 'viewer', 'editor' or 'admin'
+     * @returns {boolean} True when the signed-in user has at least this role
+     */
+    can(role) {
+        const user = this.session?.user;
+        return Boolean(user) && UserManagerModal.ROLES.indexOf(user.role) >= UserManagerModal.ROLES.indexOf(role);
+    }
+    
+    /**
+     * Show the signed-in user in the header and hide the controls marked
+     * with a data-requires-role the user does not have. The server refuses
+     * those actions anyway; this only keeps them out of the way.
+     */
+    applyPermissions() {
+        const user = this.session?.user;
+        document.getElementById('user-menu').classList.toggle('d-none', !user);
+        if (user) {
+            document.getElementById('user-name').textContent = user.username;
+            document.getElementById('user-role-badge').textContent = I18n.t(`users.role.${user.role}`);
+        }
+        document.querySelectorAll('[data-requires-role]').forEach(element => {
+            element.classList.toggle('d-none', !this.can(element.dataset.requiresRole));
+        });
+    }
+    
+    /**
+     * @returns {LoginModal} The sign-in modal, created on first use
+     */
+    getLoginModal() {
+        if (!this.loginModal) {
+            this.loginModal = new LoginModal();
+        }
+        return this.loginModal;
+    }
+    
+    /**
+     * Ask for a new sign-in after the session ended, then reload the view
+     */
+    async handleSessionExpired() {
+        this.setSession(await this.getLoginModal().prompt(I18n.t('auth.sessionExpired')));
+        await this.reloadCurrentView();
+        this.refreshHistory();
+    }
+    
+    /**
+     * Sign out and start again from the sign-in form
+     */
+    async logout() {
+        try {
+            await ProductApi.logout();
+        } catch (error) {
+            console.error('Failed to sign out:', error);
+            this.showNotification(I18n.t('auth.logoutFailed', { message: error.message }), 'danger');
+            return;
+        }
+        localStorage.removeItem(ProductTableApp.USER_KEY);
+        window.location.reload();
+    }
+    
+    /**
+     * Open the user management dialog
+     */
+    openUserManager() {
+        if (this.localProducts) {
+            this.showNotification(I18n.t('users.needsServer'), 'warning');
+            return;
+        }
+        this.userManager.open();
+    }
+    
+    /**
+     * Load product data from the REST API, or from the data source set in
+     * config.js
+     */
+    async loadData() {
+        this.validationDismissed = false;
+        
+        if (this.dataSource) {
+            await this.loadFallbackData(this.dataSource);
+        } else {
+            try {
+                this.categories = await ProductApi.listCategories();
+                this.validationReport = await ProductApi.getValidationReport();
+                this.localProducts = null;
+                this.searchIndex = null;
+                this.offline = null;
+                this.scheduleOfflineCopy();
+            } catch (error) {
+                console.error('Failed to load data:', error);
+                // Fallback: read db.json directly when the API is not available
+                // (unreachable, or a static server without /api routes). When the
+                // server answered with an error, show it rather than stale data.
+                if (ProductApi.isNetworkError(error) || error.status === 404) {
+                    await this.loadFallbackData(new JsonUrlSource('/db.json'));
+                } else {
+                    this.showNotification(I18n.t('app.loadError', { message: error.message }), 'danger');
+                }
+            }
+        }
+        
+        await this.loadPage();
+        
+        // Update last updated timestamp
+        this.updateLastUpdated();
+        
+        console.log(`Loaded ${this.products.length} of ${this.pageMeta.total} products`);
+    }
+    
+    /**
+     * Fallback data loading method, used when the page is served by a
+     * static server (npm run dev / serve) that has no /api routes, or when
+     * the server cannot be reached at all (then the offline copy is used).
+     * Node's server never exposes /db.json; `npm run dev` mounts it next
+     * to public/.
+     * Also loads the data source set in config.js.
+     * The whole catalogue is then kept in memory and paged locally.
+     * @param {DataSource} source - Where to read the products
+     */
+    async loadFallbackData(source) {
+        console.log('Using fallback data loading method');
+        this.localProducts = [];
+        this.validationReport = null;
+        
+        try {
+            const records = await source.list();
+            
+            // Show every record in the table, but report the ones that break the schema
+            this.localProducts = records.map(record => DataConverter.normalizeProduct(record));
+            const { records: valid, errors } = DataConverter.validateProducts(records);
+            this.validationReport = { total: records.length, valid: valid.length, errors };
+        } catch (error) {
+            console.error('Error fetching JSON data:', error);
+            // The offline copy is the server's; it does not stand in for a configured source
+            if (!this.dataSource && await this.loadOfflineCopy()) return;
+            if (this.dataSource) {
+                this.showNotification(I18n.t('source.loadFailed', { message: error.message }), 'danger');
+            }
+        }
+        
+        this.categories = DataConverter.getUniqueCategories(this.localProducts);
+        this.searchIndex = new SearchIndex(this.localProducts);
+    }
+    
+    /**
+     * Work on the copy of the catalogue kept from the last time the server
+     * was reachable
+     * @returns {Promise<boolean>} True when there was a copy to load
+     */
+    async loadOfflineCopy() {
+        let copy = null;
+        try {
+            copy = OfflineStore.supported ? await OfflineStore.loadCatalogue() : null;
+        } catch (error) {
+            console.error('Failed to read the offline copy:', error);
+        }
+        if (!copy) return false;
+        
+        this.localProducts = copy.products.map(product => DataConverter.normalizeProduct(product));
+        this.categories = copy.categories;
+        this.searchIndex = new SearchIndex(this.localProducts);
+        this.validationReport = null;
+        this.offline = { savedAt: copy.savedAt };
+        this.scheduleReconnect();
+        return true;
+    }
+    
+    /**
+     * Refresh the offline copy of the catalogue a moment after the data
+     * changed, so a burst of changes is saved once
+     */
+    scheduleOfflineCopy() {
+        if (!OfflineStore.supported || this.localProducts) return;
+        clearTimeout(this.offlineCopyTimer);
+        this.offlineCopyTimer = setTimeout(() => this.saveOfflineCopy(), ProductTableApp.OFFLINE_COPY_DELAY_MS);
+    }
+    
+    /**
+     * Save every product and category for offline use
+     */
+    async saveOfflineCopy() {
+        try {
+            const savedAt = new Date().toISOString();
+            const { data } = await ProductApi.queryProducts({ pageSize: 'all' });
+            await OfflineStore.saveCatalogue(data, this.categories, savedAt);
+        } catch (error) {
+            console.warn('Failed to save the offline copy:', error);
+        }
+    }
+    
+    /**
+     * Switch to the offline copy when the connection drops
+     * @returns {Promise<boolean>} True when the app is now working offline
+     */
+    async goOffline() {
+        if (this.offline) return true;
+        if (this.localProducts || !(await this.loadOfflineCopy())) return false;
+        
+        if (this.liveUpdates) {
+            this.liveUpdates.close();
+            this.liveUpdates = null;
+        }
+        this.updateLiveStatus('offline');
+        this.updateUndoButtons();
+        await this.loadPage();
+        this.render();
+        return true;
+    }
+    
+    /**
+     * Check for the server every so often while offline
+     */
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.reconnect(), ProductTableApp.RECONNECT_MS);
+    }
+    
+    /**
+     * Leave offline mode once the server answers again: send the queued
+     * edits, then load fresh data
+     */
+    async reconnect() {
+        if (!this.offline || this.reconnecting) return;
+        clearTimeout(this.reconnectTimer);
+        this.reconnecting = true;
+        
+        try {
+            // The session route answers signed out too, so a restarted
+            // server (which forgot every session) still counts as back
+            try {
+                await ProductApi.getSession();
+            } catch (error) {
+                if (ProductApi.isNetworkError(error)) {
+                    this.scheduleReconnect();
+                    return;
+                }
+            }
+            
+            this.localProducts = null;
+            this.offline = null;
+            await this.loadSession();
+            await this.syncOfflineEdits();
+            await this.loadData();
+            this.render();
+            this.updateUrl('replace');
+            if (!this.offline) {
+                this.startLiveUpdates();
+                this.refreshHistory();
+            }
+        } finally {
+            this.reconnecting = false;
+        }
+    }
+    
+    /**
+     * Send the edits queued while offline and report how it went
+     */
+    async syncOfflineEdits() {
+        if (!this.offlineSync.pending.length) return;
+        
+        let result;
+        try {
+            result = await this.offlineSync.sync();
+        } catch (error) {
+            console.error('Failed to sync offline edits:', error);
+            this.showNotification(I18n.t('offline.syncInterrupted'), 'warning');
+            return;
+        }
+        
+        const parts = [I18n.t('offline.synced', { count: result.synced })];
+        if (result.conflicts) parts.push(I18n.t('offline.syncConflicts', { count: result.conflicts }));
+        this.showNotification(parts.join(', '), result.conflicts ? 'warning' : 'success');
+    }
+    
+    /**
+     * Overwrite or discard an offline edit the server refused
+     * @param {number} id - Queued change id
+     * @param {string} action - 'overwrite' or 'discard'
+     */
+    async resolveConflict(id, action) {
+        if (action === 'overwrite' && this.offline) {
+            this.showNotification(I18n.t('offline.overwriteNeedsServer'), 'warning');
+            return;
+        }
+        
+        try {
+            await this.offlineSync.resolve(id, action);
+        } catch (error) {
+            console.error('Failed to resolve conflict:', error);
+            this.showNotification(I18n.t('offline.overwriteFailed', { message: error.message }), 'danger');
+            this.updateOfflineBanner();
+            return;
+        }
+        
+        if (action === 'overwrite') {
+            this.showNotification(I18n.t('offline.overwritten'), 'success');
+            await this.reloadCurrentView();
+        } else {
+            this.updateOfflineBanner();
+        }
+    }
+    
+    /**
+     * Apply an edit to the offline copy and queue it for the server
+     * @param {Object} values - Validated form values
+     * @param {Object|null} product - Product being edited, or null when adding
+     */
+    async saveOffline(values, product) {
+        const category = this.categories.find(c => c.id === values.categoryId) || (product && product.category);
+        const slug = values.slug || DataConverter.slugify(values.title);
+        let saved;
+        
+        if (product) {
+            // updatedAt stays the server's, the base for conflict detection
+            saved = { ...product, ...values, slug, category };
+            this.localProducts = this.localProducts.map(p => p.id === product.id ? saved : p);
+            await this.offlineSync.queue({
+                type: 'update',
+                productId: product.id,
+                title: saved.title,
+                values,
+                baseUpdatedAt: product.updatedAt
+            });
+        } else {
+            // Negative ids mark products the server has not seen yet
+            const id = Math.min(0, ...this.localProducts.map(p => p.id)) - 1;
+            const now = new Date().toISOString();
+            saved = DataConverter.normalizeProduct({ ...values, id, slug, category, creationAt: now, updatedAt: now });
+            this.localProducts = [...this.localProducts, saved];
+            await this.offlineSync.queue({ type: 'create', productId: id, title: saved.title, values });
+        }
+        
+        await this.storeOfflineChange();
+        this.productForm.close();
+        this.showNotification(I18n.t('offline.saved', { title: saved.title }), 'info');
+    }
+    
+    /**
+     * Delete a product from the offline copy and queue the delete
+     * @param {Object} product - Product to delete
+     */
+    async deleteOffline(product) {
+        this.localProducts = this.localProducts.filter(p => p.id !== product.id);
+        this.selection.delete(product.id);
+        await this.offlineSync.queue({
+            type: 'delete',
+            productId: product.id,
+            title: product.title,
+            baseUpdatedAt: product.updatedAt
+        });
+        
+        await this.storeOfflineChange();
+        this.showNotification(I18n.t('offline.deleted', { title: product.title }), 'info');
+    }
+    
+    /**
+     * Save the product form to the data source set in config.js
+     * @param {Object} values - Validated form values
+     * @param {Object|null} product - Product being edited, or null when adding
+     */
+    async saveToSource(values, product) {
+        if (this.dataSource.readOnly) {
+            this.showNotification(I18n.t('source.readOnly'), 'warning');
+            return;
+        }
+        
+        const category = this.categories.find(c => c.id === values.categoryId) || (product && product.category);
+        const record = { ...product, ...values, slug: values.slug || DataConverter.slugify(values.title), category };
+        let saved;
+        try {
+            saved = product
+                ? await this.dataSource.update(product.id, record)
+                : await this.dataSource.create(record);
+        } catch (error) {
+            console.error('Failed to save product:', error);
+            this.showNotification(I18n.t('product.saveFailed', { message: error.message }), 'danger');
+            return;
+        }
+        
+        // The source's answer wins; it assigns the id of a new product
+        saved = DataConverter.normalizeProduct({ ...record, ...saved });
+        this.localProducts = product
+            ? this.localProducts.map(p => p.id === product.id ? saved : p)
+            : [...this.localProducts, saved];
+        this.productForm.close();
+        this.showNotification(
+            I18n.t(product ? 'product.updated' : 'product.created', { id: saved.id }),
+            'success'
+        );
+        await this.showSourceChange();
+    }
+    
+    /**
+     * Delete a product from the data source set in config.js
+     * @param {Object} product - Product to delete
+     */
+    async deleteFromSource(product) {
+        if (this.dataSource.readOnly) {
+            this.showNotification(I18n.t('source.readOnly'), 'warning');
+            return;
+        }
+        
+        try {
+            await this.dataSource.delete(product.id);
+        } catch (error) {
+            console.error('Failed to delete product:', error);
+            this.showNotification(I18n.t('product.deleteFailed', { message: error.message }), 'danger');
+            return;
+        }
+        
+        this.localProducts = this.localProducts.filter(p => p.id !== product.id);
+        this.selection.delete(product.id);
+        this.showNotification(I18n.t('product.deleted', { id: product.id }), 'success');
+        await this.showSourceChange();
+    }
+    
+    /**
+     * Show the catalogue after a write to the configured data source
+     */
+    async showSourceChange() {
+        this.categories = DataConverter.getUniqueCategories(this.localProducts);
+        this.searchIndex = new SearchIndex(this.localProducts);
+        await this.loadPage();
+        this.render();
+        this.qualityPanel.refresh();
+    }
+    
+    /**
+     * Keep an offline edit in the offline copy and show it
+     */
+    async storeOfflineChange() {
+        this.searchIndex = new SearchIndex(this.localProducts);
+        try {
+            await OfflineStore.saveCatalogue(this.localProducts, this.categories, this.offline.savedAt);
+        } catch (error) {
+            console.error('Failed to update the offline copy:', error);
+        }
+        await this.loadPage();
+        this.render();
+    }
+    
+    /**
+     * Show whether the data is an offline copy, how many edits wait to be
+     * synced, and the edits the server refused
+     */
+    updateOfflineBanner() {
+        const banner = document.getElementById('offline-banner');
+        const conflicts = this.offlineSync.conflicts;
+        if (!this.offline && !conflicts.length) {
+            banner.classList.add('d-none');
+            return;
+        }
+        
+        const pending = this.offlineSync.pending.length;
+        const summary = this.offline
+            ? I18n.t('offline.summary', { time: I18n.formatDateTime(this.offline.savedAt) }) +
+              (pending ? ` ${I18n.t('offline.pending', { count: pending })}` : '')
+            : I18n.t('offline.rejected', { count: conflicts.length });
+        document.getElementById('offline-summary').textContent = summary;
+        document.getElementById('offline-retry').classList.toggle('d-none', !this.offline);
+        banner.querySelector('.alert').className = `alert mb-0 ${this.offline ? 'alert-secondary' : 'alert-warning'}`;
+        
+        document.getElementById('offline-conflicts').innerHTML = conflicts.map(change => `
+            <li class="d-flex justify-content-between align-items-center gap-2 mt-2">
+                <span>
+                    <span class="badge bg-warning text-dark">${I18n.t(ProductTableApp.OFFLINE_CHANGE_LABELS[change.type])}</span>
+                    ${change.productId > 0 ? `#${change.productId}` : ''} ${this.escapeHtml(change.title || '')}:
+                    ${this.escapeHtml(change.conflict.message)}
+                </span>
+                <span class="text-nowrap">
+                    <button type="button" class="btn btn-sm btn-outline-danger py-0" data-conflict-id="${change.id}" data-conflict-action="overwrite">${I18n.t('offline.overwrite')}</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary py-0" data-conflict-id="${change.id}" data-conflict-action="discard">${I18n.t('offline.discard')}</button>
+                </span>
+            </li>
+        `).join('');
+    }
+    
+    /**
+     * Fetch the current page for the current filters and sort order.
+     * Responses to superseded requests (e.g. while typing) are ignored.
+     */
+    async loadPage() {
+        const requestId = ++this.pageRequestId;
+        const query = {
+            q: this.searchTerm,
+            sort: DataConverter.formatSortKeys(this.sortKeys),
+            // Virtual scrolling fetches every match and renders what is in view
+            page: this.virtualScroll ? 1 : this.currentPage,
+            pageSize: this.virtualScroll ? 'all' : this.pageSize,
+            filters: this.filters,
+            stats: { interval: this.statsInterval }
+        };
+        
+        let result;
+        try {
+            result = this.localProducts
+                ? DataConverter.queryProducts(this.localProducts, { ...query, index: this.searchIndex })
+                : await ProductApi.queryProducts(query);
+        } catch (error) {
+            console.error('Failed to load page:', error);
+            this.showNotification(I18n.t('app.loadFailed'), 'danger');
+            return;
+        }
+        
+        if (requestId !== this.pageRequestId) return;
+        
+        this.products = result.data;
+        this.pageMeta = result.meta;
+        this.stats = result.stats;
+        this.facets = result.facets;
+        this.highlightTokens = result.meta.highlight || [];
+        this.currentPage = result.meta.page;
+    }
+    
+    /**
+     * Set up event listeners for UI controls
+     */
+    setupEventListeners() {
+        // Search input event is handled via oninput attribute in HTML
+        
+        // Sort dropdown event
+        const sortDropdown = document.getElementById('sort-dropdown');
+        if (sortDropdown) {
+            sortDropdown.addEventListener('change', (e) => {
+                this.handleSortChange(e.target.value);
+            });
+        }
+        
+        // Column headers: sort, move and resize
+        this.tableHeader = new TableHeader(document.getElementById('table-head-row'), this.columnLayout, {
+            onSort: (field, additive) => this.handleHeaderSort(field, additive),
+            onLayoutChange: () => this.handleLayoutChange()
+        });
+        this.tableHeader.render();
+        this.applyTableDensity();
+        
+        // Column chooser, density and price highlighting
+        this.columnChooser = new ColumnChooserModal(this.columnLayout, () => this.handleLayoutChange());
+        
+        // Table rows, patched by product id
+        this.tableRenderer = new TableRenderer(document.getElementById('table-body'), {
+            renderRow: product => this.renderRow(product),
+            rowClass: product => [
+                this.selectAllMatching || this.selection.has(product.id) ? 'table-active' : '',
+                this.offline && this.offlineSync.pendingIds.has(product.id) ? 'row-pending' : ''
+            ].join(' ').trim(),
+            emptyHtml: () => `
+                <td colspan="${this.getColumnCount()}" class="text-center py-5">
+                    <div class="text-muted">
+                        <i class="bi bi-search display-4"></i>
+                        <h5 class="mt-3">${I18n.t('table.empty')}</h5>
+                        <p class="mb-0">${I18n.t('table.emptyHint')}</p>
+                    </div>
+                </td>
+            `,
+            columns: this.getColumnCount()
+        });
+        
+        // Offline mode: switch when the connection drops, sync when it is back
+        window.addEventListener('offline', () => this.goOffline());
+        window.addEventListener('online', () => this.reconnect());
+        document.getElementById('offline-retry').addEventListener('click', () => this.reconnect());
+        document.getElementById('offline-conflicts').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-conflict-id]');
+            if (button) this.resolveConflict(Number(button.dataset.conflictId), button.dataset.conflictAction);
+        });
+        
+        // Language, display currency and exchange rate
+        const localeSelect = document.getElementById('locale-select');
+        Object.entries(I18n.LOCALES).forEach(([locale, { name }]) => localeSelect.add(new Option(name, locale)));
+        localeSelect.addEventListener('change', (e) => I18n.setLocale(e.target.value));
+        document.getElementById('currency-select').addEventListener('change', (e) => {
+            I18n.setCurrency(e.target.value);
+        });
+        document.getElementById('exchange-rate').addEventListener('change', (e) => {
+            if (Number(e.target.value) > 0) {
+                I18n.setCurrency(I18n.currency, Number(e.target.value));
+            } else {
+                e.target.value = I18n.exchangeRate;
+            }
+        });
+        I18n.onChange(() => this.handleLocaleChange());
+        this.updateLocaleControls();
+        
+        // Pagination, page size and scrolling mode
+        const sizeSelect = document.getElementById('page-size-select');
+        ProductTableApp.PAGE_SIZES.forEach(size => {
+            sizeSelect.add(new Option(size === 'all' ? I18n.t('pagination.all') : size, size));
+        });
+        document.getElementById('pagination').addEventListener('click', (e) => {
+            const link = e.target.closest('[data-page]');
+            if (link) this.goToPage(Number(link.dataset.page));
+        });
+        document.getElementById('page-jump-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const page = Number(document.getElementById('page-jump').value);
+            if (Number.isInteger(page)) this.goToPage(page);
+        });
+        document.getElementById('page-size-select').addEventListener('change', (e) => {
+            this.setPageSize(e.target.value === 'all' ? 'all' : Number(e.target.value));
+        });
+        document.getElementById('virtual-scroll-toggle').addEventListener('change', (e) => {
+            this.setVirtualScroll(e.target.checked);
+        });
+        
+        // Row selection
+        document.getElementById('table-body').addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-select-id]');
+            if (checkbox) {
+                this.toggleSelection(Number(checkbox.dataset.selectId), checkbox.checked);
+            }
+        });
+        document.getElementById('select-page').addEventListener('change', (e) => {
+            this.selectPage(e.target.checked);
+        });
+        
+        // Bulk toolbar
+        document.getElementById('bulk-toolbar').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk-action]');
+            if (!button) return;
+            e.preventDefault();
+            this.handleBulkAction(button.dataset.bulkAction);
+        });
+        
+        // Row actions (view / edit / delete / history)
+        document.getElementById('table-body').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const id = Number(button.dataset.id);
+            if (button.dataset.action === 'view') {
+                // Let modified clicks open the link in a new tab
+                if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+                e.preventDefault();
+                this.openDetail(id);
+            } else if (button.dataset.action === 'edit') {
+                this.openEditForm(id);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteProduct(id);
+            } else if (button.dataset.action === 'history') {
+                this.openHistory(this.products.find(p => p.id === id));
+            }
+        });
+        
+        // Add / edit modal
+        this.productForm = new ProductFormModal((values, product) => this.saveProduct(values, product));
+        
+        // Import modal
+        this.importDialog = new ProductImportModal(result => this.handleImported(result));
+        
+        // Bulk operation modal
+        this.bulkDialog = new BulkActionModal(result => this.handleBulkApplied(result));
+        
+        // Product detail modal
+        this.detailModal = new ProductDetailModal({
+            onNavigate: id => this.navigateDetail(id),
+            onClose: () => this.handleDetailClosed(),
+            onEdit: async product => {
+                await this.detailModal.hide();
+                this.productForm.open(product, this.categories);
+            },
+            onHistory: async product => {
+                await this.detailModal.hide();
+                this.openHistory(product);
+            }
+        });
+        
+        // Change history panel
+        this.historyPanel = new HistoryPanel(entry => this.restoreVersion(entry), () => this.can('editor'));
+        
+        // Category management
+        this.categoryManager = new CategoryManagerModal(async message => {
+            this.showNotification(message, 'success');
+            await this.reloadCurrentView();
+        });
+        
+        // User accounts; changing your own refreshes what you may do
+        this.userManager = new UserManagerModal({
+            getCurrentUser: () => this.session?.user,
+            onChanged: async (message, user) => {
+                this.showNotification(message, 'success');
+                if (user && user.id === this.session?.user?.id) {
+                    this.setSession(await ProductApi.getSession());
+                }
+            }
+        });
+        
+        // Data-quality report; fixes reload the view like any other change
+        this.qualityPanel = new QualityPanel({
+            getLocalProducts: () => this.localProducts,
+            onOpenProduct: id => this.openDetail(id),
+            onFixed: async result => {
+                this.showNotification(I18n.t('quality.fixed', { count: result.applied.length }), 'success');
+                await this.reloadCurrentView();
+            },
+            notify: (message, type) => this.showNotification(message, type)
+        });
+        this.qualityPanel.refresh();
+        
+        // Undo / redo, from the buttons or the keyboard (outside text fields and dialogs)
+        document.getElementById('undo-btn').addEventListener('click', () => this.undoRedo('undo'));
+        document.getElementById('redo-btn').addEventListener('click', () => this.undoRedo('redo'));
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest('input, textarea, select, [contenteditable]') || document.querySelector('.modal.show')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                this.undoRedo(key === 'y' || e.shiftKey ? 'redo' : 'undo');
+            }
+        });
+        
+        // Facet sidebar
+        this.facetPanel = new FacetPanel(filters => this.handleFacetChange(filters));
+        
+        // Statistics charts and their timeline step
+        this.statsCharts = new StatsCharts();
+        document.querySelectorAll('[data-stats-interval]').forEach(button => {
+            button.addEventListener('click', () => this.handleStatsIntervalChange(button.dataset.statsInterval));
+        });
+        
+        // Browser back / forward
+        window.addEventListener('popstate', () => {
+            this.applyViewParams(new URLSearchParams(window.location.search), null);
+            this.showRoute();
+        });
+        window.addEventListener('hashchange', () => this.showRoute());
+        
+        // Saved views menu
+        document.getElementById('saved-views-menu').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-view-action]');
+            if (!item) return;
+            e.preventDefault();
+            this.handleSavedViewAction(item.dataset.viewAction, item.dataset.name);
+        });
+    }
+    
+    /**
+     * Handle search input change (called from HTML oninput)
+     * @param {string} value - Search term
+     */
+    handleSearchChange(value) {
+        this.searchTerm = value;
+        
+        // Malformed queries are reported inline instead of returning no results
+        try {
+            SearchQuery.parse(value);
+        } catch (error) {
+            if (!(error instanceof SearchQueryError)) throw error;
+            this.showSearchError(error);
+            return;
+        }
+        
+        this.showSearchError(null);
+        
+        // Typing replaces the history entry instead of adding one per keystroke
+        this.applyFilters('replace');
+    }
+    
+    /**
+     * Show or clear the inline search query error
+     * @param {SearchQueryError|null} error - Parse error, or null to clear
+     */
+    showSearchError(error) {
+        const searchInput = document.getElementById('search-input');
+        const searchError = document.getElementById('search-error');
+        
+        searchInput.classList.toggle('is-invalid', Boolean(error));
+        searchError.classList.toggle('d-none', !error);
+        searchError.textContent = error
+            ? I18n.t('search.invalid', { position: error.position + 1, message: this.describeSearchError(error) })
+            : '';
+    }
+    
+    /**
+     * The parser's messages are English; other languages have their own
+     * message for each error code
+     * @param {SearchQueryError} error - Parse error
+     * @returns {string} Message in the current language
+     */
+    describeSearchError(error) {
+        const key = `search.error.${error.code}`;
+        if (!I18n.has(key)) return error.message;
+        return I18n.t(key, { ...error.params, fields: Object.keys(SearchQuery.FIELDS).join(', ') });
+    }
+    
+    /**
+     * Re-render everything that shows text or formatted values after the
+     * language or display currency changed
+     */
+    handleLocaleChange() {
+        this.updateLocaleControls();
+        this.applyPermissions();
+        this.tableHeader.render();
+        this.render();
+        this.renderSavedViews();
+        this.updateUndoButtons();
+        this.updateLiveStatus(this.liveStatus);
+        this.showLastUpdated();
+        this.qualityPanel.render();
+        
+        const searchInput = document.getElementById('search-input');
+        try {
+            SearchQuery.parse(searchInput.value);
+        } catch (error) {
+            if (!(error instanceof SearchQueryError)) throw error;
+            this.showSearchError(error);
+        }
+    }
+    
+    /**
+     * Show the current language, currency and exchange rate in the header
+     */
+    updateLocaleControls() {
+        document.getElementById('locale-select').value = I18n.locale;
+        document.getElementById('currency-select').value = I18n.currency;
+        const rate = document.getElementById('exchange-rate');
+        rate.value = I18n.exchangeRate;
+        rate.closest('.exchange-rate-group').classList.toggle('d-none', I18n.currency !== 'VND');
+    }
+    
+    /**
+     * Handle a change in the facet sidebar
+     * @param {Object} filters - Facet filters
+     */
+    handleFacetChange(filters) {
+        this.filters = filters;
+        this.applyFilters();
+    }
+    
+    /**
+     * Switch the creation timeline between days and weeks
+     * @param {string} interval - 'day' or 'week'
+     */
+    async handleStatsIntervalChange(interval) {
+        if (interval === this.statsInterval) return;
+        this.statsInterval = interval;
+        await this.loadPage();
+        this.updateStatistics();
+    }
+    
+    /**
+     * Handle sort dropdown change
+     * @param {string} value - Sort option value
+     */
+    handleSortChange(value) {
+        const sort = ProductTableApp.SORT_OPTIONS[value] || ProductTableApp.SORT_OPTIONS.id_asc;
+        this.sortKeys = DataConverter.parseSortKeys(sort);
+        this.applyFilters();
+    }
+    
+    /**
+     * Handle a click on a sortable column header. A plain click sorts by
+     * that column alone (clicking the current primary column flips it);
+     * shift-click adds the column as a secondary / tertiary key, or flips it
+     * if it is already one of the keys.
+     * @param {string} field - Sort field of the column
+     * @param {boolean} additive - Whether shift was held
+     */
+    handleHeaderSort(field, additive) {
+        const existing = this.sortKeys.find(key => key.field === field);
+        
+        if (additive) {
+            if (existing) {
+                existing.ascending = !existing.ascending;
+            } else if (this.sortKeys.length < DataConverter.MAX_SORT_KEYS) {
+                this.sortKeys.push({ field, ascending: true });
+            } else {
+                this.showNotification(I18n.t('sort.maxKeys', { count: DataConverter.MAX_SORT_KEYS }), 'warning');
+                return;
+            }
+        } else if (this.sortKeys.length === 1 && existing) {
+            existing.ascending = !existing.ascending;
+        } else {
+            this.sortKeys = [{ field, ascending: true }];
+        }
+        
+        this.applyFilters();
+    }
+    
+    /**
+     * Update sort dropdown selection
+     */
+    updateSortDropdown() {
+        const sortDropdown = document.getElementById('sort-dropdown');
+        if (!sortDropdown) return;
+        
+        const sort = DataConverter.formatSortKeys(this.sortKeys);
+        const option = Object.keys(ProductTableApp.SORT_OPTIONS)
+            .find(value => ProductTableApp.SORT_OPTIONS[value] === sort);
+        
+        // Header sorts that have no dropdown entry show as "custom"
+        sortDropdown.value = option || 'custom';
+    }
+    
+    /**
+     * Show the sort direction and key order on the column headers
+     */
+    updateSortHeaders() {
+        document.querySelectorAll('th[data-sort-field]').forEach(header => {
+            const index = this.sortKeys.findIndex(key => key.field === header.dataset.sortField);
+            const indicator = header.querySelector('.sort-indicator');
+            
+            header.setAttribute('aria-sort', index === -1
+                ? 'none'
+                : this.sortKeys[index].ascending ? 'ascending' : 'descending');
+            
+            if (index === -1) {
+                indicator.innerHTML = '';
+                return;
+            }
+            
+            const icon = this.sortKeys[index].ascending ? 'bi-caret-up-fill' : 'bi-caret-down-fill';
+            const order = this.sortKeys.length > 1 ? `<sup>${index + 1}</sup>` : '';
+            indicator.innerHTML = `<i class="bi ${icon}"></i>${order}`;
+        });
+    }
+    
+    /**
+     * Reset search, filters, sort and page to their defaults
+     */
+    resetToDefault() {
+        this.searchTerm = '';
+        this.filters = {};
+        this.sortKeys = [{ field: 'id', ascending: true }];
+        this.currentPage = 1;
+        this.pageSize = DataConverter.DEFAULT_PAGE_SIZE;
+        this.virtualScroll = false;
+        
+        // Reset UI elements
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = '';
+        this.showSearchError(null);
+        
+        // Update sort dropdown
+        this.updateSortDropdown();
+    }
+    
+    /**
+     * Current view as query parameters, leaving out default values
+     * @param {Object} options
+     * @param {boolean} options.includePage - Include the page number
+     * @returns {string} Query string without the leading '?'
+     */
+    getViewParams({ includePage = true } = {}) {
+        const params = new URLSearchParams();
+        
+        if (this.searchTerm) params.set('q', this.searchTerm);
+        
+        const sort = DataConverter.formatSortKeys(this.sortKeys);
+        if (sort !== ProductTableApp.DEFAULT_SORT) params.set('sort', sort);
+        
+        Object.entries(DataConverter.filtersToParams(this.filters)).forEach(([key, value]) => {
+            params.set(key, value);
+        });
+        
+        if (this.virtualScroll) {
+            params.set('scroll', 'virtual');
+        } else if (includePage && this.currentPage > 1) {
+            params.set('page', this.currentPage);
+        }
+        if (this.pageSize !== DataConverter.DEFAULT_PAGE_SIZE) params.set('pageSize', this.pageSize);
+        
+        // ':' and ',' are safe in a query string and keep shared links readable
+        return params.toString().replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+    }
+    
+    /**
+     * Restore the view from query parameters. Invalid values are ignored,
+     * so a stale or hand-edited link still opens.
+     * @param {URLSearchParams} params - Parameters from the URL or a saved view
+     */
+    setViewParams(params) {
+        this.resetToDefault();
+        
+        const q = params.get('q') || '';
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = q;
+        try {
+            SearchQuery.parse(q);
+            this.searchTerm = q;
+        } catch (error) {
+            if (!(error instanceof SearchQueryError)) throw error;
+            this.showSearchError(error);
+        }
+        
+        const sortKeys = DataConverter.parseSortKeys(params.get('sort') || ProductTableApp.DEFAULT_SORT)
+            .filter(key => DataConverter.SORT_FIELDS.includes(key.field))
+            .slice(0, DataConverter.MAX_SORT_KEYS);
+        if (sortKeys.length) this.sortKeys = sortKeys;
+        
+        // parseFilters keeps only the valid filters
+        this.filters = DataConverter.parseFilters(params).filters;
+        
+        const page = Number(params.get('page'));
+        if (Number.isInteger(page) && page > 1) this.currentPage = page;
+        
+        const pageSize = params.get('pageSize') === 'all' ? 'all' : Number(params.get('pageSize'));
+        if (pageSize === 'all' || (Number.isInteger(pageSize) && pageSize > 0)) this.pageSize = pageSize;
+        
+        this.virtualScroll = params.get('scroll') === 'virtual';
+        
+        this.updateSortDropdown();
+    }
+    
+    /**
+     * Restore a view and load it
+     * @param {URLSearchParams} params - View parameters
+     * @param {string|null} historyMode - 'push' or 'replace' to record the view
+     *   in the browser history, null when it came from the history
+     */
+    async applyViewParams(params, historyMode = 'push') {
+        this.setViewParams(params);
+        await this.loadPage();
+        this.render();
+        if (historyMode) this.updateUrl(historyMode);
+    }
+    
+    /**
+     * Write the current view into the address bar
+     * @param {string} historyMode - 'push' adds a history entry, 'replace' updates the current one
+     */
+    updateUrl(historyMode = 'push') {
+        const query = this.getViewParams();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+        
+        if (historyMode === 'replace') {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    }
+    
+    /**
+     * Apply filters and sorting to products
+     * @param {string} historyMode - How to record the new view in the browser history
+     */
+    async applyFilters(historyMode = 'push') {
+        // Reset to first page
+        this.currentPage = 1;
+        
+        // A selection only makes sense for the rows it was made on
+        this.clearSelection();
+        
+        // Filtering and sorting happen on the server
+        await this.loadPage();
+        
+        // Update UI
+        this.render();
+        this.tableRenderer.scrollToTop();
+        this.updateUrl(historyMode);
+    }
+    
+    /**
+     * Handle a click in the saved views menu
+     * @param {string} action - 'apply', 'delete', 'save', 'copy-link' or 'reset'
+     * @param {string} name - View name, for 'apply' and 'delete'
+     */
+    async handleSavedViewAction(action, name) {
+        switch (action) {
+            case 'apply': {
+                const view = SavedViews.find(name);
+                if (view) await this.applyViewParams(new URLSearchParams(view.query));
+                break;
+            }
+            case 'delete':
+                if (confirm(I18n.t('views.confirmDelete', { name }))) {
+                    SavedViews.remove(name);
+                    this.renderSavedViews();
+                }
+                break;
+            case 'save':
+                this.saveCurrentView();
+                break;
+            case 'copy-link':
+                await this.copyViewLink();
+                break;
+            case 'reset':
+                await this.applyViewParams(new URLSearchParams());
+                break;
+        }
+    }
+    
+    /**
+     * Ask for a name and save the current search, filters and sort
+     */
+    saveCurrentView() {
+        const name = (prompt(I18n.t('views.namePrompt')) || '').trim();
+        if (!name) return;
+        if (SavedViews.find(name) && !confirm(I18n.t('views.confirmOverwrite', { name }))) return;
+        
+        try {
+            SavedViews.save(name, this.getViewParams({ includePage: false }));
+        } catch (error) {
+            console.error('Failed to save view:', error);
+            this.showNotification(I18n.t('views.saveFailed'), 'danger');
+            return;
+        }
+        this.renderSavedViews();
+        this.showNotification(I18n.t('views.saved', { name }), 'success');
+    }
+    
+    /**
+     * Copy a link to the current view to the clipboard
+     */
+    async copyViewLink() {
+        const link = window.location.href;
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showNotification(I18n.t('common.linkCopied'), 'success');
+        } catch (error) {
+            // Clipboard access needs a secure context; let the user copy by hand
+            prompt(I18n.t('common.copyLinkPrompt'), link);
+        }
+    }
+    
+    /**
+     * Render the saved views menu
+     */
+    renderSavedViews() {
+        const menu = document.getElementById('saved-views-menu');
+        const views = SavedViews.list();
+        
+        const items = views.map(view => `
+            <li class="d-flex align-items-center">
+                <a class="dropdown-item" href="?${this.escapeHtml(view.query)}" data-view-action="apply" data-name="${this.escapeHtml(view.name)}">
+                    ${this.escapeHtml(view.name)}
+                </a>
+                <button type="button" class="btn btn-sm btn-link text-danger me-2" data-view-action="delete"
+                        data-name="${this.escapeHtml(view.name)}" title="${I18n.t('views.delete')}">
+                    <i class="bi bi-x-lg"></i>
+                </button>
+            </li>
+        `);
+        
+        menu.innerHTML = `
+            ${items.length ? items.join('') : `<li><span class="dropdown-item-text small text-muted">${I18n.t('views.none')}</span></li>`}
+            <li><hr class="dropdown-divider"></li>
+            <li><a class="dropdown-item" href="#" data-view-action="save"><i class="bi bi-bookmark-plus"></i> ${I18n.t('views.saveCurrent')}</a></li>
+            <li><a class="dropdown-item" href="#" data-view-action="copy-link"><i class="bi bi-link-45deg"></i> ${I18n.t('common.copyLink')}</a></li>
+            <li><a class="dropdown-item" href="?" data-view-action="reset"><i class="bi bi-arrow-counterclockwise"></i> ${I18n.t('views.reset')}</a></li>
+        `;
+    }
+    
+    /**
+     * Reload data from the source, keeping the current view
+     */
+    async refreshData() {
+        await this.loadData();
+        this.render();
+        this.updateUrl('replace');
+        this.qualityPanel.refresh();
+        
+        // Show notification
+        this.showNotification(I18n.t('app.refreshed'), 'success');
+    }
+    
+    /**
+     * Re-fetch categories and the current page after a change, keeping
+     * filters and page, and re-render stats, facets and table
+     */
+    async reloadCurrentView() {
+        if (!this.localProducts) {
+            this.categories = await ProductApi.listCategories();
+            this.validationReport = await ProductApi.getValidationReport();
+        }
+        await this.loadPage();
+        this.render();
+        this.updateUrl('replace');
+        this.refreshHistory();
+        this.qualityPanel.refresh();
+        this.scheduleOfflineCopy();
+    }
+    
+    /**
+     * Fetch what undo / redo would act on and reload the history panel.
+     * Every change (ours or pushed by the server) ends up here.
+     */
+    async refreshHistory() {
+        if (this.localProducts) {
+            this.updateUndoButtons();
+            return;
+        }
+        
+        this.historyPanel.refresh();
+        try {
+            this.historyStacks = await ProductApi.getHistoryStacks();
+        } catch (error) {
+            console.error('Failed to load undo state:', error);
+            this.historyStacks = { undo: null, redo: null };
+        }
+        this.updateUndoButtons();
+    }
+    
+    /**
+     * Enable the undo / redo buttons and describe what they would do
+     */
+    updateUndoButtons() {
+        [['undo', 'Ctrl+Z'], ['redo', 'Ctrl+Y']].forEach(([direction, shortcut]) => {
+            const button = document.getElementById(`${direction}-btn`);
+            const batch = this.historyStacks[direction];
+            button.disabled = !batch;
+            button.title = batch
+                ? `${I18n.t(`history.${direction}`)}: ${this.describeBatch(batch)} (${shortcut})`
+                : I18n.t(`history.${direction}Nothing`);
+        });
+    }
+    
+    /**
+     * One-line description of a change, for the undo / redo buttons
+     * @param {Object} batch - { count, source, products: [{ productId, action, title }] }
+     * @returns {string} Description
+     */
+    describeBatch(batch) {
+        if (batch.count > 1) {
+            const source = HistoryPanel.SOURCE_LABELS[batch.source];
+            const products = I18n.t('history.batchProducts', { count: batch.count });
+            return source ? `${products} (${I18n.t(source).toLowerCase()})` : products;
+        }
+        const [product] = batch.products;
+        return `${I18n.t(HistoryPanel.ACTION_LABELS[product.action].label).toLowerCase()} "${product.title}"`;
+    }
+    
+    /**
+     * Undo the last change, or redo the last undone one
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    async undoRedo(direction) {
+        const batch = this.historyStacks[direction];
+        if (this.localProducts || !batch || !this.can('editor')) return;
+        
+        try {
+            this.historyStacks = await ProductApi[direction]();
+        } catch (error) {
+            console.error(`Failed to ${direction}:`, error);
+            this.showNotification(I18n.t(`history.${direction}Failed`, { message: error.message }), 'danger');
+            await this.refreshHistory();
+            return;
+        }
+        
+        this.showNotification(I18n.t(`history.${direction}Done`, { description: this.describeBatch(batch) }), 'success');
+        await this.reloadCurrentView();
+    }
+    
+    /**
+     * Open the history panel
+     * @param {Object} product - Product to show the versions of; every change when omitted
+     */
+    openHistory(product = null) {
+        if (this.localProducts) {
+            this.showNotification(I18n.t('history.needsServer'), 'warning');
+            return;
+        }
+        this.historyPanel.open(product ? { id: product.id, title: product.title } : null);
+    }
+    
+    /**
+     * Open the category management dialog
+     */
+    openCategoryManager() {
+        if (this.localProducts) {
+            this.showNotification(I18n.t('categories.needsServer'), 'warning');
+            return;
+        }
+        this.categoryManager.open();
+    }
+    
+    /**
+     * Open the table settings: columns, density and price highlighting
+     */
+    openColumnChooser() {
+        this.columnChooser.open();
+    }
+    
+    /**
+     * Show the table with a changed column layout, density or price rules
+     */
+    handleLayoutChange() {
+        this.tableHeader.render();
+        this.applyTableDensity();
+        this.updateSortHeaders();
+        this.tableRenderer.setColumns(this.getColumnCount());
+        this.renderTable();
+    }
+    
+    /**
+     * Apply the chosen row density to the table
+     */
+    applyTableDensity() {
+        const table = document.getElementById('table-head-row').closest('table');
+        const compact = this.columnLayout.density === 'compact';
+        table.classList.toggle('table-sm', compact);
+        table.classList.toggle('table-compact', compact);
+    }
+    
+    /**
+     * @returns {number} Number of table columns, with the selection and action columns
+     */
+    getColumnCount() {
+        return this.columnLayout.visibleColumns.length + 2;
+    }
+    
+    /**
+     * Put a product back to the version recorded by a history entry
+     * @param {Object} entry - History entry
+     */
+    async restoreVersion(entry) {
+        const time = I18n.formatDateTime(entry.timestamp);
+        const message = entry.action === 'delete'
+            ? I18n.t('history.confirmRestoreDeleted', { title: entry.title, time })
+            : I18n.t('history.confirmRestore', { id: entry.productId, time });
+        if (!confirm(message)) return;
+        
+        try {
+            await ProductApi.restoreProduct(entry.productId, entry.id);
+        } catch (error) {
+            console.error('Failed to restore product:', error);
+            this.showNotification(I18n.t('history.restoreFailed', { message: error.message }), 'danger');
+            return;
+        }
+        
+        this.showNotification(I18n.t('history.restored', { id: entry.productId }), 'success');
+        await this.reloadCurrentView();
+    }
+    
+    /**
+     * Read the product deep link from the address bar: #/products/:id, or
+     * /products/:slug when served by server.js
+     * @returns {Object|null} { id } or { slug }, or null when showing the list
+     */
+    getProductRoute() {
+        const hash = window.location.hash.match(/^#\/products\/([^/]+)$/);
+        const path = window.location.pathname.match(/^\/products\/([^/]+)\/?$/);
+        if (!hash && !path) return null;
+        
+        let value;
+        try {
+            value = decodeURIComponent((hash || path)[1]);
+        } catch (error) {
+            return null;
+        }
+        return hash && /^\d+$/.test(value) ? { id: Number(value) } : { slug: value };
+    }
+    
+    /**
+     * URL of the list behind the detail view: the same view without the product
+     * @returns {string} Path and query string
+     */
+    getListUrl() {
+        const path = /^\/products\//.test(window.location.pathname) ? '/' : window.location.pathname;
+        return `${path}${window.location.search}`;
+    }
+    
+    /**
+     * Shareable link to a product. The slug form needs server.js; the list
+     * query is kept so previous / next still follow the same list.
+     * @param {Object} product - Product
+     * @returns {string} Absolute URL
+     */
+    getProductLink(product) {
+        if (product.slug && !this.localProducts) {
+            return `${window.location.origin}/products/${encodeURIComponent(product.slug)}${window.location.search}`;
+        }
+        return `${window.location.origin}${this.getListUrl()}#/products/${product.id}`;
+    }
+    
+    /**
+     * Open the detail view of a product from the table
+     * @param {number} id - Product id
+     */
+    openDetail(id) {
+        window.history.pushState(null, '', `${this.getListUrl()}#/products/${id}`);
+        this.detailPushed = true;
+        this.showRoute();
+    }
+    
+    /**
+     * Move to another product inside the detail view. The history entry is
+     * replaced, so Back returns to the list rather than through every product.
+     * @param {number} id - Product id
+     */
+    navigateDetail(id) {
+        window.history.replaceState(null, '', `${this.getListUrl()}#/products/${id}`);
+        this.showRoute();
+    }
+    
+    /**
+     * Show or hide the detail modal to match the address bar
+     * @param {boolean} force - Reload even when the same product is showing
+     */
+    async showRoute(force = false) {
+        const route = this.getProductRoute();
+        if (!route) {
+            this.detailRoute = null;
+            this.detailPushed = false;
+            await this.detailModal.hide();
+            return;
+        }
+        
+        const key = JSON.stringify(route);
+        if (key === this.detailRoute && this.detailModal.isOpen && !force) return;
+        this.detailRoute = key;
+        if (!this.detailModal.isOpen) this.detailModal.showLoading();
+        
+        let product;
+        try {
+            product = await this.fetchDetailProduct(route);
+        } catch (error) {
+            console.error('Failed to load product:', error);
+            if (this.detailRoute !== key) return;
+            this.detailModal.showError(error.status === 404
+                ? I18n.t('detail.notFound')
+                : I18n.t('detail.loadFailed', { message: error.message }));
+            return;
+        }
+        
+        let neighbours = null;
+        try {
+            neighbours = await this.fetchNeighbours(product.id);
+        } catch (error) {
+            console.error('Failed to load neighbouring products:', error);
+        }
+        
+        // Another product may have been requested meanwhile
+        if (this.detailRoute !== key) return;
+        this.detailModal.show(product, neighbours, this.getProductLink(product));
+    }
+    
+    /**
+     * Load the product a route points to
+     * @param {Object} route - { id } or { slug }
+     * @returns {Promise<Object>} Product
+     */
+    async fetchDetailProduct(route) {
+        if (!this.localProducts) {
+            return route.id !== undefined
+                ? ProductApi.getProduct(route.id)
+                : ProductApi.getProductBySlug(route.slug);
+        }
+        
+        const product = this.localProducts.find(p => route.id !== undefined ? p.id === route.id : p.slug === route.slug);
+        if (!product) {
+            throw new ApiError(404, 'Product not found');
+        }
+        return product;
+    }
+    
+    /**
+     * Find the products before and after one in the current filtered, sorted list
+     * @param {number} id - Product id
+     * @returns {Promise<Object>} { position, total, previous, next }
+     */
+    async fetchNeighbours(id) {
+        const query = {
+            q: this.searchTerm,
+            sort: DataConverter.formatSortKeys(this.sortKeys),
+            filters: this.filters
+        };
+        return this.localProducts
+            ? DataConverter.findNeighbours(this.localProducts, id, { ...query, index: this.searchIndex })
+            : ProductApi.getNeighbours(id, query);
+    }
+    
+    /**
+     * The user closed the detail modal: go back to the list URL
+     */
+    handleDetailClosed() {
+        // Closed because the address bar already left the product
+        if (!this.getProductRoute()) return;
+        
+        this.detailRoute = null;
+        if (this.detailPushed) {
+            this.detailPushed = false;
+            window.history.back();
+        } else {
+            window.history.replaceState(null, '', this.getListUrl());
+        }
+    }
+    
+    /**
+     * Subscribe to the server's change stream. Only available when the API
+     * is; in fallback mode the status shows as offline.
+     */
+    startLiveUpdates() {
+        if (this.localProducts || !LiveUpdates.supported) {
+            this.updateLiveStatus('offline');
+            return;
+        }
+        
+        this.liveUpdates = new LiveUpdates('/api/events', {
+            onChange: change => this.queueLiveUpdate(() => this.applyLiveChange(change)),
+            onResync: () => this.queueLiveUpdate(() => this.reloadCurrentView()),
+            onStatus: status => this.updateLiveStatus(status)
+        });
+        this.liveUpdates.connect();
+    }
+    
+    /**
+     * Run live updates in order, so a burst of changes cannot interleave
+     * @param {Function} task - async () => void
+     */
+    queueLiveUpdate(task) {
+        this.liveQueue = this.liveQueue.then(task).catch(error => {
+            console.error('Failed to apply live update:', error);
+        });
+    }
+    
+    /**
+     * Apply a change pushed by the server. The current page is fetched again
+     * with the same filters, sort and page, since a change can move products
+     * in or out of it; affected rows are highlighted briefly.
+     * @param {Object} change - { created, updated, deleted } from the change feed
+     */
+    async applyLiveChange(change) {
+        change.deleted.forEach(id => this.selection.delete(id));
+        
+        // Let removed rows fade before they disappear
+        const deleted = change.deleted.filter(id => this.products.some(p => p.id === id));
+        if (deleted.length) {
+            this.flashRows(deleted, 'row-removed');
+            await new Promise(resolve => setTimeout(resolve, ProductTableApp.FLASH_MS / 2));
+        }
+        
+        await this.reloadCurrentView();
+        this.updateLastUpdated();
+        
+        this.flashRows(change.created.map(p => p.id), 'row-added');
+        this.flashRows(change.updated.map(p => p.id), 'row-changed');
+        
+        // The open product, or its neighbours, may have changed too
+        if (this.detailRoute) this.showRoute(true);
+    }
+    
+    /**
+     * Briefly highlight table rows
+     * @param {Array<number>} ids - Product ids
+     * @param {string} className - 'row-added', 'row-changed' or 'row-removed'
+     */
+    flashRows(ids, className) {
+        ids.forEach(id => {
+            const row = document.querySelector(`#table-body tr[data-id="${id}"]`);
+            if (!row) return;
+            row.classList.add(className);
+            setTimeout(() => row.classList.remove(className), ProductTableApp.FLASH_MS);
+        });
+    }
+    
+    /**
+     * Show the state of the live connection in the header
+     * @param {string} status - 'connecting', 'live', 'reconnecting' or 'offline'
+     */
+    updateLiveStatus(status) {
+        const badge = document.getElementById('live-status');
+        const { label, className } = ProductTableApp.LIVE_STATUS[status];
+        this.liveStatus = status;
+        badge.className = `badge ms-2 ${className}`;
+        badge.textContent = I18n.t(label);
+    }
+    
+    /**
+     * Open the modal to add a product
+     */
+    openCreateForm() {
+        this.productForm.open(null, this.categories);
+    }
+    
+    /**
+     * Open the modal to edit a product on the current page
+     * @param {number} id - Product id
+     */
+    openEditForm(id) {
+        const product = this.products.find(p => p.id === id);
+        if (product) {
+            this.productForm.open(product, this.categories);
+        }
+    }
+    
+    /**
+     * Save the product form. Edits are shown in the table straight away and
+     * rolled back if the server rejects them.
+     * @param {Object} values - Validated form values
+     * @param {Object|null} product - Product being edited, or null when adding
+     */
+    async saveProduct(values, product) {
+        if (this.offline) {
+            await this.saveOffline(values, product);
+            return;
+        }
+        if (this.dataSource) {
+            await this.saveToSource(values, product);
+            return;
+        }
+        
+        const snapshot = this.products;
+        
+        if (product) {
+            const category = this.categories.find(c => c.id === values.categoryId) || product.category;
+            this.products = this.products.map(p => p.id === product.id ? { ...p, ...values, category } : p);
+            this.renderTable();
+        }
+        
+        let saved;
+        try {
+            saved = product
+                ? await ProductApi.updateProduct(product.id, values)
+                : await ProductApi.createProduct(values);
+        } catch (error) {
+            console.error('Failed to save product:', error);
+            this.products = snapshot;
+            this.renderTable();
+            
+            // The connection dropped: keep the edit for later
+            if (ProductApi.isNetworkError(error) && await this.goOffline()) {
+                await this.saveOffline(values, product);
+                return;
+            }
+            if (error.status === 400 || error.status === 409) {
+                this.productForm.showServerError(error);
+            } else {
+                this.showNotification(I18n.t('product.saveFailed', { message: error.message }), 'danger');
+            }
+            return;
+        }
+        
+        this.productForm.close();
+        this.showNotification(
+            I18n.t(product ? 'product.updated' : 'product.created', { id: saved.id }),
+            'success'
+        );
+        await this.reloadCurrentView();
+    }
+    
+    /**
+     * Delete a product after confirmation. The row disappears straight away
+     * and comes back if the server rejects the delete.
+     * @param {number} id - Product id
+     */
+    async deleteProduct(id) {
+        const product = this.products.find(p => p.id === id);
+        if (!product || !confirm(I18n.t('product.confirmDelete', { title: product.title }))) return;
+        if (this.offline) {
+            await this.deleteOffline(product);
+            return;
+        }
+        if (this.dataSource) {
+            await this.deleteFromSource(product);
+            return;
+        }
+        
+        const snapshot = this.products;
+        this.products = this.products.filter(p => p.id !== id);
+        this.renderTable();
+        
+        try {
+            await ProductApi.deleteProduct(id);
+        } catch (error) {
+            console.error('Failed to delete product:', error);
+            this.products = snapshot;
+            this.renderTable();
+            if (ProductApi.isNetworkError(error) && await this.goOffline()) {
+                await this.deleteOffline(product);
+                return;
+            }
+            this.showNotification(I18n.t('product.deleteFailed', { message: error.message }), 'danger');
+            return;
+        }
+        
+        this.showNotification(I18n.t('product.deleted', { id }), 'success');
+        await this.reloadCurrentView();
+    }
+    
+    /**
+     * Download the current filtered and sorted view as CSV or XLSX
+     * @param {string} format - 'csv' or 'xlsx'
+     * @param {Object} options
+     * @param {boolean} options.selectedOnly - Only export the selected rows
+     */
+    exportProducts(format, { selectedOnly = false } = {}) {
+        const query = {
+            q: this.searchTerm,
+            sort: DataConverter.formatSortKeys(this.sortKeys),
+            filters: this.filters
+        };
+        const ids = selectedOnly && !this.selectAllMatching ? this.selection : null;
+        if (ids) query.ids = Array.from(ids).join(',');
+        
+        const link = document.createElement('a');
+        
+        if (this.localProducts) {
+            // No API: only CSV can be built in the browser
+            if (format !== 'csv') {
+                this.showNotification(I18n.t('export.excelNeedsServer'), 'warning');
+                return;
+            }
+            let { data } = DataConverter.queryProducts(this.localProducts, { ...query, pageSize: 'all', index: this.searchIndex });
+            if (ids) data = data.filter(p => ids.has(p.id));
+            const blob = new Blob([DataConverter.productsToCsv(data)], { type: 'text/csv;charset=utf-8' });
+            link.href = URL.createObjectURL(blob);
+            link.download = `products-${new Date().toISOString().slice(0, 10)}.csv`;
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } else {
+            link.href = ProductApi.exportUrl(query, format);
+        }
+        
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+    
+    /**
+     * Select or unselect one row
+     * @param {number} id - Product id
+     * @param {boolean} selected - New state
+     */
+    toggleSelection(id, selected) {
+        // Unticking a row turns "all matching" into an explicit list
+        if (this.selectAllMatching) {
+            this.selectAllMatching = false;
+            this.selection = new Set(this.products.map(p => p.id));
+        }
+        
+        if (selected) {
+            this.selection.add(id);
+        } else {
+            this.selection.delete(id);
+        }
+        this.updateSelection();
+    }
+    
+    /**
+     * Select or unselect every row on the current page
+     * @param {boolean} selected - New state
+     */
+    selectPage(selected) {
+        if (!selected) {
+            this.clearSelection();
+            return;
+        }
+        this.products.forEach(p => this.selection.add(p.id));
+        this.updateSelection();
+    }
+    
+    /**
+     * Drop the selection
+     */
+    clearSelection() {
+        this.selection.clear();
+        this.selectAllMatching = false;
+        this.updateSelection();
+    }
+    
+    /**
+     * Number of selected products
+     * @returns {number} Selected count
+     */
+    getSelectionCount() {
+        return this.selectAllMatching ? this.pageMeta.total : this.selection.size;
+    }
+    
+    /**
+     * The selection in the form the bulk API expects: explicit ids, or the
+     * current search and filters when every matching product is selected
+     * @returns {Object} { ids } or { query }
+     */
+    getBulkSelection() {
+        if (!this.selectAllMatching) {
+            return { ids: Array.from(this.selection) };
+        }
+        const params = new URLSearchParams(DataConverter.filtersToParams(this.filters));
+        if (this.searchTerm) params.set('q', this.searchTerm);
+        return { query: params.toString() };
+    }
+    
+    /**
+     * Handle a click in the bulk toolbar
+     * @param {string} action - Bulk action, 'exportCsv' / 'exportXlsx',
+     *   'selectAllMatching' or 'clear'
+     */
+    handleBulkAction(action) {
+        switch (action) {
+            case 'selectAllMatching':
+                this.selectAllMatching = true;
+                this.updateSelection();
+                return;
+            case 'clear':
+                this.clearSelection();
+                return;
+            case 'exportCsv':
+                this.exportProducts('csv', { selectedOnly: true });
+                return;
+            case 'exportXlsx':
+                this.exportProducts('xlsx', { selectedOnly: true });
+                return;
+        }
+        
+        if (this.localProducts) {
+            this.showNotification(I18n.t('bulk.needsServer'), 'warning');
+            return;
+        }
+        this.bulkDialog.open(action, this.getBulkSelection(), this.getSelectionCount(), this.categories);
+    }
+    
+    /**
+     * Refresh the view after a bulk operation was applied
+     * @param {Object} result - { summary } returned by the bulk API
+     */
+    async handleBulkApplied(result) {
+        const { summary } = result;
+        const parts = [];
+        if (summary.deleted) parts.push(I18n.t('bulk.resultDeleted', { count: summary.deleted }));
+        if (summary.updated) parts.push(I18n.t('bulk.resultUpdated', { count: summary.updated }));
+        if (summary.error) parts.push(I18n.t('bulk.resultErrors', { count: summary.error }));
+        this.showNotification(I18n.t('bulk.applied', { summary: parts.join(', ') }), summary.error ? 'warning' : 'success');
+        
+        this.clearSelection();
+        await this.reloadCurrentView();
+    }
+    
+    /**
+     * Sync the checkboxes, toolbar and "select all matching" prompt with the selection
+     */
+    updateSelection() {
+        const count = this.getSelectionCount();
+        const pageIds = this.products.map(p => p.id);
+        const selectedOnPage = pageIds.filter(id => this.selectAllMatching || this.selection.has(id)).length;
+        
+        document.querySelectorAll('#table-body [data-select-id]').forEach(checkbox => {
+            const selected = this.selectAllMatching || this.selection.has(Number(checkbox.dataset.selectId));
+            checkbox.checked = selected;
+            checkbox.closest('tr').classList.toggle('table-active', selected);
+        });
+        
+        const pageCheckbox = document.getElementById('select-page');
+        pageCheckbox.checked = pageIds.length > 0 && selectedOnPage === pageIds.length;
+        pageCheckbox.indeterminate = selectedOnPage > 0 && selectedOnPage < pageIds.length;
+        
+        document.getElementById('bulk-toolbar').classList.toggle('d-none', count === 0);
+        document.getElementById('bulk-count').textContent = I18n.formatNumber(count);
+        document.getElementById('bulk-count-label').textContent = I18n.t('bulk.selected', { count });
+        
+        // Offer to extend a full page to every matching product
+        const offerAll = !this.selectAllMatching && pageIds.length > 0 &&
+            selectedOnPage === pageIds.length && this.pageMeta.total > this.selection.size;
+        const selectAll = document.getElementById('bulk-select-all');
+        selectAll.classList.toggle('d-none', !offerAll);
+        selectAll.querySelector('[data-bulk-action]').textContent =
+            I18n.t('bulk.selectAllMatching', { count: this.pageMeta.total });
+        document.getElementById('bulk-all-selected').classList.toggle('d-none', !this.selectAllMatching);
+    }
+    
+    /**
+     * Open the import modal
+     */
+    openImportDialog() {
+        if (this.localProducts) {
+            this.showNotification(I18n.t('import.needsServer'), 'warning');
+            return;
+        }
+        this.importDialog.open();
+    }
+    
+    /**
+     * Refresh the view after an import was merged
+     * @param {Object} result - { summary } returned by the import API
+     */
+    async handleImported(result) {
+        const { create, update, invalid } = result.summary;
+        const message = I18n.t('import.done', { created: create, updated: update });
+        this.showNotification(
+            invalid ? `${message}, ${I18n.t('import.doneSkipped', { count: invalid })}` : message,
+            'success'
+        );
+        await this.reloadCurrentView();
+    }
+    
+    /**
+     * Show notification
+     * @param {string} message - Notification message
+     * @param {string} type - Notification type (success, error, info)
+     */
+    showNotification(message, type = 'info') {
+        // Remove existing notification
+        const existingNotification = document.getElementById('app-notification');
+        if (existingNotification) {
+            existingNotification.remove();
+        }
+        
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.id = 'app-notification';
+        notification.className = `alert alert-${type} alert-dismissible fade show position-fixed`;
+        notification.style.cssText = 'top: 20px; right: 20px; z-index: 1050; min-width: 300px;';
+        notification.innerHTML = `
+            ${message}
+            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        // Auto remove after 3 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                const bsAlert = new bootstrap.Alert(notification);
+                bsAlert.close();
+            }
+        }, 3000);
+    }
+    
+    /**
+     * Go to a page
+     * @param {number} page - 1-based page number, clamped to the pages there are
+     */
+    async goToPage(page) {
+        page = Math.min(Math.max(1, page), this.pageMeta.totalPages);
+        if (page === this.currentPage) {
+            this.updatePagination();
+            return;
+        }
+        
+        this.currentPage = page;
+        await this.loadPage();
+        this.renderTable();
+        this.updatePagination();
+        this.updateUrl();
+    }
+    
+    /**
+     * Go to previous page
+     */
+    async prevPage() {
+        await this.goToPage(this.currentPage - 1);
+    }
+    
+    /**
+     * Go to next page
+     */
+    async nextPage() {
+        await this.goToPage(this.currentPage + 1);
+    }
+    
+    /**
+     * Change the number of rows per page, staying on the page that holds
+     * the first row shown so far
+     * @param {number|string} pageSize - Rows per page, or 'all'
+     */
+    async setPageSize(pageSize) {
+        const firstRow = this.pageSize === 'all' ? 0 : (this.currentPage - 1) * this.pageSize;
+        this.pageSize = pageSize;
+        this.currentPage = pageSize === 'all' ? 1 : Math.floor(firstRow / pageSize) + 1;
+        
+        await this.loadPage();
+        this.render();
+        this.updateUrl();
+    }
+    
+    /**
+     * Switch between pages and one virtually scrolled list of every match
+     * @param {boolean} enabled - Virtual scrolling on or off
+     */
+    async setVirtualScroll(enabled) {
+        this.virtualScroll = enabled;
+        this.currentPage = 1;
+        
+        await this.loadPage();
+        this.render();
+        this.updateUrl();
+    }
+    
+    /**
+     * Render the entire application
+     */
+    render() {
+        this.updateStatistics();
+        this.updateFacetPanel();
+        this.updateSortDropdown();
+        this.updateSortHeaders();
+        this.renderTable();
+        this.updatePagination();
+        this.updateRecordCount();
+        this.updateValidationPanel();
+        this.updateOfflineBanner();
+    }
+    
+    /**
+     * Show the schema errors found in db.json, if any
+     */
+    updateValidationPanel() {
+        const panel = document.getElementById('validation-panel');
+        const report = this.validationReport;
+        
+        if (!report || !report.errors.length || this.validationDismissed) {
+            panel.classList.add('d-none');
+            return;
+        }
+        
+        const maxShown = 100;
+        document.getElementById('validation-summary').textContent =
+            I18n.t('validation.summary', { count: report.errors.length, valid: report.valid, total: report.total });
+        
+        const items = report.errors.slice(0, maxShown).map(error => {
+            const record = error.index === null
+                ? I18n.t('validation.wholeFile')
+                : `${I18n.t('validation.record', { index: error.index })}${error.id !== null ? ` (ID ${this.escapeHtml(String(error.id))})` : ''}`;
+            const field = error.path ? `<code>${this.escapeHtml(error.path)}</code> ` : '';
+            return `<li>${record}: ${field}${this.escapeHtml(error.reason)}</li>`;
+        });
+        if (report.errors.length > maxShown) {
+            items.push(`<li>${I18n.t('validation.more', { count: report.errors.length - maxShown })}</li>`);
+        }
+        
+        document.getElementById('validation-errors').innerHTML = items.join('');
+        panel.classList.remove('d-none');
+    }
+    
+    /**
+     * Hide the validation panel until the data is reloaded
+     */
+    dismissValidationPanel() {
+        this.validationDismissed = true;
+        this.updateValidationPanel();
+    }
+    
+    /**
+     * Update statistics display
+     */
+    updateStatistics() {
+        const stats = this.stats;
+        
+        document.getElementById('total-products').textContent = I18n.formatNumber(stats.totalProducts);
+        document.getElementById('total-categories').textContent = I18n.formatNumber(stats.totalCategories);
+        document.getElementById('avg-price').textContent = I18n.formatPrice(stats.averagePrice);
+        
+        document.querySelectorAll('[data-stats-interval]').forEach(button => {
+            button.classList.toggle('active', button.dataset.statsInterval === this.statsInterval);
+        });
+        if (this.statsCharts) {
+            this.statsCharts.render(stats);
+        }
+    }
+    
+    /**
+     * Update facet choices and counts in the sidebar
+     */
+    updateFacetPanel() {
+        if (this.facetPanel) {
+            this.facetPanel.render(this.facets, this.filters);
+        }
+    }
+    
+    /**
+     * Render the product table with Bootstrap styling. Rows are patched in
+     * place by TableRenderer rather than rebuilt.
+     */
+    renderTable() {
+        this.tableRenderer.setVirtual(this.virtualScroll);
+        this.tableRenderer.render(this.products);
+        this.updateSelection();
+    }
+    
+    /**
+     * Build the cells of one table row
+     * @param {Object} product - Product to show
+     * @returns {string} Inner HTML of the <tr>
+     */
+    renderRow(product) {
+        const selected = this.selectAllMatching || this.selection.has(product.id);
+        const cells = this.columnLayout.visibleColumns.map(column => this.renderCell(column.key, product)).join('');
+        const editable = this.can('editor');
+        
+        return `
+            <td>
+                <input type="checkbox" class="form-check-input" data-select-id="${product.id}"
+                       aria-label="${I18n.t('table.selectProduct', { id: product.id })}" ${selected ? 'checked' : ''}>
+            </td>
+            ${cells}
+            <td class="text-end row-actions">
+                ${editable ? `
+                    <button class="btn btn-sm btn-outline-primary" data-action="edit" data-id="${product.id}" title="${I18n.t('common.edit')}">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                ` : ''}
+                <button class="btn btn-sm btn-outline-secondary" data-action="history" data-id="${product.id}" title="${I18n.t('common.history')}">
+                    <i class="bi bi-clock-history"></i>
+                </button>
+                ${editable ? `
+                    <button class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${product.id}" title="${I18n.t('common.delete')}">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                ` : ''}
+            </td>
+        `;
+    }
+    
+    /**
+     * Build one data cell of a row
+     * @param {string} key - Column key (see COLUMNS)
+     * @param {Object} product - Product shown in the row
+     * @returns {string} HTML of the <td>
+     */
+    renderCell(key, product) {
+        switch (key) {
+            case 'id':
+                return `<td class="fw-bold">#${product.id}</td>`;
+            case 'title':
+                return `
+                    <td class="fw-semibold">
+                        <a href="#/products/${product.id}" class="product-link" data-action="view" data-id="${product.id}">${this.highlightText(product.title)}</a>
+                    </td>
+                `;
+            case 'price': {
+                // Colour from the user's highlighting rules
+                const price = product.price || 0;
+                return `<td class="${this.columnLayout.priceClass(price)}">${I18n.formatPrice(price)}</td>`;
+            }
+            case 'category':
+                return `
+                    <td>
+                        <span class="badge badge-category rounded-pill px-3 py-1">
+                            ${this.escapeHtml(product.category.name)}
+                        </span>
+                    </td>
+                `;
+            case 'description': {
+                // Truncate long descriptions
+                const description = product.description.length > 80 
+                    ? product.description.substring(0, 80) + '...' 
+                    : product.description;
+                return `<td class="small">${this.highlightText(description)}</td>`;
+            }
+            case 'images': {
+                // First image and the number of images
+                if (!product.images.length) return `<td>${I18n.t('table.noImage')}</td>`;
+                return `
+                    <td>
+                        <div class="d-flex align-items-center">
+                            <img src="${product.images[0]}" alt="${product.title}" 
+                                 class="product-image me-2" loading="lazy"
+                                 onerror="this.src='https://via.placeholder.com/50x50?text=No+Image'">
+                            <span class="badge bg-secondary">${product.images.length}</span>
+                        </div>
+                    </td>
+                `;
+            }
+            case 'creationAt':
+                return `<td class="small">${I18n.formatDate(product.creationAt)}</td>`;
+            case 'updatedAt':
+                return `<td class="small">${I18n.formatDate(product.updatedAt)}</td>`;
+            default:
+                return '<td></td>';
+        }
+    }
+    
+    /**
+     * Update pagination controls: numbered page links, jump-to-page, page size
+     * and the scrolling mode switch
+     */
+    updatePagination() {
+        const { totalPages, total } = this.pageMeta;
+        const paged = !this.virtualScroll;
+        
+        document.getElementById('pagination-nav').classList.toggle('d-none', !paged || totalPages <= 1);
+        document.getElementById('page-size-group').classList.toggle('d-none', !paged);
+        document.getElementById('virtual-scroll-toggle').checked = this.virtualScroll;
+        document.getElementById('page-info').textContent = paged
+            ? I18n.t('pagination.pageOf', { page: this.currentPage, totalPages })
+            : I18n.t('pagination.virtualTotal', { count: total });
+        
+        // A size given in the URL may not be one of the choices
+        const sizeSelect = document.getElementById('page-size-select');
+        sizeSelect.querySelector('option[value="all"]').textContent = I18n.t('pagination.all');
+        if (!Array.from(sizeSelect.options).some(option => option.value === String(this.pageSize))) {
+            sizeSelect.add(new Option(this.pageSize, this.pageSize));
+        }
+        sizeSelect.value = String(this.pageSize);
+        
+        const jumpInput = document.getElementById('page-jump');
+        jumpInput.max = totalPages;
+        jumpInput.value = this.currentPage;
+        
+        const link = (page, label, { active = false, disabled = false, title = '' } = {}) => `
+            <li class="page-item${active ? ' active' : ''}${disabled ? ' disabled' : ''}"${active ? ' aria-current="page"' : ''}>
+                <button type="button" class="page-link" data-page="${page}"
+                        ${disabled ? 'disabled' : ''} ${title ? `title="${title}" aria-label="${title}"` : ''}>${label}</button>
+            </li>
+        `;
+        const items = [link(this.currentPage - 1, '&laquo;', { disabled: this.currentPage <= 1, title: I18n.t('pagination.previous') })];
+        this.getPageLinks(this.currentPage, totalPages).forEach(page => {
+            items.push(page === null
+                ? '<li class="page-item disabled"><span class="page-link">&hellip;</span></li>'
+                : link(page, page, { active: page === this.currentPage }));
+        });
+        items.push(link(this.currentPage + 1, '&raquo;', { disabled: this.currentPage >= totalPages, title: I18n.t('pagination.next') }));
+        document.getElementById('pagination').innerHTML = items.join('');
+    }
+    
+    /**
+     * Page numbers to link to: the first, the last and those around the
+     * current one, with null where pages are skipped
+     * @param {number} page - Current page
+     * @param {number} totalPages - Number of pages
+     * @returns {Array<number|null>} Page numbers in order
+     */
+    getPageLinks(page, totalPages) {
+        const pages = [];
+        for (let p = 1; p <= totalPages; p++) {
+            if (p === 1 || p === totalPages || Math.abs(p - page) <= ProductTableApp.PAGE_LINK_RADIUS) {
+                const previous = pages[pages.length - 1];
+                // Skipping a single page takes as much room as linking it
+                if (previous !== undefined && p - previous === 2) pages.push(p - 1);
+                else if (previous !== undefined && p - previous > 2) pages.push(null);
+                pages.push(p);
+            } else if (p < page) {
+                p = page - ProductTableApp.PAGE_LINK_RADIUS - 1;
+            } else {
+                p = totalPages - 1;
+            }
+        }
+        return pages;
+    }
+    
+    /**
+     * Update record count display
+     */
+    updateRecordCount() {
+        document.getElementById('total-records').textContent = I18n.t('table.total', { count: this.pageMeta.total });
+    }
+    
+    /**
+     * Update last updated timestamp
+     */
+    updateLastUpdated() {
+        this.lastUpdated = new Date();
+        this.showLastUpdated();
+    }
+    
+    /**
+     * Show when the data was last loaded, in the current locale
+     */
+    showLastUpdated() {
+        document.getElementById('last-updated').textContent = this.lastUpdated
+            ? I18n.formatDateTime(this.lastUpdated)
+            : I18n.t('app.never');
+    }
+    
+    /**
+     * Escape text and wrap the words matched by the current search in <mark>
+     * @param {string} text - Text to display
+     * @returns {string} Safe HTML
+     */
+    highlightText(text) {
+        return SearchIndex.highlight(text, this.highlightTokens)
+            .map(segment => segment.match
+                ? `<mark>${this.escapeHtml(segment.text)}</mark>`
+                : this.escapeHtml(segment.text))
+            .join('');
+    }
+    
+    /**
+     * Escape HTML special characters to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// How long added / changed / removed rows stay highlighted, in ms
+ProductTableApp.FLASH_MS = 2000;
+
+// Header badge for each live connection state (label is a message key)
+ProductTableApp.LIVE_STATUS = {
+    connecting: { label: 'live.connecting', className: 'bg-secondary' },
+    live: { label: 'live.live', className: 'bg-success' },
+    reconnecting: { label: 'live.reconnecting', className: 'bg-warning text-dark' },
+    offline: { label: 'live.offline', className: 'bg-secondary' }
+};
+
+// Data columns of the table in their default order; label is a message key
+// and width the default CSS width. Users can hide, move and resize them.
+ProductTableApp.COLUMNS = [
+    { key: 'id', label: 'field.id', width: '5%' },
+    { key: 'title', label: 'field.title', width: '25%' },
+    { key: 'price', label: 'field.price', width: '10%' },
+    { key: 'category', label: 'field.category', width: '15%' },
+    { key: 'description', label: 'field.description', width: '20%' },
+    { key: 'images', label: 'field.images', width: '10%' },
+    { key: 'creationAt', label: 'field.creationAt', width: '7%' },
+    { key: 'updatedAt', label: 'field.updatedAt', width: '8%' }
+];
+
+// Choices of the page size selector
+ProductTableApp.PAGE_SIZES = [10, 25, 50, 100, 'all'];
+
+// Last signed-in user, assumed while the server cannot be reached
+ProductTableApp.USER_KEY = 'productTable.user';
+
+// Page links shown on each side of the current page
+ProductTableApp.PAGE_LINK_RADIUS = 2;
+
+// Wait after a change before refreshing the offline copy, in ms
+ProductTableApp.OFFLINE_COPY_DELAY_MS = 2000;
+
+// How often to look for the server while offline, in ms
+ProductTableApp.RECONNECT_MS = 30000;
+
+// Badge of each kind of queued offline edit (message keys)
+ProductTableApp.OFFLINE_CHANGE_LABELS = {
+    create: 'offline.change.create',
+    update: 'offline.change.update',
+    delete: 'offline.change.delete'
+};
+
+// Sort order of a fresh view, left out of the URL
+ProductTableApp.DEFAULT_SORT = 'id:asc';
+
+// Sort dropdown options and the sort specification each one stands for
+ProductTableApp.SORT_OPTIONS = {
+    id_asc: 'id:asc',
+    relevance: 'relevance:desc',
+    title_asc: 'title:asc',
+    title_desc: 'title:desc',
+    price_asc: 'price:asc',
+    price_desc: 'price:desc'
+};
+
+// Initialize the application when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.productApp = new ProductTableApp();
+});
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductTableApp;
+}
\ No newline at end of file
@@ -0,0 +1,269 @@
+// Bulk delete / recategorise / reprice, with a preview of every change
+class BulkActionModal {
+    /**
+     * @param {Function} onApplied - async (result) => void, called after the operation was applied
+     */
+    constructor(onApplied) {
+        this.onApplied = onApplied;
+        this.action = null;
+        this.selection = null;
+        this.preview = null;
+        
+        this.element = document.getElementById('bulk-modal');
+        this.title = document.getElementById('bulk-modal-title');
+        this.fields = {
+            categoryId: document.getElementById('bulk-category'),
+            price: document.getElementById('bulk-price'),
+            percent: document.getElementById('bulk-percent')
+        };
+        this.summary = document.getElementById('bulk-summary');
+        this.previewBody = document.getElementById('bulk-preview-body');
+        this.errorBox = document.getElementById('bulk-error');
+        this.previewButton = document.getElementById('bulk-preview-btn');
+        this.confirmButton = document.getElementById('bulk-confirm-btn');
+        this.modal = new bootstrap.Modal(this.element);
+        
+        // Any change to the parameters invalidates the preview
+        Object.values(this.fields).forEach(field => {
+            field.addEventListener('input', () => {
+                this.preview = null;
+                this.renderPreview();
+            });
+        });
+        this.previewButton.addEventListener('click', () => this.loadPreview());
+        this.confirmButton.addEventListener('click', () => this.confirm());
+    }
+    
+    /**
+     * Open the modal for an action
+     * @param {string} action - 'delete', 'setCategory', 'setPrice' or 'adjustPrice'
+     * @param {Object} selection - { ids } or { query }, as the bulk API expects
+     * @param {number} count - Number of selected products, for the title
+     * @param {Array} categories - Categories for the picker
+     */
+    open(action, selection, count, categories) {
+        this.action = action;
+        this.selection = selection;
+        this.preview = null;
+        
+        this.title.textContent = I18n.t('bulk.title', { action: I18n.t(BulkActionModal.ACTION_LABELS[action]), count });
+        
+        const select = this.fields.categoryId;
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = category.name;
+            select.appendChild(option);
+        });
+        Object.values(this.fields).forEach(field => { field.value = ''; });
+        
+        this.element.querySelectorAll('[data-bulk-param]').forEach(group => {
+            group.classList.toggle('d-none', group.dataset.bulkParam !== action);
+        });
+        this.previewButton.classList.toggle('d-none', action === 'delete');
+        this.confirmButton.classList.toggle('btn-danger', action === 'delete');
+        this.confirmButton.classList.toggle('btn-primary', action !== 'delete');
+        
+        this.renderPreview();
+        this.modal.show();
+        
+        // Deleting needs no parameters, so show what would go straight away
+        if (action === 'delete') {
+            this.loadPreview();
+        }
+    }
+    
+    /**
+     * Build the request for the current action and parameters
+     * @returns {Object|null} Request body, or null when a parameter is missing
+     */
+    getRequest() {
+        const request = { action: this.action, ...this.selection };
+        const number = field => this.fields[field].value.trim() === '' ? NaN : Number(this.fields[field].value);
+        
+        switch (this.action) {
+            case 'setCategory':
+                request.categoryId = Number(this.fields.categoryId.value);
+                if (!request.categoryId) return this.invalid(I18n.t('bulk.chooseCategory'));
+                break;
+            case 'setPrice':
+                request.price = number('price');
+                if (!Number.isFinite(request.price) || request.price < 0) return this.invalid(I18n.t('bulk.invalidPrice'));
+                break;
+            case 'adjustPrice':
+                request.percent = number('percent');
+                if (!Number.isFinite(request.percent) || request.percent <= -100) {
+                    return this.invalid(I18n.t('bulk.invalidPercent'));
+                }
+                break;
+        }
+        return request;
+    }
+    
+    /**
+     * Report a bad parameter
+     * @param {string} message - Error message
+     * @returns {null} Always null, for getRequest
+     */
+    invalid(message) {
+        this.showError(message);
+        return null;
+    }
+    
+    /**
+     * Ask the server what the operation would change
+     */
+    async loadPreview() {
+        this.preview = null;
+        this.renderPreview();
+        const request = this.getRequest();
+        if (!request) return;
+        
+        this.setBusy(true);
+        try {
+            this.preview = await ProductApi.bulkUpdate({ ...request, dryRun: true });
+            this.renderPreview();
+        } catch (error) {
+            console.error('Failed to preview bulk operation:', error);
+            this.showError(error.message);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+    
+    /**
+     * Apply the previewed operation
+     */
+    async confirm() {
+        const request = this.preview && this.getRequest();
+        if (!request) return;
+        
+        this.setBusy(true);
+        try {
+            const result = await ProductApi.bulkUpdate({ ...request, dryRun: false });
+            this.modal.hide();
+            await this.onApplied(result);
+        } catch (error) {
+            console.error('Failed to apply bulk operation:', error);
+            this.showError(error.message);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+    
+    /**
+     * Render the summary line and the diff table
+     */
+    renderPreview() {
+        this.errorBox.classList.add('d-none');
+        
+        if (!this.preview) {
+            this.summary.textContent = I18n.t(this.action === 'delete' ? 'bulk.loadingDeletes' : 'bulk.previewHint');
+            this.previewBody.innerHTML = '';
+            this.confirmButton.disabled = true;
+            return;
+        }
+        
+        const { summary, results } = this.preview;
+        this.summary.innerHTML = `
+            ${I18n.t('bulk.previewTotal', { count: summary.total })}
+            ${summary.deleted ? `<span class="badge bg-danger">${I18n.t('bulk.previewDeleted', { count: summary.deleted })}</span>` : ''}
+            ${summary.updated ? `<span class="badge bg-primary">${I18n.t('bulk.previewUpdated', { count: summary.updated })}</span>` : ''}
+            <span class="badge bg-secondary">${I18n.t('bulk.previewUnchanged', { count: summary.unchanged })}</span>
+            ${summary.error ? `<span class="badge bg-warning text-dark">${I18n.t('bulk.resultErrors', { count: summary.error })}</span>` : ''}
+        `;
+        
+        const statusLabels = {
+            deleted: `<span class="badge bg-danger">${I18n.t('bulk.status.deleted')}</span>`,
+            updated: `<span class="badge bg-primary">${I18n.t('bulk.status.updated')}</span>`,
+            unchanged: `<span class="badge bg-secondary">${I18n.t('bulk.status.unchanged')}</span>`
+        };
+        
+        this.previewBody.innerHTML = results.map(entry => {
+            const changes = entry.changes.map(change => `
+                <div class="small">
+                    ${I18n.t(BulkActionModal.FIELD_LABELS[change.field])}:
+                    <del class="text-danger">${this.formatValue(change)}</del>
+                    → <ins class="text-success">${this.formatValue(change, 'after')}</ins>
+                </div>
+            `).join('');
+            const status = entry.status === 'error'
+                ? `<span class="badge bg-warning text-dark">${I18n.t('bulk.status.error')}</span><div class="small text-danger">${this.escapeHtml(entry.error)}</div>`
+                : statusLabels[entry.status];
+            return `
+                <tr class="${entry.status === 'deleted' ? 'table-danger' : ''}">
+                    <td>#${entry.id}</td>
+                    <td>${this.escapeHtml(entry.title ?? '')}</td>
+                    <td>${changes}</td>
+                    <td>${status}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        this.confirmButton.disabled = summary.deleted + summary.updated === 0;
+    }
+    
+    /**
+     * Format one side of a change
+     * @param {Object} change - { field, before, after }
+     * @param {string} side - 'before' or 'after'
+     * @returns {string} Escaped HTML
+     */
+    formatValue(change, side = 'before') {
+        const value = change[side];
+        return change.field === 'price' ? I18n.formatPrice(value) : this.escapeHtml(value);
+    }
+    
+    /**
+     * Show an error above the preview
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.errorBox.textContent = message;
+        this.errorBox.classList.remove('d-none');
+    }
+    
+    /**
+     * Toggle the busy state while a request is in flight
+     * @param {boolean} busy - Whether a request is running
+     */
+    setBusy(busy) {
+        this.previewButton.disabled = busy;
+        this.confirmButton.disabled = busy || !this.preview ||
+            this.preview.summary.deleted + this.preview.summary.updated === 0;
+        this.confirmButton.querySelector('.spinner-border').classList.toggle('d-none', !busy);
+    }
+    
+    /**
+     * Escape HTML special characters
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Modal titles per action (message keys)
+BulkActionModal.ACTION_LABELS = {
+    delete: 'bulk.action.delete',
+    setCategory: 'bulk.action.setCategory',
+    setPrice: 'bulk.action.setPrice',
+    adjustPrice: 'bulk.action.adjustPrice'
+};
+
+// Field names shown in the diff (message keys)
+BulkActionModal.FIELD_LABELS = {
+    category: 'field.category',
+    price: 'field.price'
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BulkActionModal;
+}
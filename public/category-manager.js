@@ -0,0 +1,312 @@
+// Category management modal: create, rename, change image, merge and delete categories
+class CategoryManagerModal {
+    /**
+     * @param {Function} onChanged - async (message) => void, called with a summary
+     *   after any change was saved
+     */
+    constructor(onChanged) {
+        this.onChanged = onChanged;
+        this.categories = [];
+        this.editing = null;    // { id, mode } where mode is 'edit' or 'merge'
+        this.busy = false;
+        
+        this.element = document.getElementById('category-modal');
+        this.form = document.getElementById('category-form');
+        this.fields = {
+            name: document.getElementById('category-name'),
+            image: document.getElementById('category-image')
+        };
+        this.list = document.getElementById('category-list');
+        this.errorBox = document.getElementById('category-error');
+        this.modal = new bootstrap.Modal(this.element);
+        
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.create();
+        });
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-category-action]');
+            if (button) this.handleAction(button.dataset.categoryAction, Number(button.closest('tr').dataset.categoryId));
+        });
+        this.list.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('input')) {
+                e.preventDefault();
+                this.save(Number(e.target.closest('tr').dataset.categoryId));
+            }
+        });
+    }
+    
+    /**
+     * Open the modal and load the categories
+     */
+    open() {
+        this.editing = null;
+        this.form.reset();
+        this.errorBox.classList.add('d-none');
+        this.modal.show();
+        this.load();
+    }
+    
+    /**
+     * Fetch the categories with their product counts
+     */
+    async load() {
+        try {
+            this.categories = (await ProductApi.listCategories())
+                .sort((a, b) => a.name.localeCompare(b.name, 'vi'));
+            this.render();
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+            this.showError(I18n.t('categories.loadFailed', { message: error.message }));
+        }
+    }
+    
+    /**
+     * Dispatch a row button
+     * @param {string} action - 'edit', 'merge', 'save', 'confirm-merge', 'delete' or 'cancel'
+     * @param {number} id - Category id
+     */
+    handleAction(action, id) {
+        switch (action) {
+            case 'edit':
+            case 'merge':
+                this.editing = { id, mode: action };
+                this.render();
+                this.list.querySelector(`tr[data-category-id="${id}"] input, tr[data-category-id="${id}"] select`)?.focus();
+                break;
+            case 'cancel':
+                this.editing = null;
+                this.render();
+                break;
+            case 'save':
+                this.save(id);
+                break;
+            case 'confirm-merge':
+                this.merge(id);
+                break;
+            case 'delete':
+                this.remove(id);
+                break;
+        }
+    }
+    
+    /**
+     * Create a category from the form at the top
+     */
+    async create() {
+        const name = this.fields.name.value.trim();
+        if (!name) {
+            this.showError(I18n.t('categories.nameRequired'));
+            return;
+        }
+        
+        await this.run(async () => {
+            const category = await ProductApi.createCategory({ name, image: this.fields.image.value.trim() });
+            this.form.reset();
+            return I18n.t('categories.created', { name: category.name });
+        });
+    }
+    
+    /**
+     * Save a renamed category or its new image
+     * @param {number} id - Category id
+     */
+    async save(id) {
+        const row = this.list.querySelector(`tr[data-category-id="${id}"]`);
+        const name = row.querySelector('[name="name"]').value.trim();
+        const image = row.querySelector('[name="image"]').value.trim();
+        if (!name) {
+            this.showError(I18n.t('categories.nameRequired'));
+            return;
+        }
+        
+        await this.run(async () => {
+            const category = await ProductApi.updateCategory(id, { name, image });
+            this.editing = null;
+            return I18n.t('categories.updated', { name: category.name, count: category.productCount });
+        });
+    }
+    
+    /**
+     * Merge a category into the one picked in its row
+     * @param {number} id - Category to merge away
+     */
+    async merge(id) {
+        const source = this.categories.find(c => c.id === id);
+        const into = Number(this.list.querySelector(`tr[data-category-id="${id}"] select`).value);
+        const target = this.categories.find(c => c.id === into);
+        if (!target) {
+            this.showError(I18n.t('categories.chooseTarget'));
+            return;
+        }
+        if (!confirm(I18n.t('categories.confirmMerge', { count: source.productCount, source: source.name, target: target.name }))) return;
+        
+        await this.run(async () => {
+            const { moved } = await ProductApi.mergeCategory(id, into);
+            this.editing = null;
+            return I18n.t('categories.merged', { source: source.name, target: target.name, count: moved });
+        });
+    }
+    
+    /**
+     * Delete an empty category
+     * @param {number} id - Category id
+     */
+    async remove(id) {
+        const category = this.categories.find(c => c.id === id);
+        if (!confirm(I18n.t('categories.confirmDelete', { name: category.name }))) return;
+        
+        await this.run(async () => {
+            await ProductApi.deleteCategory(id);
+            return I18n.t('categories.deleted', { name: category.name });
+        });
+    }
+    
+    /**
+     * Run a change, then reload the list and tell the app
+     * @param {Function} task - async () => string, returns the success message
+     */
+    async run(task) {
+        if (this.busy) return;
+        this.busy = true;
+        this.errorBox.classList.add('d-none');
+        this.element.querySelectorAll('button, input, select').forEach(control => { control.disabled = true; });
+        
+        try {
+            const message = await task();
+            await this.load();
+            await this.onChanged(message);
+        } catch (error) {
+            console.error('Category change failed:', error);
+            this.showError(error.details?.length
+                ? error.details.map(detail => detail.message).join('; ')
+                : error.message);
+        } finally {
+            this.busy = false;
+            this.element.querySelectorAll('button, input, select').forEach(control => { control.disabled = false; });
+            this.render();
+        }
+    }
+    
+    /**
+     * Render the category table
+     */
+    render() {
+        if (!this.categories.length) {
+            this.list.innerHTML = `<tr><td colspan="5" class="text-center text-muted">${I18n.t('categories.empty')}</td></tr>`;
+            return;
+        }
+        this.list.innerHTML = this.categories.map(category => this.renderRow(category)).join('');
+    }
+    
+    /**
+     * Render one category, in view, edit or merge mode
+     * @param {Object} category - Category with productCount
+     * @returns {string} HTML
+     */
+    renderRow(category) {
+        const mode = this.editing && this.editing.id === category.id ? this.editing.mode : 'view';
+        const image = category.image
+            ? `<img src="${this.attr(category.image)}" alt="" class="category-thumb"
+                    onerror="this.src='https://via.placeholder.com/40x40?text=No+Image'">`
+            : '';
+        const count = `<span class="badge bg-secondary">${category.productCount}</span>`;
+        
+        if (mode === 'edit') {
+            return `
+                <tr data-category-id="${category.id}">
+                    <td>${image}</td>
+                    <td colspan="2">
+                        <input type="text" class="form-control form-control-sm mb-1" name="name" maxlength="100"
+                               value="${this.attr(category.name)}" aria-label="${this.attr(I18n.t('categories.name'))}">
+                        <input type="url" class="form-control form-control-sm" name="image" placeholder="${this.attr(I18n.t('categories.image'))}"
+                               value="${this.attr(category.image)}" aria-label="${this.attr(I18n.t('categories.image'))}">
+                    </td>
+                    <td class="text-end">${count}</td>
+                    <td class="text-end row-actions">
+                        <button type="button" class="btn btn-sm btn-primary" data-category-action="save">${I18n.t('common.save')}</button>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-category-action="cancel">${I18n.t('common.cancel')}</button>
+                    </td>
+                </tr>
+            `;
+        }
+        
+        if (mode === 'merge') {
+            const options = this.categories
+                .filter(other => other.id !== category.id)
+                .map(other => `<option value="${other.id}">${this.escapeHtml(other.name)}</option>`)
+                .join('');
+            return `
+                <tr data-category-id="${category.id}">
+                    <td>${image}</td>
+                    <td colspan="2">
+                        <label class="form-label small mb-1">${this.escapeHtml(I18n.t('categories.mergeInto', { name: category.name }))}</label>
+                        <select class="form-select form-select-sm">${options}</select>
+                    </td>
+                    <td class="text-end">${count}</td>
+                    <td class="text-end row-actions">
+                        <button type="button" class="btn btn-sm btn-warning" data-category-action="confirm-merge">${I18n.t('categories.merge')}</button>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-category-action="cancel">${I18n.t('common.cancel')}</button>
+                    </td>
+                </tr>
+            `;
+        }
+        
+        const inUse = category.productCount > 0;
+        return `
+            <tr data-category-id="${category.id}">
+                <td>${image}</td>
+                <td class="fw-semibold">${this.escapeHtml(category.name)}</td>
+                <td class="small"><code>${this.escapeHtml(category.slug)}</code></td>
+                <td class="text-end">${count}</td>
+                <td class="text-end row-actions">
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-category-action="edit" title="${this.attr(I18n.t('categories.editTitle'))}">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-warning" data-category-action="merge" title="${this.attr(I18n.t('categories.mergeTitle'))}"
+                            ${this.categories.length < 2 ? 'disabled' : ''}>
+                        <i class="bi bi-union"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-danger" data-category-action="delete"
+                            title="${this.attr(I18n.t(inUse ? 'categories.deleteInUse' : 'common.delete'))}" ${inUse ? 'disabled' : ''}>
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+    
+    /**
+     * Show an error above the table
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.errorBox.textContent = message;
+        this.errorBox.classList.remove('d-none');
+    }
+    
+    /**
+     * Escape a value for use inside a double-quoted attribute
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    attr(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+    
+    /**
+     * Escape HTML special characters
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryManagerModal;
+}
@@ -0,0 +1,211 @@
+// Table settings modal: show, hide and reorder columns, reset their widths,
+// pick the row density and edit the price highlighting rules. Changes apply
+// to the table as they are made.
+class ColumnChooserModal {
+    /**
+     * @param {ColumnLayout} layout - Column layout to edit
+     * @param {Function} onChange - () => void, called after every change
+     */
+    constructor(layout, onChange) {
+        this.layout = layout;
+        this.onChange = onChange;
+        this.dragging = null;   // key of the column being dragged in the list
+        
+        this.element = document.getElementById('columns-modal');
+        this.list = document.getElementById('columns-list');
+        this.densityInputs = document.querySelectorAll('[name="table-density"]');
+        this.rulesBody = document.getElementById('price-rules');
+        this.errorBox = document.getElementById('columns-error');
+        this.modal = new bootstrap.Modal(this.element);
+        
+        this.list.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-column-toggle]');
+            if (!checkbox) return;
+            if (!this.layout.setVisible(checkbox.dataset.columnToggle, checkbox.checked)) {
+                checkbox.checked = true;
+                this.showError(I18n.t('columns.lastVisible'));
+                return;
+            }
+            this.changed();
+        });
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-column-action]');
+            if (!button) return;
+            const key = button.closest('[data-column]').dataset.column;
+            if (button.dataset.columnAction === 'reset-width') {
+                this.layout.setWidth(key, null);
+            } else {
+                this.layout.shift(key, button.dataset.columnAction === 'up' ? -1 : 1);
+            }
+            this.changed();
+            this.list.querySelector(`[data-column="${key}"] [data-column-action="${button.dataset.columnAction}"]`)?.focus();
+        });
+        
+        // Drag and drop in the list
+        this.list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('[data-column]');
+            if (!item) return;
+            this.dragging = item.dataset.column;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.dragging);
+        });
+        this.list.addEventListener('dragover', (e) => {
+            if (this.dragging && e.target.closest('[data-column]')) e.preventDefault();
+        });
+        this.list.addEventListener('drop', (e) => {
+            const item = e.target.closest('[data-column]');
+            if (!this.dragging || !item) return;
+            e.preventDefault();
+            const box = item.getBoundingClientRect();
+            this.layout.move(this.dragging, item.dataset.column, e.clientY > box.top + box.height / 2);
+            this.dragging = null;
+            this.changed();
+        });
+        this.list.addEventListener('dragend', () => { this.dragging = null; });
+        
+        this.densityInputs.forEach(input => input.addEventListener('change', () => {
+            this.layout.setDensity(input.value);
+            this.changed();
+        }));
+        
+        this.rulesBody.addEventListener('change', () => {
+            this.layout.setPriceRules(this.readRules());
+            this.changed();
+        });
+        this.rulesBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rule-remove]');
+            if (!button) return;
+            const rules = this.readRules();
+            rules.splice(Number(button.dataset.ruleRemove), 1);
+            this.layout.setPriceRules(rules);
+            this.changed();
+        });
+        document.getElementById('price-rule-add').addEventListener('click', () => {
+            const lowest = this.layout.priceRules.filter(rule => rule.above !== null).pop();
+            this.layout.setPriceRules(this.layout.priceRules.concat({ above: lowest ? lowest.above / 2 : 0, style: 'primary' }));
+            this.changed();
+        });
+        
+        document.getElementById('columns-reset').addEventListener('click', () => {
+            if (!confirm(I18n.t('columns.confirmReset'))) return;
+            this.layout.reset();
+            this.changed();
+        });
+    }
+    
+    /**
+     * Open the modal
+     */
+    open() {
+        this.render();
+        this.modal.show();
+    }
+    
+    /**
+     * Re-render after a change and let the table follow
+     */
+    changed() {
+        this.render();
+        this.onChange();
+    }
+    
+    /**
+     * Show the current layout
+     */
+    render() {
+        this.errorBox.classList.add('d-none');
+        
+        const visible = this.layout.visibleColumns.map(column => column.key);
+        this.list.innerHTML = this.layout.order.map(key => {
+            const column = this.layout.columns.find(item => item.key === key);
+            const shown = this.layout.isVisible(key);
+            const position = visible.indexOf(key);
+            const width = this.layout.widths[key];
+            return `
+                <li class="list-group-item d-flex align-items-center gap-2" data-column="${key}" draggable="true">
+                    <i class="bi bi-grip-vertical text-muted" title="${I18n.t('columns.reorder')}"></i>
+                    <input type="checkbox" class="form-check-input mt-0" id="column-toggle-${key}"
+                           data-column-toggle="${key}" ${shown ? 'checked' : ''}>
+                    <label class="form-check-label flex-grow-1" for="column-toggle-${key}">${I18n.t(column.label)}</label>
+                    ${width ? `
+                        <button type="button" class="btn btn-sm btn-link py-0" data-column-action="reset-width"
+                                title="${I18n.t('columns.resetWidth')}">${I18n.formatNumber(width)} px <i class="bi bi-x"></i></button>
+                    ` : ''}
+                    <div class="btn-group btn-group-sm">
+                        <button type="button" class="btn btn-outline-secondary py-0" data-column-action="up"
+                                title="${I18n.t('columns.moveUp')}" ${shown && position > 0 ? '' : 'disabled'}>
+                            <i class="bi bi-arrow-up"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-secondary py-0" data-column-action="down"
+                                title="${I18n.t('columns.moveDown')}" ${shown && position < visible.length - 1 ? '' : 'disabled'}>
+                            <i class="bi bi-arrow-down"></i>
+                        </button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+        
+        this.densityInputs.forEach(input => { input.checked = input.value === this.layout.density; });
+        
+        const styles = Object.keys(ColumnLayout.PRICE_STYLES);
+        this.rulesBody.innerHTML = this.layout.priceRules.map((rule, index) => {
+            const options = styles
+                .map(style => `<option value="${style}" ${style === rule.style ? 'selected' : ''}>${I18n.t(`columns.style.${style}`)}</option>`)
+                .join('');
+            const condition = rule.above === null
+                ? `<span class="small">${I18n.t('columns.priceOther')}</span>`
+                : `
+                    <div class="input-group input-group-sm">
+                        <span class="input-group-text">${I18n.t('columns.priceAbove')}</span>
+                        <input type="number" class="form-control" name="above" min="0" step="any" value="${rule.above}"
+                               aria-label="${I18n.t('columns.priceAbove')}">
+                    </div>
+                `;
+            return `
+                <tr data-rule-index="${index}">
+                    <td>${condition}</td>
+                    <td>
+                        <select class="form-select form-select-sm ${ColumnLayout.PRICE_STYLES[rule.style]}" name="style"
+                                aria-label="${I18n.t('columns.priceStyle')}">${options}</select>
+                    </td>
+                    <td class="text-end">
+                        ${rule.above === null ? '' : `
+                            <button type="button" class="btn btn-sm btn-outline-danger" data-rule-remove="${index}"
+                                    title="${I18n.t('columns.removeRule')}">
+                                <i class="bi bi-trash"></i>
+                            </button>
+                        `}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Read the rules as they are in the editor
+     * @returns {Array} Price rules; empty thresholds count as 0
+     */
+    readRules() {
+        return Array.from(this.rulesBody.rows).map(row => {
+            const above = row.querySelector('[name="above"]');
+            return {
+                above: above ? Number(above.value) || 0 : null,
+                style: row.querySelector('[name="style"]').value
+            };
+        });
+    }
+    
+    /**
+     * Show an error above the column list
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.errorBox.textContent = message;
+        this.errorBox.classList.remove('d-none');
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColumnChooserModal;
+}
@@ -0,0 +1,223 @@
+// Layout of the product table chosen by the user: which columns are shown and
+// in what order, their widths, the row density and the price highlighting
+// rules. Kept in localStorage; every change is saved right away.
+class ColumnLayout {
+    /**
+     * @param {Array} columns - Column definitions { key, label, width } in
+     *   their default order; label is a message key, width a CSS width
+     */
+    constructor(columns) {
+        this.columns = columns;
+        this.load();
+    }
+    
+    /**
+     * Read the saved layout, or use the default one
+     */
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(ColumnLayout.STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable table layout:', error);
+        }
+        this.apply(saved);
+    }
+    
+    /**
+     * Take over a stored layout, dropping unknown columns and invalid values
+     * @param {Object} saved - { order, hidden, widths, density, priceRules }
+     */
+    apply(saved) {
+        const keys = this.columns.map(column => column.key);
+        const order = Array.isArray(saved.order) ? [...new Set(saved.order.filter(key => keys.includes(key)))] : [];
+        // Columns added since the layout was saved go at the end
+        this.order = order.concat(keys.filter(key => !order.includes(key)));
+        
+        this.hidden = new Set(Array.isArray(saved.hidden) ? saved.hidden.filter(key => keys.includes(key)) : []);
+        if (this.hidden.size === keys.length) this.hidden.clear();
+        
+        this.widths = {};
+        if (saved.widths && typeof saved.widths === 'object') {
+            keys.forEach(key => {
+                const width = Number(saved.widths[key]);
+                if (width >= ColumnLayout.MIN_WIDTH) this.widths[key] = Math.round(width);
+            });
+        }
+        
+        this.density = ColumnLayout.DENSITIES.includes(saved.density) ? saved.density : ColumnLayout.DENSITIES[0];
+        this.priceRules = this.normalizeRules(Array.isArray(saved.priceRules) ? saved.priceRules : ColumnLayout.DEFAULT_PRICE_RULES);
+    }
+    
+    /**
+     * Persist the layout
+     */
+    save() {
+        try {
+            localStorage.setItem(ColumnLayout.STORAGE_KEY, JSON.stringify({
+                order: this.order,
+                hidden: [...this.hidden],
+                widths: this.widths,
+                density: this.density,
+                priceRules: this.priceRules
+            }));
+        } catch (error) {
+            console.warn('Could not save the table layout:', error);
+        }
+    }
+    
+    /**
+     * Go back to the default layout and forget the saved one
+     */
+    reset() {
+        localStorage.removeItem(ColumnLayout.STORAGE_KEY);
+        this.apply({});
+    }
+    
+    /**
+     * @returns {Array} Definitions of the shown columns, in display order
+     */
+    get visibleColumns() {
+        return this.order
+            .filter(key => !this.hidden.has(key))
+            .map(key => this.columns.find(column => column.key === key));
+    }
+    
+    /**
+     * @param {string} key - Column key
+     * @returns {boolean} True when the column is shown
+     */
+    isVisible(key) {
+        return !this.hidden.has(key);
+    }
+    
+    /**
+     * Show or hide a column. The last shown column cannot be hidden.
+     * @param {string} key - Column key
+     * @param {boolean} visible - Show it or not
+     * @returns {boolean} False when the change was refused
+     */
+    setVisible(key, visible) {
+        if (!visible && this.isVisible(key) && this.hidden.size === this.order.length - 1) return false;
+        if (visible) {
+            this.hidden.delete(key);
+        } else {
+            this.hidden.add(key);
+        }
+        this.save();
+        return true;
+    }
+    
+    /**
+     * Move a column next to another one
+     * @param {string} key - Column to move
+     * @param {string} target - Column it is dropped on
+     * @param {boolean} after - Place it after the target instead of before
+     */
+    move(key, target, after = false) {
+        if (key === target || !this.order.includes(key) || !this.order.includes(target)) return;
+        this.order = this.order.filter(other => other !== key);
+        this.order.splice(this.order.indexOf(target) + (after ? 1 : 0), 0, key);
+        this.save();
+    }
+    
+    /**
+     * Move a column one place left or right among the shown columns
+     * @param {string} key - Column key
+     * @param {number} direction - -1 (earlier) or 1 (later)
+     */
+    shift(key, direction) {
+        const visible = this.visibleColumns.map(column => column.key);
+        const target = visible[visible.indexOf(key) + direction];
+        if (target) this.move(key, target, direction > 0);
+    }
+    
+    /**
+     * Set the width of a column
+     * @param {string} key - Column key
+     * @param {number|null} width - Width in px, or null for the default width
+     */
+    setWidth(key, width) {
+        if (width === null) {
+            delete this.widths[key];
+        } else {
+            this.widths[key] = Math.max(ColumnLayout.MIN_WIDTH, Math.round(width));
+        }
+        this.save();
+    }
+    
+    /**
+     * @param {string} density - One of DENSITIES
+     */
+    setDensity(density) {
+        if (!ColumnLayout.DENSITIES.includes(density)) return;
+        this.density = density;
+        this.save();
+    }
+    
+    /**
+     * Replace the price highlighting rules
+     * @param {Array} rules - { above, style } where above is a price in USD,
+     *   or null for the rule that applies to every other price
+     */
+    setPriceRules(rules) {
+        this.priceRules = this.normalizeRules(rules);
+        this.save();
+    }
+    
+    /**
+     * Drop invalid rules and sort them so the first match is the right one:
+     * highest threshold first, the catch-all rule last (there is always one)
+     * @param {Array} rules - Price rules
+     * @returns {Array} Cleaned copy
+     */
+    normalizeRules(rules) {
+        const valid = rules.filter(rule => rule && ColumnLayout.PRICE_STYLES[rule.style] !== undefined);
+        const thresholds = valid
+            .filter(rule => rule.above !== null && Number.isFinite(Number(rule.above)))
+            .map(rule => ({ above: Number(rule.above), style: rule.style }))
+            .sort((a, b) => b.above - a.above);
+        const fallback = valid.find(rule => rule.above === null);
+        return thresholds.concat({ above: null, style: fallback ? fallback.style : 'none' });
+    }
+    
+    /**
+     * CSS classes highlighting a price
+     * @param {number} price - Price in USD
+     * @returns {string} Class names, possibly empty
+     */
+    priceClass(price) {
+        const rule = this.priceRules.find(rule => rule.above === null || price > rule.above);
+        return ColumnLayout.PRICE_STYLES[rule.style];
+    }
+}
+
+ColumnLayout.STORAGE_KEY = 'productTable.columns';
+
+// Narrowest a column can be resized to, in px
+ColumnLayout.MIN_WIDTH = 60;
+
+// Row densities; the first is the default
+ColumnLayout.DENSITIES = ['comfortable', 'compact'];
+
+// Price highlight styles and their classes
+ColumnLayout.PRICE_STYLES = {
+    danger: 'text-danger fw-bold',
+    warning: 'text-warning',
+    success: 'text-success',
+    primary: 'text-primary',
+    muted: 'text-muted',
+    none: ''
+};
+
+// Above $100 in bold red, above $50 in yellow, the rest in green
+ColumnLayout.DEFAULT_PRICE_RULES = [
+    { above: 100, style: 'danger' },
+    { above: 50, style: 'warning' },
+    { above: null, style: 'success' }
+];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColumnLayout;
+}
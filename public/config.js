@@ -0,0 +1,23 @@
+// Settings of the browser app. Edit this file to change where products come from.
+const AppConfig = {
+    /**
+     * Where the app reads products from:
+     *   { type: 'api' }
+     *       The REST API of server.js (default). The server picks its own
+     *       data source: db.json, SQLite or a remote API (see --data-source).
+     *   { type: 'json', url: '/db.json' }
+     *       A static JSON file. Read-only; the whole catalogue is paged in
+     *       the browser.
+     *   { type: 'rest', baseUrl: 'https://api.escuelajs.co/api/v1', pageSize: 50, authHeader: 'Bearer <token>' }
+     *       A remote API with the fake-store layout, called straight from the
+     *       browser (it must allow this page's origin). A signed-in editor
+     *       can add, edit and delete products; the other editing tools
+     *       (import, bulk actions, history) need the server's API.
+     */
+    dataSource: { type: 'api' }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppConfig;
+}
@@ -0,0 +1,1230 @@
+// JSON to Object conversion function
+class DataConverter {
+    /**
+     * Convert JSON string to JavaScript object
+     * @param {string} jsonString - JSON string to convert
+     * @param {Object} options - Conversion options
+     * @param {boolean} options.validate - Check each record against PRODUCT_SCHEMA
+     *   instead of silently coercing bad values to defaults
+     * @returns {Array|Object} Array of product objects, or with validate set,
+     *   { records, errors } where records holds only the clean records and
+     *   errors is a list of { index, id, path, reason }
+     */
+    static jsonToObject(jsonString, options = {}) {
+        if (options.validate) {
+            let data;
+            try {
+                data = JSON.parse(jsonString);
+            } catch (error) {
+                return { records: [], errors: [{ index: null, id: null, path: '', reason: `Invalid JSON: ${error.message}` }] };
+            }
+            return this.validateProducts(data);
+        }
+        
+        try {
+            const data = JSON.parse(jsonString);
+            
+            // Validate the data structure
+            if (!Array.isArray(data)) {
+                console.error('Expected an array of products');
+                return [];
+            }
+            
+            // Process each product to ensure proper structure
+            return data.map(product => this.normalizeProduct(product));
+        } catch (error) {
+            console.error('Error parsing JSON:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Coerce a raw product record into the shape used throughout the app
+     * @param {Object} product - Raw product record
+     * @returns {Object} Normalised product object
+     */
+    static normalizeProduct(product) {
+        return {
+            id: Number(product.id) || 0,
+            title: String(product.title || ''),
+            slug: String(product.slug || ''),
+            price: Number(product.price) || 0,
+            description: String(product.description || ''),
+            category: this.normalizeCategory(product.category),
+            images: Array.isArray(product.images) ? product.images.map(img => String(img)) : [],
+            creationAt: String(product.creationAt || ''),
+            updatedAt: String(product.updatedAt || '')
+        };
+    }
+    
+    /**
+     * Coerce a raw category record into the embedded category shape
+     * @param {Object} category - Raw category record
+     * @returns {Object} Normalised category object
+     */
+    static normalizeCategory(category) {
+        return {
+            id: Number(category?.id) || 0,
+            name: String(category?.name || ''),
+            slug: String(category?.slug || ''),
+            image: String(category?.image || ''),
+            creationAt: String(category?.creationAt || ''),
+            updatedAt: String(category?.updatedAt || '')
+        };
+    }
+    
+    /**
+     * Check a list of raw product records against PRODUCT_SCHEMA
+     * @param {*} data - Parsed JSON, expected to be an array of products
+     * @returns {Object} { records, errors } - normalised clean records and
+     *   one { index, id, path, reason } entry per problem found
+     */
+    static validateProducts(data) {
+        if (!Array.isArray(data)) {
+            return { records: [], errors: [{ index: null, id: null, path: '', reason: 'Expected an array of products' }] };
+        }
+        
+        const records = [];
+        const errors = [];
+        
+        data.forEach((product, index) => {
+            const productErrors = this.validateProduct(product);
+            if (productErrors.length) {
+                const id = product && typeof product === 'object' ? product.id ?? null : null;
+                productErrors.forEach(error => errors.push({ index, id, ...error }));
+            } else {
+                records.push(this.normalizeProduct(product));
+            }
+        });
+        
+        return { records, errors };
+    }
+    
+    /**
+     * Check one raw product record against PRODUCT_SCHEMA
+     * @param {*} product - Raw product record
+     * @returns {Array} List of { path, reason }, empty when the record is valid
+     */
+    static validateProduct(product) {
+        return this.validateValue(product, { type: 'object', properties: this.PRODUCT_SCHEMA }, '');
+    }
+    
+    /**
+     * Check a value against a schema rule, recursing into objects and arrays
+     * @param {*} value - Value to check
+     * @param {Object} rule - Schema rule ({ type, required, min, minLength, pattern, patternReason, properties, items })
+     * @param {string} path - Field path used in error messages, e.g. 'category.id' or 'images[2]'
+     * @returns {Array} List of { path, reason }
+     */
+    static validateValue(value, rule, path) {
+        const fail = reason => [{ path, reason }];
+        
+        if (value === undefined || value === null) {
+            return rule.required ? fail('is required') : [];
+        }
+        
+        switch (rule.type) {
+            case 'object': {
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    return fail('must be an object');
+                }
+                const errors = [];
+                Object.entries(rule.properties || {}).forEach(([key, childRule]) => {
+                    const childPath = path ? `${path}.${key}` : key;
+                    errors.push(...this.validateValue(value[key], childRule, childPath));
+                });
+                return errors;
+            }
+            case 'array': {
+                if (!Array.isArray(value)) {
+                    return fail('must be an array');
+                }
+                const errors = [];
+                value.forEach((item, index) => {
+                    errors.push(...this.validateValue(item, { ...rule.items, required: true }, `${path}[${index}]`));
+                });
+                return errors;
+            }
+            case 'integer':
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    return fail('must be a number');
+                }
+                if (rule.type === 'integer' && !Number.isInteger(value)) {
+                    return fail('must be an integer');
+                }
+                if (rule.min !== undefined && value < rule.min) {
+                    return fail(`must be at least ${rule.min}`);
+                }
+                return [];
+            case 'string':
+                if (typeof value !== 'string') {
+                    return fail('must be a string');
+                }
+                if (rule.minLength && value.trim().length < rule.minLength) {
+                    return fail(rule.required ? 'is required' : `must have at least ${rule.minLength} characters`);
+                }
+                if (rule.pattern && value !== '' && !rule.pattern.test(value)) {
+                    return fail(rule.patternReason || `must match ${rule.pattern}`);
+                }
+                return [];
+            case 'url':
+                if (typeof value !== 'string') {
+                    return fail('must be a string');
+                }
+                if (value === '' && !rule.required) {
+                    return [];
+                }
+                try {
+                    if (!/^https?:$/.test(new URL(value).protocol)) {
+                        return fail('must be an http(s) URL');
+                    }
+                } catch (error) {
+                    return fail('must be a valid URL');
+                }
+                return [];
+            case 'date':
+                if (typeof value !== 'string') {
+                    return fail('must be a string');
+                }
+                if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(Date.parse(value))) {
+                    return fail('must be an ISO 8601 date');
+                }
+                return [];
+            default:
+                return [];
+        }
+    }
+    
+    /**
+     * Build a URL slug from a title, folding Vietnamese diacritics
+     * (e.g. "Mất quyền kiểm soát" -> "mat-quyen-kiem-soat")
+     * @param {string} text - Text to convert
+     * @returns {string} Slug containing only a-z, 0-9 and single dashes
+     */
+    static slugify(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+    
+    /**
+     * Convert object to JSON string
+     * @param {Array} dataArray - Array of product objects
+     * @returns {string} JSON string
+     */
+    static objectToJson(dataArray) {
+        try {
+            return JSON.stringify(dataArray, null, 2);
+        } catch (error) {
+            console.error('Error converting to JSON:', error);
+            return '[]';
+        }
+    }
+    
+    /**
+     * Flatten products into spreadsheet rows. Category fields become
+     * 'category.*' columns and the images list is joined with IMAGE_SEPARATOR.
+     * @param {Array} products - Array of product objects
+     * @returns {Array<Array>} Header row followed by one row per product
+     */
+    static productsToRows(products) {
+        const rows = products.map(product => this.EXPORT_COLUMNS.map(column => {
+            if (column === 'images') {
+                return product.images.join(this.IMAGE_SEPARATOR);
+            }
+            return column.split('.').reduce((value, key) => value?.[key], product) ?? '';
+        }));
+        return [[...this.EXPORT_COLUMNS], ...rows];
+    }
+    
+    /**
+     * Map spreadsheet rows back into raw product records. Columns are matched
+     * by header name (case-insensitive, any order); unknown columns are ignored
+     * and empty cells are left undefined so validation can report them.
+     * @param {Array<Array>} rows - Header row followed by data rows
+     * @returns {Array} List of { row, product } where row is the 1-based sheet row
+     */
+    static rowsToProducts(rows) {
+        if (!rows.length) return [];
+        
+        const header = rows[0].map(name => String(name ?? '').trim().toLowerCase());
+        const columns = this.EXPORT_COLUMNS.filter(column => header.includes(column.toLowerCase()));
+        const numeric = ['id', 'price', 'category.id'];
+        
+        return rows.slice(1)
+            .map((cells, index) => ({ cells, row: index + 2 }))
+            .filter(({ cells }) => cells.some(cell => String(cell ?? '').trim() !== ''))
+            .map(({ cells, row }) => {
+                const product = {};
+                columns.forEach(column => {
+                    const raw = cells[header.indexOf(column.toLowerCase())];
+                    const text = String(raw ?? '').trim();
+                    if (text === '') return;
+                    
+                    let value = raw;
+                    if (numeric.includes(column)) {
+                        value = typeof raw === 'number' ? raw : Number(text.replace(',', '.'));
+                        if (Number.isNaN(value)) value = text;
+                    } else if (column === 'images') {
+                        value = text.split(this.IMAGE_SEPARATOR.trim()).map(url => url.trim()).filter(Boolean);
+                    } else {
+                        value = typeof raw === 'string' ? raw : String(raw);
+                    }
+                    
+                    const keys = column.split('.');
+                    const target = keys.length > 1 ? (product[keys[0]] = product[keys[0]] || {}) : product;
+                    target[keys[keys.length - 1]] = value;
+                });
+                return { row, product };
+            });
+    }
+    
+    /**
+     * Convert products to CSV (RFC 4180 quoting, CRLF line endings). A UTF-8
+     * byte order mark is prepended so Excel detects Vietnamese text correctly.
+     * @param {Array} products - Array of product objects
+     * @returns {string} CSV text
+     */
+    static productsToCsv(products) {
+        const quote = value => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = this.productsToRows(products).map(row => row.map(quote).join(','));
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Parse CSV text into rows. Handles quoted fields with embedded commas,
+     * quotes and line breaks, a leading BOM, and ';' as delimiter when the
+     * header uses it (Excel in some locales).
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows of cell strings
+     */
+    static parseCsv(text) {
+        const input = String(text).replace(/^\uFEFF/, '');
+        const firstLine = input.split(/\r?\n/, 1)[0];
+        const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+        
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * Parse CSV text into raw product records
+     * @param {string} text - CSV text
+     * @returns {Array} List of { row, product }
+     */
+    static csvToProducts(text) {
+        return this.rowsToProducts(this.parseCsv(text));
+    }
+    
+    /**
+     * Fetch JSON data from a file
+     * @param {string} filePath - Path to JSON file
+     * @returns {Promise<Array>} Promise resolving to array of products
+     */
+    static async fetchJsonData(filePath) {
+        try {
+            const response = await fetch(filePath);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const jsonString = await response.text();
+            return this.jsonToObject(jsonString);
+        } catch (error) {
+            console.error('Error fetching JSON data:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get unique categories from product data. Products carry their own copy
+     * of the category, so when copies of one id disagree the most recently
+     * updated one wins.
+     * @param {Array} products - Array of product objects
+     * @returns {Array} Array of unique category objects
+     */
+    static getUniqueCategories(products) {
+        const categoryMap = new Map();
+        
+        products.forEach(product => {
+            if (product.category && product.category.id) {
+                const existing = categoryMap.get(product.category.id);
+                if (!existing || String(product.category.updatedAt || '') > String(existing.updatedAt || '')) {
+                    categoryMap.set(product.category.id, { ...product.category });
+                }
+            }
+        });
+        
+        return Array.from(categoryMap.values());
+    }
+    
+    /**
+     * Read statistics options from query parameters
+     * @param {URLSearchParams|Object} params - groupBy, interval and bins
+     * @returns {Object} { options, errors } - errors are { field, message }
+     */
+    static parseStatsOptions(params) {
+        const get = key => {
+            const value = typeof params.get === 'function' ? params.get(key) : params[key];
+            return value === undefined || value === null ? '' : String(value).trim();
+        };
+        const options = {};
+        const errors = [];
+        
+        if (get('groupBy')) {
+            if (this.STATS_GROUPS.includes(get('groupBy'))) {
+                options.groupBy = get('groupBy');
+            } else {
+                errors.push({ field: 'groupBy', message: `groupBy must be one of: ${this.STATS_GROUPS.join(', ')}` });
+            }
+        }
+        
+        if (get('interval')) {
+            if (this.STATS_INTERVALS.includes(get('interval'))) {
+                options.interval = get('interval');
+            } else {
+                errors.push({ field: 'interval', message: `interval must be one of: ${this.STATS_INTERVALS.join(', ')}` });
+            }
+        }
+        
+        if (get('bins')) {
+            const bins = Number(get('bins'));
+            if (!Number.isInteger(bins) || bins < 1 || bins > this.MAX_HISTOGRAM_BINS) {
+                errors.push({ field: 'bins', message: `bins must be an integer between 1 and ${this.MAX_HISTOGRAM_BINS}` });
+            } else {
+                options.bins = bins;
+            }
+        }
+        
+        return { options, errors };
+    }
+    
+    /**
+     * Calculate statistics from product data
+     * @param {Array} products - Array of product objects
+     * @param {Object} options - Grouping options
+     * @param {string} options.groupBy - Breakdown key, one of STATS_GROUPS (default 'category')
+     * @param {string} options.interval - Timeline step, 'day' or 'week' (default 'day')
+     * @param {number} options.bins - Number of price histogram bins (default 10)
+     * @returns {Object} Statistics object: totals, price summary (average, min,
+     *   max, median, quartiles, standard deviation), groups, histogram and timeline
+     */
+    static calculateStatistics(products, options = {}) {
+        const {
+            groupBy = 'category',
+            interval = 'day',
+            bins = this.DEFAULT_HISTOGRAM_BINS
+        } = options;
+        
+        const prices = products
+            .map(product => Number(product.price))
+            .filter(Number.isFinite)
+            .sort((a, b) => a - b);
+        const totalValue = prices.reduce((sum, price) => sum + price, 0);
+        const average = prices.length ? totalValue / prices.length : 0;
+        const variance = prices.length
+            ? prices.reduce((sum, price) => sum + (price - average) ** 2, 0) / prices.length
+            : 0;
+        const round = value => Math.round(value * 100) / 100;
+        
+        return {
+            totalProducts: products.length,
+            totalCategories: this.getUniqueCategories(products).length,
+            averagePrice: round(average),
+            minPrice: prices.length ? prices[0] : 0,
+            maxPrice: prices.length ? prices[prices.length - 1] : 0,
+            totalValue: round(totalValue),
+            medianPrice: round(this.quantile(prices, 0.5)),
+            quartiles: {
+                q1: round(this.quantile(prices, 0.25)),
+                q2: round(this.quantile(prices, 0.5)),
+                q3: round(this.quantile(prices, 0.75))
+            },
+            stdDevPrice: round(Math.sqrt(variance)),
+            groupBy,
+            groups: this.groupStatistics(products, groupBy),
+            histogram: this.priceHistogram(prices, bins),
+            timeline: this.creationTimeline(products, interval)
+        };
+    }
+    
+    /**
+     * Quantile of sorted values, interpolating between neighbours
+     * @param {Array<number>} sorted - Values in ascending order
+     * @param {number} q - Quantile between 0 and 1
+     * @returns {number} The quantile, or 0 for no values
+     */
+    static quantile(sorted, q) {
+        if (!sorted.length) return 0;
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+    
+    /**
+     * Count and price figures per group
+     * @param {Array} products - Array of product objects
+     * @param {string} groupBy - 'category' or 'images'
+     * @returns {Array} List of { key, label, count, totalValue, averagePrice, minPrice, maxPrice }
+     */
+    static groupStatistics(products, groupBy) {
+        const groups = new Map();
+        
+        products.forEach(product => {
+            const key = groupBy === 'images' ? this.imageBucket(product) : String(product.category.id);
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key,
+                    label: groupBy === 'images' ? key : product.category.name,
+                    count: 0,
+                    totalValue: 0,
+                    minPrice: null,
+                    maxPrice: null
+                });
+            }
+            
+            const group = groups.get(key);
+            const price = Number(product.price);
+            group.count++;
+            if (Number.isFinite(price)) {
+                group.totalValue += price;
+                group.minPrice = group.minPrice === null ? price : Math.min(group.minPrice, price);
+                group.maxPrice = group.maxPrice === null ? price : Math.max(group.maxPrice, price);
+            }
+        });
+        
+        const order = groupBy === 'images'
+            ? (a, b) => this.IMAGE_BUCKETS.indexOf(a.key) - this.IMAGE_BUCKETS.indexOf(b.key)
+            : (a, b) => b.count - a.count || this.collator.compare(a.label, b.label);
+        
+        return Array.from(groups.values())
+            .map(group => ({
+                ...group,
+                totalValue: Math.round(group.totalValue * 100) / 100,
+                averagePrice: Math.round(group.totalValue / group.count * 100) / 100
+            }))
+            .sort(order);
+    }
+    
+    /**
+     * Split prices into equal-width bins
+     * @param {Array<number>} prices - Prices in ascending order
+     * @param {number} binCount - Number of bins
+     * @returns {Object} { binSize, bins: [{ from, to, count }] }; the last bin includes its upper bound
+     */
+    static priceHistogram(prices, binCount) {
+        if (!prices.length) return { binSize: 0, bins: [] };
+        
+        const min = prices[0];
+        const max = prices[prices.length - 1];
+        const count = max === min ? 1 : binCount;
+        const binSize = max === min ? 0 : (max - min) / count;
+        const bins = Array.from({ length: count }, (_, i) => ({
+            from: Math.round((min + i * binSize) * 100) / 100,
+            to: Math.round((i === count - 1 ? max : min + (i + 1) * binSize) * 100) / 100,
+            count: 0
+        }));
+        
+        prices.forEach(price => {
+            const index = binSize ? Math.min(count - 1, Math.floor((price - min) / binSize)) : 0;
+            bins[index].count++;
+        });
+        
+        return { binSize: Math.round(binSize * 100) / 100, bins };
+    }
+    
+    /**
+     * Products created per day or week. Days are UTC; weeks start on Monday.
+     * Empty periods between the first and last one are filled with zero
+     * unless the span is too long to chart.
+     * @param {Array} products - Array of product objects
+     * @param {string} interval - 'day' or 'week'
+     * @returns {Object} { interval, points: [{ date: 'YYYY-MM-DD', count }] }
+     */
+    static creationTimeline(products, interval) {
+        const day = 24 * 60 * 60 * 1000;
+        const step = interval === 'week' ? 7 * day : day;
+        const periodStart = time => {
+            const start = Math.floor(time / day) * day;
+            if (interval !== 'week') return start;
+            // 1970-01-01 was a Thursday; shift so weeks start on Monday
+            const weekday = (new Date(start).getUTCDay() + 6) % 7;
+            return start - weekday * day;
+        };
+        
+        const counts = new Map();
+        products.forEach(product => {
+            const time = Date.parse(product.creationAt);
+            if (Number.isNaN(time)) return;
+            const start = periodStart(time);
+            counts.set(start, (counts.get(start) || 0) + 1);
+        });
+        
+        let starts = Array.from(counts.keys()).sort((a, b) => a - b);
+        if (starts.length > 1) {
+            const first = starts[0];
+            const last = starts[starts.length - 1];
+            if ((last - first) / step < this.MAX_TIMELINE_POINTS) {
+                starts = [];
+                for (let start = first; start <= last; start = periodStart(start + step)) {
+                    starts.push(start);
+                }
+            }
+        }
+        
+        return {
+            interval,
+            points: starts.map(start => ({
+                date: new Date(start).toISOString().slice(0, 10),
+                count: counts.get(start) || 0
+            }))
+        };
+    }
+    
+    /**
+     * The search query parser: a global in the browser (search-query.js is
+     * loaded before this file), required on the server
+     * @returns {Function} SearchQuery class
+     */
+    static get SearchQuery() {
+        return typeof SearchQuery !== 'undefined' ? SearchQuery : require('./search-query').SearchQuery;
+    }
+    
+    /**
+     * The text index class, resolved like SearchQuery
+     * @returns {Function} SearchIndex class
+     */
+    static get SearchIndex() {
+        return typeof SearchIndex !== 'undefined' ? SearchIndex : require('./search-index');
+    }
+    
+    /**
+     * Filter products based on search criteria
+     * @param {Array} products - Array of product objects
+     * @param {string} searchTerm - Search query (see search-query.js for the syntax)
+     * @param {string} category - Category filter
+     * @param {SearchIndex} index - Optional index over products; enables prefix
+     *   and typo-tolerant matching of free-text terms
+     * @param {Object} filters - Facet filters (see parseFilters)
+     * @returns {Array} Filtered products
+     * @throws {SearchQueryError} When the search query is malformed
+     */
+    static filterProducts(products, searchTerm = '', category = '', index = null, filters = {}) {
+        return this.searchProducts(products, searchTerm, category, index, filters).products;
+    }
+    
+    /**
+     * Filter products and score them by relevance to the search query
+     * @param {Array} products - Array of product objects
+     * @param {string} searchTerm - Search query
+     * @param {string} category - Category filter
+     * @param {SearchIndex} index - Optional index over products
+     * @param {Object} filters - Facet filters (see parseFilters)
+     * @returns {Object} { products, searched, scores: Map(id -> relevance), highlight: folded tokens to mark };
+     *   searched holds the products matching the search and category before facet filters
+     * @throws {SearchQueryError} When the search query is malformed
+     */
+    static searchProducts(products, searchTerm = '', category = '', index = null, filters = {}) {
+        const query = searchTerm ? this.SearchQuery.parse(searchTerm) : null;
+        const highlight = new Set();
+        const scoredClauses = [];
+        
+        if (query) {
+            query.groups.forEach(group => group.forEach(clause => {
+                if (clause.kind !== 'text') return;
+                
+                const terms = this.SearchIndex.tokenize(clause.value);
+                if (clause.field === null && !clause.quoted && index && terms.length) {
+                    const result = index.search(clause.value);
+                    clause.ids = new Set(result.scores.keys());
+                    clause.scores = result.scores;
+                    if (!clause.negate) result.tokens.forEach(token => highlight.add(token));
+                } else if (!clause.negate && clause.field !== 'category' && clause.field !== 'image') {
+                    terms.forEach(token => highlight.add(token));
+                }
+                
+                if (!clause.negate && (clause.field === null || clause.field in this.SearchIndex.FIELD_WEIGHTS)) {
+                    scoredClauses.push(clause);
+                }
+            }));
+        }
+        
+        const searched = products.filter(product => {
+            // Search term filter
+            const searchMatch = !query || this.SearchQuery.matches(product, query);
+            
+            // Category filter
+            const categoryMatch = !category || 
+                product.category.name.toLowerCase() === category.toLowerCase() ||
+                product.category.id.toString() === category;
+            
+            return searchMatch && categoryMatch;
+        });
+        const filtered = searched.filter(product => this.matchesFilters(product, filters));
+        
+        // Relevance: index scores for free-text terms, field weight for
+        // phrases and field-qualified terms
+        const scores = new Map();
+        filtered.forEach(product => {
+            let score = 0;
+            scoredClauses.forEach(clause => {
+                if (clause.scores) {
+                    score += clause.scores.get(product.id) || 0;
+                    return;
+                }
+                const fields = clause.field ? [clause.field] : Object.keys(this.SearchIndex.FIELD_WEIGHTS);
+                const weights = fields
+                    .filter(field => this.SearchIndex.fold(product[field]).includes(clause.value))
+                    .map(field => this.SearchIndex.FIELD_WEIGHTS[field]);
+                score += weights.length ? Math.max(...weights) : 0;
+            });
+            scores.set(product.id, score);
+        });
+        
+        return { products: filtered, searched, scores, highlight: Array.from(highlight) };
+    }
+    
+    /**
+     * Read facet filters from query parameters. Lists are comma-separated;
+     * dates may be YYYY, YYYY-MM or YYYY-MM-DD and cover the whole period.
+     * @param {URLSearchParams|Object} params - Parameters named as in FILTER_PARAMS
+     * @returns {Object} { filters, errors } - errors are { field, message }
+     */
+    static parseFilters(params) {
+        const get = key => {
+            const value = typeof params.get === 'function' ? params.get(key) : params[key];
+            return value === undefined || value === null ? '' : String(value).trim();
+        };
+        const list = key => get(key).split(',').map(value => value.trim()).filter(Boolean);
+        const filters = {};
+        const errors = [];
+        
+        const categories = list('categories');
+        const badCategory = categories.find(id => !/^\d+$/.test(id));
+        if (badCategory !== undefined) {
+            errors.push({ field: 'categories', message: `Invalid category id "${badCategory}"` });
+        } else if (categories.length) {
+            filters.categories = categories;
+        }
+        
+        ['priceMin', 'priceMax'].forEach(key => {
+            if (!get(key)) return;
+            const value = Number(get(key));
+            if (!Number.isFinite(value) || value < 0) {
+                errors.push({ field: key, message: `${key} must be a non-negative number` });
+            } else {
+                filters[key] = value;
+            }
+        });
+        if (filters.priceMin > filters.priceMax) {
+            errors.push({ field: 'priceMax', message: 'priceMax must not be less than priceMin' });
+        }
+        
+        this.DATE_FACETS.forEach(({ from, to }) => {
+            [from, to].forEach(key => {
+                if (!get(key)) return;
+                if (Number.isNaN(this.dateBound(get(key), 'start'))) {
+                    errors.push({ field: key, message: `${key} must be a date (YYYY, YYYY-MM or YYYY-MM-DD)` });
+                } else {
+                    filters[key] = get(key);
+                }
+            });
+            if (filters[from] && filters[to] && this.dateBound(filters[from], 'start') > this.dateBound(filters[to], 'end')) {
+                errors.push({ field: to, message: `${to} must not be before ${from}` });
+            }
+        });
+        
+        const images = list('images');
+        const badBucket = images.find(bucket => !this.IMAGE_BUCKETS.includes(bucket));
+        if (badBucket !== undefined) {
+            errors.push({ field: 'images', message: `Invalid image count "${badBucket}". Use one of: ${this.IMAGE_BUCKETS.join(', ')}` });
+        } else if (images.length) {
+            filters.images = images;
+        }
+        
+        return { filters, errors };
+    }
+    
+    /**
+     * Turn facet filters back into query parameters, leaving out empty ones
+     * @param {Object} filters - Facet filters
+     * @returns {Object} Parameter name -> string value
+     */
+    static filtersToParams(filters = {}) {
+        const params = {};
+        this.FILTER_PARAMS.forEach(key => {
+            const value = filters[key];
+            if (value === undefined || value === null || value === '') return;
+            if (Array.isArray(value)) {
+                if (value.length) params[key] = value.join(',');
+            } else {
+                params[key] = String(value);
+            }
+        });
+        return params;
+    }
+    
+    /**
+     * First or last millisecond of a (possibly partial) date
+     * @param {string} text - YYYY, YYYY-MM or YYYY-MM-DD
+     * @param {string} bound - 'start' or 'end'
+     * @returns {number} Timestamp, or NaN when the date is invalid
+     */
+    static dateBound(text, bound) {
+        try {
+            return this.SearchQuery.parseDate(text, bound, { position: 0 });
+        } catch (error) {
+            return NaN;
+        }
+    }
+    
+    /**
+     * Image-count facet value of a product
+     * @param {Object} product - Product object
+     * @returns {string} One of IMAGE_BUCKETS
+     */
+    static imageBucket(product) {
+        const count = product.images.length;
+        return count >= this.IMAGE_BUCKETS.length - 1 ? this.IMAGE_BUCKETS[this.IMAGE_BUCKETS.length - 1] : String(count);
+    }
+    
+    /**
+     * Check a product against facet filters
+     * @param {Object} product - Product object
+     * @param {Object} filters - Facet filters (see parseFilters)
+     * @param {string} except - Facet to ignore ('category', 'price', 'creationAt',
+     *   'updatedAt' or 'images'), used when counting that facet's choices
+     * @returns {boolean} Whether the product passes every other filter
+     */
+    static matchesFilters(product, filters = {}, except = null) {
+        if (except !== 'category' && filters.categories?.length &&
+            !filters.categories.includes(String(product.category.id))) {
+            return false;
+        }
+        
+        if (except !== 'price') {
+            const price = Number(product.price);
+            if (filters.priceMin !== undefined && !(price >= filters.priceMin)) return false;
+            if (filters.priceMax !== undefined && !(price <= filters.priceMax)) return false;
+        }
+        
+        for (const { field, from, to } of this.DATE_FACETS) {
+            if (except === field || (!filters[from] && !filters[to])) continue;
+            const time = Date.parse(product[field]);
+            if (Number.isNaN(time)) return false;
+            if (filters[from] && time < this.dateBound(filters[from], 'start')) return false;
+            if (filters[to] && time > this.dateBound(filters[to], 'end')) return false;
+        }
+        
+        if (except !== 'images' && filters.images?.length && !filters.images.includes(this.imageBucket(product))) {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Count facet choices. Each facet is counted against the products that
+     * pass every other filter, so a count tells how many products picking
+     * that choice would leave.
+     * @param {Array} products - Whole catalogue, for the list of categories and the value bounds
+     * @param {Array} searched - Products matching the search term
+     * @param {Object} filters - Facet filters
+     * @param {Array} categories - Categories to list; taken from the products when omitted
+     * @returns {Object} { categories: [{ id, name, count, selected }],
+     *   price: { min, max, bounds }, creationAt: { min, max, bounds },
+     *   updatedAt: { min, max, bounds }, images: [{ value, count, selected }] }
+     */
+    static computeFacets(products, searched, filters = {}, categories = null) {
+        const range = () => ({ min: null, max: null });
+        const extend = (target, value) => {
+            if (!Number.isFinite(value)) return;
+            if (target.min === null || value < target.min) target.min = value;
+            if (target.max === null || value > target.max) target.max = value;
+        };
+        const toDate = time => time === null ? null : new Date(time).toISOString().slice(0, 10);
+        
+        const categoryCounts = new Map();
+        const imageCounts = new Map(this.IMAGE_BUCKETS.map(bucket => [bucket, 0]));
+        const price = range();
+        const dates = { creationAt: range(), updatedAt: range() };
+        
+        searched.forEach(product => {
+            if (this.matchesFilters(product, filters, 'category')) {
+                const id = String(product.category.id);
+                categoryCounts.set(id, (categoryCounts.get(id) || 0) + 1);
+            }
+            if (this.matchesFilters(product, filters, 'price')) {
+                extend(price, Number(product.price));
+            }
+            this.DATE_FACETS.forEach(({ field }) => {
+                if (this.matchesFilters(product, filters, field)) {
+                    extend(dates[field], Date.parse(product[field]));
+                }
+            });
+            if (this.matchesFilters(product, filters, 'images')) {
+                const bucket = this.imageBucket(product);
+                imageCounts.set(bucket, imageCounts.get(bucket) + 1);
+            }
+        });
+        
+        const priceBounds = range();
+        const dateBounds = { creationAt: range(), updatedAt: range() };
+        products.forEach(product => {
+            extend(priceBounds, Number(product.price));
+            this.DATE_FACETS.forEach(({ field }) => extend(dateBounds[field], Date.parse(product[field])));
+        });
+        
+        const selectedCategories = filters.categories || [];
+        const selectedImages = filters.images || [];
+        const facets = {
+            categories: (categories || this.getUniqueCategories(products))
+                .map(category => ({
+                    id: category.id,
+                    name: category.name,
+                    count: categoryCounts.get(String(category.id)) || 0,
+                    selected: selectedCategories.includes(String(category.id))
+                }))
+                .sort((a, b) => this.collator.compare(a.name, b.name)),
+            price: { ...price, bounds: priceBounds },
+            images: this.IMAGE_BUCKETS.map(value => ({
+                value,
+                count: imageCounts.get(value),
+                selected: selectedImages.includes(value)
+            }))
+        };
+        this.DATE_FACETS.forEach(({ field }) => {
+            facets[field] = {
+                min: toDate(dates[field].min),
+                max: toDate(dates[field].max),
+                bounds: { min: toDate(dateBounds[field].min), max: toDate(dateBounds[field].max) }
+            };
+        });
+        return facets;
+    }
+    
+    /**
+     * Parse a sort specification such as 'price:desc,title' into sort keys.
+     * A key without a direction uses defaultOrder.
+     * @param {string|Array} sort - Comma-separated 'field[:asc|desc]' list, or keys already parsed
+     * @param {string} defaultOrder - 'asc' or 'desc'
+     * @returns {Array} List of { field, ascending }
+     */
+    static parseSortKeys(sort = 'id', defaultOrder = 'asc') {
+        if (Array.isArray(sort)) return sort;
+        
+        return String(sort || 'id').split(',')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const [field, direction = defaultOrder] = part.split(':');
+                return { field: field.trim(), ascending: direction.trim().toLowerCase() !== 'desc' };
+            });
+    }
+    
+    /**
+     * Format sort keys back into the 'field:asc,field:desc' form
+     * @param {Array} keys - List of { field, ascending }
+     * @returns {string} Sort specification
+     */
+    static formatSortKeys(keys) {
+        return keys.map(key => `${key.field}:${key.ascending ? 'asc' : 'desc'}`).join(',');
+    }
+    
+    /**
+     * Value of a product used when sorting by a field
+     * @param {Object} product - Product object
+     * @param {string} field - Sort field (see SORT_FIELDS)
+     * @param {Map} scores - Relevance per product id
+     * @returns {string|number} Comparable value
+     */
+    static sortValue(product, field, scores) {
+        switch (field) {
+            case 'relevance':
+                return scores?.get(product.id) || 0;
+            case 'category':
+                return product.category.name;
+            case 'images':
+                return product.images.length;
+            case 'creationAt':
+            case 'updatedAt': {
+                // Missing or broken dates sort before every real date
+                const time = Date.parse(product[field]);
+                return Number.isNaN(time) ? -Infinity : time;
+            }
+            default:
+                return product[field];
+        }
+    }
+    
+    /**
+     * Sort products by one or more fields. The sort is stable, so products
+     * that tie on every key keep their original order. Text fields are
+     * compared with Vietnamese collation.
+     * @param {Array} products - Array of product objects
+     * @param {string|Array} sortBy - Field to sort by, or a list of { field, ascending } keys
+     * @param {boolean} ascending - Sort order when sortBy is a single field
+     * @param {Map} scores - Relevance per product id, used when sorting by 'relevance'
+     * @returns {Array} Sorted products
+     */
+    static sortProducts(products, sortBy = 'id', ascending = true, scores = null) {
+        const keys = Array.isArray(sortBy) ? sortBy : [{ field: sortBy, ascending }];
+        
+        return [...products].sort((a, b) => {
+            for (const key of keys) {
+                const valueA = this.sortValue(a, key.field, scores);
+                const valueB = this.sortValue(b, key.field, scores);
+                
+                let result;
+                if (typeof valueA === 'string' || typeof valueB === 'string') {
+                    result = this.collator.compare(String(valueA ?? ''), String(valueB ?? ''));
+                } else {
+                    result = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+                }
+                
+                if (result !== 0) {
+                    return key.ascending ? result : -result;
+                }
+            }
+            return 0;
+        });
+    }
+    
+    /**
+     * Shared collator for text fields
+     * @returns {Intl.Collator} Vietnamese, case-insensitive, numeric-aware collator
+     */
+    static get collator() {
+        if (!this._collator) {
+            this._collator = new Intl.Collator('vi', { sensitivity: 'base', numeric: true });
+        }
+        return this._collator;
+    }
+    
+    /**
+     * Filter, sort and paginate products in one step. server.js and the
+     * client fallback both call this so their pages are identical.
+     * @param {Array} products - Array of product objects
+     * @param {Object} options - Query options
+     * @param {string} options.q - Search term
+     * @param {string} options.category - Category filter
+     * @param {string} options.sort - Sort specification, e.g. 'price:desc,title' (see SORT_FIELDS)
+     * @param {string} options.order - 'asc' or 'desc', for keys without a direction
+     * @param {number} options.page - 1-based page number, clamped to the last page
+     * @param {number|string} options.pageSize - Rows per page, or 'all'
+     * @param {SearchIndex} options.index - Optional index over products
+     * @param {Object} options.filters - Facet filters (see parseFilters)
+     * @param {Object} options.stats - Statistics options (see calculateStatistics)
+     * @param {Array} options.categories - Category collection for the category facet
+     * @returns {Object} { data, meta, stats, facets } for the requested page;
+     *   meta.highlight lists the folded tokens the search matched
+     */
+    static queryProducts(products, options = {}) {
+        const {
+            q = '',
+            category = '',
+            sort = 'id',
+            order = 'asc',
+            filters = {}
+        } = options;
+        
+        const { products: filtered, searched, scores, highlight } =
+            this.searchProducts(products, q, category, options.index, filters);
+        const sortKeys = this.parseSortKeys(sort, order);
+        const sorted = this.sortProducts(filtered, sortKeys, true, scores);
+        
+        const total = sorted.length;
+        const showAll = options.pageSize === 'all';
+        const pageSize = showAll ? Math.max(total, 1) : Math.max(1, Number(options.pageSize) || this.DEFAULT_PAGE_SIZE);
+        const totalPages = Math.max(1, Math.ceil(total / pageSize));
+        const page = Math.min(Math.max(1, Number(options.page) || 1), totalPages);
+        const startIndex = (page - 1) * pageSize;
+        
+        return {
+            data: sorted.slice(startIndex, startIndex + pageSize),
+            meta: {
+                total,
+                totalUnfiltered: products.length,
+                page,
+                pageSize: showAll ? 'all' : pageSize,
+                totalPages,
+                hasPrev: page > 1,
+                hasNext: page < totalPages,
+                q,
+                category,
+                sort: this.formatSortKeys(sortKeys),
+                order,
+                sortKeys,
+                filters,
+                highlight
+            },
+            stats: this.calculateStatistics(filtered, options.stats),
+            facets: this.computeFacets(products, searched, filters, options.categories)
+        };
+    }
+    
+    /**
+     * Find where a product sits in a filtered, sorted list, for previous /
+     * next navigation in the detail view
+     * @param {Array} products - Array of product objects
+     * @param {number} id - Product id
+     * @param {Object} options - q, category, sort, order, index and filters, as for queryProducts
+     * @returns {Object} { position, total, previous, next }; position is 1-based, or
+     *   null when the product is not in the list; previous and next are
+     *   { id, title, slug } or null
+     */
+    static findNeighbours(products, id, options = {}) {
+        const { q = '', category = '', sort = 'id', order = 'asc', filters = {} } = options;
+        const { products: filtered, scores } = this.searchProducts(products, q, category, options.index, filters);
+        const sorted = this.sortProducts(filtered, this.parseSortKeys(sort, order), true, scores);
+        
+        const index = sorted.findIndex(p => p.id === id);
+        const summary = product => product ? { id: product.id, title: product.title, slug: product.slug } : null;
+        return {
+            position: index === -1 ? null : index + 1,
+            total: sorted.length,
+            previous: index > 0 ? summary(sorted[index - 1]) : null,
+            next: index === -1 ? null : summary(sorted[index + 1])
+        };
+    }
+}
+
+// Declared shape of a product record, checked by validateProduct.
+// Slugs may be empty; every other constraint mirrors normalizeProduct.
+DataConverter.PRODUCT_SCHEMA = {
+    id: { type: 'integer', required: true, min: 1 },
+    title: { type: 'string', required: true, minLength: 1 },
+    slug: {
+        type: 'string',
+        pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        patternReason: 'may only contain lowercase letters, digits and single dashes'
+    },
+    price: { type: 'number', required: true, min: 0 },
+    description: { type: 'string' },
+    category: {
+        type: 'object',
+        required: true,
+        properties: {
+            id: { type: 'integer', required: true, min: 1 },
+            name: { type: 'string', required: true, minLength: 1 },
+            slug: { type: 'string' },
+            image: { type: 'url' },
+            creationAt: { type: 'date' },
+            updatedAt: { type: 'date' }
+        }
+    },
+    images: { type: 'array', items: { type: 'url' } },
+    creationAt: { type: 'date', required: true },
+    updatedAt: { type: 'date', required: true }
+};
+
+// Spreadsheet columns used by productsToRows / rowsToProducts
+DataConverter.EXPORT_COLUMNS = [
+    'id',
+    'title',
+    'slug',
+    'price',
+    'description',
+    'category.id',
+    'category.name',
+    'category.slug',
+    'category.image',
+    'images',
+    'creationAt',
+    'updatedAt'
+];
+DataConverter.IMAGE_SEPARATOR = ' | ';
+
+// Fields accepted by sortProducts
+DataConverter.SORT_FIELDS = [
+    'id',
+    'title',
+    'price',
+    'category',
+    'description',
+    'images',
+    'creationAt',
+    'updatedAt',
+    'relevance'
+];
+DataConverter.MAX_SORT_KEYS = 3;
+
+// Statistics options accepted by parseStatsOptions
+DataConverter.STATS_GROUPS = ['category', 'images'];
+DataConverter.STATS_INTERVALS = ['day', 'week'];
+DataConverter.DEFAULT_HISTOGRAM_BINS = 10;
+DataConverter.MAX_HISTOGRAM_BINS = 50;
+DataConverter.MAX_TIMELINE_POINTS = 400;
+
+// Query parameters read by parseFilters
+DataConverter.FILTER_PARAMS = [
+    'categories',
+    'priceMin',
+    'priceMax',
+    'createdFrom',
+    'createdTo',
+    'updatedFrom',
+    'updatedTo',
+    'images'
+];
+
+// Date facets: product field and the parameters bounding it
+DataConverter.DATE_FACETS = [
+    { field: 'creationAt', from: 'createdFrom', to: 'createdTo' },
+    { field: 'updatedAt', from: 'updatedFrom', to: 'updatedTo' }
+];
+
+// Image-count facet values; the last one collects every larger count
+DataConverter.IMAGE_BUCKETS = ['0', '1', '2', '3+'];
+DataConverter.DEFAULT_PAGE_SIZE = 10;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataConverter;
+}
\ No newline at end of file
@@ -0,0 +1,546 @@
+// Data-quality checks over the catalogue: duplicates, slug problems, placeholder images, odd prices and dates
+class DataQuality {
+    /**
+     * Check raw product records and list what looks wrong. Each issue that
+     * can be repaired without a human decision carries the exact changes
+     * the repair would make, so a preview and applyFixes agree.
+     * @param {Array} records - Raw product records (db.json)
+     * @param {Object} options
+     * @param {Map} options.unreachableImages - Image URL -> reason, from a
+     *   network check (left out when images were not checked)
+     * @param {string} options.now - Timestamp written as updatedAt by fixes
+     * @returns {Object} { generatedAt, total, imagesChecked, counts, summary, issues }
+     *   where summary maps each issue type to its number of issues and counts
+     *   maps each severity to its number of issues
+     */
+    static analyze(records, { unreachableImages = null, now = new Date().toISOString() } = {}) {
+        const entries = (Array.isArray(records) ? records : [])
+            .map((record, index) => ({ index, record }))
+            .filter(({ record }) => record && typeof record === 'object' && !Array.isArray(record))
+            .map(({ index, record }) => ({ index, record, product: this.DataConverter.normalizeProduct(record) }));
+        
+        // Ids and slugs handed out by fixes must not clash with each other either
+        const taken = {
+            ids: new Set(entries.map(entry => entry.product.id)),
+            slugs: new Set(entries.map(entry => entry.product.slug).filter(Boolean))
+        };
+        const context = { entries, taken, now, unreachableImages };
+        
+        const issues = [
+            ...this.findDuplicateIds(context),
+            ...this.findSlugCollisions(context),
+            ...this.findMissingSlugs(context),
+            ...this.findSimilarSlugs(context),
+            ...this.findDuplicateTitles(context),
+            ...this.findSimilarTitles(context),
+            ...this.findNumberedTitles(context),
+            ...this.findPriceProblems(context),
+            ...this.findDateProblems(context),
+            ...this.findPlaceholderImages(context),
+            ...this.findSharedImages(context),
+            ...this.findUnreachableImages(context)
+        ];
+        
+        const summary = {};
+        const counts = { error: 0, warning: 0, info: 0 };
+        issues.forEach(issue => {
+            summary[issue.type] = (summary[issue.type] || 0) + 1;
+            counts[issue.severity]++;
+        });
+        
+        return {
+            generatedAt: now,
+            total: entries.length,
+            imagesChecked: Boolean(unreachableImages),
+            counts,
+            summary,
+            issues
+        };
+    }
+    
+    /**
+     * Build an issue
+     * @param {string} type - Key of DataQuality.CHECKS
+     * @param {Array} entries - Affected { index, product } entries
+     * @param {Object} params - Values for the message
+     * @param {Array|null} changes - What the fix would change, or null when there is no fix
+     * @returns {Object} { type, severity, productIds, params, fix }, where
+     *   fix is { changes } or null
+     */
+    static issue(type, entries, params, changes = null) {
+        return {
+            type,
+            severity: this.CHECKS[type].severity,
+            productIds: [...new Set(entries.map(entry => entry.product.id))],
+            params,
+            fix: changes && changes.length ? { changes } : null
+        };
+    }
+    
+    /**
+     * @param {Object} entry - { index, product }
+     * @param {string} field - Field changed
+     * @param {*} after - New value
+     * @returns {Object} A change { index, productId, field, before, after }
+     */
+    static change(entry, field, after) {
+        return { index: entry.index, productId: entry.product.id, field, before: entry.product[field], after };
+    }
+    
+    /**
+     * Group entries by a key, keeping only groups of two or more
+     * @param {Array} entries - { index, product } entries
+     * @param {Function} keyOf - (entry) => key, or '' to leave the entry out
+     * @returns {Array} Groups of entries, in order of first appearance
+     */
+    static groupBy(entries, keyOf) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            const key = keyOf(entry);
+            if (key === '' || key === null) return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        });
+        return Array.from(groups.values()).filter(group => group.length > 1);
+    }
+    
+    /**
+     * Records sharing an id; the fix gives every copy after the first a new id
+     */
+    static findDuplicateIds({ entries, taken }) {
+        let nextId = Math.max(0, ...taken.ids) + 1;
+        return this.groupBy(entries, entry => entry.product.id || '').map(group => {
+            const changes = group.slice(1).map(entry => {
+                taken.ids.add(nextId);
+                return this.change(entry, 'id', nextId++);
+            });
+            return this.issue('duplicateId', group, { id: group[0].product.id, count: group.length }, changes);
+        });
+    }
+    
+    /**
+     * Different products with the same slug, which breaks /products/:slug
+     * links; the fix numbers every copy after the first
+     */
+    static findSlugCollisions({ entries, taken }) {
+        return this.groupBy(entries, entry => entry.product.slug).map(group => {
+            const slug = group[0].product.slug;
+            const changes = group.slice(1).map(entry => this.change(entry, 'slug', this.uniqueSlug(slug, taken.slugs)));
+            return this.issue('slugCollision', group, { slug, count: group.length }, changes);
+        });
+    }
+    
+    /**
+     * Products without a slug; the fix derives one from the title
+     */
+    static findMissingSlugs({ entries, taken }) {
+        return entries
+            .filter(entry => !entry.product.slug)
+            .map(entry => {
+                const base = this.DataConverter.slugify(entry.product.title);
+                const changes = base ? [this.change(entry, 'slug', this.uniqueSlug(base, taken.slugs))] : null;
+                return this.issue('missingSlug', [entry], { title: entry.product.title }, changes);
+            });
+    }
+    
+    /**
+     * Slugs a typo apart ("wireless-mouse" / "wirless-mouse"). Slugs are
+     * compared without a trailing number, so numbered variants ("tee" /
+     * "tee-2"), which are deliberate, are not paired with each other.
+     */
+    static findSimilarSlugs({ entries }) {
+        const slugs = this.distinctValues(entries, entry => this.stripNumber(entry.product.slug));
+        return this.similarPairs(slugs).map(([a, b, similarity]) => this.issue('similarSlug', [...a.entries, ...b.entries], {
+            first: a.entries[0].product.slug,
+            second: b.entries[0].product.slug,
+            similarity: Math.round(similarity * 100)
+        }));
+    }
+    
+    /**
+     * Products whose titles only differ in case, accents or spacing
+     */
+    static findDuplicateTitles({ entries }) {
+        return this.groupBy(entries, entry => this.foldTitle(entry.product.title)).map(group =>
+            this.issue('duplicateTitle', group, { title: group[0].product.title, count: group.length })
+        );
+    }
+    
+    /**
+     * Titles that are nearly the same: the same words in another order, or a
+     * few letters apart. Titles are compared without a trailing number, so
+     * "Tee 5" and "Te 1" are paired; numbered copies of one title are
+     * reported by findNumberedTitles instead.
+     */
+    static findSimilarTitles({ entries }) {
+        const titles = this.distinctValues(entries, entry => this.stripNumber(this.foldTitle(entry.product.title)));
+        return this.similarPairs(titles, title => title.split(' ').sort().join(' '))
+            .map(([a, b, similarity]) => this.issue('similarTitle', [...a.entries, ...b.entries], {
+                first: a.entries[0].product.title,
+                second: b.entries[0].product.title,
+                similarity: Math.round(similarity * 100)
+            }));
+    }
+    
+    /**
+     * Titles that only differ in a trailing number ("Tee", "Tee 1", "Tee 2"):
+     * often copies of one product that were never renamed. One issue per
+     * title, however many copies it has.
+     */
+    static findNumberedTitles({ entries }) {
+        return this.groupBy(entries, entry => this.stripNumber(this.foldTitle(entry.product.title)))
+            .filter(group => new Set(group.map(entry => this.foldTitle(entry.product.title))).size > 1)
+            .map(group => {
+                const base = group.find(entry => this.foldTitle(entry.product.title) === this.stripNumber(this.foldTitle(entry.product.title)));
+                return this.issue('numberedTitle', group, {
+                    title: (base || group[0]).product.title.replace(/\s+\d+$/, ''),
+                    count: group.length
+                });
+            });
+    }
+    
+    /**
+     * Free products, and prices far from the rest of their category. Prices
+     * are compared on a log scale, as they spread over orders of magnitude;
+     * small categories are compared with the whole catalogue.
+     */
+    static findPriceProblems({ entries }) {
+        const issues = entries
+            .filter(entry => !(entry.product.price > 0))
+            .map(entry => this.issue('zeroPrice', [entry], { title: entry.product.title, price: entry.product.price }));
+        
+        const priced = entries.filter(entry => entry.product.price > 0);
+        const fencesOf = group => {
+            const logs = group.map(entry => Math.log10(entry.product.price)).sort((a, b) => a - b);
+            const q1 = this.DataConverter.quantile(logs, 0.25);
+            const q3 = this.DataConverter.quantile(logs, 0.75);
+            const spread = Math.max(q3 - q1, this.MIN_LOG_PRICE_SPREAD) * this.OUTLIER_FENCE;
+            return { low: 10 ** (q1 - spread), high: 10 ** (q3 + spread) };
+        };
+        const overall = priced.length >= this.MIN_PRICE_GROUP ? fencesOf(priced) : null;
+        
+        const byCategory = new Map();
+        priced.forEach(entry => {
+            const key = entry.product.category.id;
+            if (!byCategory.has(key)) byCategory.set(key, []);
+            byCategory.get(key).push(entry);
+        });
+        
+        byCategory.forEach(group => {
+            const own = group.length >= this.MIN_PRICE_GROUP;
+            const fences = own ? fencesOf(group) : overall;
+            if (!fences) return;
+            group
+                .filter(entry => entry.product.price < fences.low || entry.product.price > fences.high)
+                .forEach(entry => issues.push(this.issue('priceOutlier', [entry], {
+                    title: entry.product.title,
+                    price: entry.product.price,
+                    low: Math.round(fences.low * 100) / 100,
+                    high: Math.round(fences.high * 100) / 100
+                })));
+        });
+        return issues;
+    }
+    
+    /**
+     * Products updated before they were created; the fix stamps updatedAt
+     * with the time of the repair
+     */
+    static findDateProblems({ entries, now }) {
+        return entries
+            .filter(entry => {
+                const created = Date.parse(entry.product.creationAt);
+                const updated = Date.parse(entry.product.updatedAt);
+                return !Number.isNaN(created) && !Number.isNaN(updated) && updated < created;
+            })
+            .map(entry => this.issue('datesOutOfOrder', [entry], {
+                title: entry.product.title,
+                creationAt: entry.product.creationAt,
+                updatedAt: entry.product.updatedAt
+            }, [this.change(entry, 'updatedAt', now)]));
+    }
+    
+    /**
+     * Images from placeholder services; the fix removes them, leaving the
+     * product without a picture rather than with a fake one
+     */
+    static findPlaceholderImages({ entries }) {
+        return entries
+            .map(entry => ({ entry, urls: entry.product.images.filter(url => this.isPlaceholderImage(url)) }))
+            .filter(({ urls }) => urls.length)
+            .map(({ entry, urls }) => this.issue('placeholderImage', [entry], { title: entry.product.title, urls },
+                [{ ...this.change(entry, 'images', entry.product.images.filter(url => !urls.includes(url))), remove: urls }]));
+    }
+    
+    /**
+     * The same image URL on several products (placeholders are reported
+     * on their own)
+     */
+    static findSharedImages({ entries }) {
+        const users = new Map();
+        entries.forEach(entry => {
+            new Set(entry.product.images).forEach(url => {
+                if (this.isPlaceholderImage(url)) return;
+                if (!users.has(url)) users.set(url, []);
+                users.get(url).push(entry);
+            });
+        });
+        return Array.from(users.entries())
+            .filter(([, group]) => group.length > 1)
+            .map(([url, group]) => this.issue('sharedImage', group, { url, count: group.length }));
+    }
+    
+    /**
+     * Images that did not load in the network check; the fix removes them
+     */
+    static findUnreachableImages({ entries, unreachableImages }) {
+        if (!unreachableImages || !unreachableImages.size) return [];
+        return entries
+            .map(entry => ({ entry, urls: entry.product.images.filter(url => unreachableImages.has(url)) }))
+            .filter(({ urls }) => urls.length)
+            .map(({ entry, urls }) => this.issue('unreachableImage', [entry], {
+                title: entry.product.title,
+                urls,
+                reasons: urls.map(url => unreachableImages.get(url))
+            }, [{ ...this.change(entry, 'images', entry.product.images.filter(url => !urls.includes(url))), remove: urls }]));
+    }
+    
+    /**
+     * Apply the fixes of a report to the records it was made from
+     * @param {Array} records - Raw product records; changed in place
+     * @param {Object} report - Result of analyze over the same records
+     * @param {Array<string>} types - Issue types to fix; every fixable type when omitted
+     * @returns {Array} The changes made, as { type, index, productId, field, before, after }
+     */
+    static applyFixes(records, report, types = null) {
+        const wanted = new Set(types || this.FIXABLE);
+        const applied = [];
+        const touched = new Set();
+        
+        report.issues
+            .filter(issue => issue.fix && wanted.has(issue.type))
+            .forEach(issue => issue.fix.changes.forEach(change => {
+                const record = records[change.index];
+                if (!record || typeof record !== 'object') return;
+                
+                // Several fixes may remove images from the same product
+                const after = change.remove
+                    ? (Array.isArray(record.images) ? record.images : []).filter(url => !change.remove.includes(url))
+                    : change.after;
+                const before = record[change.field];
+                record[change.field] = after;
+                touched.add(record);
+                applied.push({ type: issue.type, index: change.index, productId: change.productId, field: change.field, before, after });
+            }));
+        
+        touched.forEach(record => {
+            record.updatedAt = report.generatedAt;
+        });
+        return applied;
+    }
+    
+    /**
+     * Describe an issue in English, for the CLI and server logs (the
+     * dashboard uses the quality.issue.* messages instead)
+     * @param {Object} issue - Issue from analyze
+     * @returns {string} One line
+     */
+    static describe(issue) {
+        const template = this.CHECKS[issue.type].message;
+        return template.replace(/\{(\w+)\}/g, (match, key) => {
+            const value = issue.params[key];
+            if (value === undefined) return match;
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        });
+    }
+    
+    /**
+     * @param {string} url - Image URL
+     * @returns {boolean} True when it points at a placeholder image service
+     */
+    static isPlaceholderImage(url) {
+        let host;
+        try {
+            host = new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return false;
+        }
+        return this.PLACEHOLDER_HOSTS.some(known => host === known || host.endsWith(`.${known}`));
+    }
+    
+    /**
+     * Fold a title for comparison: no accents, lower case, words only
+     * @param {string} title - Title
+     * @returns {string} Folded title
+     */
+    static foldTitle(title) {
+        return this.SearchIndex.fold(title).replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+    
+    /**
+     * Collect the distinct values of a field with the entries having each
+     * @param {Array} entries - { index, product } entries
+     * @param {Function} keyOf - (entry) => value, '' to skip
+     * @returns {Array} List of { key, entries }
+     */
+    static distinctValues(entries, keyOf) {
+        const values = new Map();
+        entries.forEach(entry => {
+            const key = keyOf(entry);
+            if (!key) return;
+            if (!values.has(key)) values.set(key, []);
+            values.get(key).push(entry);
+        });
+        return Array.from(values, ([key, group]) => ({ key, entries: group }));
+    }
+    
+    /**
+     * Find pairs of distinct values that are nearly the same. Comparing every
+     * pair is quadratic, so large catalogues only get the canonical-form check.
+     * @param {Array} values - { key, entries } from distinctValues
+     * @param {Function} canonical - key => form under which values count as equal
+     * @returns {Array} List of [a, b, similarity]
+     */
+    static similarPairs(values, canonical = key => key) {
+        const pairs = [];
+        const seen = new Set();
+        const add = (a, b, similarity) => {
+            const id = `${a.key}\u0000${b.key}`;
+            if (seen.has(id)) return;
+            seen.add(id);
+            pairs.push([a, b, similarity]);
+        };
+        
+        this.groupBy(values, value => canonical(value.key)).forEach(group => {
+            for (let i = 1; i < group.length; i++) add(group[0], group[i], 1);
+        });
+        
+        if (values.length <= this.MAX_PAIRWISE) {
+            for (let i = 0; i < values.length; i++) {
+                for (let j = i + 1; j < values.length; j++) {
+                    const similarity = this.similarity(values[i].key, values[j].key);
+                    if (similarity >= this.SIMILARITY_THRESHOLD) add(values[i], values[j], similarity);
+                }
+            }
+        }
+        return pairs;
+    }
+    
+    /**
+     * @param {string} key - Folded title or slug
+     * @returns {string} The key without a trailing number ("tee-2" -> "tee")
+     */
+    static stripNumber(key) {
+        return key.replace(/[-\s]\d+$/, '');
+    }
+    
+    /**
+     * Similarity of two strings from their edit distance
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} 1 for equal strings, down to 0
+     */
+    static similarity(a, b) {
+        const longest = Math.max(a.length, b.length);
+        if (!longest) return 1;
+        // Too different in length to pass the threshold; skip the distance
+        if (Math.min(a.length, b.length) / longest < this.SIMILARITY_THRESHOLD) return 0;
+        
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return 1 - previous[b.length] / longest;
+    }
+    
+    /**
+     * Number a slug until it is unused, and reserve it
+     * @param {string} base - Wanted slug
+     * @param {Set} taken - Slugs in use; the result is added
+     * @returns {string} `base`, or `base-2`, `base-3`, ...
+     */
+    static uniqueSlug(base, taken) {
+        let slug = base;
+        for (let n = 2; taken.has(slug); n++) {
+            slug = `${base}-${n}`;
+        }
+        taken.add(slug);
+        return slug;
+    }
+    
+    /**
+     * DataConverter, as a global in the browser or required in Node
+     * @returns {Function} DataConverter class
+     */
+    static get DataConverter() {
+        return typeof DataConverter !== 'undefined' ? DataConverter : require('./data-converter');
+    }
+    
+    /**
+     * SearchIndex, as a global in the browser or required in Node
+     * @returns {Function} SearchIndex class
+     */
+    static get SearchIndex() {
+        return typeof SearchIndex !== 'undefined' ? SearchIndex : require('./search-index');
+    }
+}
+
+// Every check, with its severity and an English message for the CLI
+DataQuality.CHECKS = {
+    duplicateId: { severity: 'error', message: 'Id {id} is used by {count} records' },
+    slugCollision: { severity: 'error', message: 'Slug "{slug}" is used by {count} products' },
+    missingSlug: { severity: 'info', message: '"{title}" has no slug' },
+    similarSlug: { severity: 'warning', message: 'Slugs "{first}" and "{second}" are nearly the same ({similarity}%)' },
+    duplicateTitle: { severity: 'warning', message: 'Title "{title}" is used by {count} products' },
+    similarTitle: { severity: 'warning', message: 'Titles "{first}" and "{second}" are nearly the same ({similarity}%)' },
+    numberedTitle: { severity: 'info', message: '{count} products are named "{title}" with only a number to tell them apart' },
+    zeroPrice: { severity: 'error', message: '"{title}" has a price of {price}' },
+    priceOutlier: { severity: 'warning', message: '"{title}" costs {price}, outside the usual {low} – {high}' },
+    datesOutOfOrder: { severity: 'error', message: '"{title}" was updated ({updatedAt}) before it was created ({creationAt})' },
+    placeholderImage: { severity: 'warning', message: '"{title}" uses a placeholder image: {urls}' },
+    sharedImage: { severity: 'info', message: '{count} products use the same image {url}' },
+    unreachableImage: { severity: 'warning', message: '"{title}" has images that do not load: {urls} ({reasons})' }
+};
+
+// Issue types applyFixes can repair
+DataQuality.FIXABLE = ['duplicateId', 'slugCollision', 'missingSlug', 'datesOutOfOrder', 'placeholderImage', 'unreachableImage'];
+
+// Hosts of placeholder image services (subdomains included)
+DataQuality.PLACEHOLDER_HOSTS = [
+    'placehold.co',
+    'placehold.it',
+    'placeholder.com',
+    'placeimg.com',
+    'dummyimage.com',
+    'fakeimg.pl',
+    'picsum.photos',
+    'loremflickr.com'
+];
+
+// Edit-distance similarity from which two titles or slugs count as near-duplicates
+DataQuality.SIMILARITY_THRESHOLD = 0.85;
+
+// Up to this many distinct values, every pair is compared
+DataQuality.MAX_PAIRWISE = 2000;
+
+// Price outliers lie this many interquartile ranges (of log10 prices) outside the quartiles
+DataQuality.OUTLIER_FENCE = 1.5;
+
+// Smallest interquartile range used, so near-identical prices do not make everything an outlier
+DataQuality.MIN_LOG_PRICE_SPREAD = 0.1;
+
+// Categories with fewer priced products are compared with the whole catalogue
+DataQuality.MIN_PRICE_GROUP = 5;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataQuality;
+}
@@ -0,0 +1,314 @@
+// Data sources: where product records are read from and written to
+
+/**
+ * Raised by a data source when a request fails or an operation is not
+ * available; status is the HTTP status for remote sources
+ */
+class DataSourceError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'DataSourceError';
+        this.status = status;
+    }
+}
+
+/**
+ * Interface shared by every data source. Records keep the db.json shape
+ * (the shape of the public fake-store product API), ids included.
+ *
+ * Subclasses implement list() and the writes they support; get() and
+ * applyChanges() fall back to list() and one write per record.
+ */
+class DataSource {
+    /**
+     * @returns {Promise<Array>} Every product record
+     */
+    async list() {
+        throw new DataSourceError(`${this.constructor.name} cannot list products`);
+    }
+    
+    /**
+     * @param {number} id - Product id
+     * @returns {Promise<Object|null>} The record, or null when there is none
+     */
+    async get(id) {
+        return (await this.list()).find(record => record && Number(record.id) === Number(id)) || null;
+    }
+    
+    /**
+     * @param {Object} record - New record
+     * @returns {Promise<Object>} The record as stored (a remote source may assign the id)
+     */
+    async create(record) {
+        throw this.readOnlyError();
+    }
+    
+    /**
+     * @param {number} id - Product id
+     * @param {Object} record - Whole new record
+     * @returns {Promise<Object>} The record as stored
+     */
+    async update(id, record) {
+        throw this.readOnlyError();
+    }
+    
+    /**
+     * @param {number} id - Product id
+     */
+    async delete(id) {
+        throw this.readOnlyError();
+    }
+    
+    /**
+     * Apply a batch of writes. Sources that can do it in one step (a file
+     * rewrite, a transaction) override this.
+     * @param {Object} changes
+     * @param {Array} changes.created - New records
+     * @param {Array} changes.updated - Changed records, matched by id
+     * @param {Array} changes.deleted - Ids of removed records
+     * @returns {Promise<Object>} { created, updated }: the records as stored,
+     *   in the order given (a remote source may assign other ids, or drop
+     *   fields it does not keep)
+     */
+    async applyChanges({ created = [], updated = [], deleted = [] }) {
+        for (const id of deleted) await this.delete(id);
+        const stored = { created: [], updated: [] };
+        for (const record of updated) stored.updated.push(await this.update(record.id, record));
+        for (const record of created) stored.created.push(await this.create(record));
+        return stored;
+    }
+    
+    /**
+     * Whether create, update and delete are available
+     * @returns {boolean} False for read-only sources
+     */
+    get readOnly() {
+        return this.create === DataSource.prototype.create;
+    }
+    
+    /**
+     * @returns {DataSourceError} Error for writes to a read-only source
+     */
+    readOnlyError() {
+        return new DataSourceError(`${this.constructor.name} is read-only`);
+    }
+    
+    /**
+     * Create the source a browser config asks for
+     * @param {Object} config - { type: 'api' | 'json' | 'rest', ...options }
+     * @returns {DataSource|null} The source, or null for the server's own API
+     * @throws {DataSourceError} On an unknown type
+     */
+    static fromConfig(config = {}) {
+        const { type = 'api', ...options } = config;
+        switch (type) {
+            case 'api': return null;
+            case 'json': return new JsonUrlSource(options.url || '/db.json');
+            case 'rest': return new RestDataSource(options);
+            default: throw new DataSourceError(`Unknown data source type "${type}"`);
+        }
+    }
+}
+
+/**
+ * Read-only source for a JSON file served over HTTP, such as the db.json
+ * that `npm run dev` mounts next to public/
+ */
+class JsonUrlSource extends DataSource {
+    /**
+     * @param {string} url - URL of the JSON array
+     */
+    constructor(url) {
+        super();
+        this.url = url;
+    }
+    
+    async list() {
+        const response = await fetch(this.url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new DataSourceError(`${this.url} answered HTTP ${response.status}`, response.status);
+        }
+        const data = await response.json();
+        if (!Array.isArray(data)) {
+            throw new DataSourceError(`${this.url} does not contain a list of products`);
+        }
+        return data;
+    }
+}
+
+/**
+ * Source for a remote REST API with the fake-store layout:
+ *   GET    {baseUrl}/products?offset=0&limit=50
+ *   GET    {baseUrl}/products/:id
+ *   POST   {baseUrl}/products
+ *   PUT    {baseUrl}/products/:id
+ *   DELETE {baseUrl}/products/:id
+ *
+ * Writes send the editable fields with the category as categoryId, as that
+ * API expects; the remote keeps its own ids and timestamps. create() and
+ * update() answer with the record as the remote stored it, without any
+ * field it ignored. The full list is cached for cacheTtl, so pages and
+ * searches do not each walk every page of the remote.
+ */
+class RestDataSource extends DataSource {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - API root, without /products
+     * @param {number} options.pageSize - Records asked for per page
+     * @param {string} options.authHeader - Value of the auth header, e.g. "Bearer <token>"
+     * @param {string} options.authHeaderName - Name of the auth header
+     * @param {number} options.timeout - Time allowed per request, in ms
+     * @param {number} options.cacheTtl - How long the full list is reused, in ms
+     */
+    constructor({
+        baseUrl,
+        pageSize = RestDataSource.PAGE_SIZE,
+        authHeader = null,
+        authHeaderName = 'Authorization',
+        timeout = RestDataSource.TIMEOUT_MS,
+        cacheTtl = RestDataSource.CACHE_TTL_MS
+    } = {}) {
+        super();
+        if (!baseUrl) {
+            throw new DataSourceError('The REST data source needs a base URL');
+        }
+        if (!Number.isInteger(pageSize) || pageSize < 1) {
+            throw new DataSourceError(`Invalid page size: ${pageSize}`);
+        }
+        this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+        this.pageSize = pageSize;
+        this.authHeader = authHeader;
+        this.authHeaderName = authHeaderName;
+        this.timeout = timeout;
+        this.cacheTtl = cacheTtl;
+        this.cache = null;   // { records, loadedAt }
+    }
+    
+    /**
+     * Read every page. Stops at the first short or empty page, or when a
+     * remote that ignores the offset sends a page it already sent.
+     */
+    async list() {
+        if (this.cache && Date.now() - this.cache.loadedAt < this.cacheTtl) {
+            return this.cache.records;
+        }
+        
+        const records = [];
+        const seen = new Set();
+        for (let offset = 0; ; offset += this.pageSize) {
+            const body = await this.request('GET', `/products?offset=${offset}&limit=${this.pageSize}`);
+            const page = Array.isArray(body) ? body : body && Array.isArray(body.data) ? body.data : null;
+            if (!page) {
+                throw new DataSourceError(`${this.baseUrl}/products did not answer with a list of products`);
+            }
+            const fresh = page.filter(record => record && !seen.has(record.id));
+            fresh.forEach(record => seen.add(record.id));
+            records.push(...fresh);
+            if (page.length < this.pageSize || fresh.length < page.length) break;
+        }
+        
+        this.cache = { records, loadedAt: Date.now() };
+        return records;
+    }
+    
+    async get(id) {
+        try {
+            return await this.request('GET', `/products/${encodeURIComponent(id)}`);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+    
+    async create(record) {
+        this.cache = null;
+        return this.request('POST', '/products', this.toPayload(record));
+    }
+    
+    async update(id, record) {
+        this.cache = null;
+        return this.request('PUT', `/products/${encodeURIComponent(id)}`, this.toPayload(record));
+    }
+    
+    async delete(id) {
+        this.cache = null;
+        await this.request('DELETE', `/products/${encodeURIComponent(id)}`);
+    }
+    
+    /**
+     * Version of the cached list, so callers can cache what they derive
+     * from it; refreshes the list once it is older than cacheTtl
+     * @returns {Promise<{mtimeMs: number, size: number}>} When the list was loaded, and its length
+     */
+    async stat() {
+        const records = await this.list();
+        return { mtimeMs: this.cache.loadedAt, size: records.length };
+    }
+    
+    /**
+     * @param {Object} record - Record in the db.json shape
+     * @returns {Object} Body for POST and PUT
+     */
+    toPayload(record) {
+        return {
+            title: record.title,
+            slug: record.slug,
+            price: record.price,
+            description: record.description,
+            categoryId: record.category ? record.category.id : record.categoryId,
+            images: record.images
+        };
+    }
+    
+    /**
+     * Send a request and decode the JSON answer
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the base URL
+     * @param {Object} body - Optional JSON body
+     * @returns {Promise<*>} Decoded body (null when empty)
+     * @throws {DataSourceError} On a network error, a timeout or an error status
+     */
+    async request(method, path, body) {
+        const url = `${this.baseUrl}${path}`;
+        const headers = { Accept: 'application/json' };
+        if (this.authHeader) headers[this.authHeaderName] = this.authHeader;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        } catch (error) {
+            const reason = error.name === 'TimeoutError' ? 'timed out' : error.message;
+            throw new DataSourceError(`${method} ${url} failed: ${reason}`);
+        }
+        
+        const text = await response.text();
+        if (!response.ok) {
+            throw new DataSourceError(`${method} ${url} answered HTTP ${response.status}`, response.status);
+        }
+        try {
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            throw new DataSourceError(`Invalid JSON response from ${url}`, response.status);
+        }
+    }
+}
+
+// Records asked for per page
+RestDataSource.PAGE_SIZE = 50;
+
+// Time allowed per request, in ms
+RestDataSource.TIMEOUT_MS = 10 * 1000;
+
+// How long the full list is reused, in ms
+RestDataSource.CACHE_TTL_MS = 5 * 1000;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataSource, DataSourceError, JsonUrlSource, RestDataSource };
+}
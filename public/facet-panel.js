@@ -0,0 +1,208 @@
+// Facet sidebar: categories, price range, date ranges and image count
+class FacetPanel {
+    /**
+     * @param {Function} onChange - (filters) => void, called when the user changes a facet
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.facets = null;
+        
+        this.element = document.getElementById('facet-panel');
+        this.categoryList = document.getElementById('facet-categories');
+        this.imageList = document.getElementById('facet-images');
+        this.priceMin = document.getElementById('facet-price-min');
+        this.priceMax = document.getElementById('facet-price-max');
+        this.priceLabel = document.getElementById('facet-price-label');
+        this.priceHint = document.getElementById('facet-price-hint');
+        this.activeCount = document.getElementById('facet-active-count');
+        this.dateInputs = {
+            createdFrom: document.getElementById('facet-created-from'),
+            createdTo: document.getElementById('facet-created-to'),
+            updatedFrom: document.getElementById('facet-updated-from'),
+            updatedTo: document.getElementById('facet-updated-to')
+        };
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Wire up facet events
+     */
+    setupEventListeners() {
+        this.categoryList.addEventListener('change', () => this.emit());
+        this.imageList.addEventListener('change', () => this.emit());
+        
+        // Keep the two price handles from crossing, and only query on release
+        [this.priceMin, this.priceMax].forEach(slider => {
+            slider.addEventListener('input', () => {
+                if (Number(this.priceMin.value) > Number(this.priceMax.value)) {
+                    if (slider === this.priceMin) {
+                        this.priceMin.value = this.priceMax.value;
+                    } else {
+                        this.priceMax.value = this.priceMin.value;
+                    }
+                }
+                this.updatePriceLabel();
+            });
+            slider.addEventListener('change', () => this.emit());
+        });
+        
+        Object.values(this.dateInputs).forEach(input => {
+            input.addEventListener('change', () => this.emit());
+        });
+        
+        document.getElementById('facet-clear').addEventListener('click', () => this.onChange({}));
+    }
+    
+    /**
+     * Render facet choices and their counts
+     * @param {Object} facets - Result of DataConverter.computeFacets
+     * @param {Object} filters - Active facet filters
+     */
+    render(facets, filters) {
+        this.facets = facets;
+        if (!facets) return;
+        
+        this.categoryList.innerHTML = facets.categories.length
+            ? facets.categories.map(category => this.renderOption('category', category.id, category.name, category)).join('')
+            : `<div class="small text-muted">${I18n.t('facets.noCategories')}</div>`;
+        
+        this.imageList.innerHTML = facets.images
+            .map(bucket => this.renderOption('images', bucket.value, I18n.t(FacetPanel.IMAGE_LABELS[bucket.value]), bucket))
+            .join('');
+        
+        // Price slider spans the whole catalogue so it does not jump as other filters change
+        const bounds = facets.price.bounds;
+        const low = Math.floor(bounds.min ?? 0);
+        const high = Math.ceil(bounds.max ?? 0);
+        [this.priceMin, this.priceMax].forEach(slider => {
+            slider.min = low;
+            slider.max = high;
+            slider.disabled = bounds.min === null;
+        });
+        this.priceMin.value = filters.priceMin ?? low;
+        this.priceMax.value = filters.priceMax ?? high;
+        this.updatePriceLabel();
+        this.priceHint.textContent = facets.price.min === null
+            ? I18n.t('facets.noMatches')
+            : I18n.t('facets.matchingPrices', { min: I18n.formatPrice(facets.price.min), max: I18n.formatPrice(facets.price.max) });
+        
+        DataConverter.DATE_FACETS.forEach(({ field, from, to }) => {
+            [from, to].forEach(key => {
+                const input = this.dateInputs[key];
+                input.min = facets[field].bounds.min || '';
+                input.max = facets[field].bounds.max || '';
+                input.value = filters[key] || '';
+            });
+        });
+        
+        const active = this.countActive(filters);
+        this.activeCount.textContent = active;
+        this.activeCount.classList.toggle('d-none', !active);
+    }
+    
+    /**
+     * Render a checkbox with its live count
+     * @param {string} name - Facet name
+     * @param {*} value - Checkbox value
+     * @param {string} label - Text shown
+     * @param {Object} choice - { count, selected }
+     * @returns {string} HTML
+     */
+    renderOption(name, value, label, choice) {
+        const id = `facet-${name}-${String(value).replace(/\W/g, '_')}`;
+        return `
+            <div class="form-check facet-option ${choice.count || choice.selected ? '' : 'facet-empty'}">
+                <input class="form-check-input" type="checkbox" id="${id}" name="${name}"
+                       value="${this.escapeHtml(value)}" ${choice.selected ? 'checked' : ''}>
+                <label class="form-check-label d-flex justify-content-between" for="${id}">
+                    <span>${this.escapeHtml(label)}</span>
+                    <span class="badge rounded-pill bg-light text-dark">${I18n.formatNumber(choice.count)}</span>
+                </label>
+            </div>
+        `;
+    }
+    
+    /**
+     * Show the selected price range next to the slider, in the display
+     * currency (the slider itself works in USD, like the filters)
+     */
+    updatePriceLabel() {
+        this.priceLabel.textContent = `${I18n.formatPrice(this.priceMin.value)} – ${I18n.formatPrice(this.priceMax.value)}`;
+    }
+    
+    /**
+     * Read the facet controls into a filters object
+     * @returns {Object} Facet filters as understood by DataConverter.matchesFilters
+     */
+    getFilters() {
+        const filters = {};
+        const checked = name => Array.from(this.element.querySelectorAll(`input[name="${name}"]:checked`))
+            .map(input => input.value);
+        
+        const categories = checked('category');
+        if (categories.length) filters.categories = categories;
+        
+        const images = checked('images');
+        if (images.length) filters.images = images;
+        
+        // A handle left at the end of the slider means "no limit"
+        if (!this.priceMin.disabled) {
+            if (this.priceMin.value !== this.priceMin.min) filters.priceMin = Number(this.priceMin.value);
+            if (this.priceMax.value !== this.priceMax.max) filters.priceMax = Number(this.priceMax.value);
+        }
+        
+        Object.entries(this.dateInputs).forEach(([key, input]) => {
+            if (input.value) filters[key] = input.value;
+        });
+        
+        return filters;
+    }
+    
+    /**
+     * Count the facets with an active filter
+     * @param {Object} filters - Facet filters
+     * @returns {number} Number of active facets
+     */
+    countActive(filters) {
+        let count = 0;
+        if (filters.categories?.length) count++;
+        if (filters.images?.length) count++;
+        if (filters.priceMin !== undefined || filters.priceMax !== undefined) count++;
+        DataConverter.DATE_FACETS.forEach(({ from, to }) => {
+            if (filters[from] || filters[to]) count++;
+        });
+        return count;
+    }
+    
+    /**
+     * Pass the current filters to onChange
+     */
+    emit() {
+        this.onChange(this.getFilters());
+    }
+    
+    /**
+     * Escape HTML special characters
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Labels for the image-count facet values (message keys)
+FacetPanel.IMAGE_LABELS = {
+    '0': 'facets.images.none',
+    '1': 'facets.images.one',
+    '2': 'facets.images.two',
+    '3+': 'facets.images.threePlus'
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacetPanel;
+}
@@ -0,0 +1,219 @@
+// Change history side panel: the activity feed for every product, or the versions of one
+class HistoryPanel {
+    /**
+     * @param {Function} onRestore - async (entry) => void, called when the user
+     *   restores the version recorded by an entry
+     * @param {Function} canRestore - () => boolean, whether to offer restoring
+     */
+    constructor(onRestore, canRestore = () => true) {
+        this.onRestore = onRestore;
+        this.canRestore = canRestore;
+        this.product = null;     // { id, title } when showing one product
+        this.entries = [];
+        this.hasMore = false;
+        this.requestId = 0;
+        
+        this.element = document.getElementById('history-panel');
+        this.title = document.getElementById('history-panel-title');
+        this.list = document.getElementById('history-list');
+        this.errorBox = document.getElementById('history-error');
+        this.moreButton = document.getElementById('history-more');
+        this.showAllButton = document.getElementById('history-show-all');
+        this.offcanvas = new bootstrap.Offcanvas(this.element);
+        
+        this.moreButton.addEventListener('click', () => this.load(true));
+        this.showAllButton.addEventListener('click', () => this.open(null));
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-restore-entry]');
+            if (!button) return;
+            const entry = this.entries.find(item => item.id === Number(button.dataset.restoreEntry));
+            if (entry) this.onRestore(entry);
+        });
+    }
+    
+    /**
+     * Open the panel
+     * @param {Object|null} product - { id, title } to show one product's history,
+     *   or null for every change
+     */
+    open(product = null) {
+        this.product = product;
+        this.title.textContent = product
+            ? I18n.t('history.productTitle', { id: product.id })
+            : I18n.t('history.title');
+        this.showAllButton.classList.toggle('d-none', !product);
+        this.entries = [];
+        this.renderEntries();
+        this.offcanvas.show();
+        this.load();
+    }
+    
+    /**
+     * Reload the entries if the panel is open, e.g. after a change
+     */
+    refresh() {
+        if (this.element.classList.contains('show')) {
+            this.load();
+        }
+    }
+    
+    /**
+     * Fetch a page of entries
+     * @param {boolean} append - Fetch the next (older) page instead of the newest
+     */
+    async load(append = false) {
+        const requestId = ++this.requestId;
+        const before = append && this.entries.length ? this.entries[this.entries.length - 1].id : null;
+        this.errorBox.classList.add('d-none');
+        this.moreButton.disabled = true;
+        
+        try {
+            const result = await ProductApi.listHistory({
+                productId: this.product ? this.product.id : null,
+                before
+            });
+            // A newer request (another product, a refresh) wins
+            if (requestId !== this.requestId) return;
+            
+            this.entries = append ? this.entries.concat(result.entries) : result.entries;
+            this.hasMore = result.hasMore;
+            this.renderEntries();
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            this.errorBox.textContent = I18n.t('history.loadFailed', { message: error.message });
+            this.errorBox.classList.remove('d-none');
+        } finally {
+            this.moreButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Render the loaded entries
+     */
+    renderEntries() {
+        this.moreButton.classList.toggle('d-none', !this.hasMore);
+        
+        if (!this.entries.length) {
+            this.list.innerHTML = `<li class="list-group-item text-muted small">${I18n.t('history.empty')}</li>`;
+            return;
+        }
+        this.list.innerHTML = this.entries.map(entry => this.renderEntry(entry)).join('');
+    }
+    
+    /**
+     * Render one entry: who did what and when, the field changes, and a
+     * button to go back to that version
+     * @param {Object} entry - Audit log entry
+     * @returns {string} HTML
+     */
+    renderEntry(entry) {
+        const { label, className } = HistoryPanel.ACTION_LABELS[entry.action];
+        const source = HistoryPanel.SOURCE_LABELS[entry.source];
+        
+        // A new product lists every field; the title says enough
+        const changes = entry.action === 'update'
+            ? entry.changes.map(change => `
+                <div class="small">
+                    ${HistoryPanel.FIELD_LABELS[change.field] ? I18n.t(HistoryPanel.FIELD_LABELS[change.field]) : change.field}:
+                    <del class="text-danger">${this.formatValue(change.field, change.before)}</del>
+                    → <ins class="text-success">${this.formatValue(change.field, change.after)}</ins>
+                </div>
+            `).join('')
+            : '';
+        
+        return `
+            <li class="list-group-item px-0">
+                <div class="d-flex justify-content-between align-items-start gap-2">
+                    <div>
+                        <span class="badge ${className}">${I18n.t(label)}</span>
+                        ${source ? `<span class="badge bg-light text-dark border">${I18n.t(source)}</span>` : ''}
+                        <strong>#${entry.productId}</strong> ${this.escapeHtml(entry.title ?? '')}
+                    </div>
+                    ${this.canRestore() ? `
+                        <button type="button" class="btn btn-sm btn-outline-secondary py-0" data-restore-entry="${entry.id}"
+                                title="${I18n.t(entry.action === 'delete' ? 'history.restoreDeleted' : 'history.restoreVersion')}">
+                            <i class="bi bi-arrow-counterclockwise"></i>
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="small text-muted">
+                    ${this.formatTime(entry.timestamp)} · ${this.escapeHtml(entry.author || I18n.t('history.anonymous'))}
+                </div>
+                ${changes}
+            </li>
+        `;
+    }
+    
+    /**
+     * Format a field value for the diff
+     * @param {string} field - Field name
+     * @param {*} value - Value
+     * @returns {string} Escaped HTML
+     */
+    formatValue(field, value) {
+        if (value === null || value === undefined || value === '') return `<em>${I18n.t('history.emptyValue')}</em>`;
+        if (field === 'price') return I18n.formatPrice(value);
+        if (field === 'images') return I18n.t('history.imageCount', { count: value.length });
+        if (field === 'creationAt') return this.formatTime(value);
+        
+        const text = String(value);
+        return this.escapeHtml(text.length > 60 ? `${text.substring(0, 60)}...` : text);
+    }
+    
+    /**
+     * @param {string} timestamp - ISO date
+     * @returns {string} Date and time in the current locale
+     */
+    formatTime(timestamp) {
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? '' : I18n.formatDateTime(date);
+    }
+    
+    /**
+     * Escape HTML special characters
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Badge per action (label is a message key)
+HistoryPanel.ACTION_LABELS = {
+    create: { label: 'history.action.create', className: 'bg-success' },
+    update: { label: 'history.action.update', className: 'bg-primary' },
+    delete: { label: 'history.action.delete', className: 'bg-danger' }
+};
+
+// Where a change came from (message keys); plain edits get no badge
+HistoryPanel.SOURCE_LABELS = {
+    api: '',
+    import: 'history.source.import',
+    bulk: 'history.source.bulk',
+    restore: 'history.source.restore',
+    undo: 'history.source.undo',
+    redo: 'history.source.redo',
+    merge: 'history.source.merge',
+    category: 'history.source.category',
+    quality: 'history.source.quality',
+    migrate: 'history.source.migrate'
+};
+
+// Field names shown in the diff (message keys)
+HistoryPanel.FIELD_LABELS = {
+    title: 'field.title',
+    slug: 'field.slug',
+    price: 'field.price',
+    description: 'field.description',
+    category: 'field.category',
+    images: 'field.images',
+    creationAt: 'field.creationAt'
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryPanel;
+}
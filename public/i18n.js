@@ -0,0 +1,265 @@
+// UI translations (locales/*.js) and locale-aware formatting of numbers,
+// dates and prices. The language, display currency and exchange rate are
+// kept in localStorage.
+class I18n {
+    /**
+     * Read the saved settings and translate the static page
+     */
+    static init() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable language settings:', error);
+        }
+        
+        this.locale = this.LOCALES[saved.locale] ? saved.locale : this.DEFAULT_LOCALE;
+        this.currency = this.CURRENCIES[saved.currency] ? saved.currency : this.DEFAULT_CURRENCY;
+        this.exchangeRate = Number(saved.exchangeRate) > 0 ? Number(saved.exchangeRate) : this.DEFAULT_EXCHANGE_RATE;
+        this.formatters = new Map();
+        this.translatePage();
+    }
+    
+    /**
+     * Translate a message
+     * @param {string} key - Message key, e.g. 'table.empty'
+     * @param {Object} params - Values for the {placeholders}. `count` also
+     *   picks the plural form of messages that have one, and is shown with
+     *   the locale's digit grouping.
+     * @returns {string} Plain text (not HTML-escaped)
+     */
+    static t(key, params = {}) {
+        let message = this.messages[this.locale]?.[key] ?? this.messages[this.DEFAULT_LOCALE]?.[key];
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+        
+        const values = { ...params };
+        if (typeof params.count === 'number') {
+            values.count = this.formatNumber(params.count);
+        }
+        
+        // Plural messages are { one, few, many, other, ... } as named by Intl.PluralRules
+        if (typeof message === 'object') {
+            const form = this.pluralRules().select(Number(params.count) || 0);
+            message = message[form] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+    }
+    
+    /**
+     * Whether the current language has its own text for a message
+     * @param {string} key - Message key
+     * @returns {boolean} True when the bundle of the current locale defines it
+     */
+    static has(key) {
+        return this.messages[this.locale]?.[key] !== undefined;
+    }
+    
+    /**
+     * Switch the UI language
+     * @param {string} locale - Key of LOCALES
+     */
+    static setLocale(locale) {
+        if (!this.LOCALES[locale] || locale === this.locale) return;
+        this.locale = locale;
+        this.formatters.clear();
+        this.save();
+        this.translatePage();
+        this.notify();
+    }
+    
+    /**
+     * Change how prices are shown
+     * @param {string} currency - Key of CURRENCIES
+     * @param {number} exchangeRate - VND per USD
+     */
+    static setCurrency(currency, exchangeRate = this.exchangeRate) {
+        if (!this.CURRENCIES[currency] || !(Number(exchangeRate) > 0)) return;
+        this.currency = currency;
+        this.exchangeRate = Number(exchangeRate);
+        this.formatters.clear();
+        this.save();
+        this.notify();
+    }
+    
+    /**
+     * Register a function called after the language or currency changed
+     * @param {Function} listener - () => void
+     */
+    static onChange(listener) {
+        this.listeners.push(listener);
+    }
+    
+    /**
+     * Call the change listeners
+     */
+    static notify() {
+        this.listeners.forEach(listener => listener());
+    }
+    
+    /**
+     * Persist the settings
+     */
+    static save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+                locale: this.locale,
+                currency: this.currency,
+                exchangeRate: this.exchangeRate
+            }));
+        } catch (error) {
+            console.warn('Could not save language settings:', error);
+        }
+    }
+    
+    /**
+     * Translate the static markup: data-i18n sets the text, and
+     * data-i18n-placeholder / -title / -aria-label set those attributes
+     * @param {ParentNode} root - Element to translate, the whole page by default
+     */
+    static translatePage(root = document) {
+        if (root === document) {
+            document.documentElement.lang = this.locale;
+        }
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+    
+    /**
+     * @returns {string} BCP 47 tag of the current locale, for Intl
+     */
+    static get intlLocale() {
+        return this.LOCALES[this.locale].intl;
+    }
+    
+    /**
+     * Cached Intl formatters; building them is slow and the table formats
+     * several values per row
+     * @param {string} key - Cache key
+     * @param {Function} create - () => formatter
+     * @returns {Object} Formatter
+     */
+    static formatter(key, create) {
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, create());
+        }
+        return this.formatters.get(key);
+    }
+    
+    /**
+     * @returns {Intl.PluralRules} Plural rules of the current locale
+     */
+    static pluralRules() {
+        return this.formatter('plural', () => new Intl.PluralRules(this.intlLocale));
+    }
+    
+    /**
+     * Format a number with the locale's separators
+     * @param {number} value - Number
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    static formatNumber(value, options = {}) {
+        return this.formatter(`number:${JSON.stringify(options)}`, () => new Intl.NumberFormat(this.intlLocale, options))
+            .format(value);
+    }
+    
+    /**
+     * Format a price, stored in USD, in the display currency
+     * @param {number} usd - Price in USD
+     * @returns {string} Formatted price, e.g. '$12.50' or '312.500 ₫'
+     */
+    static formatPrice(usd) {
+        const { digits } = this.CURRENCIES[this.currency];
+        return this.formatter(`price:${this.currency}`, () => new Intl.NumberFormat(this.intlLocale, {
+            style: 'currency',
+            currency: this.currency,
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        })).format(this.toDisplayCurrency(Number(usd) || 0));
+    }
+    
+    /**
+     * Convert a USD amount to the display currency
+     * @param {number} usd - Amount in USD
+     * @returns {number} Amount in the display currency
+     */
+    static toDisplayCurrency(usd) {
+        return this.currency === 'VND' ? usd * this.exchangeRate : usd;
+    }
+    
+    /**
+     * Format a date (no time)
+     * @param {string|Date} value - ISO date or Date
+     * @returns {string} Formatted date, or 'N/A' when missing or invalid
+     */
+    static formatDate(value) {
+        return this.formatTimestamp(value, 'date', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    }
+    
+    /**
+     * Format a date and time
+     * @param {string|Date} value - ISO date or Date
+     * @returns {string} Formatted date and time, or 'N/A' when missing or invalid
+     */
+    static formatDateTime(value) {
+        return this.formatTimestamp(value, 'datetime', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    
+    /**
+     * @param {string|Date} value - ISO date or Date
+     * @param {string} key - Formatter cache key
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted value, or 'N/A'
+     */
+    static formatTimestamp(value, key, options) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (!value || isNaN(date.getTime())) return 'N/A';
+        return this.formatter(key, () => new Intl.DateTimeFormat(this.intlLocale, options)).format(date);
+    }
+}
+
+// Languages of the switcher; the first is the source language of the UI
+I18n.LOCALES = {
+    vi: { name: 'Tiếng Việt', intl: 'vi-VN' },
+    en: { name: 'English', intl: 'en-US' }
+};
+
+// Display currencies; prices are stored in USD
+I18n.CURRENCIES = {
+    USD: { digits: 2 },
+    VND: { digits: 0 }
+};
+
+I18n.DEFAULT_LOCALE = 'vi';
+I18n.DEFAULT_CURRENCY = 'USD';
+I18n.DEFAULT_EXCHANGE_RATE = 25000;   // VND per USD
+I18n.STORAGE_KEY = 'productTable.i18n';
+
+// Message bundles, filled by locales/*.js
+I18n.messages = {};
+I18n.listeners = [];
+I18n.locale = I18n.DEFAULT_LOCALE;
+I18n.currency = I18n.DEFAULT_CURRENCY;
+I18n.exchangeRate = I18n.DEFAULT_EXCHANGE_RATE;
+I18n.formatters = new Map();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
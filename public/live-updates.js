@@ -0,0 +1,99 @@
+// Live product changes from the server's event stream (GET /api/events)
+class LiveUpdates {
+    /**
+     * @param {string} url - Event stream URL
+     * @param {Object} handlers
+     * @param {Function} handlers.onChange - ({ created, updated, deleted }) => void
+     * @param {Function} handlers.onResync - () => void, called when events were missed
+     *   and the client should reload instead of applying changes
+     * @param {Function} handlers.onStatus - (status) => void, status is
+     *   'connecting', 'live' or 'reconnecting'
+     */
+    constructor(url, { onChange, onResync, onStatus }) {
+        this.url = url;
+        this.onChange = onChange;
+        this.onResync = onResync;
+        this.onStatus = onStatus;
+        this.source = null;
+        this.lastEventId = null;
+        this.attempts = 0;
+        this.reconnectTimer = null;
+    }
+    
+    /**
+     * Whether the browser supports Server-Sent Events
+     * @returns {boolean} True when EventSource exists
+     */
+    static get supported() {
+        return typeof EventSource !== 'undefined';
+    }
+    
+    /**
+     * Open the stream. After a drop the last seen event id is sent along,
+     * so the server can replay what was missed.
+     */
+    connect() {
+        this.close();
+        this.onStatus(this.attempts ? 'reconnecting' : 'connecting');
+        
+        const url = this.lastEventId === null
+            ? this.url
+            : `${this.url}?lastEventId=${encodeURIComponent(this.lastEventId)}`;
+        const source = new EventSource(url);
+        this.source = source;
+        
+        source.addEventListener('ready', (e) => {
+            this.lastEventId = JSON.parse(e.data).lastEventId;
+            this.attempts = 0;
+            this.onStatus('live');
+        });
+        
+        source.addEventListener('products', (e) => {
+            this.lastEventId = Number(e.lastEventId);
+            this.onChange(JSON.parse(e.data));
+        });
+        
+        source.addEventListener('resync', () => this.onResync());
+        
+        // EventSource retries on its own at a fixed rate; back off instead
+        source.onerror = () => {
+            if (this.source !== source) return;
+            this.close();
+            this.scheduleReconnect();
+        };
+    }
+    
+    /**
+     * Reconnect after an exponentially growing, jittered delay
+     */
+    scheduleReconnect() {
+        const { initial, max } = LiveUpdates.BACKOFF;
+        const delay = Math.min(max, initial * 2 ** this.attempts) * (0.5 + Math.random() / 2);
+        this.attempts++;
+        this.onStatus('reconnecting');
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+    
+    /**
+     * Close the stream and cancel any pending reconnect
+     */
+    close() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
+
+// Reconnect delays in milliseconds
+LiveUpdates.BACKOFF = {
+    initial: 1000,
+    max: 30000
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveUpdates;
+}
@@ -0,0 +1,426 @@
+// English UI text. Messages whose wording depends on {count} give the
+// singular and plural forms; the search.error.* keys are left out so the
+// parser's own English message is shown.
+I18n.messages.en = {
+    // App shell
+    'app.lastUpdated': 'Last updated:',
+    'app.never': 'Never',
+    'app.refresh': 'Refresh',
+    'app.refreshed': 'Data refreshed!',
+    'app.loading': 'Loading data...',
+    'app.loadFailed': 'Could not load data from the server',
+    'app.loadError': 'Could not load data from the server: {message}',
+    'app.dataSource': 'Data from',
+    
+    'settings.language': 'Language',
+    'settings.currency': 'Display currency',
+    'settings.exchangeRate': '1 USD =',
+    
+    'common.save': 'Save',
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.edit': 'Edit',
+    'common.delete': 'Delete',
+    'common.history': 'History',
+    'common.status': 'Status',
+    'common.loading': 'Loading...',
+    'common.copyLink': 'Copy link',
+    'common.copyLinkPrompt': 'Copy link:',
+    'common.copied': 'Copied',
+    'common.linkCopied': 'Link copied',
+    
+    // Product fields
+    'field.id': 'ID',
+    'field.title': 'Product name',
+    'field.slug': 'Slug',
+    'field.price': 'Price',
+    'field.description': 'Description',
+    'field.category': 'Category',
+    'field.images': 'Images',
+    'field.creationAt': 'Created',
+    'field.updatedAt': 'Updated',
+    
+    // Live updates and offline mode
+    'live.connecting': 'Connecting...',
+    'live.live': 'Live',
+    'live.reconnecting': 'Connection lost, retrying...',
+    'live.offline': 'Offline',
+    
+    'offline.summary': 'Offline – data as of {time}.',
+    'offline.pending': { one: '{count} change waiting to sync.', other: '{count} changes waiting to sync.' },
+    'offline.retry': 'Try to reconnect',
+    'offline.saved': 'Saved "{title}" offline, it will sync once connected',
+    'offline.deleted': 'Deleted "{title}" offline, it will sync once connected',
+    'offline.synced': { one: 'Synced {count} offline change', other: 'Synced {count} offline changes' },
+    'offline.syncConflicts': { one: '{count} change has a conflict to resolve', other: '{count} changes have conflicts to resolve' },
+    'offline.syncInterrupted': 'Connection lost while syncing, the remaining changes will be sent later',
+    'offline.rejected': { one: '{count} offline change was rejected by the server', other: '{count} offline changes were rejected by the server' },
+    'offline.overwrite': 'Overwrite',
+    'offline.discard': 'Discard',
+    'offline.overwriteNeedsServer': 'Overwriting needs a connection to the server',
+    'offline.overwriteFailed': 'Could not overwrite: {message}',
+    'offline.overwritten': 'Overwritten with the offline change',
+    'offline.change.create': 'Add',
+    'offline.change.update': 'Edit',
+    'offline.change.delete': 'Delete',
+    
+    'validation.summary': { one: 'Found {count} data error in db.json ({valid}/{total} valid records)', other: 'Found {count} data errors in db.json ({valid}/{total} valid records)' },
+    'validation.wholeFile': 'Whole file',
+    'validation.record': 'Record {index}',
+    'validation.more': { one: '... and {count} more error', other: '... and {count} more errors' },
+    
+    // Data quality
+    'quality.title': 'Data quality',
+    'quality.checkImages': 'Check images',
+    'quality.fix': 'Fix automatically',
+    'quality.details': 'Details',
+    'quality.filter': 'Filter by issue type',
+    'quality.allIssues': 'All issues ({count})',
+    'quality.clean': 'No issues found',
+    'quality.fixable': 'Fixable',
+    'quality.more': { one: '... and {count} more issue', other: '... and {count} more issues' },
+    'quality.severity.error': { one: '{count} error', other: '{count} errors' },
+    'quality.severity.warning': { one: '{count} warning', other: '{count} warnings' },
+    'quality.severity.info': { one: '{count} note', other: '{count} notes' },
+    'quality.loadFailed': 'Could not check data quality: {message}',
+    'quality.nothingToFix': 'Nothing to fix automatically',
+    'quality.confirmFix': { one: 'Make {count} change to {products} product(s)? You can undo it afterwards.', other: 'Make {count} changes to {products} product(s)? You can undo them afterwards.' },
+    'quality.fixed': { one: 'Made {count} fix', other: 'Made {count} fixes' },
+    'quality.fixFailed': 'Could not apply the fixes: {message}',
+    'quality.type.duplicateId': 'Duplicate ID',
+    'quality.type.slugCollision': 'Slug collision',
+    'quality.type.missingSlug': 'Missing slug',
+    'quality.type.similarSlug': 'Similar slugs',
+    'quality.type.duplicateTitle': 'Duplicate title',
+    'quality.type.similarTitle': 'Similar titles',
+    'quality.type.numberedTitle': 'Numbered titles',
+    'quality.type.zeroPrice': 'Zero price',
+    'quality.type.priceOutlier': 'Unusual price',
+    'quality.type.datesOutOfOrder': 'Dates out of order',
+    'quality.type.placeholderImage': 'Placeholder image',
+    'quality.type.sharedImage': 'Shared image',
+    'quality.type.unreachableImage': 'Broken image',
+    'quality.issue.duplicateId': 'ID {id} is used by {count} records',
+    'quality.issue.slugCollision': 'Slug "{slug}" is used by {count} products',
+    'quality.issue.missingSlug': '"{title}" has no slug',
+    'quality.issue.similarSlug': '"{first}" and "{second}" are nearly the same ({similarity}%)',
+    'quality.issue.duplicateTitle': 'Title "{title}" is used by {count} products',
+    'quality.issue.similarTitle': '"{first}" and "{second}" are nearly the same ({similarity}%)',
+    'quality.issue.numberedTitle': '{count} products are named "{title}" with only a number to tell them apart',
+    'quality.issue.zeroPrice': '"{title}" costs {price}',
+    'quality.issue.priceOutlier': '"{title}" costs {price}, outside the usual {low} – {high}',
+    'quality.issue.datesOutOfOrder': '"{title}" was updated ({updatedAt}) before it was created ({creationAt})',
+    'quality.issue.placeholderImage': '"{title}" uses a placeholder image: {urls}',
+    'quality.issue.sharedImage': '{count} products use the same image {url}',
+    'quality.issue.unreachableImage': '"{title}" has images that do not load: {urls} ({reasons})',
+    
+    // Statistics
+    'stats.totalProducts': 'Total products',
+    'stats.averagePrice': 'Average price',
+    'stats.byCategory': 'By category',
+    'stats.priceDistribution': 'Price distribution',
+    'stats.newProducts': 'New products',
+    'stats.interval': 'Interval',
+    'stats.day': 'Day',
+    'stats.week': 'Week',
+    'stats.median': 'Median',
+    'stats.stdDev': 'Standard deviation',
+    'stats.priceRange': 'Price range',
+    'stats.totalValue': 'Total value',
+    'stats.productCount': 'Products',
+    'stats.chartsUnavailable': 'Could not load the chart library',
+    
+    // Search, sorting and saved views
+    'search.placeholder': 'Search products by name, description...',
+    'search.example': 'Example: price:>100 category:shoes "red sneakers" -refurbished created:2026-01',
+    'search.invalid': 'Invalid query (position {position}): {message}',
+    
+    'sort.label': 'Sort',
+    'sort.default': 'Default (sorted by ID)',
+    'sort.relevance': 'Most relevant',
+    'sort.titleAsc': 'Name A → Z',
+    'sort.titleDesc': 'Name Z → A',
+    'sort.priceAsc': 'Price, low to high',
+    'sort.priceDesc': 'Price, high to low',
+    'sort.custom': 'Custom sort (by column)',
+    'sort.hint': 'Click a column header to sort, hold Shift to add a secondary column',
+    'sort.maxKeys': { one: 'You can sort by at most {count} column', other: 'You can sort by at most {count} columns' },
+    
+    'views.menu': 'Views',
+    'views.reset': 'Default',
+    'views.none': 'No saved views yet',
+    'views.saveCurrent': 'Save current view...',
+    'views.namePrompt': 'View name:',
+    'views.confirmOverwrite': 'Overwrite view "{name}"?',
+    'views.confirmDelete': 'Delete view "{name}"?',
+    'views.delete': 'Delete view',
+    'views.saved': 'Saved view "{name}"',
+    'views.saveFailed': 'Could not save the view in the browser',
+    
+    // Facets
+    'facets.title': 'Filters',
+    'facets.clear': 'Clear filters',
+    'facets.manage': 'Manage',
+    'facets.from': 'From',
+    'facets.to': 'To',
+    'facets.createdFrom': 'Created from',
+    'facets.createdTo': 'Created until',
+    'facets.updatedFrom': 'Updated from',
+    'facets.updatedTo': 'Updated until',
+    'facets.noCategories': 'No categories',
+    'facets.noMatches': 'No matching products',
+    'facets.matchingPrices': 'Matching products: {min} – {max}',
+    'facets.images.none': 'No images',
+    'facets.images.one': '1 image',
+    'facets.images.two': '2 images',
+    'facets.images.threePlus': '3 or more images',
+    
+    // Table and pagination
+    'table.title': 'Products',
+    'table.total': { one: 'Total: {count} product', other: 'Total: {count} products' },
+    'table.actions': 'Actions',
+    'table.empty': 'No products found',
+    'table.emptyHint': 'Try adjusting your search or filters',
+    'table.noImage': 'No image',
+    'table.selectPage': 'Select all on this page',
+    'table.selectProduct': 'Select product #{id}',
+    
+    'pagination.label': 'Pagination',
+    'pagination.previous': 'Previous page',
+    'pagination.next': 'Next page',
+    'pagination.pageOf': 'Page {page} of {totalPages}',
+    'pagination.jump': 'Go to page',
+    'pagination.go': 'Go',
+    'pagination.show': 'Show',
+    'pagination.perPage': 'products/page',
+    'pagination.all': 'All',
+    'pagination.virtual': 'Virtual scrolling',
+    'pagination.virtualTotal': { one: 'Virtual scrolling: {count} product', other: 'Virtual scrolling: {count} products' },
+    
+    // Table layout
+    'columns.button': 'Columns',
+    'columns.title': 'Customize table',
+    'columns.columns': 'Visible columns',
+    'columns.hint': 'Drag to reorder. In the table, drag the right edge of a column header to resize it; double-click it to restore the default width.',
+    'columns.reorder': 'Drag to move',
+    'columns.resize': 'Drag to resize, double-click for the default width',
+    'columns.moveUp': 'Move up',
+    'columns.moveDown': 'Move down',
+    'columns.resetWidth': 'Restore the default width',
+    'columns.lastVisible': 'At least one column must stay visible',
+    'columns.density': 'Density',
+    'columns.density.comfortable': 'Comfortable',
+    'columns.density.compact': 'Compact',
+    'columns.priceRules': 'Price highlighting',
+    'columns.priceRulesHint': 'The first matching rule applies; thresholds are in USD.',
+    'columns.priceAbove': 'Price above',
+    'columns.priceOther': 'Any other price',
+    'columns.priceStyle': 'Colour',
+    'columns.addRule': 'Add rule',
+    'columns.removeRule': 'Remove rule',
+    'columns.style.danger': 'Bold red',
+    'columns.style.warning': 'Yellow',
+    'columns.style.success': 'Green',
+    'columns.style.primary': 'Blue',
+    'columns.style.muted': 'Grey',
+    'columns.style.none': 'No colour',
+    'columns.reset': 'Restore defaults',
+    'columns.confirmReset': 'Restore the default table layout (columns, widths, density and price colours)?',
+    
+    // Product form, detail and deletion
+    'form.createTitle': 'Add product',
+    'form.editTitle': 'Edit product #{id}',
+    'form.priceUsd': 'Price (USD)',
+    'form.slugHint': 'Generated from the product name unless you edit it.',
+    'form.chooseCategory': '-- Choose a category --',
+    'form.images': 'Images (URL)',
+    'form.addImage': 'Add image',
+    'form.removeImage': 'Remove image',
+    'form.titleRequired': 'Please enter a product name',
+    'form.invalidSlug': 'A slug may only contain lowercase letters, digits and hyphens',
+    'form.invalidImage': 'Invalid image URL: {url}',
+    
+    'product.created': 'Added product #{id}',
+    'product.updated': 'Updated product #{id}',
+    'product.saveFailed': 'Could not save the product: {message}',
+    'product.confirmDelete': 'Delete product "{title}"?',
+    'product.deleted': 'Deleted product #{id}',
+    'product.deleteFailed': 'Could not delete the product: {message}',
+    
+    'source.loadFailed': 'Could not load products from the data source in config.js: {message}',
+    'source.readOnly': 'The data source in config.js is read-only',
+    
+    'detail.title': 'Product details',
+    'detail.notFound': 'Product not found',
+    'detail.loadFailed': 'Could not load the product: {message}',
+    'detail.notInList': 'Not in the filtered list',
+    'detail.position': '{position} of {total}',
+    'detail.previous': 'Previous',
+    'detail.next': 'Next',
+    'detail.zoom': 'Click to zoom',
+    'detail.zoomHint': 'Click the image to zoom',
+    'detail.previousImage': 'Previous image',
+    'detail.nextImage': 'Next image',
+    'detail.image': 'Image {number}',
+    'detail.id': 'Product ID',
+    'detail.imageCount': 'Images',
+    'detail.noDescription': 'No description',
+    'detail.categoryTimes': 'Created: {created} · Updated: {updated}',
+    
+    // Categories
+    'categories.title': 'Manage categories',
+    'categories.needsServer': 'Managing categories needs the server (npm start)',
+    'categories.loadFailed': 'Could not load categories: {message}',
+    'categories.name': 'Category name',
+    'categories.nameColumn': 'Name',
+    'categories.image': 'Image URL',
+    'categories.products': 'Products',
+    'categories.add': 'Add',
+    'categories.empty': 'No categories yet',
+    'categories.nameRequired': 'Please enter a category name',
+    'categories.created': 'Added category "{name}"',
+    'categories.updated': { one: 'Updated category "{name}" ({count} product)', other: 'Updated category "{name}" ({count} products)' },
+    'categories.editTitle': 'Rename / change image',
+    'categories.mergeTitle': 'Merge into another category',
+    'categories.mergeInto': 'Merge "{name}" into',
+    'categories.merge': 'Merge',
+    'categories.chooseTarget': 'Please choose a target category',
+    'categories.confirmMerge': { one: 'Move {count} product from "{source}" to "{target}" and delete "{source}"?', other: 'Move {count} products from "{source}" to "{target}" and delete "{source}"?' },
+    'categories.merged': { one: 'Merged "{source}" into "{target}" ({count} product)', other: 'Merged "{source}" into "{target}" ({count} products)' },
+    'categories.confirmDelete': 'Delete category "{name}"?',
+    'categories.deleted': 'Deleted category "{name}"',
+    'categories.deleteInUse': 'Still has products – merge it into another category first',
+    
+    // Sign-in and users
+    'auth.title': 'Sign in',
+    'auth.username': 'Username',
+    'auth.password': 'Password',
+    'auth.login': 'Sign in',
+    'auth.logout': 'Sign out',
+    'auth.credentialsRequired': 'Please enter a username and password',
+    'auth.invalidCredentials': 'Wrong username or password',
+    'auth.loginFailed': 'Could not sign in: {message}',
+    'auth.logoutFailed': 'Could not sign out: {message}',
+    'auth.sessionExpired': 'Your session has ended, please sign in again',
+    'users.button': 'Users',
+    'users.title': 'Manage users',
+    'users.needsServer': 'Managing users needs the server (npm start)',
+    'users.loadFailed': 'Could not load users: {message}',
+    'users.role': 'Role',
+    'users.role.viewer': 'Viewer',
+    'users.role.editor': 'Editor',
+    'users.role.admin': 'Admin',
+    'users.roleHelp': 'Viewers can only read; editors add, edit and delete products; admins also manage categories and users.',
+    'users.add': 'Add',
+    'users.you': 'you',
+    'users.editTitle': 'Rename / change role',
+    'users.resetPassword': 'Reset password',
+    'users.newPassword': 'New password',
+    'users.deleteSelf': 'You cannot delete your own account',
+    'users.created': 'Added user "{username}"',
+    'users.updated': 'Updated user "{username}"',
+    'users.passwordReset': 'Reset the password of "{username}"',
+    'users.confirmDelete': 'Delete user "{username}"?',
+    'users.deleted': 'Deleted user "{username}"',
+    
+    // Import and export
+    'export.menu': 'Export',
+    'export.excelNeedsServer': 'Excel export needs the server (npm start)',
+    
+    'import.button': 'Import',
+    'import.title': 'Import products from CSV / Excel',
+    'import.help': 'Columns are matched by name: id, title, slug, price, description, category.id, category.name, images (separated by "|"), creationAt. A row whose id matches an existing product updates that product.',
+    'import.needsServer': 'Importing needs the server (npm start)',
+    'import.chooseFile': 'Choose a CSV or Excel (.xlsx) file to preview.',
+    'import.row': 'Row',
+    'import.previewTotal': { one: '{count} row:', other: '{count} rows:' },
+    'import.previewCreate': '{count} new',
+    'import.previewUpdate': '{count} updated',
+    'import.invalidSkipped': 'Rows with errors will be skipped.',
+    'import.status.create': 'New',
+    'import.status.update': 'Update',
+    'import.confirm': 'Import valid rows',
+    'import.done': 'Imported: {created} new, {updated} updated',
+    'import.doneSkipped': { one: '{count} row with errors skipped', other: '{count} rows with errors skipped' },
+    
+    // Bulk actions
+    'bulk.selected': { one: 'product selected', other: 'products selected' },
+    'bulk.allSelected': '(all matching products)',
+    'bulk.selectAllMatching': { one: 'Select the {count} matching product', other: 'Select all {count} matching products' },
+    'bulk.adjustPrice': 'Adjust price',
+    'bulk.exportSelected': 'Export selected',
+    'bulk.clear': 'Clear selection',
+    'bulk.modalTitle': 'Bulk action',
+    'bulk.title': { one: '{action} ({count} product)', other: '{action} ({count} products)' },
+    'bulk.needsServer': 'Bulk actions need the server (npm start)',
+    'bulk.newCategory': 'New category',
+    'bulk.newPrice': 'New price (USD)',
+    'bulk.percent': 'Price change (%)',
+    'bulk.percentExample': 'E.g. 10 or -15',
+    'bulk.chooseCategory': 'Please choose a category',
+    'bulk.invalidPrice': 'The price must be a non-negative number',
+    'bulk.invalidPercent': 'The percentage must be a number greater than -100',
+    'bulk.preview': 'Preview',
+    'bulk.previewHint': 'Enter a value and click "Preview" to see the changes.',
+    'bulk.loadingDeletes': 'Loading the products that will be deleted...',
+    'bulk.previewTotal': { one: '{count} product:', other: '{count} products:' },
+    'bulk.previewDeleted': '{count} to delete',
+    'bulk.previewUpdated': { one: '{count} change', other: '{count} changes' },
+    'bulk.previewUnchanged': '{count} unchanged',
+    'bulk.changes': 'Changes',
+    'bulk.apply': 'Apply',
+    'bulk.applied': 'Bulk action: {summary}',
+    'bulk.resultDeleted': '{count} deleted',
+    'bulk.resultUpdated': '{count} updated',
+    'bulk.resultErrors': { one: '{count} error', other: '{count} errors' },
+    'bulk.status.deleted': 'Delete',
+    'bulk.status.updated': 'Change',
+    'bulk.status.unchanged': 'Unchanged',
+    'bulk.status.error': 'Error',
+    'bulk.action.delete': 'Delete products',
+    'bulk.action.setCategory': 'Change category',
+    'bulk.action.setPrice': 'Set price',
+    'bulk.action.adjustPrice': 'Adjust price by %',
+    
+    // History, undo and redo
+    'history.title': 'Change history',
+    'history.productTitle': 'History of product #{id}',
+    'history.anonymous': 'Anonymous',
+    'history.showAll': 'Show all changes',
+    'history.more': 'Load more',
+    'history.empty': 'No changes yet',
+    'history.emptyValue': 'empty',
+    'history.imageCount': { one: '{count} image', other: '{count} images' },
+    'history.needsServer': 'The change history needs the server (npm start)',
+    'history.loadFailed': 'Could not load the history: {message}',
+    'history.restoreVersion': 'Restore this version',
+    'history.restoreDeleted': 'Restore the deleted product',
+    'history.confirmRestore': 'Return product #{id} to its version from {time}?',
+    'history.confirmRestoreDeleted': 'Restore product "{title}", deleted at {time}?',
+    'history.restored': 'Restored product #{id}',
+    'history.restoreFailed': 'Could not restore the product: {message}',
+    'history.undoRedo': 'Undo / redo',
+    'history.undoButton': 'Undo (Ctrl+Z)',
+    'history.redoButton': 'Redo (Ctrl+Y)',
+    'history.undo': 'Undo',
+    'history.redo': 'Redo',
+    'history.undoNothing': 'Nothing to undo',
+    'history.redoNothing': 'Nothing to redo',
+    'history.undoDone': 'Undone: {description}',
+    'history.redoDone': 'Redone: {description}',
+    'history.undoFailed': 'Could not undo: {message}',
+    'history.redoFailed': 'Could not redo: {message}',
+    'history.batchProducts': { one: '{count} product', other: '{count} products' },
+    'history.action.create': 'Created',
+    'history.action.update': 'Updated',
+    'history.action.delete': 'Deleted',
+    'history.source.import': 'Import',
+    'history.source.bulk': 'Bulk',
+    'history.source.restore': 'Restore',
+    'history.source.undo': 'Undo',
+    'history.source.redo': 'Redo',
+    'history.source.merge': 'Category merge',
+    'history.source.category': 'Category edit',
+    'history.source.quality': 'Quality fix',
+    'history.source.migrate': 'Migration'
+};
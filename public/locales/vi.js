@@ -0,0 +1,434 @@
+// Vietnamese UI text, the source language of the app. Every message key
+// must exist here: it is the fallback for keys missing from other bundles.
+I18n.messages.vi = {
+    // App shell
+    'app.lastUpdated': 'Cập nhật lần cuối:',
+    'app.never': 'Chưa có',
+    'app.refresh': 'Làm mới',
+    'app.refreshed': 'Dữ liệu đã được làm mới!',
+    'app.loading': 'Đang tải dữ liệu...',
+    'app.loadFailed': 'Không thể tải dữ liệu từ máy chủ',
+    'app.loadError': 'Không thể tải dữ liệu từ máy chủ: {message}',
+    'app.dataSource': 'Dữ liệu từ',
+    
+    'settings.language': 'Ngôn ngữ',
+    'settings.currency': 'Tiền tệ hiển thị',
+    'settings.exchangeRate': '1 USD =',
+    
+    'common.save': 'Lưu',
+    'common.cancel': 'Hủy',
+    'common.close': 'Đóng',
+    'common.edit': 'Sửa',
+    'common.delete': 'Xóa',
+    'common.history': 'Lịch sử',
+    'common.status': 'Trạng thái',
+    'common.loading': 'Đang tải...',
+    'common.copyLink': 'Sao chép liên kết',
+    'common.copyLinkPrompt': 'Sao chép liên kết:',
+    'common.copied': 'Đã sao chép',
+    'common.linkCopied': 'Đã sao chép liên kết',
+    
+    // Product fields
+    'field.id': 'ID',
+    'field.title': 'Tên sản phẩm',
+    'field.slug': 'Slug',
+    'field.price': 'Giá',
+    'field.description': 'Mô tả',
+    'field.category': 'Danh mục',
+    'field.images': 'Hình ảnh',
+    'field.creationAt': 'Ngày tạo',
+    'field.updatedAt': 'Ngày cập nhật',
+    
+    // Live updates and offline mode
+    'live.connecting': 'Đang kết nối...',
+    'live.live': 'Trực tiếp',
+    'live.reconnecting': 'Mất kết nối, đang thử lại...',
+    'live.offline': 'Ngoại tuyến',
+    
+    'offline.summary': 'Ngoại tuyến – dữ liệu lúc {time}.',
+    'offline.pending': '{count} thay đổi đang chờ đồng bộ.',
+    'offline.retry': 'Thử kết nối lại',
+    'offline.saved': 'Đã lưu "{title}" ngoại tuyến, sẽ đồng bộ khi có kết nối',
+    'offline.deleted': 'Đã xóa "{title}" ngoại tuyến, sẽ đồng bộ khi có kết nối',
+    'offline.synced': 'Đã đồng bộ {count} thay đổi ngoại tuyến',
+    'offline.syncConflicts': '{count} thay đổi bị xung đột cần xử lý',
+    'offline.syncInterrupted': 'Mất kết nối khi đồng bộ, các thay đổi còn lại sẽ được gửi sau',
+    'offline.rejected': '{count} thay đổi ngoại tuyến bị máy chủ từ chối',
+    'offline.overwrite': 'Ghi đè',
+    'offline.discard': 'Bỏ qua',
+    'offline.overwriteNeedsServer': 'Cần kết nối tới máy chủ để ghi đè',
+    'offline.overwriteFailed': 'Không thể ghi đè: {message}',
+    'offline.overwritten': 'Đã ghi đè bằng thay đổi ngoại tuyến',
+    'offline.change.create': 'Thêm',
+    'offline.change.update': 'Sửa',
+    'offline.change.delete': 'Xóa',
+    
+    'validation.summary': 'Phát hiện {count} lỗi dữ liệu trong db.json ({valid}/{total} bản ghi hợp lệ)',
+    'validation.wholeFile': 'Toàn bộ tệp',
+    'validation.record': 'Bản ghi {index}',
+    'validation.more': '... và {count} lỗi khác',
+    
+    // Data quality
+    'quality.title': 'Chất lượng dữ liệu',
+    'quality.checkImages': 'Kiểm tra ảnh',
+    'quality.fix': 'Sửa tự động',
+    'quality.details': 'Chi tiết',
+    'quality.filter': 'Lọc theo loại vấn đề',
+    'quality.allIssues': 'Tất cả vấn đề ({count})',
+    'quality.clean': 'Không phát hiện vấn đề',
+    'quality.fixable': 'Sửa được',
+    'quality.more': '... và {count} vấn đề khác',
+    'quality.severity.error': '{count} lỗi',
+    'quality.severity.warning': '{count} cảnh báo',
+    'quality.severity.info': '{count} ghi chú',
+    'quality.loadFailed': 'Không thể kiểm tra chất lượng dữ liệu: {message}',
+    'quality.nothingToFix': 'Không có gì để sửa tự động',
+    'quality.confirmFix': 'Thực hiện {count} thay đổi trên {products} sản phẩm? Bạn có thể hoàn tác sau đó.',
+    'quality.fixed': 'Đã sửa {count} chỗ',
+    'quality.fixFailed': 'Không thể áp dụng bản sửa: {message}',
+    'quality.type.duplicateId': 'Trùng ID',
+    'quality.type.slugCollision': 'Trùng slug',
+    'quality.type.missingSlug': 'Thiếu slug',
+    'quality.type.similarSlug': 'Slug gần giống',
+    'quality.type.duplicateTitle': 'Trùng tên',
+    'quality.type.similarTitle': 'Tên gần giống',
+    'quality.type.numberedTitle': 'Tên đánh số',
+    'quality.type.zeroPrice': 'Giá bằng 0',
+    'quality.type.priceOutlier': 'Giá bất thường',
+    'quality.type.datesOutOfOrder': 'Ngày không hợp lệ',
+    'quality.type.placeholderImage': 'Ảnh giữ chỗ',
+    'quality.type.sharedImage': 'Ảnh dùng chung',
+    'quality.type.unreachableImage': 'Ảnh hỏng',
+    'quality.issue.duplicateId': 'ID {id} được dùng cho {count} bản ghi',
+    'quality.issue.slugCollision': 'Slug "{slug}" được dùng cho {count} sản phẩm',
+    'quality.issue.missingSlug': '"{title}" chưa có slug',
+    'quality.issue.similarSlug': '"{first}" và "{second}" gần giống nhau ({similarity}%)',
+    'quality.issue.duplicateTitle': 'Tên "{title}" được dùng cho {count} sản phẩm',
+    'quality.issue.similarTitle': '"{first}" và "{second}" gần giống nhau ({similarity}%)',
+    'quality.issue.numberedTitle': '{count} sản phẩm cùng tên "{title}", chỉ khác số thứ tự',
+    'quality.issue.zeroPrice': '"{title}" có giá {price}',
+    'quality.issue.priceOutlier': '"{title}" có giá {price}, ngoài khoảng thường gặp {low} – {high}',
+    'quality.issue.datesOutOfOrder': '"{title}" được cập nhật ({updatedAt}) trước khi tạo ({creationAt})',
+    'quality.issue.placeholderImage': '"{title}" dùng ảnh giữ chỗ: {urls}',
+    'quality.issue.sharedImage': '{count} sản phẩm dùng chung ảnh {url}',
+    'quality.issue.unreachableImage': '"{title}" có ảnh không tải được: {urls} ({reasons})',
+    
+    // Statistics
+    'stats.totalProducts': 'Tổng sản phẩm',
+    'stats.averagePrice': 'Giá trung bình',
+    'stats.byCategory': 'Theo danh mục',
+    'stats.priceDistribution': 'Phân bố giá',
+    'stats.newProducts': 'Sản phẩm mới',
+    'stats.interval': 'Khoảng thời gian',
+    'stats.day': 'Ngày',
+    'stats.week': 'Tuần',
+    'stats.median': 'Trung vị',
+    'stats.stdDev': 'Độ lệch chuẩn',
+    'stats.priceRange': 'Khoảng giá',
+    'stats.totalValue': 'Tổng giá trị',
+    'stats.productCount': 'Số sản phẩm',
+    'stats.chartsUnavailable': 'Không tải được thư viện biểu đồ',
+    
+    // Search, sorting and saved views
+    'search.placeholder': 'Tìm kiếm sản phẩm theo tên, mô tả...',
+    'search.example': 'Ví dụ: price:>100 category:shoes "red sneakers" -refurbished created:2026-01',
+    'search.invalid': 'Truy vấn không hợp lệ (vị trí {position}): {message}',
+    'search.error.misplaced_or': 'OR phải đứng giữa hai điều kiện',
+    'search.error.dangling_negation': 'Thiếu điều kiện sau "-"',
+    'search.error.unterminated_quote': 'Thiếu dấu ngoặc kép đóng',
+    'search.error.empty_value': 'Thiếu giá trị sau "{field}:"',
+    'search.error.empty_phrase': 'Cụm từ trong ngoặc kép bị trống',
+    'search.error.unknown_field': 'Không có trường "{field}". Dùng một trong: {fields}',
+    'search.error.invalid_range': 'Khoảng giá trị không hợp lệ',
+    'search.error.invalid_number': '"{value}" không phải là số',
+    'search.error.invalid_date': '"{value}" không phải là ngày (dùng YYYY, YYYY-MM hoặc YYYY-MM-DD)',
+    
+    'sort.label': 'Sắp xếp',
+    'sort.default': 'Mặc định (sắp xếp theo ID)',
+    'sort.relevance': 'Liên quan nhất',
+    'sort.titleAsc': 'Tên A → Z',
+    'sort.titleDesc': 'Tên Z → A',
+    'sort.priceAsc': 'Giá tăng dần',
+    'sort.priceDesc': 'Giá giảm dần',
+    'sort.custom': 'Sắp xếp tùy chỉnh (theo cột)',
+    'sort.hint': 'Nhấn tiêu đề cột để sắp xếp, giữ Shift để thêm cột phụ',
+    'sort.maxKeys': 'Chỉ có thể sắp xếp theo tối đa {count} cột',
+    
+    'views.menu': 'Chế độ xem',
+    'views.reset': 'Mặc định',
+    'views.none': 'Chưa có chế độ xem đã lưu',
+    'views.saveCurrent': 'Lưu chế độ xem hiện tại...',
+    'views.namePrompt': 'Tên chế độ xem:',
+    'views.confirmOverwrite': 'Ghi đè chế độ xem "{name}"?',
+    'views.confirmDelete': 'Xóa chế độ xem "{name}"?',
+    'views.delete': 'Xóa chế độ xem',
+    'views.saved': 'Đã lưu chế độ xem "{name}"',
+    'views.saveFailed': 'Không thể lưu chế độ xem trong trình duyệt',
+    
+    // Facets
+    'facets.title': 'Bộ lọc',
+    'facets.clear': 'Xóa bộ lọc',
+    'facets.manage': 'Quản lý',
+    'facets.from': 'Từ',
+    'facets.to': 'Đến',
+    'facets.createdFrom': 'Ngày tạo từ',
+    'facets.createdTo': 'Ngày tạo đến',
+    'facets.updatedFrom': 'Ngày cập nhật từ',
+    'facets.updatedTo': 'Ngày cập nhật đến',
+    'facets.noCategories': 'Không có danh mục',
+    'facets.noMatches': 'Không có sản phẩm phù hợp',
+    'facets.matchingPrices': 'Sản phẩm phù hợp: {min} – {max}',
+    'facets.images.none': 'Không có ảnh',
+    'facets.images.one': '1 ảnh',
+    'facets.images.two': '2 ảnh',
+    'facets.images.threePlus': 'Từ 3 ảnh',
+    
+    // Table and pagination
+    'table.title': 'Danh sách sản phẩm',
+    'table.total': 'Tổng: {count} sản phẩm',
+    'table.actions': 'Thao tác',
+    'table.empty': 'Không tìm thấy sản phẩm',
+    'table.emptyHint': 'Thử điều chỉnh tìm kiếm hoặc bộ lọc của bạn',
+    'table.noImage': 'Không có ảnh',
+    'table.selectPage': 'Chọn tất cả trên trang này',
+    'table.selectProduct': 'Chọn sản phẩm #{id}',
+    
+    'pagination.label': 'Phân trang',
+    'pagination.previous': 'Trang trước',
+    'pagination.next': 'Trang sau',
+    'pagination.pageOf': 'Trang {page} / {totalPages}',
+    'pagination.jump': 'Đến trang',
+    'pagination.go': 'Đi',
+    'pagination.show': 'Hiển thị',
+    'pagination.perPage': 'sản phẩm/trang',
+    'pagination.all': 'Tất cả',
+    'pagination.virtual': 'Cuộn ảo',
+    'pagination.virtualTotal': 'Cuộn ảo: {count} sản phẩm',
+    
+    // Table layout
+    'columns.button': 'Cột',
+    'columns.title': 'Tùy chỉnh bảng',
+    'columns.columns': 'Cột hiển thị',
+    'columns.hint': 'Kéo để sắp xếp lại. Trong bảng, kéo mép phải tiêu đề cột để đổi độ rộng, nhấp đúp để trả về mặc định.',
+    'columns.reorder': 'Kéo để đổi vị trí',
+    'columns.resize': 'Kéo để đổi độ rộng, nhấp đúp để trả về mặc định',
+    'columns.moveUp': 'Chuyển lên',
+    'columns.moveDown': 'Chuyển xuống',
+    'columns.resetWidth': 'Trả về độ rộng mặc định',
+    'columns.lastVisible': 'Phải hiển thị ít nhất một cột',
+    'columns.density': 'Mật độ',
+    'columns.density.comfortable': 'Thoải mái',
+    'columns.density.compact': 'Gọn',
+    'columns.priceRules': 'Tô màu giá',
+    'columns.priceRulesHint': 'Quy tắc đầu tiên khớp sẽ được dùng; ngưỡng tính bằng USD.',
+    'columns.priceAbove': 'Giá trên',
+    'columns.priceOther': 'Các giá còn lại',
+    'columns.priceStyle': 'Màu',
+    'columns.addRule': 'Thêm quy tắc',
+    'columns.removeRule': 'Xóa quy tắc',
+    'columns.style.danger': 'Đỏ đậm',
+    'columns.style.warning': 'Vàng',
+    'columns.style.success': 'Xanh lá',
+    'columns.style.primary': 'Xanh dương',
+    'columns.style.muted': 'Xám',
+    'columns.style.none': 'Không tô màu',
+    'columns.reset': 'Khôi phục mặc định',
+    'columns.confirmReset': 'Khôi phục bố cục bảng mặc định (cột, độ rộng, mật độ và màu giá)?',
+    
+    // Product form, detail and deletion
+    'form.createTitle': 'Thêm sản phẩm',
+    'form.editTitle': 'Sửa sản phẩm #{id}',
+    'form.priceUsd': 'Giá (USD)',
+    'form.slugHint': 'Tự động tạo từ tên sản phẩm nếu bạn không sửa.',
+    'form.chooseCategory': '-- Chọn danh mục --',
+    'form.images': 'Hình ảnh (URL)',
+    'form.addImage': 'Thêm ảnh',
+    'form.removeImage': 'Xóa ảnh',
+    'form.titleRequired': 'Vui lòng nhập tên sản phẩm',
+    'form.invalidSlug': 'Slug chỉ gồm chữ thường, số và dấu gạch ngang',
+    'form.invalidImage': 'URL ảnh không hợp lệ: {url}',
+    
+    'product.created': 'Đã thêm sản phẩm #{id}',
+    'product.updated': 'Đã cập nhật sản phẩm #{id}',
+    'product.saveFailed': 'Không thể lưu sản phẩm: {message}',
+    'product.confirmDelete': 'Xóa sản phẩm "{title}"?',
+    'product.deleted': 'Đã xóa sản phẩm #{id}',
+    'product.deleteFailed': 'Không thể xóa sản phẩm: {message}',
+    
+    'source.loadFailed': 'Không thể tải sản phẩm từ nguồn dữ liệu trong config.js: {message}',
+    'source.readOnly': 'Nguồn dữ liệu trong config.js chỉ cho phép đọc',
+    
+    'detail.title': 'Chi tiết sản phẩm',
+    'detail.notFound': 'Không tìm thấy sản phẩm',
+    'detail.loadFailed': 'Không thể tải sản phẩm: {message}',
+    'detail.notInList': 'Không thuộc danh sách đang lọc',
+    'detail.position': '{position} / {total}',
+    'detail.previous': 'Trước',
+    'detail.next': 'Sau',
+    'detail.zoom': 'Nhấp để phóng to',
+    'detail.zoomHint': 'Nhấp vào ảnh để phóng to',
+    'detail.previousImage': 'Ảnh trước',
+    'detail.nextImage': 'Ảnh sau',
+    'detail.image': 'Ảnh {number}',
+    'detail.id': 'Mã sản phẩm',
+    'detail.imageCount': 'Số ảnh',
+    'detail.noDescription': 'Không có mô tả',
+    'detail.categoryTimes': 'Tạo: {created} · Cập nhật: {updated}',
+    
+    // Categories
+    'categories.title': 'Quản lý danh mục',
+    'categories.needsServer': 'Quản lý danh mục cần máy chủ (npm start)',
+    'categories.loadFailed': 'Không thể tải danh mục: {message}',
+    'categories.name': 'Tên danh mục',
+    'categories.nameColumn': 'Tên',
+    'categories.image': 'URL ảnh',
+    'categories.products': 'Sản phẩm',
+    'categories.add': 'Thêm',
+    'categories.empty': 'Chưa có danh mục nào',
+    'categories.nameRequired': 'Vui lòng nhập tên danh mục',
+    'categories.created': 'Đã thêm danh mục "{name}"',
+    'categories.updated': 'Đã cập nhật danh mục "{name}" ({count} sản phẩm)',
+    'categories.editTitle': 'Đổi tên / ảnh',
+    'categories.mergeTitle': 'Gộp vào danh mục khác',
+    'categories.mergeInto': 'Gộp "{name}" vào',
+    'categories.merge': 'Gộp',
+    'categories.chooseTarget': 'Vui lòng chọn danh mục đích',
+    'categories.confirmMerge': 'Chuyển {count} sản phẩm từ "{source}" sang "{target}" và xóa "{source}"?',
+    'categories.merged': 'Đã gộp "{source}" vào "{target}" ({count} sản phẩm)',
+    'categories.confirmDelete': 'Xóa danh mục "{name}"?',
+    'categories.deleted': 'Đã xóa danh mục "{name}"',
+    'categories.deleteInUse': 'Còn sản phẩm – hãy gộp vào danh mục khác trước',
+    
+    // Sign-in and users
+    'auth.title': 'Đăng nhập',
+    'auth.username': 'Tên đăng nhập',
+    'auth.password': 'Mật khẩu',
+    'auth.login': 'Đăng nhập',
+    'auth.logout': 'Đăng xuất',
+    'auth.credentialsRequired': 'Vui lòng nhập tên đăng nhập và mật khẩu',
+    'auth.invalidCredentials': 'Sai tên đăng nhập hoặc mật khẩu',
+    'auth.loginFailed': 'Không thể đăng nhập: {message}',
+    'auth.logoutFailed': 'Không thể đăng xuất: {message}',
+    'auth.sessionExpired': 'Phiên làm việc đã hết hạn, vui lòng đăng nhập lại',
+    'users.button': 'Người dùng',
+    'users.title': 'Quản lý người dùng',
+    'users.needsServer': 'Quản lý người dùng cần máy chủ (npm start)',
+    'users.loadFailed': 'Không thể tải danh sách người dùng: {message}',
+    'users.role': 'Vai trò',
+    'users.role.viewer': 'Người xem',
+    'users.role.editor': 'Biên tập viên',
+    'users.role.admin': 'Quản trị viên',
+    'users.roleHelp': 'Người xem chỉ xem dữ liệu; biên tập viên thêm, sửa và xóa sản phẩm; quản trị viên quản lý thêm danh mục và người dùng.',
+    'users.add': 'Thêm',
+    'users.you': 'bạn',
+    'users.editTitle': 'Đổi tên / vai trò',
+    'users.resetPassword': 'Đặt lại mật khẩu',
+    'users.newPassword': 'Mật khẩu mới',
+    'users.deleteSelf': 'Không thể xóa tài khoản của chính bạn',
+    'users.created': 'Đã thêm người dùng "{username}"',
+    'users.updated': 'Đã cập nhật người dùng "{username}"',
+    'users.passwordReset': 'Đã đặt lại mật khẩu của "{username}"',
+    'users.confirmDelete': 'Xóa người dùng "{username}"?',
+    'users.deleted': 'Đã xóa người dùng "{username}"',
+    
+    // Import and export
+    'export.menu': 'Xuất',
+    'export.excelNeedsServer': 'Xuất Excel cần máy chủ (npm start)',
+    
+    'import.button': 'Nhập',
+    'import.title': 'Nhập sản phẩm từ CSV / Excel',
+    'import.help': 'Cột được nhận theo tên: id, title, slug, price, description, category.id, category.name, images (phân tách bằng "|"), creationAt. Dòng có id trùng sản phẩm hiện có sẽ cập nhật sản phẩm đó.',
+    'import.needsServer': 'Nhập dữ liệu cần máy chủ (npm start)',
+    'import.chooseFile': 'Chọn tệp CSV hoặc Excel (.xlsx) để xem trước.',
+    'import.row': 'Dòng',
+    'import.previewTotal': '{count} dòng:',
+    'import.previewCreate': '{count} thêm mới',
+    'import.previewUpdate': '{count} cập nhật',
+    'import.invalidSkipped': 'Các dòng lỗi sẽ bị bỏ qua.',
+    'import.status.create': 'Thêm',
+    'import.status.update': 'Cập nhật',
+    'import.confirm': 'Nhập các dòng hợp lệ',
+    'import.done': 'Đã nhập: {created} thêm mới, {updated} cập nhật',
+    'import.doneSkipped': '{count} dòng lỗi bị bỏ qua',
+    
+    // Bulk actions
+    'bulk.selected': 'sản phẩm được chọn',
+    'bulk.allSelected': '(tất cả sản phẩm phù hợp)',
+    'bulk.selectAllMatching': 'Chọn tất cả {count} sản phẩm phù hợp',
+    'bulk.adjustPrice': 'Điều chỉnh giá',
+    'bulk.exportSelected': 'Xuất đã chọn',
+    'bulk.clear': 'Bỏ chọn',
+    'bulk.modalTitle': 'Thao tác hàng loạt',
+    'bulk.title': '{action} ({count} sản phẩm)',
+    'bulk.needsServer': 'Thao tác hàng loạt cần máy chủ (npm start)',
+    'bulk.newCategory': 'Danh mục mới',
+    'bulk.newPrice': 'Giá mới (USD)',
+    'bulk.percent': 'Thay đổi giá (%)',
+    'bulk.percentExample': 'Ví dụ: 10 hoặc -15',
+    'bulk.chooseCategory': 'Vui lòng chọn danh mục',
+    'bulk.invalidPrice': 'Giá phải là số không âm',
+    'bulk.invalidPercent': 'Phần trăm phải là số lớn hơn -100',
+    'bulk.preview': 'Xem trước',
+    'bulk.previewHint': 'Nhập giá trị rồi bấm "Xem trước" để xem các thay đổi.',
+    'bulk.loadingDeletes': 'Đang tải danh sách sản phẩm sẽ bị xóa...',
+    'bulk.previewTotal': '{count} sản phẩm:',
+    'bulk.previewDeleted': '{count} sẽ bị xóa',
+    'bulk.previewUpdated': '{count} thay đổi',
+    'bulk.previewUnchanged': '{count} không đổi',
+    'bulk.changes': 'Thay đổi',
+    'bulk.apply': 'Áp dụng',
+    'bulk.applied': 'Thao tác hàng loạt: {summary}',
+    'bulk.resultDeleted': 'đã xóa {count}',
+    'bulk.resultUpdated': 'đã cập nhật {count}',
+    'bulk.resultErrors': '{count} lỗi',
+    'bulk.status.deleted': 'Xóa',
+    'bulk.status.updated': 'Thay đổi',
+    'bulk.status.unchanged': 'Không đổi',
+    'bulk.status.error': 'Lỗi',
+    'bulk.action.delete': 'Xóa sản phẩm',
+    'bulk.action.setCategory': 'Đổi danh mục',
+    'bulk.action.setPrice': 'Đặt giá',
+    'bulk.action.adjustPrice': 'Điều chỉnh giá theo %',
+    
+    // History, undo and redo
+    'history.title': 'Lịch sử thay đổi',
+    'history.productTitle': 'Lịch sử sản phẩm #{id}',
+    'history.anonymous': 'Ẩn danh',
+    'history.showAll': 'Xem tất cả thay đổi',
+    'history.more': 'Tải thêm',
+    'history.empty': 'Chưa có thay đổi nào',
+    'history.emptyValue': 'trống',
+    'history.imageCount': '{count} ảnh',
+    'history.needsServer': 'Lịch sử thay đổi cần máy chủ (npm start)',
+    'history.loadFailed': 'Không thể tải lịch sử: {message}',
+    'history.restoreVersion': 'Khôi phục phiên bản này',
+    'history.restoreDeleted': 'Khôi phục sản phẩm đã xóa',
+    'history.confirmRestore': 'Đưa sản phẩm #{id} về phiên bản lúc {time}?',
+    'history.confirmRestoreDeleted': 'Khôi phục sản phẩm "{title}" đã bị xóa lúc {time}?',
+    'history.restored': 'Đã khôi phục sản phẩm #{id}',
+    'history.restoreFailed': 'Không thể khôi phục sản phẩm: {message}',
+    'history.undoRedo': 'Hoàn tác / làm lại',
+    'history.undoButton': 'Hoàn tác (Ctrl+Z)',
+    'history.redoButton': 'Làm lại (Ctrl+Y)',
+    'history.undo': 'Hoàn tác',
+    'history.redo': 'Làm lại',
+    'history.undoNothing': 'Không có gì để hoàn tác',
+    'history.redoNothing': 'Không có gì để làm lại',
+    'history.undoDone': 'Đã hoàn tác: {description}',
+    'history.redoDone': 'Đã làm lại: {description}',
+    'history.undoFailed': 'Không thể hoàn tác: {message}',
+    'history.redoFailed': 'Không thể làm lại: {message}',
+    'history.batchProducts': '{count} sản phẩm',
+    'history.action.create': 'Thêm mới',
+    'history.action.update': 'Cập nhật',
+    'history.action.delete': 'Xóa',
+    'history.source.import': 'Nhập file',
+    'history.source.bulk': 'Hàng loạt',
+    'history.source.restore': 'Khôi phục',
+    'history.source.undo': 'Hoàn tác',
+    'history.source.redo': 'Làm lại',
+    'history.source.merge': 'Gộp danh mục',
+    'history.source.category': 'Sửa danh mục',
+    'history.source.quality': 'Sửa chất lượng',
+    'history.source.migrate': 'Chuyển đổi dữ liệu'
+};
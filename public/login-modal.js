@@ -0,0 +1,87 @@
+// Sign-in modal, shown when there is no session and when a session ends
+class LoginModal {
+    constructor() {
+        this.pending = null;    // { promise, resolve } while waiting for a sign-in
+        
+        this.element = document.getElementById('login-modal');
+        this.form = document.getElementById('login-form');
+        this.fields = {
+            username: document.getElementById('login-username'),
+            password: document.getElementById('login-password')
+        };
+        this.errorBox = document.getElementById('login-error');
+        this.submitButton = document.getElementById('login-submit');
+        // Nothing works signed out, so the modal cannot be dismissed
+        this.modal = new bootstrap.Modal(this.element, { backdrop: 'static', keyboard: false });
+        
+        this.element.addEventListener('shown.bs.modal', () => {
+            (this.fields.username.value ? this.fields.password : this.fields.username).focus();
+        });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+    }
+    
+    /**
+     * Ask the user to sign in
+     * @param {string} message - Optional note shown above the form
+     * @returns {Promise<Object>} The new session, { user, csrfToken }
+     */
+    prompt(message = '') {
+        if (!this.pending) {
+            let resolve;
+            const promise = new Promise(done => { resolve = done; });
+            this.pending = { promise, resolve };
+            this.fields.password.value = '';
+            this.showError(message);
+            this.modal.show();
+        }
+        return this.pending.promise;
+    }
+    
+    /**
+     * Send the credentials
+     */
+    async submit() {
+        const username = this.fields.username.value.trim();
+        const password = this.fields.password.value;
+        if (!username || !password) {
+            this.showError(I18n.t('auth.credentialsRequired'));
+            return;
+        }
+        
+        this.submitButton.disabled = true;
+        try {
+            const session = await ProductApi.login(username, password);
+            this.showError('');
+            this.modal.hide();
+            const { resolve } = this.pending;
+            this.pending = null;
+            resolve(session);
+        } catch (error) {
+            console.error('Sign-in failed:', error);
+            this.fields.password.value = '';
+            this.fields.password.focus();
+            this.showError(error.status === 401
+                ? I18n.t('auth.invalidCredentials')
+                : I18n.t('auth.loginFailed', { message: error.message }));
+        } finally {
+            this.submitButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Show an error or note above the form
+     * @param {string} message - Text, or '' to hide the box
+     */
+    showError(message) {
+        this.errorBox.textContent = message;
+        this.errorBox.classList.toggle('d-none', !message);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoginModal;
+}
@@ -0,0 +1,101 @@
+// Offline copy of the catalogue and the edits waiting to be synced, kept in IndexedDB
+class OfflineStore {
+    /**
+     * Whether the browser has IndexedDB
+     * @returns {boolean} True when it can be used
+     */
+    static get supported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    static open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('snapshots', { keyPath: 'key' });
+                    db.createObjectStore('pending', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    }
+    
+    /**
+     * Run one request in a transaction on a store
+     * @param {string} storeName - 'snapshots' or 'pending'
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - (store) => IDBRequest
+     * @returns {Promise<*>} Result of the request, once the transaction completed
+     */
+    static async run(storeName, mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    /**
+     * Keep a copy of the whole catalogue
+     * @param {Array} products - Every product
+     * @param {Array} categories - Every category
+     * @param {string} savedAt - When the server last confirmed this data (ISO date)
+     */
+    static async saveCatalogue(products, categories, savedAt = new Date().toISOString()) {
+        await this.run('snapshots', 'readwrite', store => store.put({ key: 'catalogue', products, categories, savedAt }));
+    }
+    
+    /**
+     * Read the copy of the catalogue
+     * @returns {Promise<Object|null>} { products, categories, savedAt }, or null when none was saved
+     */
+    static async loadCatalogue() {
+        return (await this.run('snapshots', 'readonly', store => store.get('catalogue'))) || null;
+    }
+    
+    /**
+     * List the queued edits, oldest first
+     * @returns {Promise<Array>} Pending changes (see OfflineSync)
+     */
+    static async listPending() {
+        return this.run('pending', 'readonly', store => store.getAll());
+    }
+    
+    /**
+     * Add or replace a queued edit
+     * @param {Object} change - Pending change; a new id is assigned when it has none
+     * @returns {Promise<number>} Its id
+     */
+    static async putPending(change) {
+        return this.run('pending', 'readwrite', store => store.put(change));
+    }
+    
+    /**
+     * Drop a queued edit
+     * @param {number} id - Pending change id
+     */
+    static async removePending(id) {
+        await this.run('pending', 'readwrite', store => store.delete(id));
+    }
+}
+
+OfflineStore.DB_NAME = 'product-table';
+OfflineStore.DB_VERSION = 1;
+OfflineStore.db = null;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineStore;
+}
@@ -0,0 +1,159 @@
+// Edits made while offline: queued in IndexedDB and replayed against the API
+// once the server can be reached again. Each edit remembers the updatedAt the
+// product had when it was edited, so a product changed on the server in the
+// meantime is reported as a conflict instead of being overwritten.
+class OfflineSync {
+    constructor() {
+        this.changes = [];   // queued edits, oldest first
+    }
+    
+    /**
+     * Read the queue from IndexedDB
+     * @returns {Promise<Array>} Queued edits
+     */
+    async load() {
+        this.changes = OfflineStore.supported ? await OfflineStore.listPending() : [];
+        return this.changes;
+    }
+    
+    /**
+     * Edits still waiting to be sent
+     * @returns {Array} Changes without a conflict
+     */
+    get pending() {
+        return this.changes.filter(change => !change.conflict);
+    }
+    
+    /**
+     * Edits the server refused, waiting for the user to overwrite or discard them
+     * @returns {Array} Changes with a conflict
+     */
+    get conflicts() {
+        return this.changes.filter(change => change.conflict);
+    }
+    
+    /**
+     * Ids of the products with a waiting edit
+     * @returns {Set<number>} Product ids
+     */
+    get pendingIds() {
+        return new Set(this.pending.map(change => change.productId));
+    }
+    
+    /**
+     * Queue an edit, folding it into a waiting edit of the same product:
+     * editing a product added offline just changes what will be created,
+     * and deleting it means nothing is sent at all
+     * @param {Object} change - { type, productId, title, values, baseUpdatedAt } where
+     *   type is 'create', 'update' or 'delete', values the form values (not for
+     *   delete) and baseUpdatedAt the product's updatedAt when it was edited
+     */
+    async queue(change) {
+        const earlier = this.pending.find(item => item.productId === change.productId);
+        const queuedAt = new Date().toISOString();
+        
+        if (!earlier) {
+            await OfflineStore.putPending({ ...change, queuedAt, conflict: null });
+        } else if (earlier.type === 'create' && change.type === 'delete') {
+            await OfflineStore.removePending(earlier.id);
+        } else {
+            await OfflineStore.putPending({
+                ...earlier,
+                type: earlier.type === 'create' ? 'create' : change.type,
+                title: change.title,
+                values: change.values,
+                queuedAt
+            });
+        }
+        await this.load();
+    }
+    
+    /**
+     * Send the waiting edits in order. Edits the server refuses (changed or
+     * deleted meanwhile, or no longer valid) are kept as conflicts.
+     * @returns {Promise<Object>} { synced, conflicts } counts
+     * @throws {Error} A network error when the server dropped out again;
+     *   the edits not sent yet stay queued
+     */
+    async sync() {
+        const result = { synced: 0, conflicts: 0 };
+        try {
+            for (const change of this.pending) {
+                try {
+                    await this.send(change);
+                } catch (error) {
+                    if (ProductApi.isNetworkError(error)) throw error;
+                    await OfflineStore.putPending({ ...change, conflict: { status: error.status, message: error.message } });
+                    result.conflicts++;
+                    continue;
+                }
+                await OfflineStore.removePending(change.id);
+                result.synced++;
+            }
+        } finally {
+            await this.load();
+        }
+        return result;
+    }
+    
+    /**
+     * Settle a conflict
+     * @param {number} id - Queued change id
+     * @param {string} action - 'overwrite' to send it without the updatedAt
+     *   check, 'discard' to drop it
+     * @throws {Error} When the server still refuses it; it then stays queued
+     */
+    async resolve(id, action) {
+        const change = this.changes.find(item => item.id === id);
+        if (!change) return;
+        
+        if (action === 'overwrite') {
+            try {
+                await this.send(change, true);
+            } catch (error) {
+                if (!ProductApi.isNetworkError(error)) {
+                    await OfflineStore.putPending({ ...change, conflict: { status: error.status, message: error.message } });
+                    await this.load();
+                }
+                throw error;
+            }
+        }
+        await OfflineStore.removePending(id);
+        await this.load();
+    }
+    
+    /**
+     * Replay one edit against the API
+     * @param {Object} change - Queued change
+     * @param {boolean} force - Skip the updatedAt check
+     */
+    async send(change, force = false) {
+        const expectedUpdatedAt = force ? null : change.baseUpdatedAt;
+        try {
+            switch (change.type) {
+                case 'create':
+                    await ProductApi.createProduct(change.values);
+                    break;
+                case 'update':
+                    await ProductApi.updateProduct(change.productId, change.values, { expectedUpdatedAt });
+                    break;
+                case 'delete':
+                    await ProductApi.deleteProduct(change.productId, { expectedUpdatedAt });
+                    break;
+            }
+        } catch (error) {
+            // Forcing an edit of a product deleted on the server brings it
+            // back; forcing its delete has nothing left to do
+            if (force && error.status === 404 && change.type === 'update') {
+                await ProductApi.createProduct({ ...change.values, id: change.productId });
+            } else if (!(force && error.status === 404 && change.type === 'delete')) {
+                throw error;
+            }
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineSync;
+}
@@ -0,0 +1,328 @@
+// Product detail modal: every field, an image gallery with zoom, and previous / next navigation
+class ProductDetailModal {
+    /**
+     * @param {Object} handlers
+     * @param {Function} handlers.onNavigate - (id) => void, show another product
+     * @param {Function} handlers.onClose - () => void, called after the user closed the modal
+     * @param {Function} handlers.onEdit - (product) => void
+     * @param {Function} handlers.onHistory - (product) => void
+     */
+    constructor({ onNavigate, onClose, onEdit, onHistory }) {
+        this.product = null;
+        this.neighbours = null;
+        this.link = '';
+        this.opened = false;    // show() was called and the modal is not hidden yet
+        this.shown = false;     // the opening transition has finished
+        
+        this.element = document.getElementById('detail-modal');
+        this.title = document.getElementById('detail-modal-title');
+        this.position = document.getElementById('detail-position');
+        this.content = document.getElementById('detail-content');
+        this.loading = document.getElementById('detail-loading');
+        this.errorBox = document.getElementById('detail-error');
+        this.buttons = {
+            previous: document.getElementById('detail-prev'),
+            next: document.getElementById('detail-next'),
+            copy: document.getElementById('detail-copy-link'),
+            history: document.getElementById('detail-history'),
+            edit: document.getElementById('detail-edit')
+        };
+        this.modal = new bootstrap.Modal(this.element);
+        
+        this.buttons.previous.addEventListener('click', () => onNavigate(this.neighbours.previous.id));
+        this.buttons.next.addEventListener('click', () => onNavigate(this.neighbours.next.id));
+        this.buttons.edit.addEventListener('click', () => onEdit(this.product));
+        this.buttons.history.addEventListener('click', () => onHistory(this.product));
+        this.buttons.copy.addEventListener('click', () => this.copyLink());
+        this.element.addEventListener('shown.bs.modal', () => { this.shown = true; });
+        this.element.addEventListener('hide.bs.modal', () => { this.shown = false; });
+        this.element.addEventListener('hidden.bs.modal', () => {
+            this.opened = false;
+            onClose();
+        });
+        
+        // Left / right arrows page through the list, unless the gallery has focus
+        this.element.addEventListener('keydown', (e) => {
+            if (e.target.closest('.carousel, input, textarea')) return;
+            if (e.key === 'ArrowLeft' && !this.buttons.previous.disabled) this.buttons.previous.click();
+            if (e.key === 'ArrowRight' && !this.buttons.next.disabled) this.buttons.next.click();
+        });
+        
+        // Click an image to zoom in; the zoomed image follows the pointer
+        this.content.addEventListener('click', (e) => {
+            const frame = e.target.closest('.detail-zoom');
+            if (frame) frame.classList.toggle('zoomed');
+        });
+        this.content.addEventListener('mousemove', (e) => {
+            const frame = e.target.closest('.detail-zoom.zoomed');
+            if (!frame) return;
+            const rect = frame.getBoundingClientRect();
+            const x = ((e.clientX - rect.left) / rect.width) * 100;
+            const y = ((e.clientY - rect.top) / rect.height) * 100;
+            frame.querySelector('img').style.transformOrigin = `${x}% ${y}%`;
+        });
+        this.content.addEventListener('slid.bs.carousel', (e) => {
+            this.content.querySelectorAll('.detail-zoom.zoomed').forEach(frame => frame.classList.remove('zoomed'));
+            this.content.querySelectorAll('[data-bs-slide-to]').forEach(thumb => {
+                thumb.classList.toggle('active', Number(thumb.dataset.bsSlideTo) === e.to);
+            });
+        });
+    }
+    
+    /**
+     * Whether the modal is showing (or opening)
+     * @returns {boolean} True when open
+     */
+    get isOpen() {
+        return this.opened;
+    }
+    
+    /**
+     * Show the modal if it is not open yet
+     */
+    open() {
+        this.opened = true;
+        this.modal.show();
+    }
+    
+    /**
+     * Open the modal with a spinner while the product loads
+     */
+    showLoading() {
+        this.errorBox.classList.add('d-none');
+        this.content.classList.add('d-none');
+        this.loading.classList.remove('d-none');
+        this.setNavigation(null);
+        this.open();
+    }
+    
+    /**
+     * Show a product
+     * @param {Object} product - Normalised product
+     * @param {Object|null} neighbours - { position, total, previous, next } within the
+     *   current list (see DataConverter.findNeighbours)
+     * @param {string} link - Shareable link to this product
+     */
+    show(product, neighbours, link) {
+        this.product = product;
+        this.link = link;
+        
+        this.title.textContent = product.title;
+        this.content.innerHTML = `
+            <div class="col-lg-6">${this.renderGallery(product)}</div>
+            <div class="col-lg-6">${this.renderInfo(product)}</div>
+        `;
+        this.errorBox.classList.add('d-none');
+        this.loading.classList.add('d-none');
+        this.content.classList.remove('d-none');
+        this.buttons.edit.disabled = false;
+        this.buttons.history.disabled = false;
+        this.buttons.copy.disabled = false;
+        this.setNavigation(neighbours);
+        this.open();
+    }
+    
+    /**
+     * Show an error instead of the product (e.g. unknown id or slug)
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.product = null;
+        this.title.textContent = I18n.t('detail.title');
+        this.errorBox.textContent = message;
+        this.errorBox.classList.remove('d-none');
+        this.loading.classList.add('d-none');
+        this.content.classList.add('d-none');
+        Object.values(this.buttons).forEach(button => { button.disabled = true; });
+        this.position.textContent = '';
+        this.open();
+    }
+    
+    /**
+     * Close the modal
+     * @returns {Promise<void>} Resolves once it is hidden, so another dialog can open
+     */
+    hide() {
+        if (!this.opened) return Promise.resolve();
+        return new Promise(resolve => {
+            this.element.addEventListener('hidden.bs.modal', () => resolve(), { once: true });
+            // Bootstrap ignores hide() while the modal is still opening
+            if (this.shown) {
+                this.modal.hide();
+            } else {
+                this.element.addEventListener('shown.bs.modal', () => this.modal.hide(), { once: true });
+            }
+        });
+    }
+    
+    /**
+     * Update the previous / next buttons and the position badge
+     * @param {Object|null} neighbours - Result of findNeighbours, or null while loading
+     */
+    setNavigation(neighbours) {
+        this.neighbours = neighbours;
+        const { previous, next } = this.buttons;
+        previous.disabled = !neighbours || !neighbours.previous;
+        next.disabled = !neighbours || !neighbours.next;
+        previous.title = neighbours && neighbours.previous ? neighbours.previous.title : '';
+        next.title = neighbours && neighbours.next ? neighbours.next.title : '';
+        
+        if (!neighbours) {
+            this.position.textContent = '';
+        } else if (neighbours.position === null) {
+            this.position.textContent = I18n.t('detail.notInList');
+        } else {
+            this.position.textContent = I18n.t('detail.position', { position: neighbours.position, total: neighbours.total });
+        }
+    }
+    
+    /**
+     * Render the image carousel and its thumbnails
+     * @param {Object} product - Product
+     * @returns {string} HTML
+     */
+    renderGallery(product) {
+        const { images } = product;
+        if (!images.length) {
+            return `
+                <div class="detail-no-image text-muted">
+                    <i class="bi bi-image display-4"></i>
+                    <p class="mb-0">${I18n.t('table.noImage')}</p>
+                </div>
+            `;
+        }
+        
+        const title = this.attr(product.title);
+        const slides = images.map((src, index) => `
+            <div class="carousel-item ${index === 0 ? 'active' : ''}">
+                <div class="detail-zoom" title="${this.attr(I18n.t('detail.zoom'))}">
+                    <img src="${this.attr(src)}" class="d-block" alt="${title} (${index + 1}/${images.length})"
+                         onerror="this.src='https://via.placeholder.com/600x400?text=No+Image'">
+                </div>
+            </div>
+        `).join('');
+        
+        const controls = images.length > 1 ? `
+            <button class="carousel-control-prev" type="button" data-bs-target="#detail-carousel" data-bs-slide="prev">
+                <span class="carousel-control-prev-icon" aria-hidden="true"></span>
+                <span class="visually-hidden">${I18n.t('detail.previousImage')}</span>
+            </button>
+            <button class="carousel-control-next" type="button" data-bs-target="#detail-carousel" data-bs-slide="next">
+                <span class="carousel-control-next-icon" aria-hidden="true"></span>
+                <span class="visually-hidden">${I18n.t('detail.nextImage')}</span>
+            </button>
+        ` : '';
+        
+        const thumbnails = images.length > 1 ? `
+            <div class="detail-thumbnails d-flex flex-wrap gap-2 mt-2">
+                ${images.map((src, index) => `
+                    <button type="button" class="${index === 0 ? 'active' : ''}" data-bs-target="#detail-carousel"
+                            data-bs-slide-to="${index}" aria-label="${this.attr(I18n.t('detail.image', { number: index + 1 }))}">
+                        <img src="${this.attr(src)}" alt="" onerror="this.src='https://via.placeholder.com/60x60?text=No+Image'">
+                    </button>
+                `).join('')}
+            </div>
+        ` : '';
+        
+        return `
+            <div id="detail-carousel" class="carousel slide detail-carousel" data-bs-interval="false">
+                <div class="carousel-inner">${slides}</div>
+                ${controls}
+            </div>
+            ${thumbnails}
+            <p class="small text-muted mt-2 mb-0"><i class="bi bi-zoom-in"></i> ${I18n.t('detail.zoomHint')}</p>
+        `;
+    }
+    
+    /**
+     * Render price, description, category and timestamps
+     * @param {Object} product - Product
+     * @returns {string} HTML
+     */
+    renderInfo(product) {
+        const { category } = product;
+        const categoryImage = category.image
+            ? `<img src="${this.attr(category.image)}" alt="${this.attr(category.name)}" class="detail-category-image"
+                    onerror="this.src='https://via.placeholder.com/64x64?text=No+Image'">`
+            : '';
+        
+        return `
+            <div class="detail-price mb-3">${I18n.formatPrice(product.price)}</div>
+            <dl class="row small mb-3">
+                <dt class="col-sm-4">${I18n.t('detail.id')}</dt>
+                <dd class="col-sm-8">#${product.id}</dd>
+                <dt class="col-sm-4">Slug</dt>
+                <dd class="col-sm-8">${product.slug ? `<code>${this.escapeHtml(product.slug)}</code>` : '—'}</dd>
+                <dt class="col-sm-4">${I18n.t('field.creationAt')}</dt>
+                <dd class="col-sm-8">${this.formatTime(product.creationAt)}</dd>
+                <dt class="col-sm-4">${I18n.t('field.updatedAt')}</dt>
+                <dd class="col-sm-8">${this.formatTime(product.updatedAt)}</dd>
+                <dt class="col-sm-4">${I18n.t('detail.imageCount')}</dt>
+                <dd class="col-sm-8">${I18n.formatNumber(product.images.length)}</dd>
+            </dl>
+            
+            <h6>${I18n.t('field.description')}</h6>
+            <p class="detail-description">${product.description ? this.escapeHtml(product.description) : `<em class="text-muted">${I18n.t('detail.noDescription')}</em>`}</p>
+            
+            <h6>${I18n.t('field.category')}</h6>
+            <div class="d-flex align-items-center gap-3 border rounded p-2">
+                ${categoryImage}
+                <div>
+                    <div class="fw-semibold">${this.escapeHtml(category.name)}</div>
+                    <div class="small text-muted">#${category.id}${category.slug ? ` · ${this.escapeHtml(category.slug)}` : ''}</div>
+                    <div class="small text-muted">
+                        ${I18n.t('detail.categoryTimes', { created: this.formatTime(category.creationAt), updated: this.formatTime(category.updatedAt) })}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Copy the shareable link, falling back to a prompt outside secure contexts
+     */
+    async copyLink() {
+        const button = this.buttons.copy;
+        const label = button.innerHTML;
+        try {
+            await navigator.clipboard.writeText(this.link);
+            button.innerHTML = `<i class="bi bi-check-lg"></i> ${I18n.t('common.copied')}`;
+            setTimeout(() => { button.innerHTML = label; }, 2000);
+        } catch (error) {
+            prompt(I18n.t('common.copyLinkPrompt'), this.link);
+        }
+    }
+    
+    /**
+     * @param {string} timestamp - ISO date
+     * @returns {string} Date and time in the current locale, or 'N/A'
+     */
+    formatTime(timestamp) {
+        return I18n.formatDateTime(timestamp);
+    }
+    
+    /**
+     * Escape a value for use inside a double-quoted attribute
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    attr(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+    
+    /**
+     * Escape HTML special characters
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductDetailModal;
+}
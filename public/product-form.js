@@ -0,0 +1,273 @@
+// Add / edit product modal
+class ProductFormModal {
+    /**
+     * @param {Function} onSubmit - async (values, product) => void, called with
+     *   the validated form values and the product being edited (null when adding)
+     */
+    constructor(onSubmit) {
+        this.onSubmit = onSubmit;
+        this.product = null;
+        this.slugTouched = false;
+        
+        this.element = document.getElementById('product-modal');
+        this.form = document.getElementById('product-form');
+        this.fields = {
+            title: document.getElementById('product-title'),
+            slug: document.getElementById('product-slug'),
+            price: document.getElementById('product-price'),
+            category: document.getElementById('product-category'),
+            description: document.getElementById('product-description')
+        };
+        this.imageList = document.getElementById('product-images');
+        this.formError = document.getElementById('product-form-error');
+        this.saveButton = document.getElementById('product-save-btn');
+        this.modal = new bootstrap.Modal(this.element);
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Wire up form events
+     */
+    setupEventListeners() {
+        // Keep the slug in step with the title until the user edits it
+        this.fields.title.addEventListener('input', () => {
+            if (!this.slugTouched) {
+                this.fields.slug.value = DataConverter.slugify(this.fields.title.value);
+            }
+        });
+        this.fields.slug.addEventListener('input', () => {
+            this.slugTouched = this.fields.slug.value !== '';
+        });
+        
+        // Clear a field's error as soon as it changes
+        this.form.addEventListener('input', (e) => {
+            const name = e.target.dataset.field || e.target.name;
+            if (name) this.setFieldError(name, '');
+        });
+        
+        document.getElementById('product-add-image').addEventListener('click', () => {
+            this.addImageInput('').focus();
+        });
+        
+        this.imageList.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-remove-image]');
+            if (removeButton) {
+                removeButton.closest('.input-group').remove();
+                this.setFieldError('images', '');
+            }
+        });
+        
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+    }
+    
+    /**
+     * Open the modal to add a new product or edit an existing one
+     * @param {Object|null} product - Product to edit, or null to add
+     * @param {Array} categories - Categories for the picker
+     */
+    open(product, categories) {
+        this.product = product;
+        this.form.reset();
+        this.clearErrors();
+        this.setSaving(false);
+        
+        document.getElementById('product-modal-title').textContent = product
+            ? I18n.t('form.editTitle', { id: product.id })
+            : I18n.t('form.createTitle');
+        
+        // Category picker
+        const select = this.fields.category;
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = category.name;
+            select.appendChild(option);
+        });
+        
+        // Field values
+        this.fields.title.value = product ? product.title : '';
+        this.fields.slug.value = product ? product.slug : '';
+        this.fields.price.value = product ? product.price : '';
+        this.fields.category.value = product ? product.category.id : '';
+        this.fields.description.value = product ? product.description : '';
+        this.slugTouched = Boolean(product && product.slug);
+        
+        this.imageList.innerHTML = '';
+        const images = product ? product.images : [];
+        (images.length ? images : ['']).forEach(url => this.addImageInput(url));
+        
+        this.modal.show();
+    }
+    
+    /**
+     * Close the modal
+     */
+    close() {
+        this.modal.hide();
+    }
+    
+    /**
+     * Append an image URL input row
+     * @param {string} url - Initial value
+     * @returns {HTMLInputElement} The new input
+     */
+    addImageInput(url) {
+        const group = document.createElement('div');
+        group.className = 'input-group mb-2';
+        group.innerHTML = `
+            <input type="url" class="form-control" data-field="images" placeholder="https://...">
+            <button type="button" class="btn btn-outline-danger" data-remove-image title="${I18n.t('form.removeImage')}">
+                <i class="bi bi-x-lg"></i>
+            </button>
+        `;
+        const input = group.querySelector('input');
+        input.value = url;
+        this.imageList.appendChild(group);
+        return input;
+    }
+    
+    /**
+     * Read the form into the payload the API expects
+     * @returns {Object} { title, slug, price, description, categoryId, images }
+     */
+    getValues() {
+        const priceText = this.fields.price.value.trim();
+        return {
+            title: this.fields.title.value.trim(),
+            slug: this.fields.slug.value.trim(),
+            price: priceText === '' ? NaN : Number(priceText),
+            description: this.fields.description.value.trim(),
+            categoryId: Number(this.fields.category.value) || null,
+            images: Array.from(this.imageList.querySelectorAll('input'))
+                .map(input => input.value.trim())
+                .filter(Boolean)
+        };
+    }
+    
+    /**
+     * Validate form values
+     * @param {Object} values - Values from getValues()
+     * @returns {Object} Map of field name to error message (empty when valid)
+     */
+    validate(values) {
+        const errors = {};
+        
+        if (!values.title) {
+            errors.title = I18n.t('form.titleRequired');
+        }
+        if (values.slug && values.slug !== DataConverter.slugify(values.slug)) {
+            errors.slug = I18n.t('form.invalidSlug');
+        }
+        if (!Number.isFinite(values.price) || values.price < 0) {
+            errors.price = I18n.t('bulk.invalidPrice');
+        }
+        if (!values.categoryId) {
+            errors.category = I18n.t('bulk.chooseCategory');
+        }
+        
+        const badImage = values.images.find(url => {
+            try {
+                return !/^https?:$/.test(new URL(url).protocol);
+            } catch (error) {
+                return true;
+            }
+        });
+        if (badImage) {
+            errors.images = I18n.t('form.invalidImage', { url: badImage });
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Validate and hand the values to onSubmit
+     */
+    async submit() {
+        this.clearErrors();
+        const values = this.getValues();
+        const errors = this.validate(values);
+        
+        if (Object.keys(errors).length) {
+            Object.entries(errors).forEach(([field, message]) => this.setFieldError(field, message));
+            return;
+        }
+        
+        this.setSaving(true);
+        try {
+            await this.onSubmit(values, this.product);
+        } finally {
+            this.setSaving(false);
+        }
+    }
+    
+    /**
+     * Show errors returned by the API (400 field details or a 409 conflict)
+     * @param {Error} error - ApiError from ProductApi
+     */
+    showServerError(error) {
+        // A slug conflict is the only 409 a product save can produce
+        if (error.status === 409) {
+            this.setFieldError('slug', error.message);
+            return;
+        }
+        
+        const details = Array.isArray(error.details) ? error.details : [];
+        const unmatched = details.filter(detail => !this.setFieldError(detail.field, detail.message));
+        
+        if (!details.length || unmatched.length) {
+            this.formError.textContent = unmatched.length
+                ? unmatched.map(detail => detail.message).join('; ')
+                : error.message;
+            this.formError.classList.remove('d-none');
+        }
+    }
+    
+    /**
+     * Mark a field as invalid, or clear it when message is empty
+     * @param {string} field - Field name
+     * @param {string} message - Error message
+     * @returns {boolean} Whether the field exists in the form
+     */
+    setFieldError(field, message) {
+        const feedback = this.form.querySelector(`[data-error-for="${field}"]`);
+        if (!feedback) return false;
+        
+        feedback.textContent = message;
+        const inputs = field === 'images'
+            ? this.imageList.querySelectorAll('input')
+            : [this.fields[field]];
+        inputs.forEach(input => input.classList.toggle('is-invalid', Boolean(message)));
+        return true;
+    }
+    
+    /**
+     * Remove all error markers
+     */
+    clearErrors() {
+        this.form.querySelectorAll('.is-invalid').forEach(el => el.classList.remove('is-invalid'));
+        this.form.querySelectorAll('[data-error-for]').forEach(el => { el.textContent = ''; });
+        this.formError.classList.add('d-none');
+        this.formError.textContent = '';
+    }
+    
+    /**
+     * Toggle the saving state of the submit button
+     * @param {boolean} saving - Whether a save is in flight
+     */
+    setSaving(saving) {
+        this.saveButton.disabled = saving;
+        this.saveButton.querySelector('.spinner-border').classList.toggle('d-none', !saving);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductFormModal;
+}
@@ -0,0 +1,159 @@
+// Import products from a CSV / XLSX file, with a preview step
+class ProductImportModal {
+    /**
+     * @param {Function} onImported - async (result) => void, called after rows were merged
+     */
+    constructor(onImported) {
+        this.onImported = onImported;
+        this.file = null;
+        this.preview = null;
+        
+        this.element = document.getElementById('import-modal');
+        this.fileInput = document.getElementById('import-file');
+        this.summary = document.getElementById('import-summary');
+        this.previewBody = document.getElementById('import-preview-body');
+        this.errorBox = document.getElementById('import-error');
+        this.confirmButton = document.getElementById('import-confirm-btn');
+        this.modal = new bootstrap.Modal(this.element);
+        
+        this.fileInput.addEventListener('change', () => this.loadPreview());
+        this.confirmButton.addEventListener('click', () => this.confirm());
+    }
+    
+    /**
+     * Open the modal with an empty state
+     */
+    open() {
+        this.file = null;
+        this.preview = null;
+        this.fileInput.value = '';
+        this.renderPreview();
+        this.modal.show();
+    }
+    
+    /**
+     * Upload the chosen file as a dry run and show what would change
+     */
+    async loadPreview() {
+        this.file = this.fileInput.files[0] || null;
+        this.preview = null;
+        this.renderPreview();
+        if (!this.file) return;
+        
+        this.setBusy(true);
+        try {
+            this.preview = await ProductApi.importProducts(this.file, { dryRun: true });
+            this.renderPreview();
+        } catch (error) {
+            console.error('Failed to preview import:', error);
+            this.showError(error.message);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+    
+    /**
+     * Merge the valid rows of the previewed file
+     */
+    async confirm() {
+        if (!this.file || !this.preview) return;
+        
+        this.setBusy(true);
+        try {
+            const result = await ProductApi.importProducts(this.file, { dryRun: false });
+            this.modal.hide();
+            await this.onImported(result);
+        } catch (error) {
+            console.error('Failed to import products:', error);
+            this.showError(error.message);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+    
+    /**
+     * Render the summary line and the preview table
+     */
+    renderPreview() {
+        this.errorBox.classList.add('d-none');
+        
+        if (!this.preview) {
+            this.summary.textContent = I18n.t('import.chooseFile');
+            this.previewBody.innerHTML = '';
+            this.confirmButton.disabled = true;
+            return;
+        }
+        
+        const { summary, rows } = this.preview;
+        this.summary.innerHTML = `
+            ${I18n.t('import.previewTotal', { count: summary.total })}
+            <span class="badge bg-success">${I18n.t('import.previewCreate', { count: summary.create })}</span>
+            <span class="badge bg-primary">${I18n.t('import.previewUpdate', { count: summary.update })}</span>
+            <span class="badge bg-secondary">${I18n.t('bulk.previewUnchanged', { count: summary.unchanged })}</span>
+            <span class="badge bg-danger">${I18n.t('bulk.resultErrors', { count: summary.invalid })}</span>
+            ${summary.invalid ? `<div class="small text-muted mt-1">${I18n.t('import.invalidSkipped')}</div>` : ''}
+        `;
+        
+        const actionLabels = {
+            create: `<span class="badge bg-success">${I18n.t('import.status.create')}</span>`,
+            update: `<span class="badge bg-primary">${I18n.t('import.status.update')}</span>`,
+            unchanged: `<span class="badge bg-secondary">${I18n.t('bulk.status.unchanged')}</span>`
+        };
+        
+        this.previewBody.innerHTML = rows.map(entry => {
+            const product = entry.product;
+            const status = entry.errors.length
+                ? `<span class="badge bg-danger">${I18n.t('bulk.status.error')}</span><ul class="mb-0 ps-3 small text-danger">${entry.errors
+                    .map(message => `<li>${this.escapeHtml(message)}</li>`).join('')}</ul>`
+                : actionLabels[entry.action];
+            return `
+                <tr class="${entry.errors.length ? 'table-danger' : ''}">
+                    <td>${entry.row}</td>
+                    <td>${this.escapeHtml(product.id ?? '')}</td>
+                    <td>${this.escapeHtml(product.title ?? '')}</td>
+                    <td>${this.escapeHtml(product.price ?? '')}</td>
+                    <td>${this.escapeHtml(product.category?.name ?? '')}</td>
+                    <td>${status}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        this.confirmButton.disabled = summary.create + summary.update === 0;
+    }
+    
+    /**
+     * Show an error above the preview
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.errorBox.textContent = message;
+        this.errorBox.classList.remove('d-none');
+    }
+    
+    /**
+     * Toggle the busy state while a request is in flight
+     * @param {boolean} busy - Whether a request is running
+     */
+    setBusy(busy) {
+        this.fileInput.disabled = busy;
+        this.confirmButton.disabled = busy || !this.preview ||
+            this.preview.summary.create + this.preview.summary.update === 0;
+        this.confirmButton.querySelector('.spinner-border').classList.toggle('d-none', !busy);
+    }
+    
+    /**
+     * Escape HTML special characters
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductImportModal;
+}
@@ -0,0 +1,234 @@
+// Data-quality panel: duplicates, slug problems, placeholder or broken images, odd prices and dates
+class QualityPanel {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getLocalProducts - () => the in-memory catalogue
+     *   when working without the server, else null
+     * @param {Function} options.onOpenProduct - (id) => void, show a product
+     * @param {Function} options.onFixed - async (result) => void, called after
+     *   fixes were written
+     * @param {Function} options.notify - (message, type) => void
+     */
+    constructor({ getLocalProducts, onOpenProduct, onFixed, notify }) {
+        this.getLocalProducts = getLocalProducts;
+        this.onOpenProduct = onOpenProduct;
+        this.onFixed = onFixed;
+        this.notify = notify;
+        this.report = null;
+        this.checkImages = false;   // once asked for, images stay checked on refresh
+        this.filter = '';
+        this.busy = false;
+        this.requestId = 0;
+        
+        this.element = document.getElementById('quality-panel');
+        this.summary = document.getElementById('quality-summary');
+        this.filterSelect = document.getElementById('quality-filter');
+        this.list = document.getElementById('quality-issues');
+        this.errorBox = document.getElementById('quality-error');
+        this.checkImagesButton = document.getElementById('quality-check-images');
+        this.fixButton = document.getElementById('quality-fix');
+        
+        this.checkImagesButton.addEventListener('click', () => {
+            this.checkImages = true;
+            this.refresh();
+        });
+        this.fixButton.addEventListener('click', () => this.applyFixes());
+        this.filterSelect.addEventListener('change', (e) => {
+            this.filter = e.target.value;
+            this.renderIssues();
+        });
+        this.list.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-product-id]');
+            if (!link) return;
+            e.preventDefault();
+            this.onOpenProduct(Number(link.dataset.productId));
+        });
+    }
+    
+    /**
+     * Rebuild the report: from the server, or from the in-memory catalogue
+     * when working without it
+     */
+    async refresh() {
+        const requestId = ++this.requestId;
+        const localProducts = this.getLocalProducts();
+        this.errorBox.classList.add('d-none');
+        
+        try {
+            const report = localProducts
+                ? DataQuality.analyze(localProducts)
+                : await this.withBusy(() => ProductApi.getQualityReport({ checkImages: this.checkImages }));
+            // A newer refresh wins
+            if (requestId !== this.requestId) return;
+            this.report = report;
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('Failed to load the quality report:', error);
+            this.showError(I18n.t('quality.loadFailed', { message: error.message }));
+        }
+        this.render();
+    }
+    
+    /**
+     * Preview the suggested fixes, ask, then write them
+     */
+    async applyFixes() {
+        if (this.busy || this.getLocalProducts()) return;
+        this.errorBox.classList.add('d-none');
+        
+        try {
+            const preview = await this.withBusy(() => ProductApi.fixQuality({ dryRun: true, checkImages: this.checkImages }));
+            if (!preview.applied.length) {
+                this.notify(I18n.t('quality.nothingToFix'), 'info');
+                return;
+            }
+            const products = new Set(preview.applied.map(change => change.productId)).size;
+            if (!confirm(I18n.t('quality.confirmFix', { count: preview.applied.length, products }))) return;
+            
+            const result = await this.withBusy(() => ProductApi.fixQuality({ checkImages: this.checkImages }));
+            this.report = result.report;
+            this.render();
+            await this.onFixed(result);
+        } catch (error) {
+            console.error('Failed to apply quality fixes:', error);
+            this.showError(I18n.t('quality.fixFailed', { message: error.message }));
+        }
+    }
+    
+    /**
+     * Run a request with the buttons disabled
+     * @param {Function} task - async () => result
+     * @returns {Promise<*>} The task's result
+     */
+    async withBusy(task) {
+        this.busy = true;
+        this.render();
+        try {
+            return await task();
+        } finally {
+            this.busy = false;
+            this.render();
+        }
+    }
+    
+    /**
+     * Render the summary, the buttons and the issue list
+     */
+    render() {
+        if (!this.report) {
+            this.element.classList.add('d-none');
+            return;
+        }
+        this.element.classList.remove('d-none');
+        
+        const { counts, summary } = this.report;
+        const badges = Object.keys(QualityPanel.SEVERITY_BADGES)
+            .filter(severity => counts[severity])
+            .map(severity => `<span class="badge ${QualityPanel.SEVERITY_BADGES[severity]}">${I18n.t(`quality.severity.${severity}`, { count: counts[severity] })}</span>`);
+        this.summary.innerHTML = badges.length
+            ? badges.join(' ')
+            : `<span class="badge bg-success">${I18n.t('quality.clean')}</span>`;
+        
+        // Filter by issue type; a type that went away falls back to every issue
+        if (this.filter && !summary[this.filter]) this.filter = '';
+        this.filterSelect.innerHTML = [
+            `<option value="">${I18n.t('quality.allIssues', { count: this.report.issues.length })}</option>`,
+            ...Object.keys(DataQuality.CHECKS)
+                .filter(type => summary[type])
+                .map(type => `<option value="${type}" ${type === this.filter ? 'selected' : ''}>${I18n.t(`quality.type.${type}`)} (${summary[type]})</option>`)
+        ].join('');
+        
+        const local = Boolean(this.getLocalProducts());
+        const fixable = this.report.issues.some(issue => issue.fix);
+        this.checkImagesButton.classList.toggle('d-none', local);
+        this.checkImagesButton.disabled = this.busy;
+        this.checkImagesButton.classList.toggle('active', this.report.imagesChecked);
+        this.fixButton.disabled = this.busy || local || !fixable;
+        
+        this.renderIssues();
+    }
+    
+    /**
+     * Render the issues matching the filter
+     */
+    renderIssues() {
+        const issues = this.report.issues.filter(issue => !this.filter || issue.type === this.filter);
+        const maxShown = QualityPanel.MAX_SHOWN;
+        
+        const items = issues.slice(0, maxShown).map(issue => {
+            const products = issue.productIds
+                .map(id => `<a href="#/products/${id}" data-product-id="${id}">#${id}</a>`)
+                .join(', ');
+            return `
+                <li class="py-1 border-bottom">
+                    <span class="badge ${QualityPanel.SEVERITY_BADGES[issue.severity]}">${I18n.t(`quality.type.${issue.type}`)}</span>
+                    ${I18n.t(`quality.issue.${issue.type}`, this.formatParams(issue.params))}
+                    <span class="text-muted">${products}</span>
+                    ${issue.fix ? `<span class="badge bg-light text-dark border">${I18n.t('quality.fixable')}</span>` : ''}
+                </li>
+            `;
+        });
+        if (issues.length > maxShown) {
+            items.push(`<li class="py-1 text-muted">${I18n.t('quality.more', { count: issues.length - maxShown })}</li>`);
+        }
+        this.list.innerHTML = items.join('');
+    }
+    
+    /**
+     * Prepare the values of an issue for its message: escaped, with prices
+     * in the display currency and dates in the current locale
+     * @param {Object} params - Issue params
+     * @returns {Object} Message params
+     */
+    formatParams(params) {
+        const formatted = {};
+        Object.entries(params).forEach(([key, value]) => {
+            if (['price', 'low', 'high'].includes(key)) {
+                formatted[key] = I18n.formatPrice(value);
+            } else if (key === 'creationAt' || key === 'updatedAt') {
+                formatted[key] = I18n.formatDateTime(value);
+            } else if (key === 'count' || key === 'similarity') {
+                formatted[key] = value;
+            } else {
+                formatted[key] = this.escapeHtml(Array.isArray(value) ? value.join(', ') : value);
+            }
+        });
+        return formatted;
+    }
+    
+    /**
+     * Show an error above the list
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.errorBox.textContent = message;
+        this.errorBox.classList.remove('d-none');
+        this.element.classList.remove('d-none');
+    }
+    
+    /**
+     * Escape HTML special characters
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Badge colour per severity
+QualityPanel.SEVERITY_BADGES = {
+    error: 'bg-danger',
+    warning: 'bg-warning text-dark',
+    info: 'bg-info text-dark'
+};
+
+// Issues listed at once; the rest are counted
+QualityPanel.MAX_SHOWN = 200;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityPanel;
+}
@@ -0,0 +1,68 @@
+// Named views of the product table (search, filters, sort), kept in localStorage
+class SavedViews {
+    /**
+     * Read the saved views
+     * @returns {Array} List of { name, query, savedAt }, sorted by name
+     */
+    static list() {
+        let views;
+        try {
+            views = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.warn('Ignoring unreadable saved views:', error);
+            return [];
+        }
+        
+        return Array.isArray(views)
+            ? views.filter(view => view && typeof view.name === 'string' && typeof view.query === 'string')
+            : [];
+    }
+    
+    /**
+     * Save a view, replacing any view with the same name
+     * @param {string} name - View name
+     * @param {string} query - Query string describing the view (without '?')
+     * @returns {Array} Updated list of views
+     */
+    static save(name, query) {
+        const views = this.list().filter(view => view.name !== name);
+        views.push({ name, query, savedAt: new Date().toISOString() });
+        views.sort((a, b) => a.name.localeCompare(b.name, 'vi'));
+        this.write(views);
+        return views;
+    }
+    
+    /**
+     * Delete a view
+     * @param {string} name - View name
+     * @returns {Array} Updated list of views
+     */
+    static remove(name) {
+        const views = this.list().filter(view => view.name !== name);
+        this.write(views);
+        return views;
+    }
+    
+    /**
+     * @param {string} name - View name
+     * @returns {Object|undefined} The view with that name
+     */
+    static find(name) {
+        return this.list().find(view => view.name === name);
+    }
+    
+    /**
+     * Persist the list of views
+     * @param {Array} views - Views to store
+     */
+    static write(views) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(views));
+    }
+}
+
+SavedViews.STORAGE_KEY = 'productTable.savedViews';
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SavedViews;
+}
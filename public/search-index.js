@@ -0,0 +1,213 @@
+// Inverted index over product text for accent-insensitive, typo-tolerant search
+class SearchIndex {
+    /**
+     * Build the index
+     * @param {Array} products - Array of product objects
+     */
+    constructor(products = []) {
+        this.postings = new Map();   // token -> Map(productId -> field weight)
+        this.vocabulary = [];        // sorted tokens, for prefix lookups
+        
+        products.forEach(product => {
+            Object.entries(SearchIndex.FIELD_WEIGHTS).forEach(([field, weight]) => {
+                SearchIndex.tokenize(product[field]).forEach(token => {
+                    if (!this.postings.has(token)) {
+                        this.postings.set(token, new Map());
+                    }
+                    const ids = this.postings.get(token);
+                    ids.set(product.id, Math.max(ids.get(product.id) || 0, weight));
+                });
+            });
+        });
+        
+        this.vocabulary = Array.from(this.postings.keys()).sort();
+    }
+    
+    /**
+     * Lower-case text and strip diacritics so "Giày đỏ" matches "giay do"
+     * @param {string} text - Text to fold
+     * @returns {string} Folded text
+     */
+    static fold(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[đĐ]/g, 'd')
+            .toLowerCase();
+    }
+    
+    /**
+     * Split text into folded word tokens
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Tokens
+     */
+    static tokenize(text) {
+        return this.fold(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+    
+    /**
+     * Levenshtein distance, giving up once it exceeds maxDistance
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} maxDistance - Largest distance of interest
+     * @param {boolean} prefix - Measure against the closest prefix of b, so
+     *   "sneakr" is one edit from "sneakers"
+     * @returns {number} Distance, or maxDistance + 1 when further apart
+     */
+    static editDistance(a, b, maxDistance, prefix = false) {
+        const lengthGap = prefix ? a.length - b.length : Math.abs(a.length - b.length);
+        if (lengthGap > maxDistance) return maxDistance + 1;
+        
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previous = current;
+        }
+        return prefix ? Math.min(...previous) : previous[b.length];
+    }
+    
+    /**
+     * Typos tolerated for a term of the given length
+     * @param {number} length - Term length
+     * @returns {number} Maximum edit distance
+     */
+    static maxTypos(length) {
+        if (length >= 8) return 2;
+        if (length >= 4) return 1;
+        return 0;
+    }
+    
+    /**
+     * Find the index tokens matching one query token: exactly, as a prefix,
+     * or within a few typos
+     * @param {string} term - Folded query token
+     * @returns {Map<string, number>} Matching token -> match quality (0..1]
+     */
+    expandTerm(term) {
+        const matches = new Map();
+        
+        if (this.postings.has(term)) {
+            matches.set(term, 1);
+        }
+        
+        // Prefix matches: tokens are sorted, so they form one contiguous run
+        if (term.length >= 2) {
+            let low = 0;
+            let high = this.vocabulary.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (this.vocabulary[mid] < term) low = mid + 1; else high = mid;
+            }
+            for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(term); i++) {
+                if (!matches.has(this.vocabulary[i])) {
+                    matches.set(this.vocabulary[i], SearchIndex.MATCH_QUALITY.prefix);
+                }
+            }
+        }
+        
+        // Fuzzy matches, against whole tokens and, for longer terms, against
+        // the start of a token (a typo in a word still being typed)
+        const maxDistance = SearchIndex.maxTypos(term.length);
+        const fuzzyPrefix = term.length >= SearchIndex.FUZZY_PREFIX_LENGTH;
+        if (maxDistance > 0) {
+            this.vocabulary.forEach(token => {
+                if (matches.has(token)) return;
+                const distance = SearchIndex.editDistance(term, token, maxDistance);
+                if (distance <= maxDistance) {
+                    matches.set(token, SearchIndex.MATCH_QUALITY.fuzzy / distance);
+                } else if (fuzzyPrefix && SearchIndex.editDistance(term, token, 1, true) <= 1) {
+                    matches.set(token, SearchIndex.MATCH_QUALITY.fuzzyPrefix);
+                }
+            });
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Search for free text. Every word of the text must match (exactly, by
+     * prefix or fuzzily) for a product to be returned.
+     * @param {string} text - Query text
+     * @returns {Object} { scores: Map(productId -> score), tokens: Set of matched index tokens }
+     */
+    search(text) {
+        const terms = SearchIndex.tokenize(text);
+        const matchedTokens = new Set();
+        let scores = null;
+        
+        terms.forEach(term => {
+            const termScores = new Map();
+            this.expandTerm(term).forEach((quality, token) => {
+                matchedTokens.add(token);
+                this.postings.get(token).forEach((weight, id) => {
+                    termScores.set(id, Math.max(termScores.get(id) || 0, quality * weight));
+                });
+            });
+            
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, id) => {
+                    if (termScores.has(id)) combined.set(id, score + termScores.get(id));
+                });
+                scores = combined;
+            }
+        });
+        
+        return { scores: scores || new Map(), tokens: matchedTokens };
+    }
+    
+    /**
+     * Split text into plain and highlighted parts
+     * @param {string} text - Text to display
+     * @param {Array<string>} tokens - Folded tokens to highlight
+     * @returns {Array<{text: string, match: boolean}>} Segments in order
+     */
+    static highlight(text, tokens) {
+        const wanted = new Set(tokens);
+        const segments = [];
+        if (!wanted.size) return [{ text: String(text), match: false }];
+        
+        String(text).split(/([\p{L}\p{M}\p{N}]+)/u).forEach(part => {
+            if (!part) return;
+            const match = wanted.has(this.fold(part));
+            const last = segments[segments.length - 1];
+            if (last && last.match === match && !match) {
+                last.text += part;
+            } else {
+                segments.push({ text: part, match });
+            }
+        });
+        return segments;
+    }
+}
+
+// How much a hit in each field counts towards relevance
+SearchIndex.FIELD_WEIGHTS = {
+    title: 3,
+    slug: 2,
+    description: 1
+};
+
+// Relative score of a prefix, typo or typo-in-prefix match compared with an exact match
+SearchIndex.MATCH_QUALITY = {
+    prefix: 0.7,
+    fuzzy: 0.4,
+    fuzzyPrefix: 0.3
+};
+
+// Shortest term matched within one typo of the start of a token
+SearchIndex.FUZZY_PREFIX_LENGTH = 5;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
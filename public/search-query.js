@@ -0,0 +1,361 @@
+// Structured search queries for the product search box, e.g.
+//   price:>100 category:shoes "red sneakers" -refurbished created:2026-01
+//
+// Terms are ANDed together; `OR` between two terms makes them alternatives.
+// A leading `-` negates a term. Bare words and "quoted phrases" match the
+// title, description or slug; `field:value` restricts the match to a field.
+// Text matching ignores case and Vietnamese diacritics.
+
+/**
+ * Error thrown for a malformed query, with the character position it refers to
+ */
+class SearchQueryError extends Error {
+    /**
+     * @param {string} code - Machine-readable reason (e.g. 'unknown_field')
+     * @param {string} message - Human-readable message
+     * @param {number} position - 0-based offset in the query string
+     * @param {Object} params - Values used in the message
+     */
+    constructor(code, message, position, params = {}) {
+        super(message);
+        this.name = 'SearchQueryError';
+        this.code = code;
+        this.position = position;
+        this.params = params;
+    }
+}
+
+class SearchQuery {
+    /**
+     * The text index class: a global in the browser (search-index.js is
+     * loaded before this file), required on the server
+     * @returns {Function} SearchIndex class
+     */
+    static get SearchIndex() {
+        return typeof SearchIndex !== 'undefined' ? SearchIndex : require('./search-index');
+    }
+    
+    /**
+     * Parse a query string
+     * @param {string} text - Query typed by the user
+     * @returns {Object} { groups } - every group must match; a group matches
+     *   when any of its clauses does
+     * @throws {SearchQueryError} When the query is malformed
+     */
+    static parse(text) {
+        const tokens = this.tokenize(String(text || ''));
+        const groups = [];
+        let expectAlternative = false;
+        
+        tokens.forEach((token, index) => {
+            if (token.type === 'or') {
+                if (!groups.length || expectAlternative) {
+                    throw new SearchQueryError('misplaced_or', 'OR must stand between two terms', token.position);
+                }
+                if (index === tokens.length - 1) {
+                    throw new SearchQueryError('misplaced_or', 'OR must stand between two terms', token.position);
+                }
+                expectAlternative = true;
+                return;
+            }
+            
+            const clause = this.parseClause(token);
+            if (expectAlternative) {
+                groups[groups.length - 1].push(clause);
+                expectAlternative = false;
+            } else {
+                groups.push([clause]);
+            }
+        });
+        
+        return { groups };
+    }
+    
+    /**
+     * Split a query into terms, phrases and OR keywords
+     * @param {string} text - Query string
+     * @returns {Array} Tokens { type: 'term'|'or', negate, field, value, quoted, position }
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+            
+            const start = i;
+            let negate = false;
+            if (text[i] === '-') {
+                negate = true;
+                i++;
+                if (i >= text.length || /\s/.test(text[i])) {
+                    throw new SearchQueryError('dangling_negation', 'Expected a term after "-"', start);
+                }
+            }
+            
+            // Optional field qualifier
+            let field = null;
+            const qualifier = /^([a-zA-Z]+):/.exec(text.slice(i));
+            if (qualifier) {
+                field = qualifier[1].toLowerCase();
+                i += qualifier[0].length;
+            }
+            
+            // Value: quoted phrase or run of non-space characters
+            let value = '';
+            let quoted = false;
+            if (text[i] === '"') {
+                const end = text.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new SearchQueryError('unterminated_quote', 'Missing closing quote', i);
+                }
+                value = text.slice(i + 1, end);
+                quoted = true;
+                i = end + 1;
+            } else {
+                while (i < text.length && !/\s/.test(text[i])) {
+                    value += text[i];
+                    i++;
+                }
+            }
+            
+            if (!negate && !field && !quoted && (value === 'OR' || value === '|')) {
+                tokens.push({ type: 'or', position: start });
+                continue;
+            }
+            
+            if (field && value === '' && !quoted) {
+                throw new SearchQueryError('empty_value', `Missing value after "${field}:"`, start, { field });
+            }
+            if (quoted && value.trim() === '') {
+                throw new SearchQueryError('empty_phrase', 'Empty quoted phrase', start);
+            }
+            
+            tokens.push({ type: 'term', negate, field, value, quoted, position: start });
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Turn a term token into a clause the matcher understands
+     * @param {Object} token - Term token
+     * @returns {Object} Clause { kind, field, negate, ... }
+     */
+    static parseClause(token) {
+        const base = { negate: token.negate, quoted: token.quoted, position: token.position };
+        
+        if (!token.field) {
+            return { ...base, kind: 'text', field: null, value: this.SearchIndex.fold(token.value) };
+        }
+        
+        const field = this.FIELD_ALIASES[token.field] || token.field;
+        const type = this.FIELDS[field];
+        if (!type) {
+            throw new SearchQueryError(
+                'unknown_field',
+                `Unknown field "${token.field}". Use one of: ${Object.keys(this.FIELDS).join(', ')}`,
+                token.position,
+                { field: token.field }
+            );
+        }
+        
+        if (type === 'number') {
+            return { ...base, kind: 'number', field, ...this.parseRange(token, value => this.parseNumber(value, token)) };
+        }
+        if (type === 'date') {
+            return { ...base, kind: 'date', field, ...this.parseRange(token, (value, bound) => this.parseDate(value, bound, token)) };
+        }
+        return { ...base, kind: 'text', field, value: this.SearchIndex.fold(token.value) };
+    }
+    
+    /**
+     * Parse a comparison (>, >=, <, <=, =) or range (a..b) into min/max bounds
+     * @param {Object} token - Term token
+     * @param {Function} parseValue - (text, bound) => number, bound is 'start' or 'end'
+     * @returns {Object} { min, max, minExclusive, maxExclusive }
+     */
+    static parseRange(token, parseValue) {
+        const value = token.value.trim();
+        const comparison = /^(>=|<=|>|<|=)(.*)$/.exec(value);
+        
+        if (comparison) {
+            const [, op, operand] = comparison;
+            if (!operand) {
+                throw new SearchQueryError('empty_value', `Missing value after "${token.field}:${op}"`, token.position, { field: token.field });
+            }
+            switch (op) {
+                case '>': return { min: parseValue(operand, 'end'), minExclusive: true };
+                case '>=': return { min: parseValue(operand, 'start') };
+                case '<': return { max: parseValue(operand, 'start'), maxExclusive: true };
+                case '<=': return { max: parseValue(operand, 'end') };
+                default: return { min: parseValue(operand, 'start'), max: parseValue(operand, 'end') };
+            }
+        }
+        
+        if (value.includes('..')) {
+            const [from, to] = value.split('..');
+            if (!from && !to) {
+                throw new SearchQueryError('invalid_range', `Range for "${token.field}" needs at least one bound`, token.position);
+            }
+            const range = {};
+            if (from) range.min = parseValue(from, 'start');
+            if (to) range.max = parseValue(to, 'end');
+            if (from && to && range.min > range.max) {
+                throw new SearchQueryError('invalid_range', `Range "${value}" starts after it ends`, token.position, { value });
+            }
+            return range;
+        }
+        
+        return { min: parseValue(value, 'start'), max: parseValue(value, 'end') };
+    }
+    
+    /**
+     * @param {string} text - Number as typed
+     * @param {Object} token - Term token, for error reporting
+     * @returns {number} Parsed number
+     */
+    static parseNumber(text, token) {
+        const number = Number(text.replace(',', '.'));
+        if (text.trim() === '' || !Number.isFinite(number)) {
+            throw new SearchQueryError('invalid_number', `"${text}" is not a number`, token.position, { value: text });
+        }
+        return number;
+    }
+    
+    /**
+     * Parse YYYY, YYYY-MM or YYYY-MM-DD. A partial date covers its whole
+     * period: 'start' returns its first millisecond, 'end' its last.
+     * @param {string} text - Date as typed
+     * @param {string} bound - 'start' or 'end'
+     * @param {Object} token - Term token, for error reporting
+     * @returns {number} Timestamp in milliseconds (UTC)
+     */
+    static parseDate(text, bound, token) {
+        const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text.trim());
+        const invalid = () => new SearchQueryError(
+            'invalid_date',
+            `"${text}" is not a date (use YYYY, YYYY-MM or YYYY-MM-DD)`,
+            token.position,
+            { value: text }
+        );
+        if (!match) throw invalid();
+        
+        const year = Number(match[1]);
+        const month = match[2] ? Number(match[2]) - 1 : null;
+        const day = match[3] ? Number(match[3]) : null;
+        
+        if (month !== null && (month < 0 || month > 11)) throw invalid();
+        if (day !== null) {
+            const date = new Date(Date.UTC(year, month, day));
+            if (date.getUTCMonth() !== month) throw invalid();
+        }
+        
+        let start;
+        let next;
+        if (day !== null) {
+            start = Date.UTC(year, month, day);
+            next = Date.UTC(year, month, day + 1);
+        } else if (month !== null) {
+            start = Date.UTC(year, month, 1);
+            next = Date.UTC(year, month + 1, 1);
+        } else {
+            start = Date.UTC(year, 0, 1);
+            next = Date.UTC(year + 1, 0, 1);
+        }
+        return bound === 'start' ? start : next - 1;
+    }
+    
+    /**
+     * Check whether a product satisfies a parsed query
+     * @param {Object} product - Product object
+     * @param {Object} query - Result of parse()
+     * @returns {boolean} True when every group has a matching clause
+     */
+    static matches(product, query) {
+        return query.groups.every(group => group.some(clause => {
+            const result = this.matchClause(product, clause);
+            return clause.negate ? !result : result;
+        }));
+    }
+    
+    /**
+     * @param {Object} product - Product object
+     * @param {Object} clause - Parsed clause
+     * @returns {boolean} Whether the clause matches (before negation)
+     */
+    static matchClause(product, clause) {
+        if (clause.kind === 'number' || clause.kind === 'date') {
+            const value = clause.kind === 'number'
+                ? this.numberValue(product, clause.field)
+                : Date.parse(product[clause.field]);
+            if (!Number.isFinite(value)) return false;
+            if (clause.min !== undefined && (clause.minExclusive ? value <= clause.min : value < clause.min)) return false;
+            if (clause.max !== undefined && (clause.maxExclusive ? value >= clause.max : value > clause.max)) return false;
+            return true;
+        }
+        
+        // Free-text terms resolved against a SearchIndex beforehand
+        if (clause.ids) {
+            return clause.ids.has(product.id);
+        }
+        
+        const term = clause.value;
+        const fold = text => this.SearchIndex.fold(text);
+        switch (clause.field) {
+            case null:
+                return fold(product.title).includes(term) ||
+                    fold(product.description).includes(term) ||
+                    fold(product.slug).includes(term);
+            case 'category':
+                return fold(product.category.name) === term ||
+                    fold(product.category.slug) === term ||
+                    String(product.category.id) === term;
+            case 'image':
+                return product.images.some(url => fold(url).includes(term));
+            default:
+                return fold(product[clause.field]).includes(term);
+        }
+    }
+    
+    /**
+     * @param {Object} product - Product object
+     * @param {string} field - Numeric field name
+     * @returns {number} Field value
+     */
+    static numberValue(product, field) {
+        return field === 'images' ? product.images.length : Number(product[field]);
+    }
+}
+
+// Queryable fields and their value types
+SearchQuery.FIELDS = {
+    id: 'number',
+    title: 'text',
+    description: 'text',
+    slug: 'text',
+    category: 'text',
+    price: 'number',
+    images: 'number',
+    image: 'text',
+    creationAt: 'date',
+    updatedAt: 'date'
+};
+
+// Short names accepted in queries (field names are lower-cased when parsed)
+SearchQuery.FIELD_ALIASES = {
+    desc: 'description',
+    cat: 'category',
+    created: 'creationAt',
+    creationat: 'creationAt',
+    updated: 'updatedAt',
+    updatedat: 'updatedAt'
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchQuery, SearchQueryError };
+}
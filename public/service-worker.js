@@ -0,0 +1,118 @@
+// Service worker: keeps the app shell (page, scripts, styles) available
+// offline. API responses are not cached here; the app keeps its own copy of
+// the catalogue in IndexedDB (see offline-store.js).
+const CACHE_NAME = 'product-table-v6';
+
+const APP_SHELL = [
+    '/',
+    '/i18n.js',
+    '/locales/vi.js',
+    '/locales/en.js',
+    '/search-index.js',
+    '/search-query.js',
+    '/data-converter.js',
+    '/api-client.js',
+    '/config.js',
+    '/data-sources.js',
+    '/offline-store.js',
+    '/offline-sync.js',
+    '/product-form.js',
+    '/product-import.js',
+    '/product-detail.js',
+    '/table-renderer.js',
+    '/column-layout.js',
+    '/table-header.js',
+    '/column-chooser.js',
+    '/bulk-actions.js',
+    '/history-panel.js',
+    '/category-manager.js',
+    '/login-modal.js',
+    '/user-manager.js',
+    '/data-quality.js',
+    '/quality-panel.js',
+    '/facet-panel.js',
+    '/saved-views.js',
+    '/live-updates.js',
+    '/stats-charts.js',
+    '/app.js'
+];
+
+const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0-alpha1/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.10.0/font/bootstrap-icons.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0-alpha1/dist/js/bootstrap.bundle.min.js',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        // A CDN outage should not stop the app shell from being cached
+        await Promise.all(CDN_ASSETS.map(url => cache.add(url).catch(error => {
+            console.warn(`Could not cache ${url}:`, error);
+        })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        // Data always comes from the network; the app falls back to IndexedDB
+        if (url.pathname.startsWith('/api/') || url.pathname === '/db.json') return;
+        event.respondWith(networkFirst(request, url));
+    } else if (url.hostname === 'cdn.jsdelivr.net') {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Serve our own files fresh when online and from the cache when not. Every
+ * page of the app (/, /products/:slug) is the same index.html.
+ * @param {Request} request - Same-origin GET request
+ * @param {URL} url - Its parsed URL
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request, url) {
+    const cache = await caches.open(CACHE_NAME);
+    const isAppPage = request.mode === 'navigate' &&
+        (url.pathname === '/' || /^\/products\/[^/]+\/?$/.test(url.pathname));
+    const key = isAppPage ? '/' : request;
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve versioned CDN files (styles, scripts, icon fonts) from the cache
+ * once they have been fetched
+ * @param {Request} request - CDN request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
@@ -0,0 +1,126 @@
+// Charts under the stat cards: category breakdown, price histogram and creation timeline
+class StatsCharts {
+    constructor() {
+        this.charts = {};
+        this.summary = document.getElementById('stats-summary');
+        this.canvases = {
+            groups: document.getElementById('stats-groups-chart'),
+            histogram: document.getElementById('stats-histogram-chart'),
+            timeline: document.getElementById('stats-timeline-chart')
+        };
+    }
+    
+    /**
+     * Whether the chart library loaded (it comes from a CDN)
+     * @returns {boolean} True when Chart.js is available
+     */
+    static get available() {
+        return typeof Chart !== 'undefined';
+    }
+    
+    /**
+     * Render the price summary and every chart
+     * @param {Object} stats - Result of DataConverter.calculateStatistics
+     */
+    render(stats) {
+        const price = value => I18n.formatPrice(value);
+        this.summary.innerHTML = `
+            <span class="me-3">${I18n.t('stats.median')}: <strong>${price(stats.medianPrice)}</strong></span>
+            <span class="me-3">Q1 – Q3: <strong>${price(stats.quartiles.q1)} – ${price(stats.quartiles.q3)}</strong></span>
+            <span class="me-3">${I18n.t('stats.stdDev')}: <strong>${price(stats.stdDevPrice)}</strong></span>
+            <span class="me-3">${I18n.t('stats.priceRange')}: <strong>${price(stats.minPrice)} – ${price(stats.maxPrice)}</strong></span>
+            <span>${I18n.t('stats.totalValue')}: <strong>${price(stats.totalValue)}</strong></span>
+        `;
+        
+        if (!StatsCharts.available) {
+            Object.values(this.canvases).forEach(canvas => {
+                canvas.replaceWith(Object.assign(document.createElement('p'), {
+                    className: 'text-muted small mb-0',
+                    textContent: I18n.t('stats.chartsUnavailable')
+                }));
+            });
+            this.canvases = {};
+            return;
+        }
+        
+        this.draw('groups', {
+            type: 'bar',
+            data: {
+                labels: stats.groups.map(group => group.label),
+                datasets: [
+                    { label: I18n.t('stats.productCount'), data: stats.groups.map(group => group.count), backgroundColor: '#667eea', yAxisID: 'y' },
+                    {
+                        label: `${I18n.t('stats.totalValue')} (${I18n.currency})`,
+                        data: stats.groups.map(group => I18n.toDisplayCurrency(group.totalValue)),
+                        backgroundColor: '#c3b1e1',
+                        yAxisID: 'value'
+                    }
+                ]
+            },
+            options: this.options({
+                y: { beginAtZero: true, ticks: { precision: 0 } },
+                value: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false } }
+            })
+        });
+        
+        this.draw('histogram', {
+            type: 'bar',
+            data: {
+                labels: stats.histogram.bins.map(bin => `${I18n.formatPrice(bin.from)}–${I18n.formatPrice(bin.to)}`),
+                datasets: [
+                    { label: I18n.t('stats.productCount'), data: stats.histogram.bins.map(bin => bin.count), backgroundColor: '#764ba2', barPercentage: 1, categoryPercentage: 0.95 }
+                ]
+            },
+            options: this.options({ y: { beginAtZero: true, ticks: { precision: 0 } } }, false)
+        });
+        
+        this.draw('timeline', {
+            type: 'line',
+            data: {
+                labels: stats.timeline.points.map(point => point.date),
+                datasets: [
+                    { label: I18n.t('stats.newProducts'), data: stats.timeline.points.map(point => point.count), borderColor: '#667eea', backgroundColor: 'rgba(102, 126, 234, 0.2)', fill: true, tension: 0.2 }
+                ]
+            },
+            options: this.options({ y: { beginAtZero: true, ticks: { precision: 0 } } }, false)
+        });
+    }
+    
+    /**
+     * Create a chart, or update it in place when it already exists
+     * @param {string} key - Chart name (see canvases)
+     * @param {Object} config - Chart.js configuration
+     */
+    draw(key, config) {
+        const chart = this.charts[key];
+        if (chart) {
+            chart.data = config.data;
+            chart.options.locale = config.options.locale;
+            chart.update('none');
+        } else if (this.canvases[key]) {
+            this.charts[key] = new Chart(this.canvases[key], config);
+        }
+    }
+    
+    /**
+     * Shared chart options
+     * @param {Object} scales - Chart.js scales
+     * @param {boolean} legend - Whether to show the legend
+     * @returns {Object} Chart.js options
+     */
+    options(scales, legend = true) {
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            locale: I18n.intlLocale,
+            plugins: { legend: { display: legend, position: 'bottom' } },
+            scales
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatsCharts;
+}
@@ -0,0 +1,187 @@
+// Header row of the product table, built from the column layout. Clicking a
+// header sorts, dragging it moves the column and dragging its right edge
+// resizes it (a double-click there restores the default width).
+class TableHeader {
+    /**
+     * @param {HTMLTableRowElement} row - Header row; its first cell (selection)
+     *   and last cell (actions) are fixed, the column cells go in between
+     * @param {ColumnLayout} layout - Column layout
+     * @param {Object} handlers
+     * @param {Function} handlers.onSort - (field, additive) => void
+     * @param {Function} handlers.onLayoutChange - () => void, after a column was moved or resized
+     */
+    constructor(row, layout, { onSort, onLayoutChange }) {
+        this.row = row;
+        this.layout = layout;
+        this.onSort = onSort;
+        this.onLayoutChange = onLayoutChange;
+        this.dragging = null;   // key of the column being dragged
+        this.resizing = null;   // { key, cell, startX, startWidth } while resizing
+        
+        // Sortable headers (shift-click adds a secondary key)
+        row.addEventListener('click', (e) => {
+            const cell = e.target.closest('th[data-column]');
+            if (cell && !e.target.closest('.column-resizer')) this.onSort(cell.dataset.column, e.shiftKey);
+        });
+        row.addEventListener('keydown', (e) => {
+            const cell = e.target.closest('th[data-column]');
+            if (cell && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.onSort(cell.dataset.column, e.shiftKey);
+            }
+        });
+        
+        // Reordering
+        row.addEventListener('dragstart', (e) => this.handleDragStart(e));
+        row.addEventListener('dragover', (e) => this.handleDragOver(e));
+        row.addEventListener('dragleave', (e) => this.clearDropMarker(e.target.closest('th[data-column]')));
+        row.addEventListener('drop', (e) => this.handleDrop(e));
+        row.addEventListener('dragend', () => this.endDrag());
+        
+        // Resizing
+        row.addEventListener('pointerdown', (e) => this.startResize(e));
+        row.addEventListener('pointermove', (e) => this.resize(e));
+        row.addEventListener('pointerup', () => this.endResize());
+        row.addEventListener('pointercancel', () => this.endResize());
+        row.addEventListener('dblclick', (e) => {
+            const handle = e.target.closest('.column-resizer');
+            if (!handle) return;
+            this.layout.setWidth(handle.closest('th').dataset.column, null);
+            this.onLayoutChange();
+        });
+    }
+    
+    /**
+     * Rebuild the column cells for the current layout and language
+     */
+    render() {
+        this.row.querySelectorAll('th[data-column]').forEach(cell => cell.remove());
+        const cells = this.layout.visibleColumns.map(column => {
+            const width = this.layout.widths[column.key];
+            const style = width ? `width: ${width}px; min-width: ${width}px` : `width: ${column.width}`;
+            return `
+                <th class="sortable" data-column="${column.key}" data-sort-field="${column.key}" tabindex="0"
+                    draggable="true" style="${style}" title="${I18n.t('columns.reorder')}">
+                    ${I18n.t(column.label)} <span class="sort-indicator"></span>
+                    <span class="column-resizer" title="${I18n.t('columns.resize')}"></span>
+                </th>
+            `;
+        }).join('');
+        this.row.lastElementChild.insertAdjacentHTML('beforebegin', cells);
+    }
+    
+    /**
+     * @param {DragEvent} e - dragstart event
+     */
+    handleDragStart(e) {
+        const cell = e.target.closest('th[data-column]');
+        // Dragging the resize handle must not move the column
+        if (!cell || this.resizing) {
+            e.preventDefault();
+            return;
+        }
+        this.dragging = cell.dataset.column;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', this.dragging);
+        cell.classList.add('column-dragging');
+    }
+    
+    /**
+     * Mark where the dragged column would go
+     * @param {DragEvent} e - dragover event
+     */
+    handleDragOver(e) {
+        const cell = e.target.closest('th[data-column]');
+        if (!this.dragging || !cell || cell.dataset.column === this.dragging) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        const after = this.isAfter(e, cell);
+        cell.classList.toggle('column-drop-before', !after);
+        cell.classList.toggle('column-drop-after', after);
+    }
+    
+    /**
+     * @param {DragEvent} e - drop event
+     */
+    handleDrop(e) {
+        const cell = e.target.closest('th[data-column]');
+        if (!this.dragging || !cell) return;
+        e.preventDefault();
+        const key = this.dragging;
+        const after = this.isAfter(e, cell);
+        this.endDrag();
+        if (cell.dataset.column === key) return;
+        this.layout.move(key, cell.dataset.column, after);
+        this.onLayoutChange();
+    }
+    
+    /**
+     * @param {DragEvent} e - Drag event over a cell
+     * @param {HTMLElement} cell - Header cell
+     * @returns {boolean} True when the pointer is on the right half of the cell
+     */
+    isAfter(e, cell) {
+        const box = cell.getBoundingClientRect();
+        return e.clientX > box.left + box.width / 2;
+    }
+    
+    /**
+     * Forget the dragged column and remove the drop markers
+     */
+    endDrag() {
+        this.dragging = null;
+        this.row.querySelectorAll('th[data-column]').forEach(cell => {
+            cell.classList.remove('column-dragging');
+            this.clearDropMarker(cell);
+        });
+    }
+    
+    /**
+     * @param {HTMLElement|null} cell - Header cell
+     */
+    clearDropMarker(cell) {
+        cell?.classList.remove('column-drop-before', 'column-drop-after');
+    }
+    
+    /**
+     * @param {PointerEvent} e - pointerdown event
+     */
+    startResize(e) {
+        const handle = e.target.closest('.column-resizer');
+        if (!handle || e.button !== 0) return;
+        const cell = handle.closest('th');
+        this.resizing = { key: cell.dataset.column, cell, startX: e.clientX, startWidth: cell.offsetWidth };
+        handle.setPointerCapture(e.pointerId);
+        cell.draggable = false;
+        e.preventDefault();
+    }
+    
+    /**
+     * @param {PointerEvent} e - pointermove event
+     */
+    resize(e) {
+        if (!this.resizing) return;
+        const { cell, startX, startWidth } = this.resizing;
+        const width = Math.max(ColumnLayout.MIN_WIDTH, startWidth + e.clientX - startX);
+        cell.style.width = `${width}px`;
+        cell.style.minWidth = `${width}px`;
+    }
+    
+    /**
+     * Keep the width the column was dragged to
+     */
+    endResize() {
+        if (!this.resizing) return;
+        const { key, cell, startWidth } = this.resizing;
+        this.resizing = null;
+        cell.draggable = true;
+        if (cell.offsetWidth === startWidth) return;
+        this.layout.setWidth(key, cell.offsetWidth);
+        this.onLayoutChange();
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TableHeader;
+}
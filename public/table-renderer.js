@@ -0,0 +1,213 @@
+// Keyed row rendering for the product table. Rows are matched to items by id
+// and only rewritten when their markup changes. In virtual mode only the rows
+// in view (plus a margin) are in the DOM, between two spacer rows that stand
+// in for the rest, so very long lists scroll smoothly.
+class TableRenderer {
+    /**
+     * @param {HTMLElement} body - The <tbody> to render into
+     * @param {Object} options
+     * @param {Function} options.renderRow - (item) => inner HTML of its <tr>
+     * @param {Function} options.rowClass - (item) => class names of its <tr>
+     * @param {string|Function} options.emptyHtml - Inner HTML of the row shown when there
+     *   are no items, or a function returning it (for text that can change language)
+     * @param {number} options.columns - Number of table columns, for the spacer cells
+     */
+    constructor(body, { renderRow, rowClass = () => '', emptyHtml = '', columns = 1 }) {
+        this.body = body;
+        this.scroller = body.closest('.table-responsive');
+        this.renderRow = renderRow;
+        this.rowClass = rowClass;
+        this.emptyHtml = emptyHtml;
+        this.items = [];
+        this.rendered = new WeakMap();   // row -> { html, className } it was last given
+        this.virtual = false;
+        this.rowHeight = TableRenderer.ESTIMATED_ROW_HEIGHT;
+        this.measured = false;
+        this.frame = null;
+        
+        this.topSpacer = this.createSpacer(columns);
+        this.bottomSpacer = this.createSpacer(columns);
+        
+        this.scroller.addEventListener('scroll', () => this.schedule(), { passive: true });
+        window.addEventListener('resize', () => this.schedule());
+    }
+    
+    /**
+     * Show a list of items
+     * @param {Array} items - Items with a unique id, in display order
+     */
+    render(items) {
+        this.items = items;
+        if (!items.length) {
+            const html = typeof this.emptyHtml === 'function' ? this.emptyHtml() : this.emptyHtml;
+            this.body.innerHTML = `<tr>${html}</tr>`;
+            return;
+        }
+        
+        if (this.virtual) {
+            this.renderWindow();
+        } else {
+            this.patch(items);
+        }
+    }
+    
+    /**
+     * Switch between rendering every row and rendering only the rows in view.
+     * The next render() shows the change.
+     * @param {boolean} enabled - Virtual mode on or off
+     */
+    setVirtual(enabled) {
+        if (enabled === this.virtual) return;
+        this.virtual = enabled;
+        this.measured = false;
+        this.scroller.classList.toggle('table-virtual', enabled);
+        this.scroller.scrollTop = 0;
+        if (!enabled) {
+            this.topSpacer.remove();
+            this.bottomSpacer.remove();
+        }
+    }
+    
+    /**
+     * Follow a change of the table's columns or row density: widen the spacer
+     * cells and measure the row height again. The next render() shows it.
+     * @param {number} columns - Number of table columns
+     */
+    setColumns(columns) {
+        [this.topSpacer, this.bottomSpacer].forEach(spacer => { spacer.firstChild.colSpan = columns; });
+        this.measured = false;
+    }
+    
+    /**
+     * Scroll back to the first row, e.g. after the filters changed
+     */
+    scrollToTop() {
+        this.scroller.scrollTop = 0;
+    }
+    
+    /**
+     * Render the visible window on the next animation frame
+     */
+    schedule() {
+        if (!this.virtual || !this.items.length || this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.renderWindow();
+        });
+    }
+    
+    /**
+     * Render the rows in view and size the spacers for the rest. Row heights
+     * vary a little (wrapped descriptions), so the first rendered window is
+     * measured and its average used from then on.
+     */
+    renderWindow() {
+        const total = this.items.length;
+        const offset = Math.max(0, this.scroller.scrollTop - this.body.offsetTop);
+        const first = Math.min(
+            Math.max(0, Math.floor(offset / this.rowHeight) - TableRenderer.OVERSCAN),
+            Math.max(0, total - 1)
+        );
+        const visible = Math.ceil(this.scroller.clientHeight / this.rowHeight);
+        const last = Math.min(total, first + visible + 2 * TableRenderer.OVERSCAN);
+        
+        this.topSpacer.firstChild.style.height = `${first * this.rowHeight}px`;
+        this.bottomSpacer.firstChild.style.height = `${(total - last) * this.rowHeight}px`;
+        this.patch(this.items.slice(first, last));
+        
+        if (!this.measured && last > first) {
+            this.measured = true;
+            const height = (this.bottomSpacer.offsetTop - this.topSpacer.offsetTop - this.topSpacer.offsetHeight) / (last - first);
+            if (height > 0 && Math.abs(height - this.rowHeight) > 1) {
+                this.rowHeight = height;
+                this.renderWindow();
+            }
+        }
+    }
+    
+    /**
+     * Make the <tbody> rows match the items: reuse the row of each id, rewrite
+     * it only when its markup changed, move it into place and drop the rest
+     * @param {Array} items - Items to show, in order
+     */
+    patch(items) {
+        const existing = new Map();
+        Array.from(this.body.rows).forEach(row => {
+            if (row.dataset.id !== undefined) {
+                existing.set(row.dataset.id, row);
+            } else if (row !== this.topSpacer && row !== this.bottomSpacer) {
+                row.remove();   // empty state or loading row
+            }
+        });
+        
+        if (this.virtual && this.body.firstElementChild !== this.topSpacer) {
+            this.body.prepend(this.topSpacer);
+        }
+        
+        let previous = this.virtual ? this.topSpacer : null;
+        items.forEach(item => {
+            const key = String(item.id);
+            let row = existing.get(key);
+            if (row) {
+                existing.delete(key);
+            } else {
+                row = document.createElement('tr');
+                row.dataset.id = key;
+            }
+            this.update(row, item);
+            
+            const next = previous ? previous.nextElementSibling : this.body.firstElementChild;
+            if (row !== next) this.body.insertBefore(row, next);
+            previous = row;
+        });
+        
+        existing.forEach(row => row.remove());
+        if (this.virtual && this.body.lastElementChild !== this.bottomSpacer) {
+            this.body.appendChild(this.bottomSpacer);
+        }
+    }
+    
+    /**
+     * Bring one row up to date with its item
+     * @param {HTMLTableRowElement} row - Row element
+     * @param {Object} item - Item shown in the row
+     */
+    update(row, item) {
+        const last = this.rendered.get(row) || { html: null, className: '' };
+        const html = this.renderRow(item);
+        const className = this.rowClass(item);
+        
+        if (html !== last.html) {
+            row.innerHTML = html;
+        }
+        // Only touch our own classes; highlights added by others stay
+        if (className !== last.className) {
+            row.classList.remove(...last.className.split(' ').filter(Boolean));
+            row.classList.add(...className.split(' ').filter(Boolean));
+        }
+        this.rendered.set(row, { html, className });
+    }
+    
+    /**
+     * @param {number} columns - Number of table columns
+     * @returns {HTMLTableRowElement} Empty row of adjustable height
+     */
+    createSpacer(columns) {
+        const row = document.createElement('tr');
+        row.className = 'virtual-spacer';
+        row.setAttribute('aria-hidden', 'true');
+        row.innerHTML = `<td colspan="${columns}"></td>`;
+        return row;
+    }
+}
+
+// Row height assumed until the first rows are measured, in px
+TableRenderer.ESTIMATED_ROW_HEIGHT = 72;
+
+// Rows rendered above and below the visible ones
+TableRenderer.OVERSCAN = 10;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TableRenderer;
+}
@@ -0,0 +1,297 @@
+// User management modal: create accounts, change roles, reset passwords and delete accounts
+class UserManagerModal {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getCurrentUser - () => the signed-in user
+     * @param {Function} options.onChanged - async (message, user) => void, called
+     *   with a summary and the changed user after any change was saved
+     */
+    constructor({ getCurrentUser, onChanged }) {
+        this.getCurrentUser = getCurrentUser;
+        this.onChanged = onChanged;
+        this.users = [];
+        this.editing = null;    // { id, mode } where mode is 'edit' or 'password'
+        this.busy = false;
+        
+        this.element = document.getElementById('users-modal');
+        this.form = document.getElementById('user-form');
+        this.fields = {
+            username: document.getElementById('user-username'),
+            password: document.getElementById('user-password'),
+            role: document.getElementById('user-role')
+        };
+        this.list = document.getElementById('user-list');
+        this.errorBox = document.getElementById('user-error');
+        this.modal = new bootstrap.Modal(this.element);
+        
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.create();
+        });
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-user-action]');
+            if (button) this.handleAction(button.dataset.userAction, Number(button.closest('tr').dataset.userId));
+        });
+        this.list.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('input')) {
+                e.preventDefault();
+                this.save(Number(e.target.closest('tr').dataset.userId));
+            }
+        });
+    }
+    
+    /**
+     * Open the modal and load the accounts
+     */
+    open() {
+        this.editing = null;
+        this.form.reset();
+        this.fields.role.innerHTML = this.roleOptions('viewer');
+        this.errorBox.classList.add('d-none');
+        this.modal.show();
+        this.load();
+    }
+    
+    /**
+     * Fetch the accounts
+     */
+    async load() {
+        try {
+            this.users = (await ProductApi.listUsers())
+                .sort((a, b) => a.username.localeCompare(b.username));
+            this.render();
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            this.showError(I18n.t('users.loadFailed', { message: error.message }));
+        }
+    }
+    
+    /**
+     * Dispatch a row button
+     * @param {string} action - 'edit', 'password', 'save', 'delete' or 'cancel'
+     * @param {number} id - User id
+     */
+    handleAction(action, id) {
+        switch (action) {
+            case 'edit':
+            case 'password':
+                this.editing = { id, mode: action };
+                this.render();
+                this.list.querySelector(`tr[data-user-id="${id}"] input`)?.focus();
+                break;
+            case 'cancel':
+                this.editing = null;
+                this.render();
+                break;
+            case 'save':
+                this.save(id);
+                break;
+            case 'delete':
+                this.remove(id);
+                break;
+        }
+    }
+    
+    /**
+     * Create an account from the form at the top
+     */
+    async create() {
+        const username = this.fields.username.value.trim();
+        const password = this.fields.password.value;
+        if (!username || !password) {
+            this.showError(I18n.t('auth.credentialsRequired'));
+            return;
+        }
+        
+        await this.run(async () => {
+            const user = await ProductApi.createUser({ username, password, role: this.fields.role.value });
+            this.form.reset();
+            this.fields.role.innerHTML = this.roleOptions('viewer');
+            return [I18n.t('users.created', { username: user.username }), user];
+        });
+    }
+    
+    /**
+     * Save the row being edited: a new name and role, or a new password
+     * @param {number} id - User id
+     */
+    async save(id) {
+        const row = this.list.querySelector(`tr[data-user-id="${id}"]`);
+        const changes = this.editing?.mode === 'password'
+            ? { password: row.querySelector('[name="password"]').value }
+            : { username: row.querySelector('[name="username"]').value.trim(), role: row.querySelector('[name="role"]').value };
+        
+        await this.run(async () => {
+            const user = await ProductApi.updateUser(id, changes);
+            this.editing = null;
+            const key = changes.password !== undefined ? 'users.passwordReset' : 'users.updated';
+            return [I18n.t(key, { username: user.username }), user];
+        });
+    }
+    
+    /**
+     * Delete an account
+     * @param {number} id - User id
+     */
+    async remove(id) {
+        const user = this.users.find(u => u.id === id);
+        if (!confirm(I18n.t('users.confirmDelete', { username: user.username }))) return;
+        
+        await this.run(async () => {
+            await ProductApi.deleteUser(id);
+            return [I18n.t('users.deleted', { username: user.username }), null];
+        });
+    }
+    
+    /**
+     * Run a change, then reload the list and tell the app
+     * @param {Function} task - async () => [message, user], returns the success
+     *   message and the changed user
+     */
+    async run(task) {
+        if (this.busy) return;
+        this.busy = true;
+        this.errorBox.classList.add('d-none');
+        this.element.querySelectorAll('button, input, select').forEach(control => { control.disabled = true; });
+        
+        try {
+            const [message, user] = await task();
+            await this.load();
+            await this.onChanged(message, user);
+        } catch (error) {
+            console.error('User change failed:', error);
+            this.showError(error.details?.length
+                ? error.details.map(detail => detail.message).join('; ')
+                : error.message);
+        } finally {
+            this.busy = false;
+            this.element.querySelectorAll('button, input, select').forEach(control => { control.disabled = false; });
+            this.render();
+        }
+    }
+    
+    /**
+     * Render the account table
+     */
+    render() {
+        this.list.innerHTML = this.users.map(user => this.renderRow(user)).join('');
+    }
+    
+    /**
+     * Render one account, in view, edit or password mode
+     * @param {Object} user - { id, username, role }
+     * @returns {string} HTML
+     */
+    renderRow(user) {
+        const mode = this.editing && this.editing.id === user.id ? this.editing.mode : 'view';
+        const self = this.getCurrentUser()?.id === user.id;
+        const actions = `
+            <button type="button" class="btn btn-sm btn-primary" data-user-action="save">${I18n.t('common.save')}</button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-user-action="cancel">${I18n.t('common.cancel')}</button>
+        `;
+        
+        if (mode === 'edit') {
+            return `
+                <tr data-user-id="${user.id}">
+                    <td>
+                        <input type="text" class="form-control form-control-sm" name="username" maxlength="32"
+                               value="${this.attr(user.username)}" aria-label="${this.attr(I18n.t('auth.username'))}">
+                    </td>
+                    <td>
+                        <select class="form-select form-select-sm" name="role" aria-label="${this.attr(I18n.t('users.role'))}">${this.roleOptions(user.role)}</select>
+                    </td>
+                    <td class="text-end row-actions">${actions}</td>
+                </tr>
+            `;
+        }
+        
+        if (mode === 'password') {
+            return `
+                <tr data-user-id="${user.id}">
+                    <td class="fw-semibold">${this.escapeHtml(user.username)}</td>
+                    <td>
+                        <input type="password" class="form-control form-control-sm" name="password" autocomplete="new-password"
+                               placeholder="${this.attr(I18n.t('users.newPassword'))}" aria-label="${this.attr(I18n.t('users.newPassword'))}">
+                    </td>
+                    <td class="text-end row-actions">${actions}</td>
+                </tr>
+            `;
+        }
+        
+        return `
+            <tr data-user-id="${user.id}">
+                <td class="fw-semibold">
+                    ${this.escapeHtml(user.username)}
+                    ${self ? `<span class="badge bg-light text-dark border">${I18n.t('users.you')}</span>` : ''}
+                </td>
+                <td><span class="badge ${UserManagerModal.ROLE_BADGES[user.role] || 'bg-secondary'}">${I18n.t(`users.role.${user.role}`)}</span></td>
+                <td class="text-end row-actions">
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-user-action="edit" title="${this.attr(I18n.t('users.editTitle'))}">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-warning" data-user-action="password" title="${this.attr(I18n.t('users.resetPassword'))}">
+                        <i class="bi bi-key"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-danger" data-user-action="delete"
+                            title="${this.attr(I18n.t(self ? 'users.deleteSelf' : 'common.delete'))}" ${self ? 'disabled' : ''}>
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+    
+    /**
+     * @param {string} selected - Role to select
+     * @returns {string} <option> elements for the roles
+     */
+    roleOptions(selected) {
+        return UserManagerModal.ROLES
+            .map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${I18n.t(`users.role.${role}`)}</option>`)
+            .join('');
+    }
+    
+    /**
+     * Show an error above the table
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.errorBox.textContent = message;
+        this.errorBox.classList.remove('d-none');
+    }
+    
+    /**
+     * Escape a value for use inside a double-quoted attribute
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    attr(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+    
+    /**
+     * Escape HTML special characters
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Roles from least to most privileged, as the server defines them
+UserManagerModal.ROLES = ['viewer', 'editor', 'admin'];
+
+// Badge colour per role
+UserManagerModal.ROLE_BADGES = {
+    viewer: 'bg-secondary',
+    editor: 'bg-primary',
+    admin: 'bg-danger'
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserManagerModal;
+}
@@ -1,56 +1,111 @@
 const http = require('http');
-const fs = require('fs');
 const path = require('path');
+const JsonStore = require('./server/json-store');
+const { SourceStore, createDataSource, categoriesFile } = require('./server/data-sources');
+const ChangeFeed = require('./server/change-feed');
+const { AuditLog } = require('./server/audit-log');
+const { Auth } = require('./server/auth');
+const createApiRouter = require('./server/api');
+const StaticFiles = require('./server/static-files');
+const { parseConfig } = require('./server/config');
+const { logAccess } = require('./server/access-log');
+const { HttpError, sendError } = require('./server/http-utils');
 
-const PORT = 3000;
+let config;
+try {
+  config = parseConfig(process.argv.slice(2), process.env);
+} catch (error) {
+  console.error(error.message);
+  console.error('Usage: node server.js [--port <port>] [--host <host>] [--data-source json|sqlite|rest]');
+  console.error('         [--data-file <file>] [--rest-url <url>] [--rest-page-size <n>]');
+  process.exit(1);
+}
 
-const MIME_TYPES = {
-  '.html': 'text/html',
-  '.js': 'text/javascript',
-  '.css': 'text/css',
-  '.json': 'application/json',
-  '.png': 'image/png',
-  '.jpg': 'image/jpeg',
-  '.gif': 'image/gif',
-  '.svg': 'image/svg+xml',
-  '.ico': 'image/x-icon'
-};
+// Only files in public/ are served; db.json and the server code are not
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const AUDIT_FILE = path.join(__dirname, 'audit-log.jsonl');
+const USERS_FILE = path.join(__dirname, 'users.json');
+
+// Products come from db.json, a SQLite file or a remote REST API
+// (--data-source); each source keeps its categories in a file of its own
+let store;
+try {
+  store = new SourceStore(createDataSource(config.dataSource, { rootDir: __dirname }));
+} catch (error) {
+  console.error(`Could not open the ${config.dataSource.type} data source:`, error.message);
+  process.exit(1);
+}
+const categoryStore = new JsonStore(categoriesFile(config.dataSource, { rootDir: __dirname }));
+const changeFeed = new ChangeFeed(store);
+const auditLog = new AuditLog(AUDIT_FILE);
+const auth = new Auth(new JsonStore(USERS_FILE));
+const apiRouter = createApiRouter({ store, categoryStore, feed: changeFeed, audit: auditLog, auth });
+const staticFiles = new StaticFiles(PUBLIC_DIR);
+
+/**
+ * Dispatch a request under /api/ to the REST router, once the user's role
+ * allows it
+ */
+async function handleApiRequest(req, res, url) {
+  const { pathname, searchParams } = url;
+  try {
+    await auth.authenticate(req);
+    auth.authorize(req, pathname);
+    const match = apiRouter.match(req.method, pathname);
+    if (!match) {
+      throw new HttpError(404, `No API route for ${pathname}`);
+    }
+    await match.handler(req, res, match.params, searchParams);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
 
 const server = http.createServer((req, res) => {
-  console.log(`${req.method} ${req.url}`);
-  
-  let filePath = req.url === '/' ? './index.html' : '.' + req.url;
-  
-  const extname = path.extname(filePath);
-  let contentType = MIME_TYPES[extname] || 'application/octet-stream';
-  
-  fs.readFile(filePath, (error, content) => {
-    if (error) {
-      if (error.code === 'ENOENT') {
-        fs.readFile('./404.html', (err, content) => {
-          if (err) {
-            res.writeHead(404, { 'Content-Type': 'text/html' });
-            res.end('<h1>404 Not Found</h1><p>The requested file was not found.</p>');
-          } else {
-            res.writeHead(404, { 'Content-Type': 'text/html' });
-            res.end(content, 'utf-8');
-          }
-        });
-      } else {
-        // Server error
-        res.writeHead(500);
-        res.end(`Server Error: ${error.code}`);
-      }
+  logAccess(req, res);
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (url.pathname.startsWith('/api/')) {
+    handleApiRequest(req, res, url);
+    return;
+  }
+
+  // Product deep links (/products/:slug) are routed by the app itself
+  const isAppRoute = url.pathname === '/' || /^\/products\/[^/]+\/?$/.test(url.pathname);
+  staticFiles.serve(req, res, isAppRoute ? '/index.html' : url.pathname).catch(error => {
+    console.error(`Could not serve ${url.pathname}:`, error.message);
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(`Server Error: ${error.code || 'unknown'}`);
     } else {
-      // Success
-      res.writeHead(200, { 'Content-Type': contentType });
-      res.end(content, 'utf-8');
+      res.destroy(error);
     }
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}/`);
-  console.log(`Open your browser and navigate to: http://localhost:${PORT}/`);
-  console.log('Press Ctrl+C to stop the server');
-});
\ No newline at end of file
+server.on('error', error => {
+  console.error(`Could not listen on ${config.host || '*'}:${config.port}:`, error.message);
+  process.exit(1);
+});
+
+// Without any users nobody could sign in: create an admin first, with the
+// password from ADMIN_PASSWORD or a random one shown once
+auth.ensureAdmin({ username: process.env.ADMIN_USERNAME || 'admin', password: process.env.ADMIN_PASSWORD || null })
+  .then(admin => {
+    if (admin) {
+      console.log(`Created admin user "${admin.username}"${admin.generated ? ` with password: ${admin.password}` : ''}`);
+    }
+    server.listen(config.port, config.host || undefined, () => {
+      const address = `http://${config.host || 'localhost'}:${server.address().port}/`;
+      changeFeed.start().catch(error => console.error('Live updates disabled:', error.message));
+      console.log(`Server running at ${address}`);
+      console.log(`Products from: ${store.filePath || config.dataSource.baseUrl}`);
+      console.log(`Categories in: ${categoryStore.filePath}`);
+      console.log(`Open your browser and navigate to: ${address}`);
+      console.log('Press Ctrl+C to stop the server');
+    });
+  })
+  .catch(error => {
+    console.error(`Could not read ${USERS_FILE}:`, error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,57 @@
+/**
+ * Log every response as one JSON line on stdout, once it has been sent:
+ * time, method, url, status, bytes, duration, client address, user agent
+ * and referer. Lines are easy to grep and to feed to log tooling.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Its response
+ * @param {Object} options
+ * @param {Function} options.write - Receives each line (defaults to console.log)
+ */
+function logAccess(req, res, { write = line => console.log(line) } = {}) {
+  const started = process.hrtime.bigint();
+  let bytes = 0;
+
+  const { write: writeBody, end } = res;
+  res.write = function (chunk, ...args) {
+    bytes += byteLength(chunk, args[0]);
+    return writeBody.call(this, chunk, ...args);
+  };
+  res.end = function (chunk, ...args) {
+    bytes += byteLength(chunk, args[0]);
+    return end.call(this, chunk, ...args);
+  };
+
+  const done = () => {
+    res.removeListener('finish', done);
+    res.removeListener('close', done);
+    write(JSON.stringify({
+      time: new Date().toISOString(),
+      method: req.method,
+      url: req.url,
+      status: res.statusCode,
+      bytes,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      ip: req.socket.remoteAddress || null,
+      userAgent: req.headers['user-agent'] || null,
+      referer: req.headers.referer || null,
+      ...(res.writableFinished ? {} : { aborted: true })
+    }));
+  };
+  res.on('finish', done);
+  res.on('close', done);
+}
+
+/**
+ * @param {*} chunk - Body chunk passed to write() / end()
+ * @param {*} encoding - Encoding argument, when a string was passed
+ * @returns {number} Size of the chunk in bytes
+ */
+function byteLength(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') return 0;
+  if (typeof chunk === 'string') {
+    return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+  }
+  return chunk.length;
+}
+
+module.exports = { logAccess };
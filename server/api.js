@@ -0,0 +1,1096 @@
+const DataConverter = require('../public/data-converter');
+const { SearchQuery, SearchQueryError } = require('../public/search-query');
+const SearchIndex = require('../public/search-index');
+const DataQuality = require('../public/data-quality');
+const Router = require('./router');
+const { HttpError, sendJson, readBody, readJsonBody } = require('./http-utils');
+const { writeXlsx, readXlsx } = require('./xlsx');
+const { diffProducts, sameProduct } = require('./audit-log');
+const { ImageChecker } = require('./image-check');
+const {
+  parseId,
+  buildProduct,
+  assertUniqueSlug,
+  findProductIndex,
+  nextProductId,
+  planImport,
+  parseBulkRequest,
+  planBulk
+} = require('./products');
+const {
+  buildCategory,
+  findCategoryIndex,
+  nextCategoryId,
+  countProducts
+} = require('./categories');
+const { requiredBatchRole } = require('./auth');
+const {
+  hasRole,
+  hashPassword,
+  validateUser,
+  validatePassword,
+  publicUser,
+  findUserIndex,
+  nextUserId,
+  assertAdminRemains
+} = require('./users');
+
+const MAX_PAGE_SIZE = 1000;
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+const MAX_HISTORY_PAGE = 200;
+const MAX_AUTHOR_LENGTH = 100;
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Parse and check the list query parameters of GET /api/products
+ * @param {URLSearchParams} query - Request query string
+ * @returns {Object} Options for DataConverter.queryProducts
+ */
+function parseListQuery(query) {
+  const options = {
+    q: query.get('q') || '',
+    category: query.get('category') || '',
+    sort: query.get('sort') || 'id',
+    order: query.get('order') || 'asc',
+    page: 1,
+    pageSize: DataConverter.DEFAULT_PAGE_SIZE
+  };
+  const errors = [];
+
+  try {
+    SearchQuery.parse(options.q);
+  } catch (error) {
+    if (!(error instanceof SearchQueryError)) throw error;
+    errors.push({ field: 'q', message: error.message, code: error.code, position: error.position });
+  }
+
+  if (options.order !== 'asc' && options.order !== 'desc') {
+    errors.push({ field: 'order', message: 'order must be asc or desc' });
+  }
+
+  const sortKeys = DataConverter.parseSortKeys(options.sort, options.order);
+  const badKey = options.sort.split(',').find(part => !/^\s*\w+\s*(:\s*(asc|desc)\s*)?$/i.test(part));
+  const badField = sortKeys.find(key => !DataConverter.SORT_FIELDS.includes(key.field));
+  if (badKey !== undefined) {
+    errors.push({ field: 'sort', message: `Invalid sort key "${badKey}", expected field or field:asc|desc` });
+  } else if (badField) {
+    errors.push({ field: 'sort', message: `Cannot sort by "${badField.field}". Use one of: ${DataConverter.SORT_FIELDS.join(', ')}` });
+  } else if (!sortKeys.length || sortKeys.length > DataConverter.MAX_SORT_KEYS) {
+    errors.push({ field: 'sort', message: `sort takes between 1 and ${DataConverter.MAX_SORT_KEYS} keys` });
+  }
+
+  if (query.has('page')) {
+    options.page = Number(query.get('page'));
+    if (!Number.isInteger(options.page) || options.page < 1) {
+      errors.push({ field: 'page', message: 'page must be a positive integer' });
+    }
+  }
+
+  if (query.has('pageSize')) {
+    const raw = query.get('pageSize');
+    options.pageSize = raw === 'all' ? 'all' : Number(raw);
+    if (raw !== 'all' && (!Number.isInteger(options.pageSize) || options.pageSize < 1 || options.pageSize > MAX_PAGE_SIZE)) {
+      errors.push({ field: 'pageSize', message: `pageSize must be 'all' or an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+  }
+
+  const facets = DataConverter.parseFilters(query);
+  options.filters = facets.filters;
+  errors.push(...facets.errors);
+
+  const stats = DataConverter.parseStatsOptions(query);
+  options.stats = stats.options;
+  errors.push(...stats.errors);
+
+  if (errors.length) {
+    throw new HttpError(400, 'Invalid query parameters', errors);
+  }
+  return options;
+}
+
+/**
+ * Work out the spreadsheet format of a request
+ * @param {URLSearchParams} query - Request query string (format=csv|xlsx)
+ * @param {Buffer} body - Uploaded file, sniffed when no format is given
+ * @returns {string} 'csv' or 'xlsx'
+ */
+function parseFormat(query, body) {
+  const format = query.get('format') || (body && body.subarray(0, 2).toString() === 'PK' ? 'xlsx' : 'csv');
+  if (format !== 'csv' && format !== 'xlsx') {
+    throw new HttpError(400, 'format must be csv or xlsx');
+  }
+  return format;
+}
+
+/**
+ * Parse the body of POST /api/reports/quality/fix
+ * @param {Object} body - { types, dryRun, checkImages }
+ * @returns {Object} { types, dryRun, checkImages } where types defaults to
+ *   every fixable issue type
+ */
+function parseQualityFixRequest(body) {
+  const request = { types: DataQuality.FIXABLE, dryRun: body.dryRun === true, checkImages: body.checkImages === true };
+  if (body.types !== undefined) {
+    if (!Array.isArray(body.types) || !body.types.length || !body.types.every(type => DataQuality.FIXABLE.includes(type))) {
+      throw new HttpError(400, 'Invalid fix request', [
+        { field: 'types', message: `types must be a list of: ${DataQuality.FIXABLE.join(', ')}` }
+      ]);
+    }
+    request.types = [...new Set(body.types)];
+  }
+  return request;
+}
+
+/**
+ * Parse an uploaded CSV or XLSX file into raw product records
+ * @param {Buffer} body - File contents
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Array} List of { row, product }
+ */
+function parseImportFile(body, format) {
+  let rows;
+  try {
+    rows = format === 'xlsx' ? readXlsx(body) : DataConverter.parseCsv(body.toString('utf-8'));
+  } catch (error) {
+    throw new HttpError(400, `Could not read ${format.toUpperCase()} file: ${error.message}`);
+  }
+
+  const entries = DataConverter.rowsToProducts(rows);
+  if (!entries.length) {
+    throw new HttpError(400, 'The file contains no product rows');
+  }
+  return entries;
+}
+
+/**
+ * Summarise an import plan for the preview
+ * @param {Array} plan - Result of planImport
+ * @returns {Object} Counts per action plus invalid rows
+ */
+function summariseImport(plan) {
+  const summary = { total: plan.length, create: 0, update: 0, unchanged: 0, invalid: 0 };
+  plan.forEach(entry => {
+    if (entry.errors.length) {
+      summary.invalid++;
+    } else {
+      summary[entry.action]++;
+    }
+  });
+  return summary;
+}
+
+/**
+ * Summarise a bulk plan
+ * @param {Array} plan - Result of planBulk
+ * @returns {Object} Counts per status
+ */
+function summariseBulk(plan) {
+  const summary = { total: plan.length, deleted: 0, updated: 0, unchanged: 0, error: 0 };
+  plan.forEach(entry => {
+    summary[entry.status]++;
+  });
+  return summary;
+}
+
+/**
+ * Read the optional author name of a write, used when the API runs without
+ * sign-in. Browsers cannot send non-ASCII header values, so the X-Author
+ * header is URI-encoded.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} Author name, or null when not given
+ */
+function parseAuthor(req) {
+  const raw = req.headers['x-author'];
+  if (raw === undefined || raw === '') return null;
+
+  let author;
+  try {
+    author = decodeURIComponent(raw).trim();
+  } catch (error) {
+    throw new HttpError(400, 'X-Author must be URI-encoded');
+  }
+  if (author.length > MAX_AUTHOR_LENGTH) {
+    throw new HttpError(400, `X-Author must be at most ${MAX_AUTHOR_LENGTH} characters`);
+  }
+  return author || null;
+}
+
+/**
+ * Read the optional X-Expected-Updated-At header of a write: the updatedAt
+ * the client last saw. Clients replaying edits made offline send it so that
+ * changes made meanwhile by someone else are not silently overwritten.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} ISO timestamp, or null when not given
+ */
+function parseExpectedUpdatedAt(req) {
+  const raw = req.headers['x-expected-updated-at'];
+  if (raw === undefined || raw === '') return null;
+  if (Number.isNaN(Date.parse(raw))) {
+    throw new HttpError(400, 'X-Expected-Updated-At must be an ISO date');
+  }
+  return raw;
+}
+
+/**
+ * Fail with 409 when a product changed since the client last saw it
+ * @param {Object} product - Current product
+ * @param {string|null} expected - updatedAt the client saw, from parseExpectedUpdatedAt
+ * @throws {HttpError} 409 when the timestamps differ
+ */
+function assertUnchangedSince(product, expected) {
+  if (expected !== null && Date.parse(product.updatedAt) !== Date.parse(expected)) {
+    throw new HttpError(409, `Product #${product.id} was changed at ${product.updatedAt}`, [
+      { field: 'updatedAt', message: `expected ${expected}, found ${product.updatedAt}` }
+    ]);
+  }
+}
+
+/**
+ * Parse the paging parameters of the history routes
+ * @param {URLSearchParams} query - Request query string (before, limit)
+ * @returns {Object} { before, limit }
+ */
+function parseHistoryQuery(query) {
+  const options = { before: null, limit: 50 };
+  const errors = [];
+
+  if (query.has('before')) {
+    options.before = Number(query.get('before'));
+    if (!Number.isInteger(options.before) || options.before < 1) {
+      errors.push({ field: 'before', message: 'before must be a positive integer' });
+    }
+  }
+  if (query.has('limit')) {
+    options.limit = Number(query.get('limit'));
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_HISTORY_PAGE) {
+      errors.push({ field: 'limit', message: `limit must be an integer between 1 and ${MAX_HISTORY_PAGE}` });
+    }
+  }
+
+  if (errors.length) {
+    throw new HttpError(400, 'Invalid query parameters', errors);
+  }
+  return options;
+}
+
+/**
+ * Describe an audit batch for the undo/redo buttons
+ * @param {Array} entries - Entries of one batch
+ * @returns {Object|null} { batch, timestamp, author, source, count, products }
+ */
+function describeBatch(entries) {
+  if (!entries.length) return null;
+  const [first] = entries;
+  return {
+    batch: first.batch,
+    timestamp: first.timestamp,
+    author: first.author,
+    source: first.source,
+    count: entries.length,
+    products: entries.slice(0, 5).map(({ productId, action, title }) => ({ productId, action, title }))
+  };
+}
+
+/**
+ * Ensure a request body is a plain JSON object
+ * @param {*} body - Parsed body
+ * @returns {Object} The body
+ */
+function requireObject(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Build the REST API router for products and categories
+ * @param {Object} options
+ * @param {JsonStore|SourceStore} options.store - Store of the products (db.json,
+ *   or the data source chosen in the server config)
+ * @param {JsonStore} options.categoryStore - Store backed by categories.json;
+ *   seeded from the categories embedded in products when it does not exist
+ * @param {ChangeFeed} options.feed - Optional live change feed, served at /api/events
+ * @param {AuditLog} options.audit - Optional audit log; enables the history,
+ *   undo/redo and restore routes
+ * @param {Auth} options.auth - Optional sign-in; enables the session and user
+ *   routes. Roles are enforced by the caller (see Auth#authorize).
+ * @param {ImageChecker} options.images - Checks image URLs for the quality report
+ * @returns {Router} Configured router
+ */
+function createApiRouter({ store, categoryStore, feed = null, audit = null, auth = null, images = new ImageChecker() }) {
+  const router = new Router();
+
+  // Every product write goes through here, so the audit log sees all of them.
+  // Signed-in writes are recorded under the user's name. The diff is taken
+  // after the write, as a remote data source may give new products its own ids.
+  // A mutator that also changes categories pushes a function reversing that
+  // change onto its second argument; these run if the write fails, so
+  // products never point at a category the write meant to add or remove.
+  const updateProducts = async (req, source, mutator, revertOf = null) => {
+    const author = req.user ? req.user.username : parseAuthor(req);
+    const rollbacks = [];
+    let before = [];
+    let after = [];
+    let result;
+    try {
+      result = await store.update(async data => {
+        before = JSON.parse(JSON.stringify(data));
+        const value = await mutator(data, rollbacks);
+        after = data;
+        return value;
+      });
+    } catch (error) {
+      for (const rollback of rollbacks.reverse()) await rollback();
+      throw error;
+    }
+    if (audit) {
+      await audit.record(diffProducts(before, after), { author, source, revertOf });
+    }
+    return result;
+  };
+
+  // The first time categories are needed and the collection is missing or
+  // empty (a new data source), build it from the copies embedded in products
+  let categoriesReady = null;
+  const ensureCategories = () => {
+    if (!categoriesReady) {
+      categoriesReady = categoryStore.read().then(async existing => {
+        if (existing.length) return;
+        const products = (await store.read()).map(p => DataConverter.normalizeProduct(p));
+        await categoryStore.write(DataConverter.getUniqueCategories(products).sort((a, b) => a.id - b.id));
+      });
+      categoriesReady.catch(() => { categoriesReady = null; });
+    }
+    return categoriesReady;
+  };
+  const readCategories = async () => {
+    await ensureCategories();
+    return (await categoryStore.read()).map(c => DataConverter.normalizeCategory(c));
+  };
+
+  // Category changes made inside a product write (merges, and undoing or
+  // redoing them). Each returns a function reversing it, for updateProducts.
+  const removeCategories = async ids => {
+    const removed = await categoryStore.update(data => ids.flatMap(id => {
+      const index = data.findIndex(c => Number(c.id) === id);
+      return index === -1 ? [] : data.splice(index, 1);
+    }));
+    return () => addCategories(removed);
+  };
+  const addCategories = async categories => {
+    const added = await categoryStore.update(data => {
+      const missing = categories.filter(category => !data.some(c => Number(c.id) === Number(category.id)));
+      data.push(...missing);
+      data.sort((a, b) => a.id - b.id);
+      return missing;
+    });
+    return () => removeCategories(added.map(c => Number(c.id)));
+  };
+
+  // Parsed products and their search index, rebuilt whenever db.json or
+  // categories.json changes. Each product shows the collection's version of
+  // its category, whatever copy db.json holds.
+  let catalogue = null;
+  const loadCatalogue = async () => {
+    await ensureCategories();
+    const stats = await Promise.all([store.stat(), categoryStore.stat()]);
+    const version = stats.map(({ mtimeMs, size }) => `${mtimeMs}:${size}`).join('/');
+    if (!catalogue || catalogue.version !== version) {
+      const categories = await readCategories();
+      const byId = new Map(categories.map(c => [c.id, c]));
+      const products = (await store.read()).map(p => {
+        const product = DataConverter.normalizeProduct(p);
+        const category = byId.get(product.category.id);
+        return category ? { ...product, category: { ...category } } : product;
+      });
+      catalogue = { version, products, categories, index: new SearchIndex(products) };
+    }
+    return catalogue;
+  };
+  const readProducts = async () => (await loadCatalogue()).products;
+
+  // A product coming back from history gets its category's current copy;
+  // the category itself may have been deleted or merged away since
+  const withCurrentCategory = (product, categories) => {
+    const category = categories.find(c => c.id === product.category.id);
+    if (!category) {
+      throw new HttpError(409, `Category #${product.category.id} of product #${product.id} no longer exists`);
+    }
+    return { ...product, category: { ...category } };
+  };
+
+  // Products
+
+  router.get('/api/products', async (req, res, params, query) => {
+    const options = parseListQuery(query);
+    const { products, categories, index } = await loadCatalogue();
+    sendJson(res, 200, DataConverter.queryProducts(products, { ...options, categories, index }));
+  });
+
+  router.get('/api/products/export', async (req, res, params, query) => {
+    const format = parseFormat(query);
+    const { products, index } = await loadCatalogue();
+    const options = { ...parseListQuery(query), page: 1, pageSize: 'all', index };
+    let { data } = DataConverter.queryProducts(products, options);
+
+    // Export only the selected rows
+    if (query.get('ids')) {
+      const ids = new Set(query.get('ids').split(',').map(Number));
+      data = data.filter(p => ids.has(p.id));
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const body = format === 'xlsx'
+      ? writeXlsx(DataConverter.productsToRows(data), 'Products')
+      : Buffer.from(DataConverter.productsToCsv(data), 'utf-8');
+
+    res.writeHead(200, {
+      'Content-Type': format === 'xlsx' ? XLSX_TYPE : 'text/csv; charset=utf-8',
+      'Content-Length': body.length,
+      'Content-Disposition': `attachment; filename="products-${date}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.end(body);
+  });
+
+  // Upload a CSV/XLSX file. With dryRun=true nothing is written and the
+  // response is a preview; otherwise valid rows are merged in one write.
+  router.post('/api/products/import', async (req, res, params, query) => {
+    const body = await readBody(req, MAX_IMPORT_BYTES);
+    const entries = parseImportFile(body, parseFormat(query, body));
+    const dryRun = query.get('dryRun') === 'true' || query.get('dryRun') === '1';
+    const categories = await readCategories();
+
+    const plan = data => {
+      const products = data.map(p => DataConverter.normalizeProduct(p));
+      return planImport(products, entries, categories);
+    };
+
+    let rows;
+    if (dryRun) {
+      rows = plan(await store.read());
+    } else {
+      rows = await updateProducts(req, 'import', data => {
+        const result = plan(data);
+        result.forEach(entry => {
+          if (entry.errors.length || entry.action === 'unchanged') return;
+          const index = data.findIndex(p => Number(p.id) === entry.product.id);
+          if (index === -1) {
+            data.push(entry.product);
+          } else {
+            data[index] = entry.product;
+          }
+        });
+        return result;
+      });
+    }
+
+    sendJson(res, 200, { dryRun, summary: summariseImport(rows), rows });
+  });
+
+  // Delete, recategorise or reprice many products in one write. With
+  // dryRun the response only previews the changes.
+  router.post('/api/products/bulk', async (req, res) => {
+    const request = parseBulkRequest(requireObject(await readJsonBody(req)));
+    const categories = await readCategories();
+
+    // Resolve the selection against the data being changed, so a query
+    // selection covers exactly the products matching at write time
+    const plan = data => {
+      const products = data.map(p => DataConverter.normalizeProduct(p));
+      let ids = request.ids;
+      if (request.query !== null) {
+        const options = parseListQuery(new URLSearchParams(request.query));
+        const index = new SearchIndex(products);
+        ids = DataConverter.queryProducts(products, { ...options, page: 1, pageSize: 'all', index }).data.map(p => p.id);
+      }
+      return planBulk(products, ids, request, categories);
+    };
+
+    let rows;
+    if (request.dryRun) {
+      rows = plan(await store.read());
+    } else {
+      rows = await updateProducts(req, 'bulk', data => {
+        const result = plan(data);
+        const deleted = new Set();
+        result.forEach(entry => {
+          const index = data.findIndex(p => Number(p.id) === entry.id);
+          if (entry.status === 'deleted') {
+            deleted.add(data[index]);
+          } else if (entry.status === 'updated') {
+            data[index] = entry.product;
+          }
+        });
+        if (deleted.size) {
+          data.splice(0, data.length, ...data.filter(p => !deleted.has(p)));
+        }
+        return result;
+      });
+    }
+
+    sendJson(res, 200, {
+      dryRun: request.dryRun,
+      action: request.action,
+      summary: summariseBulk(rows),
+      results: rows.map(({ product, ...entry }) => entry)
+    });
+  });
+
+  // Deep links to the detail view use the slug
+  router.get('/api/products/by-slug/:slug', async (req, res, params) => {
+    const product = (await readProducts()).find(p => p.slug && p.slug === params.slug);
+    if (!product) {
+      throw new HttpError(404, `No product with slug "${params.slug}"`);
+    }
+    sendJson(res, 200, product);
+  });
+
+  // Previous / next product within a list, given the same query as GET /api/products
+  router.get('/api/products/:id/neighbours', async (req, res, params, query) => {
+    const id = parseId(params.id);
+    const options = parseListQuery(query);
+    const { products, index } = await loadCatalogue();
+    findProductIndex(products, id);
+    sendJson(res, 200, DataConverter.findNeighbours(products, id, { ...options, index }));
+  });
+
+  router.get('/api/products/:id', async (req, res, params) => {
+    const id = parseId(params.id);
+    const products = await readProducts();
+    sendJson(res, 200, products[findProductIndex(products, id)]);
+  });
+
+  router.post('/api/products', async (req, res) => {
+    const body = requireObject(await readJsonBody(req));
+    const categories = await readCategories();
+
+    const created = await updateProducts(req, 'api', data => {
+      const products = data.map(p => DataConverter.normalizeProduct(p));
+
+      let id = nextProductId(products);
+      if (body.id !== undefined) {
+        id = parseId(body.id);
+        if (products.some(p => p.id === id)) {
+          throw new HttpError(409, `Product #${id} already exists`);
+        }
+      }
+
+      const now = new Date().toISOString();
+      const product = buildProduct(body, {
+        id,
+        categories,
+        creationAt: now,
+        updatedAt: now
+      });
+      assertUniqueSlug(products, product);
+
+      data.push(product);
+      return product;
+    });
+
+    res.setHeader('Location', `/api/products/${created.id}`);
+    sendJson(res, 201, created);
+  });
+
+  const replaceProduct = partial => async (req, res, params) => {
+    const id = parseId(params.id);
+    const body = requireObject(await readJsonBody(req));
+
+    if (body.id !== undefined && Number(body.id) !== id) {
+      throw new HttpError(400, 'Body id does not match the URL');
+    }
+    const expected = parseExpectedUpdatedAt(req);
+    const categories = await readCategories();
+
+    const updated = await updateProducts(req, 'api', data => {
+      const products = data.map(p => DataConverter.normalizeProduct(p));
+      const index = findProductIndex(products, id);
+      const existing = products[index];
+      assertUnchangedSince(existing, expected);
+
+      const input = partial ? { ...existing, ...body } : body;
+      if (partial && body.categoryId === undefined && body.category === undefined) {
+        input.categoryId = existing.category.id;
+      }
+
+      const product = buildProduct(input, {
+        id,
+        categories,
+        creationAt: existing.creationAt,
+        updatedAt: new Date().toISOString()
+      });
+      assertUniqueSlug(products, product);
+
+      data[index] = product;
+      return product;
+    });
+
+    sendJson(res, 200, updated);
+  };
+
+  router.put('/api/products/:id', replaceProduct(false));
+  router.patch('/api/products/:id', replaceProduct(true));
+
+  router.delete('/api/products/:id', async (req, res, params) => {
+    const id = parseId(params.id);
+    const expected = parseExpectedUpdatedAt(req);
+
+    await updateProducts(req, 'api', data => {
+      const index = findProductIndex(data, id);
+      assertUnchangedSince(DataConverter.normalizeProduct(data[index]), expected);
+      data.splice(index, 1);
+    });
+
+    sendJson(res, 204);
+  });
+
+  // History (audit log), undo/redo and restore
+
+  if (audit) {
+    // Undo or redo a whole batch. Every product must still be exactly as the
+    // batch left it (or found it, for redo); otherwise nothing is changed.
+    // A merge also deleted the category it emptied: undo brings it back, as
+    // the products' copies recorded it, and redo deletes it again. Both need
+    // the role of the route that wrote the batch.
+    const revertBatch = async (req, direction) => {
+      const stacks = await audit.stacks();
+      const batch = stacks[direction];
+      if (batch === null) {
+        throw new HttpError(404, `Nothing to ${direction}`);
+      }
+
+      const entries = await audit.batch(batch);
+      const role = requiredBatchRole(entries[0].source);
+      if (auth && !hasRole(req.user, role)) {
+        throw new HttpError(403, `This ${direction} needs the ${role} role`);
+      }
+      const categories = await readCategories();
+      const steps = direction === 'undo'
+        ? entries.slice().reverse().map(entry => ({ entry, expected: entry.after, target: entry.before }))
+        : entries.map(entry => ({ entry, expected: entry.before, target: entry.after }));
+      const merged = entries[0].source === 'merge'
+        ? [...new Map(entries.filter(entry => entry.before).map(entry => [entry.before.category.id, entry.before.category])).values()]
+        : [];
+
+      await updateProducts(req, direction, async (data, rollbacks) => {
+        const products = data.map(p => DataConverter.normalizeProduct(p));
+        const conflicts = steps
+          .filter(({ entry, expected }) => !sameProduct(products.find(p => p.id === entry.productId) || null, expected))
+          .map(({ entry }) => ({ field: `products.${entry.productId}`, message: `Product #${entry.productId} has changed since` }));
+        if (conflicts.length) {
+          throw new HttpError(409, `Cannot ${direction}: products were changed afterwards`, conflicts);
+        }
+
+        if (direction === 'undo' && merged.length) {
+          // A category made since may have been given the same id or slug
+          const clash = merged.find(category => {
+            const sameId = categories.find(c => c.id === category.id);
+            return sameId ? sameId.creationAt !== category.creationAt : categories.some(c => c.slug === category.slug);
+          });
+          if (clash) {
+            throw new HttpError(409, `Cannot undo: a newer category has taken the id or slug of category #${clash.id} "${clash.name}"`);
+          }
+          const missing = merged.filter(category => !categories.some(c => c.id === category.id));
+          rollbacks.push(await addCategories(missing));
+          categories.push(...missing);
+        }
+
+        const now = new Date().toISOString();
+        steps.forEach(({ entry, target }) => {
+          const index = data.findIndex(p => Number(p.id) === entry.productId);
+          if (!target) {
+            data.splice(index, 1);
+            return;
+          }
+          const product = { ...withCurrentCategory(target, categories), updatedAt: now };
+          assertUniqueSlug(data.map(p => DataConverter.normalizeProduct(p)), product);
+          if (index === -1) {
+            data.push(product);
+          } else {
+            data[index] = product;
+          }
+        });
+
+        if (direction === 'redo' && merged.length) {
+          const emptied = merged.filter(category => !data.some(p => p && p.category && Number(p.category.id) === category.id));
+          rollbacks.push(await removeCategories(emptied.map(category => category.id)));
+        }
+      }, batch);
+
+      return describeBatch(await audit.batch(batch));
+    };
+
+    const sendStacks = async res => {
+      const { undo, redo } = await audit.stacks();
+      sendJson(res, 200, {
+        undo: undo === null ? null : describeBatch(await audit.batch(undo)),
+        redo: redo === null ? null : describeBatch(await audit.batch(redo))
+      });
+    };
+
+    router.get('/api/history', async (req, res, params, query) => {
+      const options = parseHistoryQuery(query);
+      if (query.get('productId')) {
+        options.productId = parseId(query.get('productId'));
+      }
+      sendJson(res, 200, await audit.list(options));
+    });
+
+    router.get('/api/history/stacks', async (req, res) => {
+      await sendStacks(res);
+    });
+
+    router.post('/api/history/undo', async (req, res) => {
+      await revertBatch(req, 'undo');
+      await sendStacks(res);
+    });
+
+    router.post('/api/history/redo', async (req, res) => {
+      await revertBatch(req, 'redo');
+      await sendStacks(res);
+    });
+
+    router.get('/api/products/:id/history', async (req, res, params, query) => {
+      const productId = parseId(params.id);
+      sendJson(res, 200, await audit.list({ ...parseHistoryQuery(query), productId }));
+    });
+
+    // Put a product back to the version recorded by an audit entry (the
+    // version before the change, for deletions). Deleted products come back.
+    router.post('/api/products/:id/restore', async (req, res, params) => {
+      const id = parseId(params.id);
+      const body = requireObject(await readJsonBody(req));
+      const entry = await audit.get(Number(body.entryId));
+      if (!entry || entry.productId !== id) {
+        throw new HttpError(404, `No history entry ${body.entryId} for product #${id}`);
+      }
+      const categories = await readCategories();
+
+      const restored = await updateProducts(req, 'restore', data => {
+        const product = { ...withCurrentCategory(entry.after || entry.before, categories), updatedAt: new Date().toISOString() };
+        const index = data.findIndex(p => Number(p.id) === id);
+        assertUniqueSlug(data.map(p => DataConverter.normalizeProduct(p)), product);
+        if (index === -1) {
+          data.push(product);
+        } else {
+          data[index] = product;
+        }
+        return product;
+      });
+
+      sendJson(res, 200, restored);
+    });
+  }
+
+  // Sign-in and user accounts (users.json)
+
+  if (auth) {
+    const sendSession = (res, status, session, user) => {
+      sendJson(res, status, { user, csrfToken: session ? session.csrfToken : null });
+    };
+
+    // A JSON body cannot be sent cross-site without a CORS preflight, which
+    // keeps other sites from signing a browser in
+    router.post('/api/auth/login', async (req, res) => {
+      if (!/^application\/json\b/.test(req.headers['content-type'] || '')) {
+        throw new HttpError(415, 'Login must be sent as application/json');
+      }
+      const body = requireObject(await readJsonBody(req));
+      const session = await auth.login(body.username, body.password);
+      if (req.session) auth.logout(req.session.id);
+      const user = (await auth.userStore.read()).find(u => u.id === session.userId);
+      res.setHeader('Set-Cookie', auth.cookie(session));
+      sendSession(res, 200, session, publicUser(user));
+    });
+
+    router.post('/api/auth/logout', async (req, res) => {
+      if (req.session) auth.logout(req.session.id);
+      res.setHeader('Set-Cookie', auth.cookie(null));
+      sendJson(res, 204);
+    });
+
+    router.get('/api/auth/session', async (req, res) => {
+      sendSession(res, 200, req.session, req.user);
+    });
+
+    router.get('/api/users', async (req, res) => {
+      const users = await auth.userStore.read();
+      sendJson(res, 200, users.map(publicUser));
+    });
+
+    router.post('/api/users', async (req, res) => {
+      const body = requireObject(await readJsonBody(req));
+      if (body.password === undefined) {
+        throw new HttpError(400, 'Invalid user', [{ field: 'password', message: 'password is required' }]);
+      }
+      const users = await auth.userStore.read();
+      validateUser(body, { id: null, users });
+      const passwordHash = await hashPassword(body.password);
+
+      const created = await auth.userStore.update(data => {
+        const now = new Date().toISOString();
+        const user = { id: nextUserId(data), ...validateUser(body, { id: null, users: data }), passwordHash, createdAt: now, updatedAt: now };
+        data.push(user);
+        return user;
+      });
+
+      res.setHeader('Location', `/api/users/${created.id}`);
+      sendJson(res, 201, publicUser(created));
+    });
+
+    // Rename a user, change their role or reset their password. A new
+    // password signs the user out everywhere else.
+    router.patch('/api/users/:id', async (req, res, params) => {
+      const id = parseId(params.id);
+      const body = requireObject(await readJsonBody(req));
+      if (body.password !== undefined) {
+        const errors = validatePassword(body.password);
+        if (errors.length) throw new HttpError(400, 'Invalid user', errors);
+      }
+      const passwordHash = body.password !== undefined ? await hashPassword(body.password) : null;
+
+      const updated = await auth.userStore.update(data => {
+        const index = findUserIndex(data, id);
+        const existing = data[index];
+        const fields = validateUser({ username: existing.username, role: existing.role, ...body, password: undefined }, { id, users: data });
+        const user = { ...existing, ...fields, updatedAt: new Date().toISOString() };
+        if (passwordHash) user.passwordHash = passwordHash;
+        data[index] = user;
+        assertAdminRemains(data);
+        return user;
+      });
+
+      if (passwordHash) auth.logoutUser(id, req.session && req.session.id);
+      sendJson(res, 200, publicUser(updated));
+    });
+
+    router.delete('/api/users/:id', async (req, res, params) => {
+      const id = parseId(params.id);
+      if (req.user && req.user.id === id) {
+        throw new HttpError(409, 'You cannot delete your own account');
+      }
+
+      await auth.userStore.update(data => {
+        data.splice(findUserIndex(data, id), 1);
+        assertAdminRemains(data);
+      });
+
+      auth.logoutUser(id);
+      sendJson(res, 204);
+    });
+  }
+
+  // Live updates (Server-Sent Events)
+
+  if (feed) {
+    router.get('/api/events', async (req, res, params, query) => {
+      feed.subscribe(req, res, query);
+    });
+  }
+
+  // Reports
+
+  // Statistics for the filtered catalogue, with the same options as the list
+  router.get('/api/stats', async (req, res, params, query) => {
+    const options = parseListQuery(query);
+    const { products, categories, index } = await loadCatalogue();
+    const { stats } = DataConverter.queryProducts(products, { ...options, pageSize: 'all', categories, index });
+    sendJson(res, 200, stats);
+  });
+
+  router.get('/api/reports/validation', async (req, res) => {
+    const data = await store.read();
+    const { records, errors } = DataConverter.validateProducts(data);
+    sendJson(res, 200, {
+      total: Array.isArray(data) ? data.length : 0,
+      valid: records.length,
+      errors
+    });
+  });
+
+  // Data-quality report over db.json as stored. Image URLs are only
+  // requested when asked for, as that can take a while.
+  const findUnreachableImages = async (data, checkImages) => {
+    if (!checkImages) return null;
+    const urls = data.flatMap(record => DataConverter.normalizeProduct(record || {}).images);
+    return images.findUnreachable(urls.filter(url => !DataQuality.isPlaceholderImage(url)));
+  };
+
+  router.get('/api/reports/quality', async (req, res, params, query) => {
+    const data = await store.read();
+    const unreachableImages = await findUnreachableImages(data, query.get('checkImages') === 'true');
+    sendJson(res, 200, DataQuality.analyze(data, { unreachableImages }));
+  });
+
+  // Apply the suggested fixes of the report. With dryRun the response only
+  // lists the changes. The image check runs before the write, so db.json is
+  // not held while images load.
+  router.post('/api/reports/quality/fix', async (req, res) => {
+    const request = parseQualityFixRequest(requireObject(await readJsonBody(req)));
+    const unreachableImages = await findUnreachableImages(await store.read(), request.checkImages);
+
+    let applied;
+    let report;
+    if (request.dryRun) {
+      const data = await store.read();
+      applied = DataQuality.applyFixes(data, DataQuality.analyze(data, { unreachableImages }), request.types);
+      report = DataQuality.analyze(data, { unreachableImages });
+    } else {
+      [applied, report] = await updateProducts(req, 'quality', data => {
+        const changes = DataQuality.applyFixes(data, DataQuality.analyze(data, { unreachableImages }), request.types);
+        return [changes, DataQuality.analyze(data, { unreachableImages })];
+      });
+    }
+
+    sendJson(res, 200, { dryRun: request.dryRun, types: request.types, applied, report });
+  });
+
+  // Categories live in their own collection (categories.json). Products keep
+  // a copy of their category, which renames and merges bring up to date.
+
+  const withCount = async category => {
+    const counts = countProducts(await readProducts());
+    return { ...category, productCount: counts.get(category.id) || 0 };
+  };
+
+  // Refresh the category copy held by every product of a category. The
+  // products change, so this is logged, but as a 'category' batch that undo
+  // skips: the category edit itself is not undone.
+  const syncProductCategories = (req, category) => updateProducts(req, 'category', data => {
+    data.forEach((product, index) => {
+      if (product && product.category && Number(product.category.id) === category.id) {
+        data[index] = { ...product, category: { ...category } };
+      }
+    });
+  });
+
+  router.get('/api/categories', async (req, res) => {
+    const categories = await readCategories();
+    const counts = countProducts(await readProducts());
+    sendJson(res, 200, categories.map(c => ({ ...c, productCount: counts.get(c.id) || 0 })));
+  });
+
+  router.get('/api/categories/:id', async (req, res, params) => {
+    const id = parseId(params.id);
+    const categories = await readCategories();
+    sendJson(res, 200, await withCount(categories[findCategoryIndex(categories, id)]));
+  });
+
+  router.post('/api/categories', async (req, res) => {
+    const body = requireObject(await readJsonBody(req));
+    await ensureCategories();
+
+    const created = await categoryStore.update(data => {
+      const categories = data.map(c => DataConverter.normalizeCategory(c));
+      const now = new Date().toISOString();
+      const category = buildCategory(body, {
+        id: nextCategoryId(categories),
+        categories,
+        creationAt: now,
+        updatedAt: now
+      });
+      data.push(category);
+      return category;
+    });
+
+    res.setHeader('Location', `/api/categories/${created.id}`);
+    sendJson(res, 201, { ...created, productCount: 0 });
+  });
+
+  // Rename a category or change its image: PUT replaces every field, PATCH
+  // only the ones sent. Renaming without a new slug derives the slug from
+  // the new name.
+  const replaceCategory = partial => async (req, res, params) => {
+    const id = parseId(params.id);
+    const body = requireObject(await readJsonBody(req));
+    if (body.id !== undefined && Number(body.id) !== id) {
+      throw new HttpError(400, 'Body id does not match the URL');
+    }
+    await ensureCategories();
+
+    const updated = await categoryStore.update(data => {
+      const categories = data.map(c => DataConverter.normalizeCategory(c));
+      const index = findCategoryIndex(categories, id);
+      const existing = categories[index];
+
+      const input = partial ? { ...existing, ...body } : { ...body };
+      if (partial && body.name !== undefined && body.slug === undefined) {
+        delete input.slug;
+      }
+      const category = buildCategory(input, {
+        id,
+        categories,
+        creationAt: existing.creationAt,
+        updatedAt: new Date().toISOString()
+      });
+
+      data[index] = category;
+      return category;
+    });
+
+    await syncProductCategories(req, updated);
+    sendJson(res, 200, await withCount(updated));
+  };
+
+  router.put('/api/categories/:id', replaceCategory(false));
+  router.patch('/api/categories/:id', replaceCategory(true));
+
+  // Move every product of a category into another one, then delete it.
+  // The products change category, so this is recorded in the audit log; the
+  // category is deleted within the same write, and put back if it fails.
+  router.post('/api/categories/:id/merge', async (req, res, params) => {
+    const id = parseId(params.id);
+    const body = requireObject(await readJsonBody(req));
+    if (body.into === undefined) {
+      throw new HttpError(400, 'Invalid merge', [{ field: 'into', message: 'into is required' }]);
+    }
+    const into = parseId(body.into);
+    if (into === id) {
+      throw new HttpError(400, 'Invalid merge', [{ field: 'into', message: 'Cannot merge a category into itself' }]);
+    }
+
+    const categories = await readCategories();
+    findCategoryIndex(categories, id);
+    const target = categories[findCategoryIndex(categories, into)];
+
+    const moved = await updateProducts(req, 'merge', async (data, rollbacks) => {
+      const now = new Date().toISOString();
+      let count = 0;
+      data.forEach((product, index) => {
+        if (product && product.category && Number(product.category.id) === id) {
+          data[index] = { ...product, category: { ...target }, updatedAt: now };
+          count++;
+        }
+      });
+      rollbacks.push(await removeCategories([id]));
+      return count;
+    });
+
+    sendJson(res, 200, { moved, category: await withCount(target) });
+  });
+
+  // Only empty categories can be deleted; merge the others first
+  router.delete('/api/categories/:id', async (req, res, params) => {
+    const id = parseId(params.id);
+    await ensureCategories();
+
+    await categoryStore.update(async data => {
+      const index = findCategoryIndex(data, id);
+      const products = (await store.read()).map(p => DataConverter.normalizeProduct(p));
+      const count = products.filter(p => p.category.id === id).length;
+      if (count) {
+        throw new HttpError(409, `Category #${id} still has ${count} product(s)`);
+      }
+      data.splice(index, 1);
+    });
+
+    sendJson(res, 204);
+  });
+
+  return router;
+}
+
+module.exports = createApiRouter;
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const DataConverter = require('../public/data-converter');
+
+// Fields compared for the per-field diff; updatedAt changes on every write
+const AUDIT_FIELDS = ['title', 'slug', 'price', 'description', 'category', 'images', 'creationAt'];
+
+// Batches undo and redo pass over: 'category' only refreshes the category
+// copies of products after a category edit
+const NOT_UNDOABLE = new Set(['category']);
+
+/**
+ * Compare two versions of a product field by field
+ * @param {Object|null} before - Normalised product, or null when it was created
+ * @param {Object|null} after - Normalised product, or null when it was deleted
+ * @returns {Array} List of { field, before, after }
+ */
+function diffFields(before, after) {
+  const value = (product, field) => {
+    if (!product) return null;
+    return field === 'category' ? product.category.name : product[field];
+  };
+  return AUDIT_FIELDS
+    .filter(field => JSON.stringify(value(before, field)) !== JSON.stringify(value(after, field)))
+    .map(field => ({ field, before: value(before, field), after: value(after, field) }));
+}
+
+/**
+ * Whether two versions of a product are the same, ignoring updatedAt and
+ * the category copy (a category rename is not a product change)
+ * @param {Object|null} a - Normalised product or null
+ * @param {Object|null} b - Normalised product or null
+ * @returns {boolean} True when they match
+ */
+function sameProduct(a, b) {
+  if (!a || !b) return a === b;
+  const categoryId = product => ({ ...product, category: { name: product.category.id } });
+  return a.id === b.id && diffFields(categoryId(a), categoryId(b)).length === 0;
+}
+
+/**
+ * Work out what a write did to the product list. Writes that only touched
+ * updatedAt are not changes.
+ * @param {Array} beforeRecords - Raw records before the write
+ * @param {Array} afterRecords - Raw records after the write
+ * @returns {Array} One { action, productId, before, after } per changed product,
+ *   where action is 'create', 'update' or 'delete'
+ */
+function diffProducts(beforeRecords, afterRecords) {
+  const index = records => {
+    const map = new Map();
+    records.forEach(record => {
+      if (record && record.id !== undefined) {
+        map.set(Number(record.id), DataConverter.normalizeProduct(record));
+      }
+    });
+    return map;
+  };
+  const before = index(beforeRecords);
+  const after = index(afterRecords);
+  const changes = [];
+
+  after.forEach((product, id) => {
+    const previous = before.get(id) || null;
+    if (!previous) {
+      changes.push({ action: 'create', productId: id, before: null, after: product });
+    } else if (diffFields(previous, product).length) {
+      changes.push({ action: 'update', productId: id, before: previous, after: product });
+    }
+  });
+  before.forEach((product, id) => {
+    if (!after.has(id)) {
+      changes.push({ action: 'delete', productId: id, before: product, after: null });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Append-only record of every product change, one JSON entry per line
+ * (audit-log.jsonl next to db.json). Entries are never rewritten; undo, redo
+ * and restore are themselves logged as new entries.
+ *
+ * Changes written by one request share a batch number, and undo/redo work on
+ * whole batches. The undo and redo stacks are rebuilt from the log, so they
+ * survive restarts.
+ *
+ * The CLIs append to the same file while the server runs, so the in-memory
+ * copy is re-read whenever the file's size or modification time changes.
+ */
+class AuditLog {
+  /**
+   * @param {string} filePath - Path to the .jsonl file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = null;     // every entry, oldest first, loaded on first use
+    this.version = null;     // size and mtime of the file the entries were read from
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Read the log into memory, again when another process has appended to it
+   * @returns {Promise<Array>} Every entry, oldest first
+   */
+  async load() {
+    const version = await this.stat();
+    if (this.entries && this.version && version.size === this.version.size && version.mtimeMs === this.version.mtimeMs) {
+      return this.entries;
+    }
+
+    let text = '';
+    try {
+      text = await fs.promises.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entries = [];
+    text.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial last line
+        console.error(`Skipping unreadable audit log line ${i + 1}`);
+      }
+    });
+    this.entries = entries;
+    this.version = version;
+    return entries;
+  }
+
+  /**
+   * @returns {Promise<{size: number, mtimeMs: number}>} Size and modification
+   *   time of the file (zero when missing), to tell whether it changed
+   */
+  async stat() {
+    try {
+      const { size, mtimeMs } = await fs.promises.stat(this.filePath);
+      return { size, mtimeMs };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return { size: 0, mtimeMs: 0 };
+    }
+  }
+
+  /**
+   * Append the changes made by one write as a batch
+   * @param {Array} changes - Result of diffProducts
+   * @param {Object} meta
+   * @param {string|null} meta.author - Who made the change, when known
+   * @param {string} meta.source - 'api', 'import', 'bulk', 'restore', 'undo', 'redo',
+   *   'merge', 'category', 'quality' or 'migrate'
+   * @param {number} meta.revertOf - Batch undone (undo) or re-applied (redo)
+   * @returns {Promise<Array>} The new entries
+   */
+  record(changes, { author = null, source = 'api', revertOf = null } = {}) {
+    const run = this.queue.then(async () => {
+      const entries = await this.load();
+      if (!changes.length) return [];
+
+      const last = entries[entries.length - 1];
+      const batch = last ? last.batch + 1 : 1;
+      const timestamp = new Date().toISOString();
+      let id = last ? last.id : 0;
+
+      const added = changes.map(change => ({
+        id: ++id,
+        batch,
+        timestamp,
+        author,
+        source,
+        revertOf,
+        action: change.action,
+        productId: change.productId,
+        title: (change.after || change.before).title,
+        changes: diffFields(change.before, change.after),
+        before: change.before,
+        after: change.after
+      }));
+
+      const text = added.map(entry => `${JSON.stringify(entry)}\n`).join('');
+      await fs.promises.appendFile(this.filePath, text, 'utf-8');
+      entries.push(...added);
+      // Only our own lines were added: keep the copy; otherwise re-read next time
+      const version = await this.stat();
+      this.version = version.size === this.version.size + Buffer.byteLength(text) ? version : null;
+      return added;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} options
+   * @param {number} options.productId - Only entries for this product
+   * @param {number} options.before - Only entries with a smaller id (paging)
+   * @param {number} options.limit - Maximum number of entries
+   * @returns {Promise<Object>} { entries, hasMore }
+   */
+  async list({ productId = null, before = null, limit = 50 } = {}) {
+    const entries = await this.load();
+    const result = [];
+    for (let i = entries.length - 1; i >= 0 && result.length <= limit; i--) {
+      const entry = entries[i];
+      if (before !== null && entry.id >= before) continue;
+      if (productId !== null && entry.productId !== productId) continue;
+      result.push(entry);
+    }
+    return { entries: result.slice(0, limit), hasMore: result.length > limit };
+  }
+
+  /**
+   * @param {number} id - Entry id
+   * @returns {Promise<Object|undefined>} The entry
+   */
+  async get(id) {
+    return (await this.load()).find(entry => entry.id === id);
+  }
+
+  /**
+   * @param {number} batch - Batch number
+   * @returns {Promise<Array>} Entries of that batch, in write order
+   */
+  async batch(batch) {
+    return (await this.load()).filter(entry => entry.batch === batch);
+  }
+
+  /**
+   * Replay the log to find what undo and redo would act on. A new change
+   * clears the redo stack, as in an editor; category copy refreshes leave
+   * both stacks alone.
+   * @returns {Promise<Object>} { undo, redo }, each a batch number or null
+   */
+  async stacks() {
+    const entries = await this.load();
+    const undo = [];
+    let redo = [];
+    let current = null;
+
+    entries.forEach(entry => {
+      if (entry.batch === current) return;
+      current = entry.batch;
+      if (NOT_UNDOABLE.has(entry.source)) return;
+      if (entry.source === 'undo') {
+        const at = undo.lastIndexOf(entry.revertOf);
+        if (at !== -1) undo.splice(at, 1);
+        redo.push(entry.revertOf);
+      } else if (entry.source === 'redo') {
+        const at = redo.lastIndexOf(entry.revertOf);
+        if (at !== -1) redo.splice(at, 1);
+        undo.push(entry.revertOf);
+      } else {
+        undo.push(entry.batch);
+        redo = [];
+      }
+    });
+
+    return {
+      undo: undo.length ? undo[undo.length - 1] : null,
+      redo: redo.length ? redo[redo.length - 1] : null
+    };
+  }
+}
+
+module.exports = { AuditLog, diffProducts, diffFields, sameProduct };
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const { HttpError } = require('./http-utils');
+const { hasRole, hashPassword, verifyPassword, publicUser } = require('./users');
+
+const COOKIE_NAME = 'session';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Routes open to everyone: signing in, and asking who is signed in
+const PUBLIC_ROUTES = [
+  ['POST', '/api/auth/login'],
+  ['POST', '/api/auth/logout'],
+  ['GET', '/api/auth/session']
+];
+
+// Audit batch sources written by routes that need more than the editor
+// role; undoing or redoing such a batch needs that role too
+const BATCH_ROLES = {
+  merge: 'admin',
+  category: 'admin'
+};
+
+// Compared against when the username is unknown, so that a failed login
+// takes as long whether or not the user exists
+const DUMMY_HASH = `scrypt$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(64).toString('base64')}`;
+
+/**
+ * Least role an API request needs: anyone signed in may read, editors may
+ * change products, and admins manage categories and users
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL path
+ * @returns {string|null} 'viewer', 'editor' or 'admin', or null for public routes
+ */
+function requiredRole(method, pathname) {
+  const path = pathname.replace(/\/$/, '');
+  if (PUBLIC_ROUTES.some(([m, p]) => m === method && p === path)) return null;
+  if (path === '/api/users' || path.startsWith('/api/users/')) return 'admin';
+  if (SAFE_METHODS.has(method)) return 'viewer';
+  if (path === '/api/categories' || path.startsWith('/api/categories/')) return 'admin';
+  return 'editor';
+}
+
+/**
+ * Least role needed to undo or redo a batch of the audit log: the role of
+ * the route that wrote it
+ * @param {string} source - Source of the batch ('api', 'merge', ...)
+ * @returns {string} 'editor' or 'admin'
+ */
+function requiredBatchRole(source) {
+  return BATCH_ROLES[source] || 'editor';
+}
+
+/**
+ * Parse a Cookie request header
+ * @param {string|undefined} header - Cookie header
+ * @returns {Object} Cookie name -> value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore cookies we did not set
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Signs users in against users.json and keeps their sessions.
+ *
+ * A session is a random id in an HttpOnly, SameSite=Strict cookie, plus a
+ * CSRF token the client reads from the login response (or GET
+ * /api/auth/session) and sends back in X-CSRF-Token with every write.
+ * Sessions live in memory, so restarting the server signs everyone out;
+ * they expire after 8 hours without a request. The user is read again on
+ * every request, so role changes and deleted accounts take effect at once.
+ */
+class Auth {
+  /**
+   * @param {JsonStore} userStore - Store backed by users.json
+   * @param {Object} options
+   * @param {number} options.sessionTtl - Idle time before a session expires, in ms
+   */
+  constructor(userStore, { sessionTtl = SESSION_TTL_MS } = {}) {
+    this.userStore = userStore;
+    this.sessionTtl = sessionTtl;
+    this.sessions = new Map();   // id -> { id, userId, csrfToken, expiresAt }
+  }
+
+  /**
+   * Create the first admin when there are no users yet
+   * @param {Object} options
+   * @param {string} options.username - Name of the admin account
+   * @param {string} options.password - Its password; a random one when omitted
+   * @returns {Promise<Object|null>} { username, password, generated } when an
+   *   admin was created, null when users already exist
+   */
+  async ensureAdmin({ username = 'admin', password = null } = {}) {
+    const generated = !password;
+    const secret = password || crypto.randomBytes(12).toString('base64url');
+    const passwordHash = await hashPassword(secret);
+
+    const created = await this.userStore.update(users => {
+      if (users.length) return false;
+      const now = new Date().toISOString();
+      users.push({ id: 1, username, role: 'admin', passwordHash, createdAt: now, updatedAt: now });
+      return true;
+    });
+    return created ? { username, password: secret, generated } : null;
+  }
+
+  /**
+   * Check a username and password and open a session
+   * @param {*} username - Username
+   * @param {*} password - Password
+   * @returns {Promise<Object>} The new session
+   * @throws {HttpError} 401 when the credentials are wrong
+   */
+  async login(username, password) {
+    const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    const user = (await this.userStore.read()).find(u => u.username.toLowerCase() === name);
+    const valid = await verifyPassword(typeof password === 'string' ? password : '', user ? user.passwordHash : DUMMY_HASH);
+    if (!user || !valid) {
+      throw new HttpError(401, 'Invalid username or password');
+    }
+
+    this.pruneSessions();
+    const session = {
+      id: crypto.randomBytes(32).toString('base64url'),
+      userId: user.id,
+      csrfToken: crypto.randomBytes(32).toString('base64url'),
+      expiresAt: Date.now() + this.sessionTtl
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Find the session and user of a request and attach them as req.session
+   * and req.user (public fields only)
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object|null>} Signed-in user, or null
+   */
+  async authenticate(req) {
+    req.session = null;
+    req.user = null;
+
+    const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    const session = id && this.sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    const user = (await this.userStore.read()).find(u => u.id === session.userId);
+    if (!user) {
+      this.sessions.delete(id);
+      return null;
+    }
+    session.expiresAt = Date.now() + this.sessionTtl;
+    req.session = session;
+    req.user = publicUser(user);
+    return req.user;
+  }
+
+  /**
+   * Enforce the role an API request needs, and the CSRF token on writes
+   * @param {http.IncomingMessage} req - Request, after authenticate()
+   * @param {string} pathname - URL path
+   * @throws {HttpError} 401 when not signed in, 403 when the role or the
+   *   CSRF token does not allow the request (public routes need neither)
+   */
+  authorize(req, pathname) {
+    const role = requiredRole(req.method, pathname);
+    if (!role) return;
+    if (!req.user) {
+      throw new HttpError(401, 'Sign in required');
+    }
+    if (!SAFE_METHODS.has(req.method) && !this.checkCsrf(req)) {
+      throw new HttpError(403, 'Missing or invalid CSRF token');
+    }
+    if (!hasRole(req.user, role)) {
+      throw new HttpError(403, `This needs the ${role} role`);
+    }
+  }
+
+  /**
+   * @param {http.IncomingMessage} req - Request with a session
+   * @returns {boolean} True when X-CSRF-Token matches the session's token
+   */
+  checkCsrf(req) {
+    const sent = Buffer.from(String(req.headers['x-csrf-token'] || ''));
+    const expected = Buffer.from(req.session.csrfToken);
+    return sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+  }
+
+  /**
+   * End a session
+   * @param {string} id - Session id
+   */
+  logout(id) {
+    this.sessions.delete(id);
+  }
+
+  /**
+   * End every session of a user, e.g. after a password reset
+   * @param {number} userId - User id
+   * @param {string} keep - Session id to leave open (the admin's own)
+   */
+  logoutUser(userId, keep = null) {
+    this.sessions.forEach((session, id) => {
+      if (session.userId === userId && id !== keep) this.sessions.delete(id);
+    });
+  }
+
+  /**
+   * Drop expired sessions
+   */
+  pruneSessions() {
+    const now = Date.now();
+    this.sessions.forEach((session, id) => {
+      if (session.expiresAt <= now) this.sessions.delete(id);
+    });
+  }
+
+  /**
+   * The cookie has no expiry of its own: it goes when the browser closes,
+   * and the server ends idle sessions
+   * @param {Object|null} session - Session to set, or null to clear the cookie
+   * @returns {string} Set-Cookie header value
+   */
+  cookie(session) {
+    const attributes = 'Path=/; HttpOnly; SameSite=Strict';
+    return session
+      ? `${COOKIE_NAME}=${session.id}; ${attributes}`
+      : `${COOKIE_NAME}=; ${attributes}; Max-Age=0`;
+  }
+}
+
+module.exports = { Auth, requiredRole, requiredBatchRole, parseCookies };
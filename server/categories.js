@@ -0,0 +1,88 @@
+const DataConverter = require('../public/data-converter');
+const { HttpError } = require('./http-utils');
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Assemble a category from a request payload and check it against the
+ * category part of DataConverter.PRODUCT_SCHEMA. The slug follows the name
+ * unless one is given.
+ * @param {Object} input - Candidate fields (already merged for PATCH)
+ * @param {Object} context
+ * @param {number} context.id - Category id
+ * @param {Array} context.categories - All categories, for the unique name check
+ * @param {string} context.creationAt - Creation timestamp
+ * @param {string} context.updatedAt - Update timestamp
+ * @returns {Object} Validated, normalised category
+ * @throws {HttpError} 400 with a list of { field, message }, or 409 when the name is taken
+ */
+function buildCategory(input, { id, categories, creationAt, updatedAt }) {
+  const name = typeof input.name === 'string' ? input.name.trim() : input.name;
+  const candidate = {
+    id,
+    name,
+    slug: typeof input.slug === 'string' && input.slug.trim() ? input.slug.trim() : DataConverter.slugify(name),
+    image: input.image === '' ? undefined : input.image,
+    creationAt,
+    updatedAt
+  };
+
+  const errors = DataConverter.validateValue(candidate, DataConverter.PRODUCT_SCHEMA.category, '')
+    .map(error => ({ field: error.path, message: `${error.path} ${error.reason}` }));
+  if (typeof name === 'string' && name.length > MAX_NAME_LENGTH) {
+    errors.push({ field: 'name', message: `name must be at most ${MAX_NAME_LENGTH} characters` });
+  }
+  if (errors.length) {
+    throw new HttpError(400, 'Invalid category', errors);
+  }
+
+  const category = DataConverter.normalizeCategory(candidate);
+  const clash = categories.find(c => c.id !== id && c.name.toLowerCase() === category.name.toLowerCase());
+  if (clash) {
+    throw new HttpError(409, `Category "${category.name}" already exists (#${clash.id})`);
+  }
+  return category;
+}
+
+/**
+ * Find a category's index or fail with 404
+ * @param {Array} categories - All categories
+ * @param {number} id - Category id
+ * @returns {number} Index in the array
+ */
+function findCategoryIndex(categories, id) {
+  const index = categories.findIndex(c => Number(c.id) === id);
+  if (index === -1) {
+    throw new HttpError(404, `Category #${id} not found`);
+  }
+  return index;
+}
+
+/**
+ * Next free category id
+ * @param {Array} categories - All categories
+ * @returns {number} One more than the highest id in use
+ */
+function nextCategoryId(categories) {
+  return categories.reduce((max, c) => Math.max(max, Number(c.id) || 0), 0) + 1;
+}
+
+/**
+ * Count products per category
+ * @param {Array} products - Normalised products
+ * @returns {Map} Category id -> number of products
+ */
+function countProducts(products) {
+  const counts = new Map();
+  products.forEach(product => {
+    counts.set(product.category.id, (counts.get(product.category.id) || 0) + 1);
+  });
+  return counts;
+}
+
+module.exports = {
+  buildCategory,
+  findCategoryIndex,
+  nextCategoryId,
+  countProducts
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const DataConverter = require('../public/data-converter');
+
+const HEARTBEAT_MS = 25 * 1000;
+const HISTORY_SIZE = 100;
+const RETRY_MS = 2000;
+
+/**
+ * Pushes product changes to browsers over Server-Sent Events. Changes are
+ * found by diffing the store against the last snapshot, so edits made outside
+ * the API (by hand, by another process, or on a remote data source) are
+ * reported as well as API writes.
+ *
+ * Every event carries an increasing id. A client that reconnects with the
+ * last id it saw is sent the events it missed, or a 'resync' event when they
+ * are no longer in the history.
+ */
+class ChangeFeed {
+  /**
+   * @param {JsonStore|SourceStore} store - Store of the products
+   * @param {Object} options
+   * @param {number} options.pollInterval - How often to stat the store's file,
+   *   or to re-read a store without one, in ms
+   */
+  constructor(store, { pollInterval = 1000 } = {}) {
+    this.store = store;
+    this.pollInterval = pollInterval;
+    this.clients = new Set();
+    this.history = [];       // recent events, replayed to clients that reconnect
+    this.lastId = 0;
+    this.snapshot = null;    // Map(product id -> serialised record)
+    this.checking = Promise.resolve();
+    this.heartbeat = null;
+    this.poller = null;      // re-reads a store that has no file to watch
+    this.onFileChange = () => this.check();
+  }
+
+  /**
+   * Take the first snapshot and start watching for changes
+   */
+  async start() {
+    this.snapshot = this.takeSnapshot(await this.store.read());
+
+    // API writes are reported at once; the file watcher catches everything else
+    this.store.on('change', this.onFileChange);
+    if (this.store.filePath) {
+      fs.watchFile(this.store.filePath, { interval: this.pollInterval }, this.onFileChange);
+    } else {
+      this.poller = setInterval(this.onFileChange, this.pollInterval);
+      this.poller.unref();
+    }
+
+    this.heartbeat = setInterval(() => this.sendComment('keep-alive'), HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop watching and close every open stream
+   */
+  stop() {
+    this.store.off('change', this.onFileChange);
+    if (this.store.filePath) {
+      fs.unwatchFile(this.store.filePath, this.onFileChange);
+    }
+    clearInterval(this.poller);
+    clearInterval(this.heartbeat);
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+  }
+
+  /**
+   * @param {Array} records - Raw records from db.json
+   * @returns {Map} Product id -> serialised record
+   */
+  takeSnapshot(records) {
+    const snapshot = new Map();
+    if (Array.isArray(records)) {
+      records.forEach(record => {
+        if (record && record.id !== undefined) {
+          snapshot.set(String(record.id), JSON.stringify(record));
+        }
+      });
+    }
+    return snapshot;
+  }
+
+  /**
+   * Compare db.json with the last snapshot and publish what changed.
+   * Checks are queued so two of them never diff against the same snapshot.
+   * @returns {Promise<Object|null>} The published event, or null when nothing changed
+   */
+  check() {
+    const run = this.checking.then(async () => {
+      let records;
+      try {
+        records = await this.store.read();
+      } catch (error) {
+        // A hand edit may leave the file briefly unparsable; the next change retries
+        console.error('Change feed could not read the store:', error.message);
+        return null;
+      }
+      if (!Array.isArray(records) || !this.snapshot) return null;
+
+      const next = this.takeSnapshot(records);
+      const created = [];
+      const updated = [];
+      const deleted = [];
+
+      records.forEach(record => {
+        if (!record || record.id === undefined) return;
+        const key = String(record.id);
+        if (!this.snapshot.has(key)) {
+          created.push(DataConverter.normalizeProduct(record));
+        } else if (this.snapshot.get(key) !== next.get(key)) {
+          updated.push(DataConverter.normalizeProduct(record));
+        }
+      });
+      this.snapshot.forEach((value, key) => {
+        if (!next.has(key)) deleted.push(Number(key));
+      });
+
+      this.snapshot = next;
+      if (!created.length && !updated.length && !deleted.length) return null;
+      return this.publish('products', { created, updated, deleted });
+    });
+    this.checking = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Send an event to every client and keep it for replay
+   * @param {string} event - Event name
+   * @param {Object} data - Payload
+   * @returns {Object} The event { id, event, data }
+   */
+  publish(event, data) {
+    const entry = { id: ++this.lastId, event, data };
+    this.history.push(entry);
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+    this.clients.forEach(res => this.send(res, entry));
+    return entry;
+  }
+
+  /**
+   * Open an event stream (GET /api/events)
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response, kept open
+   * @param {URLSearchParams} query - May carry lastEventId when the
+   *   Last-Event-ID header cannot be set (manual reconnects)
+   */
+  subscribe(req, res, query) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const raw = req.headers['last-event-id'] ?? query.get('lastEventId');
+    const lastEventId = raw === undefined || raw === null || raw === '' ? null : Number(raw);
+    if (lastEventId !== null) {
+      const missed = this.history.filter(entry => entry.id > lastEventId);
+      const oldest = this.history.length ? this.history[0].id : this.lastId + 1;
+      // An id from before a restart, or older than the history, cannot be caught up
+      if (!Number.isInteger(lastEventId) || lastEventId > this.lastId || oldest > lastEventId + 1) {
+        this.send(res, { event: 'resync', data: { lastEventId: this.lastId } });
+      } else {
+        missed.forEach(entry => this.send(res, entry));
+      }
+    }
+    this.send(res, { event: 'ready', data: { lastEventId: this.lastId } });
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * Write one event to a stream
+   * @param {http.ServerResponse} res - Open stream
+   * @param {Object} entry - { id, event, data }
+   */
+  send(res, entry) {
+    const id = entry.id !== undefined ? `id: ${entry.id}\n` : '';
+    res.write(`${id}event: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+  }
+
+  /**
+   * Write a comment line to every stream, so proxies keep idle streams open
+   * @param {string} text - Comment text
+   */
+  sendComment(text) {
+    this.clients.forEach(res => res.write(`: ${text}\n\n`));
+  }
+}
+
+module.exports = ChangeFeed;
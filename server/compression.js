@@ -0,0 +1,64 @@
+const zlib = require('zlib');
+
+// Smaller bodies are sent as they are; compressing them gains nothing
+const MIN_COMPRESS_BYTES = 1024;
+
+// Content types worth compressing (images and archives already are)
+const COMPRESSIBLE_TYPE = /^(text\/|application\/(json|javascript|xml)|image\/svg\+xml)/;
+
+/**
+ * Pick the response encoding from an Accept-Encoding header. Brotli is
+ * preferred over gzip; an encoding with q=0 is refused.
+ * @param {string|undefined} header - Accept-Encoding request header
+ * @returns {string|null} 'br', 'gzip', or null for no compression
+ */
+function negotiateEncoding(header) {
+  if (!header) return null;
+
+  const accepted = new Map();
+  header.split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    accepted.set(name, q ? Number(q.slice(2)) : 1);
+  });
+
+  return ['br', 'gzip'].find(encoding => {
+    const q = accepted.has(encoding) ? accepted.get(encoding) : accepted.get('*');
+    return q > 0;
+  }) || null;
+}
+
+/**
+ * @param {string} contentType - Content-Type of the response
+ * @param {number} size - Body size in bytes
+ * @returns {boolean} True when the body should be compressed
+ */
+function isCompressible(contentType, size) {
+  return size >= MIN_COMPRESS_BYTES && COMPRESSIBLE_TYPE.test(contentType);
+}
+
+/**
+ * Compress a body
+ * @param {Buffer} body - Uncompressed body
+ * @param {string} encoding - 'br' or 'gzip'
+ * @param {Object} options
+ * @param {boolean} options.fast - Trade size for speed, for bodies built per request
+ * @returns {Buffer} Compressed body
+ */
+function compress(body, encoding, { fast = false } = {}) {
+  if (encoding === 'br') {
+    return zlib.brotliCompressSync(body, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: fast ? 4 : zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: body.length
+      }
+    });
+  }
+  return zlib.gzipSync(body, { level: fast ? 6 : zlib.constants.Z_BEST_COMPRESSION });
+}
+
+module.exports = {
+  negotiateEncoding,
+  isCompressible,
+  compress
+};
@@ -0,0 +1,102 @@
+const path = require('path');
+
+const DEFAULT_PORT = 3000;
+const DATA_SOURCE_TYPES = ['json', 'rest', 'sqlite'];
+
+// Flag -> environment variable
+const SETTINGS = {
+  port: 'PORT',
+  host: 'HOST',
+  'data-source': 'DATA_SOURCE',
+  'data-file': 'DATA_FILE',
+  'rest-url': 'REST_URL',
+  'rest-page-size': 'REST_PAGE_SIZE'
+};
+
+/**
+ * Read the server settings from CLI flags (`--port 8080`, `--port=8080`,
+ * `--host 127.0.0.1`, `--data-source sqlite`, ...) and the matching
+ * environment variables (PORT, HOST, DATA_SOURCE, ...). Flags win over the
+ * environment.
+ *
+ * The data source is `json` (db.json, or --data-file), `sqlite` (db.sqlite,
+ * or --data-file) or `rest` (--rest-url, paged by --rest-page-size). The
+ * REST auth header is only read from the environment, REST_AUTH (its value)
+ * and REST_AUTH_HEADER (its name, Authorization by default), so it does not
+ * show up in process listings.
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} env - Environment variables
+ * @returns {{port: number, host: string|null, dataSource: Object}} Port, host to
+ *   bind (null for all interfaces) and data source settings
+ *   { type, file, baseUrl, pageSize, authHeader, authHeaderName }
+ * @throws {Error} When the port is not a number from 0 to 65535, a flag has
+ *   no value, or the data source settings are incomplete
+ */
+function parseConfig(argv = [], env = {}) {
+  const flags = {};
+  const pattern = new RegExp(`^--(${Object.keys(SETTINGS).join('|')})(?:=(.*))?$`);
+  for (let i = 0; i < argv.length; i++) {
+    const match = pattern.exec(argv[i]);
+    if (!match) continue;
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined || value === '') {
+      throw new Error(`--${match[1]} needs a value`);
+    }
+    flags[match[1]] = value;
+  }
+  const setting = name => flags[name] || env[SETTINGS[name]] || null;
+
+  const rawPort = setting('port') || String(DEFAULT_PORT);
+  const port = Number(rawPort);
+  if (!/^\d+$/.test(rawPort) || port > 65535) {
+    throw new Error(`Invalid port: ${rawPort}`);
+  }
+
+  return { port, host: setting('host'), dataSource: parseDataSource(setting, env) };
+}
+
+/**
+ * @param {Function} setting - (flag name) => value from the flags or the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} { type, file, baseUrl, pageSize, authHeader, authHeaderName }
+ * @throws {Error} On an unknown type, a bad URL or page size
+ */
+function parseDataSource(setting, env) {
+  const type = setting('data-source') || 'json';
+  if (!DATA_SOURCE_TYPES.includes(type)) {
+    throw new Error(`Invalid data source: ${type} (expected ${DATA_SOURCE_TYPES.join(', ')})`);
+  }
+
+  const file = setting('data-file');
+  const dataSource = { type, file: file ? path.resolve(file) : null };
+  if (type !== 'rest') return dataSource;
+
+  const baseUrl = setting('rest-url');
+  if (!baseUrl) {
+    throw new Error('The rest data source needs --rest-url (or REST_URL)');
+  }
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    throw new Error(`Invalid REST URL: ${baseUrl}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Invalid REST URL: ${baseUrl}`);
+  }
+
+  const rawPageSize = setting('rest-page-size');
+  if (rawPageSize !== null && (!/^\d+$/.test(rawPageSize) || Number(rawPageSize) < 1)) {
+    throw new Error(`Invalid REST page size: ${rawPageSize}`);
+  }
+
+  return {
+    ...dataSource,
+    baseUrl,
+    ...(rawPageSize !== null && { pageSize: Number(rawPageSize) }),
+    authHeader: env.REST_AUTH || null,
+    authHeaderName: env.REST_AUTH_HEADER || 'Authorization'
+  };
+}
+
+module.exports = { parseConfig, DEFAULT_PORT, DATA_SOURCE_TYPES };
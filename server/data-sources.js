@@ -0,0 +1,412 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const JsonStore = require('./json-store');
+const { DATA_SOURCE_TYPES } = require('./config');
+const { DataSource, DataSourceError, RestDataSource } = require('../public/data-sources');
+
+/**
+ * Products kept in a local JSON file (db.json). Writes go through a
+ * JsonStore, so they are atomic and queued.
+ */
+class JsonFileSource extends DataSource {
+  /**
+   * @param {string} filePath - Path to the JSON file
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.store = new JsonStore(filePath);
+  }
+
+  async list() {
+    const data = await this.store.read();
+    if (!Array.isArray(data)) {
+      throw new DataSourceError(`${this.filePath} does not contain a list of products`);
+    }
+    return data;
+  }
+
+  async create(record) {
+    await this.store.update(data => { data.push(record); });
+    return record;
+  }
+
+  async update(id, record) {
+    await this.store.update(data => {
+      const index = data.findIndex(item => item && Number(item.id) === Number(id));
+      if (index === -1) throw new DataSourceError(`No product #${id}`, 404);
+      data[index] = record;
+    });
+    return record;
+  }
+
+  async delete(id) {
+    await this.store.update(data => {
+      const index = data.findIndex(item => item && Number(item.id) === Number(id));
+      if (index === -1) throw new DataSourceError(`No product #${id}`, 404);
+      data.splice(index, 1);
+    });
+  }
+
+  /**
+   * Write the whole list as given, in its order and with any records the
+   * id-based writes could not address (duplicate or missing ids)
+   * @param {Array} records - Every product record
+   */
+  async replace(records) {
+    await this.store.write(records);
+  }
+
+  async stat() {
+    return this.store.stat();
+  }
+}
+
+/**
+ * Products kept in a SQLite file, one row per product holding the record as
+ * JSON. Uses the node:sqlite module built into Node.js 22.5 and later.
+ *
+ * A database file created from scratch is filled from seedFile (db.json),
+ * so switching to SQLite starts from the current catalogue. The copy is
+ * built in a temporary file and renamed into place, so a failed copy leaves
+ * no half-filled database behind.
+ */
+class SqliteSource extends DataSource {
+  /**
+   * @param {string} filePath - Path to the SQLite file; created when missing
+   * @param {Object} options
+   * @param {string} options.seedFile - JSON file copied into a new database
+   * @throws {DataSourceError} When node:sqlite is not available, or the
+   *   seed file cannot be copied (not a list, ids missing or used twice)
+   */
+  constructor(filePath, { seedFile = null } = {}) {
+    super();
+    let sqlite;
+    try {
+      sqlite = require('node:sqlite');
+    } catch (error) {
+      throw new DataSourceError(`The SQLite data source needs Node.js 22.5 or later (running ${process.version})`);
+    }
+
+    this.filePath = filePath;
+    if (seedFile && !fs.existsSync(filePath) && fs.existsSync(seedFile)) {
+      SqliteSource.seed(sqlite, filePath, seedFile);
+    }
+    this.open(sqlite, filePath);
+  }
+
+  /**
+   * Open the database, creating the table when missing
+   * @param {Object} sqlite - The node:sqlite module
+   * @param {string} filePath - Path to the SQLite file
+   */
+  open(sqlite, filePath) {
+    this.db = new sqlite.DatabaseSync(filePath);
+    this.db.exec('CREATE TABLE IF NOT EXISTS products (id INTEGER PRIMARY KEY, record TEXT NOT NULL)');
+    this.statements = {
+      list: this.db.prepare('SELECT record FROM products ORDER BY id'),
+      get: this.db.prepare('SELECT record FROM products WHERE id = ?'),
+      insert: this.db.prepare('INSERT INTO products (id, record) VALUES (?, ?)'),
+      update: this.db.prepare('UPDATE products SET record = ? WHERE id = ?'),
+      delete: this.db.prepare('DELETE FROM products WHERE id = ?')
+    };
+  }
+
+  /**
+   * Create a database holding the records of a JSON file
+   * @param {Object} sqlite - The node:sqlite module
+   * @param {string} filePath - Path of the new SQLite file
+   * @param {string} seedFile - JSON file with a list of products
+   * @throws {DataSourceError} When the records cannot all be copied; no
+   *   file is left at filePath then
+   */
+  static seed(sqlite, filePath, seedFile) {
+    const records = JSON.parse(fs.readFileSync(seedFile, 'utf-8'));
+    if (!Array.isArray(records)) {
+      throw new DataSourceError(`${seedFile} does not contain a list of products`);
+    }
+    const counts = new Map();
+    records.forEach(record => {
+      const id = Number(record && record.id);
+      counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    const invalid = [...counts.keys()].filter(id => !Number.isInteger(id));
+    const duplicates = [...counts].filter(([id, count]) => count > 1 && Number.isInteger(id)).map(([id]) => `#${id}`);
+    if (invalid.length || duplicates.length) {
+      const problems = [
+        ...(invalid.length ? ['records without a whole-number id'] : []),
+        ...(duplicates.length ? [`ids used more than once: ${duplicates.join(', ')}`] : [])
+      ];
+      throw new DataSourceError(`Cannot copy ${seedFile} into SQLite: ${problems.join('; ')}. ` +
+        'Fix them first (npm run quality -- --fix=duplicateId).');
+    }
+
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    const source = Object.create(SqliteSource.prototype);
+    try {
+      source.open(sqlite, tempPath);
+      source.transaction(() => records.forEach(record => source.insert(record)));
+      source.db.close();
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      if (source.db && source.db.isOpen) source.db.close();
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async list() {
+    return this.statements.list.all().map(row => JSON.parse(row.record));
+  }
+
+  async get(id) {
+    const row = this.statements.get.get(Number(id));
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  async create(record) {
+    this.insert(record);
+    return record;
+  }
+
+  async update(id, record) {
+    this.change(id, record);
+    return record;
+  }
+
+  async delete(id) {
+    this.remove(id);
+  }
+
+  /**
+   * Apply the whole batch in one transaction
+   */
+  async applyChanges({ created = [], updated = [], deleted = [] }) {
+    this.transaction(() => {
+      deleted.forEach(id => this.remove(id));
+      updated.forEach(record => this.change(record.id, record));
+      created.forEach(record => this.insert(record));
+    });
+    return { created, updated };
+  }
+
+  async stat() {
+    try {
+      const { mtimeMs, size } = await fs.promises.stat(this.filePath);
+      return { mtimeMs, size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { mtimeMs: 0, size: 0 };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} record - Record with a whole-number id
+   * @throws {DataSourceError} When the id is missing or taken
+   */
+  insert(record) {
+    const id = Number(record && record.id);
+    if (!Number.isInteger(id)) {
+      throw new DataSourceError(`Product ids must be whole numbers, got ${JSON.stringify(record && record.id)}`);
+    }
+    try {
+      this.statements.insert.run(id, JSON.stringify(record));
+    } catch (error) {
+      throw new DataSourceError(/UNIQUE/.test(error.message) ? `Product #${id} already exists` : error.message, 409);
+    }
+  }
+
+  /**
+   * @param {number} id - Product id
+   * @param {Object} record - Whole new record
+   * @throws {DataSourceError} When there is no such product
+   */
+  change(id, record) {
+    if (!this.statements.update.run(JSON.stringify(record), Number(id)).changes) {
+      throw new DataSourceError(`No product #${id}`, 404);
+    }
+  }
+
+  /**
+   * @param {number} id - Product id
+   * @throws {DataSourceError} When there is no such product
+   */
+  remove(id) {
+    if (!this.statements.delete.run(Number(id)).changes) {
+      throw new DataSourceError(`No product #${id}`, 404);
+    }
+  }
+
+  /**
+   * Run writes all-or-nothing
+   * @param {Function} work - () => void, runs synchronously
+   */
+  transaction(work) {
+    this.db.exec('BEGIN');
+    try {
+      work();
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+}
+
+/**
+ * Gives any data source the JsonStore interface the API, the change feed
+ * and the audit log are written against: read(), stat(), write() and a
+ * queued update(mutator). A write is turned into the creates, updates and
+ * deletes that lead from the current records to the new ones, unless the
+ * source can replace everything at once. New and changed records are then
+ * updated in place with what the source stored, so a caller holding one
+ * sees the id a remote source gave it, and no field the remote dropped.
+ *
+ * Emits 'change' after every successful write. filePath is the source's
+ * file, or undefined for remote sources.
+ */
+class SourceStore extends EventEmitter {
+  /**
+   * @param {DataSource} source - Where the records live
+   */
+  constructor(source) {
+    super();
+    this.source = source;
+    this.filePath = source.filePath;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * @returns {Promise<Array>} Every record; a copy the caller may change
+   */
+  async read() {
+    return JSON.parse(JSON.stringify(await this.source.list()));
+  }
+
+  /**
+   * @returns {Promise<{mtimeMs: number, size: number}>} Version of the data
+   */
+  async stat() {
+    return this.source.stat ? this.source.stat() : { mtimeMs: Date.now(), size: 0 };
+  }
+
+  /**
+   * Make the source hold exactly these records
+   * @param {Array} data - Every product record; new and changed ones are
+   *   replaced in place with the source's answer
+   */
+  async write(data) {
+    if (this.source.replace) {
+      await this.source.replace(data);
+    } else {
+      const changes = SourceStore.diff(await this.source.list(), data);
+      const stored = (await this.source.applyChanges(changes)) || {};
+      ['created', 'updated'].forEach(kind => {
+        (stored[kind] || []).forEach((record, i) => {
+          if (!record || typeof record !== 'object') return;
+          const target = changes[kind][i];
+          Object.keys(target).forEach(key => { if (!(key in record)) delete target[key]; });
+          Object.assign(target, record);
+        });
+      });
+    }
+    this.emit('change');
+  }
+
+  /**
+   * Run a read-modify-write cycle. The mutator receives the current data and
+   * may change it in place; if it throws, nothing is written.
+   * @param {Function} mutator - (data) => result, may be async
+   * @returns {Promise<*>} Whatever the mutator returned
+   */
+  update(mutator) {
+    const run = this.queue.then(async () => {
+      const data = await this.read();
+      const result = await mutator(data);
+      await this.write(data);
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Writes leading from one list of records to another, matched by id
+   * @param {Array} before - Current records
+   * @param {Array} after - Wanted records
+   * @returns {Object} { created, updated, deleted }
+   */
+  static diff(before, after) {
+    const byId = records => new Map(records
+      .filter(record => record && record.id !== undefined)
+      .map(record => [String(record.id), record]));
+    const old = byId(before);
+    const next = byId(after);
+
+    const created = [];
+    const updated = [];
+    next.forEach((record, id) => {
+      if (!old.has(id)) {
+        created.push(record);
+      } else if (JSON.stringify(old.get(id)) !== JSON.stringify(record)) {
+        updated.push(record);
+      }
+    });
+    const deleted = [...old.keys()].filter(id => !next.has(id)).map(id => old.get(id).id);
+    return { created, updated, deleted };
+  }
+}
+
+/**
+ * Create the data source the server config asks for
+ * @param {Object} config - { type, file, baseUrl, pageSize, authHeader, authHeaderName }
+ * @param {Object} options
+ * @param {string} options.rootDir - Where db.json and db.sqlite live by default
+ * @returns {DataSource} The source
+ * @throws {DataSourceError} On an unknown type, a missing base URL or when
+ *   SQLite is not available
+ */
+function createDataSource(config, { rootDir }) {
+  const { type = 'json', file = null, ...options } = config;
+  switch (type) {
+    case 'json':
+      return new JsonFileSource(file || path.join(rootDir, 'db.json'));
+    case 'sqlite':
+      return new SqliteSource(file || path.join(rootDir, 'db.sqlite'), { seedFile: path.join(rootDir, 'db.json') });
+    case 'rest':
+      return new RestDataSource(options);
+    default:
+      throw new DataSourceError(`Unknown data source type "${type}" (expected ${DATA_SOURCE_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * File the categories of a data source are kept in. Each source gets its
+ * own, seeded from its products while it is empty, so that switching
+ * sources never checks products against another source's categories. A
+ * JSON file keeps categories.json next to it, as the CLI expects.
+ * @param {Object} config - { type, file, baseUrl }
+ * @param {Object} options
+ * @param {string} options.rootDir - Where db.json and db.sqlite live by default
+ * @returns {string} Path of the categories file
+ */
+function categoriesFile(config, { rootDir }) {
+  const { type = 'json', file = null, baseUrl = '' } = config;
+  switch (type) {
+    case 'json':
+      return path.join(path.dirname(file || path.join(rootDir, 'db.json')), 'categories.json');
+    case 'sqlite': {
+      const sqliteFile = file || path.join(rootDir, 'db.sqlite');
+      return path.join(path.dirname(sqliteFile), `${path.basename(sqliteFile, path.extname(sqliteFile))}-categories.json`);
+    }
+    default: {
+      const remote = String(baseUrl).replace(/^[a-z]+:\/\//i, '').replace(/[^a-z0-9.]+/gi, '-').replace(/^-+|-+$/g, '');
+      return path.join(rootDir, `categories-${type}-${remote}.json`);
+    }
+  }
+}
+
+module.exports = { JsonFileSource, SqliteSource, SourceStore, createDataSource, categoriesFile };
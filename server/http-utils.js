@@ -0,0 +1,118 @@
+const { negotiateEncoding, isCompressible, compress } = require('./compression');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error carrying an HTTP status code and optional details for the client.
+ */
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Send a JSON response, compressed when the client accepts it and the body
+ * is large enough
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {*} payload - Value to serialise, omitted for 204
+ */
+function sendJson(res, status, payload) {
+  if (status === 204) {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  let body = Buffer.from(JSON.stringify(payload), 'utf-8');
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  };
+  if (isCompressible(headers['Content-Type'], body.length)) {
+    headers.Vary = 'Accept-Encoding';
+    const encoding = negotiateEncoding(res.req && res.req.headers['accept-encoding']);
+    if (encoding) {
+      body = compress(body, encoding, { fast: true });
+      headers['Content-Encoding'] = encoding;
+    }
+  }
+  headers['Content-Length'] = body.length;
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+/**
+ * Send an error as a JSON body of the shape { error: { status, message, details } }
+ * @param {http.ServerResponse} res - Response object
+ * @param {Error} error - HttpError or unexpected error
+ */
+function sendError(res, error) {
+  const status = error instanceof HttpError ? error.status : 500;
+  const message = error instanceof HttpError ? error.message : 'Internal server error';
+
+  if (status === 500) {
+    console.error(error);
+  }
+
+  const payload = { error: { status, message } };
+  if (error.details !== undefined) {
+    payload.error.details = error.details;
+  }
+  sendJson(res, status, payload);
+}
+
+/**
+ * Read a request body into a buffer
+ * @param {http.IncomingMessage} req - Request object
+ * @param {number} maxBytes - Size limit, exceeding it rejects with 413
+ * @returns {Promise<Buffer>} Body contents
+ */
+function readBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {Promise<*>} Parsed body, or undefined when the body is empty
+ */
+async function readJsonBody(req) {
+  const text = (await readBody(req)).toString('utf-8');
+  if (!text.trim()) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+module.exports = {
+  HttpError,
+  sendJson,
+  sendError,
+  readBody,
+  readJsonBody
+};
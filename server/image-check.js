@@ -0,0 +1,185 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const TIMEOUT_MS = 5000;
+const CONCURRENCY = 4;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_REDIRECTS = 3;
+
+// Address ranges a request from the server must not reach (loopback,
+// private networks, link-local, carrier-grade NAT, unspecified)
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True when it is in a blocked range
+ */
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Checks that image URLs load. The data-quality report uses it to find
+ * broken images; its requests go out from the server, so by default they
+ * may not reach loopback or private addresses, whatever the host name
+ * resolves to.
+ *
+ * A URL counts as reachable when a HEAD request (or a GET, for servers
+ * that refuse HEAD) answers 2xx with an image content type, after at most
+ * three redirects. Results are cached for ten minutes.
+ */
+class ImageChecker {
+  /**
+   * @param {Object} options
+   * @param {number} options.timeout - Time allowed per request, in ms
+   * @param {number} options.concurrency - Requests in flight at once
+   * @param {number} options.cacheTtl - How long results are kept, in ms
+   * @param {boolean} options.allowPrivate - Allow loopback and private
+   *   addresses (for the CLI, which runs on the operator's machine)
+   */
+  constructor({ timeout = TIMEOUT_MS, concurrency = CONCURRENCY, cacheTtl = CACHE_TTL_MS, allowPrivate = false } = {}) {
+    this.timeout = timeout;
+    this.concurrency = concurrency;
+    this.cacheTtl = cacheTtl;
+    this.allowPrivate = allowPrivate;
+    this.cache = new Map();   // url -> { reason, expiresAt }
+  }
+
+  /**
+   * Check many URLs
+   * @param {Iterable<string>} urls - Image URLs; duplicates are checked once
+   * @returns {Promise<Map>} URL -> reason, for the URLs that failed only
+   */
+  async findUnreachable(urls) {
+    const queue = [...new Set(urls)];
+    const failed = new Map();
+    const worker = async () => {
+      while (queue.length) {
+        const url = queue.shift();
+        const reason = await this.check(url);
+        if (reason) failed.set(url, reason);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+    return failed;
+  }
+
+  /**
+   * Check one URL
+   * @param {string} url - Image URL
+   * @returns {Promise<string|null>} Why it failed, or null when it loads
+   */
+  async check(url) {
+    const cached = this.cache.get(url);
+    if (cached && cached.expiresAt > Date.now()) return cached.reason;
+
+    let reason;
+    try {
+      reason = await this.follow(url, MAX_REDIRECTS);
+    } catch (error) {
+      reason = error.code === 'ETIMEDOUT' ? 'timed out' : error.code || error.message;
+    }
+    this.cache.set(url, { reason, expiresAt: Date.now() + this.cacheTtl });
+    return reason;
+  }
+
+  /**
+   * Request a URL, following redirects
+   * @param {string} url - URL
+   * @param {number} redirectsLeft - Redirects still allowed
+   * @returns {Promise<string|null>} Why it failed, or null when it loads
+   */
+  async follow(url, redirectsLeft) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return 'invalid URL';
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      return `unsupported protocol ${target.protocol}`;
+    }
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (!this.allowPrivate && net.isIP(host) && isBlockedAddress(host)) {
+      return 'blocked address';
+    }
+
+    let response = await this.request(target, 'HEAD');
+    if (response.status === 405 || response.status === 501) {
+      response = await this.request(target, 'GET');
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.location) {
+      if (!redirectsLeft) return 'too many redirects';
+      return this.follow(new URL(response.location, target).href, redirectsLeft - 1);
+    }
+    if (response.status < 200 || response.status >= 300) {
+      return `HTTP ${response.status}`;
+    }
+    if (response.type && !/^image\//i.test(response.type)) {
+      return `not an image (${response.type.split(';')[0]})`;
+    }
+    return null;
+  }
+
+  /**
+   * Send one request and read the status line and headers; the body is
+   * never downloaded
+   * @param {URL} target - URL
+   * @param {string} method - 'HEAD' or 'GET'
+   * @returns {Promise<Object>} { status, location, type }
+   */
+  request(target, method) {
+    const client = target.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = client.request(target, {
+        method,
+        timeout: this.timeout,
+        headers: { 'User-Agent': 'product-table-quality-check', Accept: 'image/*' },
+        lookup: (hostname, options, callback) => this.lookup(hostname, options, callback)
+      }, res => {
+        resolve({ status: res.statusCode, location: res.headers.location, type: res.headers['content-type'] });
+        res.destroy();
+      });
+      req.on('timeout', () => {
+        const error = new Error('timed out');
+        error.code = 'ETIMEDOUT';
+        req.destroy(error);
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  /**
+   * dns.lookup that refuses blocked addresses, so a public host name cannot
+   * point the check at the server's own network
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (!this.allowPrivate && addresses.some(entry => isBlockedAddress(entry.address))) {
+        const blocked = new Error('blocked address');
+        blocked.code = 'blocked address';
+        return callback(blocked);
+      }
+      return callback(null, address, family);
+    });
+  }
+}
+
+module.exports = { ImageChecker, isBlockedAddress };
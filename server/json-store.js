@@ -0,0 +1,89 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+/**
+ * Reads a JSON file and rewrites it atomically (write to a temp file, then
+ * rename over the original). Updates are queued so concurrent requests can
+ * never interleave their read-modify-write cycles.
+ *
+ * Emits 'change' after every successful write.
+ */
+class JsonStore extends EventEmitter {
+  /**
+   * @param {string} filePath - Path to the JSON file
+   * @param {*} defaultValue - Value returned when the file does not exist yet
+   */
+  constructor(filePath, defaultValue = []) {
+    super();
+    this.filePath = filePath;
+    this.defaultValue = defaultValue;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Read and parse the file
+   * @returns {Promise<*>} Parsed contents
+   */
+  async read() {
+    try {
+      const text = await fs.promises.readFile(this.filePath, 'utf-8');
+      return JSON.parse(text);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return JSON.parse(JSON.stringify(this.defaultValue));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stat the file, so callers can cache what they derive from it
+   * @returns {Promise<{mtimeMs: number, size: number}>} Modification time and size (zero when missing)
+   */
+  async stat() {
+    try {
+      const { mtimeMs, size } = await fs.promises.stat(this.filePath);
+      return { mtimeMs, size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { mtimeMs: 0, size: 0 };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the file contents atomically
+   * @param {*} data - Value to serialise
+   */
+  async write(data) {
+    const tempPath = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 4), 'utf-8');
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+    this.emit('change');
+  }
+
+  /**
+   * Run a read-modify-write cycle. The mutator receives the current data and
+   * may change it in place; if it throws, nothing is written.
+   * @param {Function} mutator - (data) => result, may be async
+   * @returns {Promise<*>} Whatever the mutator returned
+   */
+  update(mutator) {
+    const run = this.queue.then(async () => {
+      const data = await this.read();
+      const result = await mutator(data);
+      await this.write(data);
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,302 @@
+const DataConverter = require('../public/data-converter');
+const { HttpError } = require('./http-utils');
+
+/**
+ * Parse a numeric id path parameter
+ * @param {string} value - Raw path segment
+ * @returns {number} Parsed id
+ */
+function parseId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new HttpError(400, `Invalid id: ${value}`);
+  }
+  return id;
+}
+
+/**
+ * Assemble a product from a request payload and check it against
+ * DataConverter.PRODUCT_SCHEMA, the same schema the dashboard reports on.
+ * The category is resolved by id against the known categories.
+ * @param {Object} input - Candidate fields (already merged for PATCH)
+ * @param {Object} context
+ * @param {number} context.id - Product id
+ * @param {Array} context.categories - Known categories
+ * @param {string} context.creationAt - Creation timestamp
+ * @param {string} context.updatedAt - Update timestamp
+ * @returns {Object} Validated, normalised product
+ * @throws {HttpError} 400 with a list of { field, path, message }
+ */
+function buildProduct(input, { id, categories, creationAt, updatedAt }) {
+  const rawCategoryId = input.categoryId ?? input.category?.id;
+  const category = categories.find(c => c.id === Number(rawCategoryId));
+
+  const candidate = {
+    id,
+    title: typeof input.title === 'string' ? input.title.trim() : input.title,
+    slug: typeof input.slug === 'string' ? input.slug.trim() : (input.slug ?? ''),
+    price: input.price,
+    description: input.description ?? '',
+    category: category ? { ...category } : input.category,
+    images: input.images ?? [],
+    creationAt,
+    updatedAt
+  };
+
+  let errors = DataConverter.validateProduct(candidate).map(error => ({
+    field: error.path.split(/[.[]/)[0],
+    path: error.path,
+    message: `${error.path} ${error.reason}`
+  }));
+
+  if (!category) {
+    errors = errors.filter(error => error.field !== 'category');
+    const message = rawCategoryId === undefined || rawCategoryId === null
+      ? 'category is required'
+      : `Unknown category: ${rawCategoryId}`;
+    errors.push({ field: 'category', path: 'category', message });
+  }
+
+  if (errors.length) {
+    throw new HttpError(400, 'Invalid product', errors);
+  }
+
+  return DataConverter.normalizeProduct(candidate);
+}
+
+/**
+ * Reject a slug that another product already uses
+ * @param {Array} products - All products
+ * @param {Object} product - Product being saved
+ */
+function assertUniqueSlug(products, product) {
+  if (!product.slug) return;
+  const clash = products.find(p => p.slug === product.slug && p.id !== product.id);
+  if (clash) {
+    throw new HttpError(409, `Slug "${product.slug}" is already used by product #${clash.id}`);
+  }
+}
+
+/**
+ * Find a product's index or fail with 404
+ * @param {Array} products - All products
+ * @param {number} id - Product id
+ * @returns {number} Index in the array
+ */
+function findProductIndex(products, id) {
+  const index = products.findIndex(p => Number(p.id) === id);
+  if (index === -1) {
+    throw new HttpError(404, `Product #${id} not found`);
+  }
+  return index;
+}
+
+/**
+ * Next free product id
+ * @param {Array} products - All products
+ * @returns {number} One more than the highest id in use
+ */
+function nextProductId(products) {
+  return products.reduce((max, p) => Math.max(max, Number(p.id) || 0), 0) + 1;
+}
+
+/**
+ * Work out what importing spreadsheet rows would do, without changing
+ * anything. Rows whose id matches an existing product update it, the rest
+ * create new products. Every row is validated like a POST/PUT would be.
+ * @param {Array} products - Current products
+ * @param {Array} entries - { row, product } from DataConverter.rowsToProducts
+ * @param {Array} categories - Known categories
+ * @returns {Array} One { row, action, product, errors } per entry, where
+ *   action is 'create', 'update' or 'unchanged'
+ */
+function planImport(products, entries, categories) {
+  const byId = new Map(products.map(p => [p.id, p]));
+  const working = [...products];
+  const claimedIds = new Set();
+  const now = new Date().toISOString();
+  let freeId = nextProductId(products);
+
+  return entries.map(({ row, product: fields }) => {
+    const existing = byId.get(fields.id);
+    let action = existing ? 'update' : 'create';
+
+    // Columns missing from the file keep their current values
+    const input = existing ? { ...existing, ...fields, category: fields.category || existing.category } : fields;
+
+    // Spreadsheets often carry only the category name
+    if (fields.category && fields.category.id === undefined && fields.category.name) {
+      const name = String(fields.category.name).toLowerCase();
+      const match = categories.find(c => c.name.toLowerCase() === name);
+      input.categoryId = match ? match.id : fields.category.name;
+    }
+
+    try {
+      const id = existing ? existing.id : (input.id ?? freeId++);
+      if (claimedIds.has(id)) {
+        throw new HttpError(400, `id ${id} appears more than once in the file`);
+      }
+      claimedIds.add(id);
+
+      const product = buildProduct(input, {
+        id,
+        categories,
+        creationAt: existing ? existing.creationAt : (input.creationAt ?? now),
+        updatedAt: existing ? existing.updatedAt : now
+      });
+      assertUniqueSlug(working, product);
+
+      if (existing) {
+        if (JSON.stringify(product) === JSON.stringify(existing)) {
+          action = 'unchanged';
+        } else {
+          product.updatedAt = now;
+        }
+        working[working.indexOf(existing)] = product;
+      } else {
+        working.push(product);
+      }
+
+      return { row, action, product, errors: [] };
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      const errors = Array.isArray(error.details) ? error.details.map(detail => detail.message) : [error.message];
+      return { row, action, product: input, errors };
+    }
+  });
+}
+
+const BULK_ACTIONS = ['delete', 'setCategory', 'setPrice', 'adjustPrice'];
+const MAX_BULK_IDS = 5000;
+
+/**
+ * Check the body of a bulk request. The selection is either a list of ids
+ * or a list query string ("every product matching"), resolved at write time.
+ * @param {Object} body - Request body
+ * @returns {Object} { action, ids, query, categoryId, price, percent, dryRun }
+ * @throws {HttpError} 400 with a list of { field, message }
+ */
+function parseBulkRequest(body) {
+  const errors = [];
+  const request = { action: body.action, ids: null, query: null, dryRun: body.dryRun === true };
+
+  if (!BULK_ACTIONS.includes(body.action)) {
+    errors.push({ field: 'action', message: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+  }
+
+  if ((body.ids === undefined) === (body.query === undefined)) {
+    errors.push({ field: 'ids', message: 'Give either ids or query' });
+  } else if (body.ids !== undefined) {
+    if (!Array.isArray(body.ids) || !body.ids.length || body.ids.length > MAX_BULK_IDS ||
+        !body.ids.every(id => Number.isInteger(id) && id > 0)) {
+      errors.push({ field: 'ids', message: `ids must be a list of 1 to ${MAX_BULK_IDS} product ids` });
+    } else {
+      request.ids = [...new Set(body.ids)];
+    }
+  } else if (typeof body.query !== 'string') {
+    errors.push({ field: 'query', message: 'query must be a list query string' });
+  } else {
+    request.query = body.query;
+  }
+
+  if (body.action === 'setCategory') {
+    request.categoryId = Number(body.categoryId);
+    if (!Number.isInteger(request.categoryId) || request.categoryId <= 0) {
+      errors.push({ field: 'categoryId', message: 'categoryId must be a category id' });
+    }
+  }
+  if (body.action === 'setPrice') {
+    request.price = body.price;
+    if (typeof body.price !== 'number' || !Number.isFinite(body.price) || body.price < 0) {
+      errors.push({ field: 'price', message: 'price must be a non-negative number' });
+    }
+  }
+  if (body.action === 'adjustPrice') {
+    request.percent = body.percent;
+    if (typeof body.percent !== 'number' || !Number.isFinite(body.percent) || body.percent <= -100) {
+      errors.push({ field: 'percent', message: 'percent must be a number greater than -100' });
+    }
+  }
+
+  if (errors.length) {
+    throw new HttpError(400, 'Invalid bulk request', errors);
+  }
+  return request;
+}
+
+/**
+ * Work out what a bulk operation would do to each selected product,
+ * without changing anything. Every changed product is validated like a PUT.
+ * @param {Array} products - Current products
+ * @param {Array<number>} ids - Selected product ids
+ * @param {Object} request - Result of parseBulkRequest
+ * @param {Array} categories - Known categories
+ * @returns {Array} One { id, title, status, changes, product, error } per id, where
+ *   status is 'deleted', 'updated', 'unchanged' or 'error' and changes lists
+ *   { field, before, after }
+ */
+function planBulk(products, ids, request, categories) {
+  const byId = new Map(products.map(p => [p.id, p]));
+  const now = new Date().toISOString();
+
+  if (request.action === 'setCategory' && !categories.some(c => c.id === request.categoryId)) {
+    throw new HttpError(400, 'Invalid bulk request', [
+      { field: 'categoryId', message: `Unknown category: ${request.categoryId}` }
+    ]);
+  }
+
+  return ids.map(id => {
+    const existing = byId.get(id);
+    if (!existing) {
+      return { id, title: null, status: 'error', changes: [], product: null, error: `Product #${id} not found` };
+    }
+
+    const base = { id, title: existing.title };
+    if (request.action === 'delete') {
+      return { ...base, status: 'deleted', changes: [], product: null, error: null };
+    }
+
+    const input = { ...existing, categoryId: existing.category.id };
+    if (request.action === 'setCategory') {
+      input.categoryId = request.categoryId;
+    } else if (request.action === 'setPrice') {
+      input.price = request.price;
+    } else {
+      input.price = Math.round(existing.price * (1 + request.percent / 100) * 100) / 100;
+    }
+
+    let product;
+    try {
+      product = buildProduct(input, { id, categories, creationAt: existing.creationAt, updatedAt: existing.updatedAt });
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      const message = Array.isArray(error.details) ? error.details.map(detail => detail.message).join('; ') : error.message;
+      return { ...base, status: 'error', changes: [], product: null, error: message };
+    }
+
+    const changes = [];
+    if (product.category.id !== existing.category.id) {
+      changes.push({ field: 'category', before: existing.category.name, after: product.category.name });
+    }
+    if (product.price !== existing.price) {
+      changes.push({ field: 'price', before: existing.price, after: product.price });
+    }
+    if (!changes.length) {
+      return { ...base, status: 'unchanged', changes, product: existing, error: null };
+    }
+
+    product.updatedAt = now;
+    return { ...base, status: 'updated', changes, product, error: null };
+  });
+}
+
+module.exports = {
+  parseId,
+  buildProduct,
+  assertUniqueSlug,
+  findProductIndex,
+  nextProductId,
+  planImport,
+  parseBulkRequest,
+  planBulk
+};
@@ -0,0 +1,65 @@
+const { HttpError } = require('./http-utils');
+
+/**
+ * Minimal method + path router. Paths may contain `:name` segments, which
+ * are passed to the handler as string params.
+ */
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Register a handler
+   * @param {string} method - HTTP method
+   * @param {string} pattern - Path pattern, e.g. '/api/products/:id'
+   * @param {Function} handler - async (req, res, params, query) => void
+   */
+  add(method, pattern, handler) {
+    const keys = [];
+    const source = pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+    this.routes.push({ method, regex: new RegExp(`^${source}/?$`), keys, handler });
+    return this;
+  }
+
+  get(pattern, handler) { return this.add('GET', pattern, handler); }
+  post(pattern, handler) { return this.add('POST', pattern, handler); }
+  put(pattern, handler) { return this.add('PUT', pattern, handler); }
+  patch(pattern, handler) { return this.add('PATCH', pattern, handler); }
+  delete(pattern, handler) { return this.add('DELETE', pattern, handler); }
+
+  /**
+   * Find the handler for a request
+   * @param {string} method - HTTP method
+   * @param {string} pathname - URL path without query string
+   * @returns {{handler: Function, params: Object}|null} Match, or null when no path matches
+   * @throws {HttpError} 405 when the path exists but not for this method
+   */
+  match(method, pathname) {
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const result = route.regex.exec(pathname);
+      if (!result) continue;
+
+      pathMatched = true;
+      if (route.method !== method) continue;
+
+      const params = {};
+      route.keys.forEach((key, index) => {
+        params[key] = decodeURIComponent(result[index + 1]);
+      });
+      return { handler: route.handler, params };
+    }
+
+    if (pathMatched) {
+      throw new HttpError(405, `Method ${method} not allowed on ${pathname}`);
+    }
+    return null;
+  }
+}
+
+module.exports = Router;
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const { negotiateEncoding, isCompressible, compress } = require('./compression');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+// Compressed files kept in memory, by path and encoding
+const COMPRESSION_CACHE_SIZE = 100;
+
+/**
+ * Serves the files of one directory (the allow-list: nothing outside it is
+ * reachable) with validators for conditional requests, gzip / brotli
+ * compression and byte ranges.
+ *
+ * Paths are decoded and split into segments before they touch the file
+ * system; `..`, dotfiles and anything resolving (through a symlink, say)
+ * outside the directory are answered with 404. Responses carry an ETag and
+ * Last-Modified and `Cache-Control: no-cache`, since file names are not
+ * versioned: browsers revalidate and usually get a 304.
+ */
+class StaticFiles {
+  /**
+   * @param {string} root - Directory to serve
+   */
+  constructor(root) {
+    this.root = path.resolve(root);
+    this.realRoot = fs.realpathSync(this.root);
+    this.compressed = new Map();   // `${file}\0${encoding}` -> { mtimeMs, size, body }
+  }
+
+  /**
+   * Answer a request for a file
+   * @param {http.IncomingMessage} req - GET or HEAD request
+   * @param {http.ServerResponse} res - Response
+   * @param {string} pathname - URL path (still percent-encoded, no query string)
+   */
+  async serve(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.sendText(res, 405, 'Method Not Allowed', { Allow: 'GET, HEAD' });
+      return;
+    }
+
+    const filePath = this.resolve(pathname);
+    if (filePath === undefined) {
+      this.sendText(res, 400, 'Bad Request');
+      return;
+    }
+    const stat = filePath && await this.statFile(filePath);
+    if (!stat) {
+      await this.sendNotFound(req, res);
+      return;
+    }
+    await this.sendFile(req, res, filePath, stat);
+  }
+
+  /**
+   * Map a URL path to a file inside the root
+   * @param {string} pathname - URL path
+   * @returns {string|null|undefined} Absolute file path, null when the path
+   *   may not be served, undefined when it cannot be decoded
+   */
+  resolve(pathname) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (error) {
+      return undefined;
+    }
+    if (decoded.includes('\0')) return undefined;
+
+    // Backslashes separate segments on Windows, so treat them as separators
+    const segments = decoded.split(/[\\/]+/).filter(Boolean);
+    if (segments.some(segment => segment.startsWith('.'))) return null;
+
+    const filePath = path.join(this.root, ...segments);
+    return this.isInside(this.root, filePath) ? filePath : null;
+  }
+
+  /**
+   * @param {string} filePath - Absolute path
+   * @returns {Promise<fs.Stats|null>} Stats of a regular file inside the
+   *   root (after following symlinks), or null
+   */
+  async statFile(filePath) {
+    try {
+      const realPath = await fs.promises.realpath(filePath);
+      if (!this.isInside(this.realRoot, realPath)) return null;
+      const stat = await fs.promises.stat(realPath);
+      return stat.isFile() ? stat : null;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} root - Directory
+   * @param {string} filePath - Absolute path
+   * @returns {boolean} True when the path is inside the directory
+   */
+  isInside(root, filePath) {
+    const relative = path.relative(root, filePath);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Send a file, or a 304 / 206 / 416 as the request headers ask
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {string} filePath - File to send
+   * @param {fs.Stats} stat - Its stats
+   * @param {number} status - Status of a full response (404 for the not-found page)
+   */
+  async sendFile(req, res, filePath, stat, status = 200) {
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    const compressible = isCompressible(contentType, stat.size);
+    // Ranges are served from the uncompressed file
+    const encoding = compressible && !req.headers.range ? negotiateEncoding(req.headers['accept-encoding']) : null;
+    const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}${encoding ? `-${encoding}` : ''}"`;
+
+    const headers = {
+      'Content-Type': contentType,
+      'Last-Modified': stat.mtime.toUTCString(),
+      ETag: etag,
+      'Cache-Control': 'no-cache'
+    };
+    if (compressible) headers.Vary = 'Accept-Encoding';
+
+    if (status === 200 && this.isNotModified(req, etag, stat.mtime)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    if (encoding) {
+      const body = await this.getCompressed(filePath, stat, encoding);
+      headers['Content-Encoding'] = encoding;
+      headers['Content-Length'] = body.length;
+      res.writeHead(status, headers);
+      res.end(req.method === 'HEAD' ? undefined : body);
+      return;
+    }
+
+    headers['Accept-Ranges'] = 'bytes';
+    const range = status === 200 && this.ifRangeMatches(req, etag, stat.mtime)
+      ? this.parseRange(req.headers.range, stat.size)
+      : null;
+    if (range === 'unsatisfiable') {
+      this.sendText(res, 416, 'Range Not Satisfiable', { 'Content-Range': `bytes */${stat.size}` });
+      return;
+    }
+
+    let start = 0;
+    let end = stat.size - 1;
+    if (range) {
+      ({ start, end } = range);
+      status = 206;
+      headers['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+    }
+    headers['Content-Length'] = stat.size && end - start + 1;
+    res.writeHead(status, headers);
+
+    if (req.method === 'HEAD' || !stat.size) {
+      res.end();
+      return;
+    }
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', error => {
+      console.error(`Could not read ${filePath}:`, error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  }
+
+  /**
+   * Whether the client's cached copy is still current. If-None-Match wins
+   * over If-Modified-Since, as the HTTP spec requires.
+   * @param {http.IncomingMessage} req - Request
+   * @param {string} etag - Current ETag
+   * @param {Date} mtime - Last modification time
+   * @returns {boolean} True when a 304 can be sent
+   */
+  isNotModified(req, etag, mtime) {
+    const noneMatch = req.headers['if-none-match'];
+    if (noneMatch) {
+      return noneMatch.split(',').some(tag => {
+        const value = tag.trim();
+        return value === '*' || value.replace(/^W\//, '') === etag;
+      });
+    }
+    const since = Date.parse(req.headers['if-modified-since']);
+    return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+  }
+
+  /**
+   * A Range is only honoured when its If-Range (if any) still describes the
+   * file; otherwise the whole, changed file is sent
+   * @param {http.IncomingMessage} req - Request
+   * @param {string} etag - Current ETag
+   * @param {Date} mtime - Last modification time
+   * @returns {boolean} True when the Range header may be used
+   */
+  ifRangeMatches(req, etag, mtime) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+    return Date.parse(ifRange) === Math.floor(mtime.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Parse a single byte range. Multiple ranges are not supported; the whole
+   * file is sent for them, which the spec allows.
+   * @param {string|undefined} header - Range request header
+   * @param {number} size - File size
+   * @returns {{start: number, end: number}|'unsatisfiable'|null} Inclusive
+   *   byte range, 'unsatisfiable' for a 416, or null to send the whole file
+   */
+  parseRange(header, size) {
+    const match = header && /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+      // Suffix range: the last N bytes
+      const length = Number(match[2]);
+      if (length === 0) return 'unsatisfiable';
+      start = Math.max(0, size - length);
+      end = size - 1;
+    } else {
+      start = Number(match[1]);
+      end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+      if (match[2] !== '' && Number(match[2]) < start) return null;
+    }
+    return start >= size ? 'unsatisfiable' : { start, end };
+  }
+
+  /**
+   * Compress a file once per version and encoding
+   * @param {string} filePath - File
+   * @param {fs.Stats} stat - Its stats
+   * @param {string} encoding - 'br' or 'gzip'
+   * @returns {Promise<Buffer>} Compressed contents
+   */
+  async getCompressed(filePath, stat, encoding) {
+    const key = `${filePath}\0${encoding}`;
+    const cached = this.compressed.get(key);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached.body;
+    }
+
+    const body = compress(await fs.promises.readFile(filePath), encoding);
+    this.compressed.delete(key);
+    this.compressed.set(key, { mtimeMs: stat.mtimeMs, size: stat.size, body });
+    if (this.compressed.size > COMPRESSION_CACHE_SIZE) {
+      this.compressed.delete(this.compressed.keys().next().value);
+    }
+    return body;
+  }
+
+  /**
+   * Send 404.html from the root, or a short page when there is none
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async sendNotFound(req, res) {
+    const page = path.join(this.root, '404.html');
+    const stat = await this.statFile(page);
+    if (stat) {
+      await this.sendFile(req, res, page, stat, 404);
+      return;
+    }
+    const body = '<h1>404 Not Found</h1><p>The requested file was not found.</p>';
+    res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'], 'Content-Length': Buffer.byteLength(body) });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Send a plain-text status response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {string} message - Body
+   * @param {Object} headers - Extra headers
+   */
+  sendText(res, status, message, headers = {}) {
+    res.writeHead(status, {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Length': Buffer.byteLength(message),
+      ...headers
+    });
+    res.end(message);
+  }
+}
+
+module.exports = StaticFiles;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { HttpError } = require('./http-utils');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles from least to most privileged; each can do everything the previous one can
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 64;
+
+/**
+ * @param {Object|null} user - Signed-in user
+ * @param {string} role - Least role required
+ * @returns {boolean} True when the user's role is at least `role`
+ */
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>`, both base64
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash, in constant time
+ * @param {string} password - Plain password
+ * @param {string} stored - Result of hashPassword
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  if (expected.length !== KEY_LENGTH) return false;
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Check the fields of a user payload. The password is only checked when
+ * given (it is optional when editing).
+ * @param {Object} input - { username, role, password }
+ * @param {Object} context
+ * @param {number} context.id - User id
+ * @param {Array} context.users - All users, for the unique name check
+ * @returns {Object} { username, role }
+ * @throws {HttpError} 400 with a list of { field, message }, or 409 when the name is taken
+ */
+function validateUser(input, { id, users }) {
+  const errors = [];
+  const username = typeof input.username === 'string' ? input.username.trim() : input.username;
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    errors.push({ field: 'username', message: 'username must be 3-32 letters, digits, dots, dashes or underscores' });
+  }
+  if (!ROLES.includes(input.role)) {
+    errors.push({ field: 'role', message: `role must be one of ${ROLES.join(', ')}` });
+  }
+  if (input.password !== undefined) {
+    errors.push(...validatePassword(input.password));
+  }
+  if (errors.length) {
+    throw new HttpError(400, 'Invalid user', errors);
+  }
+
+  const clash = users.find(u => u.id !== id && u.username.toLowerCase() === username.toLowerCase());
+  if (clash) {
+    throw new HttpError(409, `User "${username}" already exists`);
+  }
+  return { username, role: input.role };
+}
+
+/**
+ * @param {*} password - Candidate password
+ * @returns {Array} Errors as { field, message }, empty when it is acceptable
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return [{ field: 'password', message: `password must be at least ${MIN_PASSWORD_LENGTH} characters` }];
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return [{ field: 'password', message: `password must be at most ${MAX_PASSWORD_LENGTH} characters` }];
+  }
+  return [];
+}
+
+/**
+ * A user as sent to clients, without the password hash
+ * @param {Object} user - Stored user
+ * @returns {Object} { id, username, role, createdAt, updatedAt }
+ */
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+/**
+ * Find a user's index or fail with 404
+ * @param {Array} users - All users
+ * @param {number} id - User id
+ * @returns {number} Index in the array
+ */
+function findUserIndex(users, id) {
+  const index = users.findIndex(u => Number(u.id) === id);
+  if (index === -1) {
+    throw new HttpError(404, `User #${id} not found`);
+  }
+  return index;
+}
+
+/**
+ * Next free user id
+ * @param {Array} users - All users
+ * @returns {number} One more than the highest id in use
+ */
+function nextUserId(users) {
+  return users.reduce((max, u) => Math.max(max, Number(u.id) || 0), 0) + 1;
+}
+
+/**
+ * Refuse a change that would leave nobody able to manage users
+ * @param {Array} users - All users after the change
+ */
+function assertAdminRemains(users) {
+  if (!users.some(u => u.role === 'admin')) {
+    throw new HttpError(409, 'At least one admin must remain');
+  }
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  validateUser,
+  validatePassword,
+  publicUser,
+  findUserIndex,
+  nextUserId,
+  assertAdminRemains
+};
@@ -0,0 +1,303 @@
+const zlib = require('zlib');
+
+// Minimal XLSX (Office Open XML spreadsheet) writer and reader for a single
+// sheet of plain values. Only what the catalogue import/export needs:
+// strings, numbers and booleans, no styles or formulas.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip archive with deflated entries
+ * @param {Array<{name: string, data: Buffer}>} entries - Files to add
+ * @returns {Buffer} Zip file contents
+ */
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBuffer = Buffer.from(name, 'utf-8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);              // version needed
+    local.writeUInt16LE(0x0800, 6);          // UTF-8 names
+    local.writeUInt16LE(8, 8);               // deflate
+    local.writeUInt32LE(0, 10);              // time / date
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);            // version made by
+    central.writeUInt16LE(20, 6);            // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+/**
+ * Extract all files from a zip archive
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Map<string, Buffer>} File name to contents
+ */
+function readZip(buffer) {
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pointer) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString('utf-8', pointer + 46, pointer + 46 + nameLength);
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      files.set(name, Buffer.from(data));
+    } else if (method === 8) {
+      files.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`Unsupported zip compression method ${method}`);
+    }
+
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+function escapeXml(value) {
+  return String(value)
+    // Characters that are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function columnIndex(name) {
+  return name.split('').reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Build an .xlsx workbook with one sheet
+ * @param {Array<Array>} rows - Cell values, first row is the header
+ * @param {string} sheetName - Sheet tab name
+ * @returns {Buffer} Workbook contents
+ */
+function writeXlsx(rows, sheetName = 'Sheet1') {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+
+  const xml = body => Buffer.from(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`, 'utf-8');
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>')
+    },
+    {
+      name: '_rels/.rels',
+      data: xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>')
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: xml('<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>')
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>')
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: xml('<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${sheetRows.join('')}</sheetData>` +
+        '</worksheet>')
+    }
+  ]);
+}
+
+/**
+ * Read the first sheet of an .xlsx workbook
+ * @param {Buffer} buffer - Workbook contents
+ * @returns {Array<Array>} Rows of cell values (strings, numbers or booleans)
+ */
+function readXlsx(buffer) {
+  const files = readZip(buffer);
+  const text = name => (files.has(name) ? files.get(name).toString('utf-8') : '');
+
+  // Text of an <si> or <is> element, joining rich-text runs
+  const runText = xml => Array.from(xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g))
+    .map(match => unescapeXml(match[1]))
+    .join('');
+
+  const sharedStrings = Array.from(text('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g))
+    .map(match => runText(match[1]));
+
+  // First sheet in workbook order
+  const workbook = text('xl/workbook.xml');
+  const rels = text('xl/_rels/workbook.xml.rels');
+  const firstSheetId = (/<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook) || [])[1];
+  const relTarget = firstSheetId
+    ? (new RegExp(`<Relationship\\b[^>]*Id="${firstSheetId}"[^>]*Target="([^"]+)"`).exec(rels) ||
+       new RegExp(`<Relationship\\b[^>]*Target="([^"]+)"[^>]*Id="${firstSheetId}"`).exec(rels) || [])[1]
+    : null;
+  const sheetPath = relTarget
+    ? relTarget.replace(/^\//, '').replace(/^(?!xl\/)/, 'xl/')
+    : 'xl/worksheets/sheet1.xml';
+
+  const sheet = text(sheetPath);
+  if (!sheet) {
+    throw new Error('Workbook has no worksheet');
+  }
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number((/\br="(\d+)"/.exec(rowMatch[1]) || [])[1]) || rows.length + 1;
+    const row = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const ref = (/\br="([A-Z]+)\d+"/.exec(attributes) || [])[1];
+      const type = (/\bt="(\w+)"/.exec(attributes) || [])[1] || 'n';
+      const rawValue = (/<v>([\s\S]*?)<\/v>/.exec(content) || [])[1];
+
+      let value;
+      if (type === 's') {
+        value = sharedStrings[Number(rawValue)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = runText(content);
+      } else if (type === 'b') {
+        value = rawValue === '1';
+      } else if (type === 'str' || type === 'e') {
+        value = rawValue === undefined ? '' : unescapeXml(rawValue);
+      } else {
+        value = rawValue === undefined ? '' : Number(rawValue);
+      }
+
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+
+    rows[rowNumber - 1] = Array.from(row, cell => (cell === undefined ? '' : cell));
+  }
+
+  return Array.from(rows, row => row || []);
+}
+
+module.exports = {
+  writeXlsx,
+  readXlsx
+};
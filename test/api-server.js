@@ -0,0 +1,101 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../server/json-store');
+const { SourceStore, JsonFileSource } = require('../server/data-sources');
+const { AuditLog } = require('../server/audit-log');
+const { Auth } = require('../server/auth');
+const { hashPassword } = require('../server/users');
+const createApiRouter = require('../server/api');
+const { HttpError, sendError } = require('../server/http-utils');
+
+const PASSWORD = 'password123';
+
+/**
+ * Run the REST API the way server.js does, on files in a temporary
+ * directory, for the API tests
+ * @param {Object} t - Test context; the server stops after the test
+ * @param {Object} options
+ * @param {Array} options.products - Records of db.json
+ * @param {Array} options.categories - Records of categories.json
+ * @param {Array} options.users - { username, role }; all get PASSWORD
+ * @param {Object} options.store - Product store to use instead of db.json
+ * @returns {Promise<Object>} { dir, store, categoryStore, audit, auth, signIn(username), request(method, path, body, headers), close }
+ */
+async function startApiServer(t, { products = [], categories = [], users = [{ username: 'admin', role: 'admin' }], store = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+  const write = (name, data) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+  write('db.json', products);
+  write('categories.json', categories);
+  const passwordHash = await hashPassword(PASSWORD);
+  write('users.json', users.map((user, i) => ({ id: i + 1, passwordHash, createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z', ...user })));
+
+  const context = {
+    dir,
+    store: store || new SourceStore(new JsonFileSource(path.join(dir, 'db.json'))),
+    categoryStore: new JsonStore(path.join(dir, 'categories.json')),
+    audit: new AuditLog(path.join(dir, 'audit-log.jsonl')),
+    auth: new Auth(new JsonStore(path.join(dir, 'users.json')))
+  };
+  const router = createApiRouter(context);
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    try {
+      await context.auth.authenticate(req);
+      context.auth.authorize(req, pathname);
+      const match = router.match(req.method, pathname);
+      if (!match) throw new HttpError(404, `No API route for ${pathname}`);
+      await match.handler(req, res, match.params, searchParams);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  context.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  t.after(context.close);
+
+  /**
+   * @param {string} method - HTTP method
+   * @param {string} urlPath - Path under the server
+   * @param {*} body - JSON body, if any
+   * @param {Object} headers - Extra headers
+   * @returns {Promise<Object>} { status, headers, body } with the body parsed
+   */
+  context.request = async (method, urlPath, body, headers = {}) => {
+    const response = await fetch(baseUrl + urlPath, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  /**
+   * Sign in and get a request function that sends the session cookie and
+   * CSRF token
+   * @param {string} username - One of the users
+   * @returns {Promise<Function>} (method, path, body) => response
+   */
+  context.signIn = async username => {
+    const login = await context.request('POST', '/api/auth/login', { username, password: PASSWORD });
+    if (login.status !== 200) throw new Error(`Sign-in as ${username} failed: ${login.status}`);
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+    return (method, urlPath, body) => context.request(method, urlPath, body, {
+      Cookie: cookie,
+      'X-CSRF-Token': login.body.csrfToken
+    });
+  };
+
+  return context;
+}
+
+module.exports = { startApiServer, PASSWORD };
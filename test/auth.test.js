@@ -0,0 +1,278 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Auth, requiredRole, requiredBatchRole, parseCookies } = require('../server/auth');
+const { hasRole, hashPassword, verifyPassword, validateUser, assertAdminRemains } = require('../server/users');
+const { startApiServer } = require('./api-server');
+const { product } = require('./mock-api');
+
+/**
+ * In-memory stand-in for the users.json store
+ * @param {Array} users - Stored users
+ * @returns {Object} { read, update }
+ */
+function userStore(users) {
+  return {
+    read: async () => JSON.parse(JSON.stringify(users)),
+    update: async mutator => mutator(users)
+  };
+}
+
+/**
+ * @param {Object} fields - Method, headers and, for authorize, user and session
+ * @returns {Object} A request as authenticate() and authorize() see it
+ */
+function request({ method = 'GET', cookie, headers = {}, ...rest } = {}) {
+  return { method, headers: { ...(cookie ? { cookie } : {}), ...headers }, ...rest };
+}
+
+/**
+ * @param {Object} options - Auth options
+ * @returns {Promise<Auth>} Auth with one user of each role, password "password123"
+ */
+async function createAuth(options) {
+  const passwordHash = await hashPassword('password123');
+  return new Auth(userStore([
+    { id: 1, username: 'admin', role: 'admin', passwordHash },
+    { id: 2, username: 'Editor', role: 'editor', passwordHash },
+    { id: 3, username: 'viewer', role: 'viewer', passwordHash }
+  ]), options);
+}
+
+test('requiredRole: viewers read, editors write products, admins manage categories and users', () => {
+  assert.equal(requiredRole('POST', '/api/auth/login'), null);
+  assert.equal(requiredRole('POST', '/api/auth/logout'), null);
+  assert.equal(requiredRole('GET', '/api/auth/session'), null);
+  assert.equal(requiredRole('GET', '/api/auth/login'), 'viewer');
+
+  assert.equal(requiredRole('GET', '/api/products'), 'viewer');
+  assert.equal(requiredRole('HEAD', '/api/products/1'), 'viewer');
+  assert.equal(requiredRole('POST', '/api/products'), 'editor');
+  assert.equal(requiredRole('DELETE', '/api/products/1/'), 'editor');
+
+  assert.equal(requiredRole('GET', '/api/categories'), 'viewer');
+  assert.equal(requiredRole('PATCH', '/api/categories/1'), 'admin');
+  assert.equal(requiredRole('GET', '/api/users'), 'admin');
+  assert.equal(requiredRole('DELETE', '/api/users/2'), 'admin');
+});
+
+test('hasRole ranks viewer < editor < admin', () => {
+  assert.equal(hasRole({ role: 'admin' }, 'editor'), true);
+  assert.equal(hasRole({ role: 'editor' }, 'editor'), true);
+  assert.equal(hasRole({ role: 'viewer' }, 'editor'), false);
+  assert.equal(hasRole({ role: 'editor' }, 'admin'), false);
+  assert.equal(hasRole(null, 'viewer'), false);
+});
+
+test('passwords are salted and checked', async () => {
+  const hash = await hashPassword('password123');
+  assert.notEqual(hash, await hashPassword('password123'));
+  assert.equal(await verifyPassword('password123', hash), true);
+  assert.equal(await verifyPassword('password124', hash), false);
+  assert.equal(await verifyPassword('password123', 'plain'), false);
+});
+
+test('login opens a session for a valid user, case-insensitively', async () => {
+  const auth = await createAuth();
+
+  const session = await auth.login(' editor ', 'password123');
+  assert.equal(session.userId, 2);
+  assert.ok(session.csrfToken);
+  assert.equal(auth.sessions.get(session.id), session);
+  assert.match(auth.cookie(session), /^session=[^;]+; Path=\/; HttpOnly; SameSite=Strict$/);
+});
+
+test('login rejects wrong credentials with 401', async () => {
+  const auth = await createAuth();
+
+  for (const [username, password] of [['admin', 'wrong-password'], ['nobody', 'password123'], [null, null], ['admin', 42]]) {
+    await assert.rejects(auth.login(username, password), { status: 401, message: 'Invalid username or password' });
+  }
+  assert.equal(auth.sessions.size, 0);
+});
+
+test('authenticate reads the session cookie and attaches the user', async () => {
+  const auth = await createAuth();
+  const session = await auth.login('viewer', 'password123');
+
+  const req = request({ cookie: `theme=dark; session=${session.id}` });
+  const user = await auth.authenticate(req);
+  assert.deepEqual(user, { id: 3, username: 'viewer', role: 'viewer' });
+  assert.equal(req.session, session);
+
+  assert.equal(await auth.authenticate(request({ cookie: 'session=unknown' })), null);
+  assert.equal(await auth.authenticate(request()), null);
+});
+
+test('sessions expire when idle, and a request extends them', async () => {
+  const auth = await createAuth({ sessionTtl: 1000 });
+  const session = await auth.login('admin', 'password123');
+
+  session.expiresAt = Date.now() + 10;
+  assert.ok(await auth.authenticate(request({ cookie: `session=${session.id}` })));
+  assert.ok(session.expiresAt > Date.now() + 500);
+
+  session.expiresAt = Date.now() - 1;
+  const req = request({ cookie: `session=${session.id}` });
+  assert.equal(await auth.authenticate(req), null);
+  assert.equal(req.user, null);
+  assert.equal(auth.sessions.has(session.id), false);
+});
+
+test('a deleted user is signed out at once', async () => {
+  const passwordHash = await hashPassword('password123');
+  const users = [{ id: 1, username: 'admin', role: 'admin', passwordHash }];
+  const auth = new Auth(userStore(users));
+  const session = await auth.login('admin', 'password123');
+
+  users.pop();
+  assert.equal(await auth.authenticate(request({ cookie: `session=${session.id}` })), null);
+  assert.equal(auth.sessions.size, 0);
+});
+
+test('authorize answers 401 without a session and lets public routes through', async () => {
+  const auth = await createAuth();
+
+  assert.throws(() => auth.authorize(request({ user: null }), '/api/products'), { status: 401 });
+  assert.doesNotThrow(() => auth.authorize(request({ method: 'POST', user: null }), '/api/auth/login'));
+});
+
+test('writes need the CSRF token of the session', async () => {
+  const auth = await createAuth();
+  const session = await auth.login('admin', 'password123');
+  const req = async headers => {
+    const value = request({ method: 'POST', cookie: `session=${session.id}`, headers });
+    await auth.authenticate(value);
+    return value;
+  };
+
+  assert.doesNotThrow(() => auth.authorize(request({ method: 'GET', user: { role: 'admin' }, session }), '/api/products'));
+  assert.throws(auth.authorize.bind(auth, await req({}), '/api/products'), { status: 403, message: 'Missing or invalid CSRF token' });
+  assert.throws(auth.authorize.bind(auth, await req({ 'x-csrf-token': 'wrong' }), '/api/products'), { status: 403 });
+  assert.throws(auth.authorize.bind(auth, await req({ 'x-csrf-token': `${session.csrfToken}x` }), '/api/products'), { status: 403 });
+  assert.doesNotThrow(auth.authorize.bind(auth, await req({ 'x-csrf-token': session.csrfToken }), '/api/products'));
+});
+
+test('authorize answers 403 when the role is too low', async () => {
+  const auth = await createAuth();
+  const signedIn = async (username, method) => {
+    const session = await auth.login(username, 'password123');
+    const req = request({ method, cookie: `session=${session.id}`, headers: { 'x-csrf-token': session.csrfToken } });
+    await auth.authenticate(req);
+    return req;
+  };
+
+  const viewer = await signedIn('viewer', 'POST');
+  assert.throws(() => auth.authorize(viewer, '/api/products'), { status: 403, message: 'This needs the editor role' });
+  const editor = await signedIn('editor', 'POST');
+  assert.doesNotThrow(() => auth.authorize(editor, '/api/products'));
+  assert.throws(() => auth.authorize(editor, '/api/categories'), { status: 403, message: 'This needs the admin role' });
+  const editorRead = await signedIn('editor', 'GET');
+  assert.throws(() => auth.authorize(editorRead, '/api/users'), { status: 403 });
+  const admin = await signedIn('admin', 'DELETE');
+  assert.doesNotThrow(() => auth.authorize(admin, '/api/users/2'));
+});
+
+test('logoutUser ends every session of a user but the one kept', async () => {
+  const auth = await createAuth();
+  const first = await auth.login('admin', 'password123');
+  const second = await auth.login('admin', 'password123');
+  const other = await auth.login('viewer', 'password123');
+
+  auth.logoutUser(1, second.id);
+  assert.deepEqual([...auth.sessions.keys()].sort(), [second.id, other.id].sort());
+  assert.equal(auth.sessions.has(first.id), false);
+});
+
+test('parseCookies skips malformed cookies', () => {
+  assert.deepEqual(parseCookies('a=1; b=%E0%A4%A; c = x%20y; junk'), { a: '1', c: 'x y' });
+});
+
+test('validateUser checks the fields and refuses a taken name', () => {
+  const users = [{ id: 1, username: 'admin' }];
+
+  assert.deepEqual(validateUser({ username: ' editor ', role: 'editor' }, { id: null, users }), { username: 'editor', role: 'editor' });
+  assert.throws(() => validateUser({ username: 'x', role: 'owner', password: 'short' }, { id: null, users }), error => {
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.details.map(detail => detail.field), ['username', 'role', 'password']);
+    return true;
+  });
+  assert.throws(() => validateUser({ username: 'ADMIN', role: 'viewer' }, { id: 2, users }), { status: 409 });
+  assert.doesNotThrow(() => validateUser({ username: 'ADMIN', role: 'admin' }, { id: 1, users }));
+});
+
+test('assertAdminRemains refuses a list without an admin', () => {
+  assert.doesNotThrow(() => assertAdminRemains([{ role: 'editor' }, { role: 'admin' }]));
+  assert.throws(() => assertAdminRemains([{ role: 'editor' }]), { status: 409, message: 'At least one admin must remain' });
+  assert.throws(() => assertAdminRemains([]), { status: 409 });
+});
+
+test('the API keeps the last admin', async t => {
+  const api = await startApiServer(t, {
+    users: [
+      { username: 'admin', role: 'admin' },
+      { username: 'second', role: 'admin' },
+      { username: 'editor', role: 'editor' }
+    ]
+  });
+  const admin = await api.signIn('admin');
+
+  assert.equal((await admin('DELETE', '/api/users/1')).status, 409);
+  assert.equal((await admin('DELETE', '/api/users/2')).status, 204);
+  const demote = await admin('PATCH', '/api/users/1', { role: 'editor' });
+  assert.equal(demote.status, 409);
+  assert.equal(demote.body.error.message, 'At least one admin must remain');
+
+  const users = await api.auth.userStore.read();
+  assert.deepEqual(users.map(user => [user.username, user.role]), [['admin', 'admin'], ['editor', 'editor']]);
+});
+
+test('the API answers 401 signed out, 403 without CSRF or with too low a role', async t => {
+  const api = await startApiServer(t, { users: [{ username: 'admin', role: 'admin' }, { username: 'editor', role: 'editor' }] });
+
+  assert.equal((await api.request('GET', '/api/products')).status, 401);
+  assert.equal((await api.request('GET', '/api/auth/session')).status, 200);
+
+  const editor = await api.signIn('editor');
+  assert.equal((await editor('GET', '/api/products')).status, 200);
+  assert.equal((await editor('GET', '/api/users')).status, 403);
+  assert.equal((await editor('POST', '/api/categories', { name: 'Shoes' })).status, 403);
+
+  const login = await api.request('POST', '/api/auth/login', { username: 'editor', password: 'password123' });
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+  const noToken = await api.request('POST', '/api/products', { title: 'x' }, { Cookie: cookie });
+  assert.equal(noToken.status, 403);
+  assert.equal(noToken.body.error.message, 'Missing or invalid CSRF token');
+});
+
+test('requiredBatchRole asks for the role of the route that wrote the batch', () => {
+  assert.equal(requiredBatchRole('merge'), 'admin');
+  assert.equal(requiredBatchRole('category'), 'admin');
+  assert.equal(requiredBatchRole('api'), 'editor');
+  assert.equal(requiredBatchRole('import'), 'editor');
+});
+
+test('only an admin can undo or redo a category merge', async t => {
+  const clothes = product(1).category;
+  const api = await startApiServer(t, {
+    products: [product(1, { category: clothes }), product(2, { category: { ...clothes, id: 2, name: 'Shoes', slug: 'shoes' } })],
+    categories: [clothes, { ...clothes, id: 2, name: 'Shoes', slug: 'shoes' }],
+    users: [{ username: 'admin', role: 'admin' }, { username: 'editor', role: 'editor' }]
+  });
+  const admin = await api.signIn('admin');
+  const editor = await api.signIn('editor');
+
+  assert.equal((await editor('PATCH', '/api/products/1', { price: 99 })).status, 200);
+  await admin('POST', '/api/categories/2/merge', { into: 1 });
+
+  const refused = await editor('POST', '/api/history/undo');
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error.message, 'This undo needs the admin role');
+  assert.equal((await api.store.read())[1].category.id, 1);
+
+  assert.equal((await admin('POST', '/api/history/undo')).status, 200);
+  assert.equal((await editor('POST', '/api/history/redo')).status, 403);
+
+  // The editor's own change below it is theirs to undo
+  assert.equal((await editor('POST', '/api/history/undo')).status, 200);
+  assert.equal((await api.store.read())[0].price, 10);
+});
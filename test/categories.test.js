@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApiServer } = require('./api-server');
+const { product } = require('./mock-api');
+
+const CLOTHES = { id: 1, name: 'Clothes', slug: 'clothes', image: 'https://i.imgur.com/QkIa5tT.jpeg', creationAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z' };
+const SHOES = { ...CLOTHES, id: 2, name: 'Shoes', slug: 'shoes' };
+
+/**
+ * @param {Object} t - Test context
+ * @returns {Promise<Object>} API with products 1-2 in Clothes and 3 in
+ *   Shoes, and an admin's request function as `admin`
+ */
+async function startCatalogue(t) {
+  const api = await startApiServer(t, {
+    products: [product(1), product(2), product(3, { category: SHOES })],
+    categories: [CLOTHES, SHOES],
+    users: [{ username: 'admin', role: 'admin' }]
+  });
+  api.admin = await api.signIn('admin');
+  return api;
+}
+
+/**
+ * @param {Object} api - Result of startCatalogue
+ * @returns {Promise<Object>} Category id -> product ids, as stored
+ */
+async function productsByCategory(api) {
+  const groups = {};
+  (await api.store.read()).forEach(record => {
+    (groups[record.category.id] = groups[record.category.id] || []).push(record.id);
+  });
+  return groups;
+}
+
+test('a rename updates the products\' copies and logs them, but is not undone', async t => {
+  const api = await startCatalogue(t);
+  await api.admin('PATCH', '/api/products/3', { price: 99 });
+
+  const renamed = await api.admin('PATCH', '/api/categories/1', { name: 'Apparel' });
+  assert.equal(renamed.status, 200);
+  assert.deepEqual((await api.store.read()).map(record => record.category.name), ['Apparel', 'Apparel', 'Shoes']);
+
+  const history = (await api.admin('GET', '/api/history')).body.entries;
+  assert.deepEqual(history.filter(entry => entry.source === 'category').map(entry => entry.productId).sort(), [1, 2]);
+
+  // Undo passes over the rename and reverts the price change before it
+  const stacks = (await api.admin('POST', '/api/history/undo')).body;
+  assert.equal(stacks.undo, null);
+  assert.equal((await api.store.read())[2].price, 30);
+  assert.equal((await api.store.read())[0].category.name, 'Apparel');
+});
+
+test('a merge moves the products and deletes the category', async t => {
+  const api = await startCatalogue(t);
+
+  const merged = await api.admin('POST', '/api/categories/2/merge', { into: 1 });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.body.moved, 1);
+  assert.deepEqual(await productsByCategory(api), { 1: [1, 2, 3] });
+  assert.deepEqual((await api.categoryStore.read()).map(c => c.id), [1]);
+  assert.equal((await api.admin('GET', '/api/history/stacks')).body.undo.source, 'merge');
+});
+
+test('undoing a merge brings the category back, and redo deletes it again', async t => {
+  const api = await startCatalogue(t);
+  await api.admin('PATCH', '/api/products/1', { price: 99 });
+  await api.admin('POST', '/api/categories/2/merge', { into: 1 });
+
+  const undo = await api.admin('POST', '/api/history/undo');
+  assert.equal(undo.status, 200);
+  assert.deepEqual(await productsByCategory(api), { 1: [1, 2], 2: [3] });
+  assert.deepEqual(await api.categoryStore.read(), [CLOTHES, SHOES]);
+
+  const redo = await api.admin('POST', '/api/history/redo');
+  assert.equal(redo.status, 200);
+  assert.deepEqual(await productsByCategory(api), { 1: [1, 2, 3] });
+  assert.deepEqual((await api.categoryStore.read()).map(c => c.id), [1]);
+
+  // Older batches can still be undone
+  assert.equal((await api.admin('POST', '/api/history/undo')).status, 200);
+  assert.equal((await api.admin('POST', '/api/history/undo')).status, 200);
+  assert.equal((await api.store.read())[0].price, 10);
+  assert.deepEqual((await api.categoryStore.read()).map(c => c.id), [1, 2]);
+});
+
+test('undoing a merge is refused when a newer category took the id or slug', async t => {
+  const api = await startCatalogue(t);
+  await api.admin('POST', '/api/categories/2/merge', { into: 1 });
+  assert.equal((await api.admin('POST', '/api/categories', { name: 'Boots' })).body.id, 2);
+
+  const sameId = await api.admin('POST', '/api/history/undo');
+  assert.equal(sameId.status, 409);
+  assert.match(sameId.body.error.message, /category #2 "Shoes"/);
+  assert.deepEqual(await productsByCategory(api), { 1: [1, 2, 3] });
+
+  const other = await startCatalogue(t);
+  await other.admin('POST', '/api/categories/1/merge', { into: 2 });
+  assert.equal((await other.admin('POST', '/api/categories', { name: 'Clothes' })).body.id, 3);
+
+  const sameSlug = await other.admin('POST', '/api/history/undo');
+  assert.equal(sameSlug.status, 409);
+  assert.match(sameSlug.body.error.message, /category #1 "Clothes"/);
+  assert.deepEqual((await other.categoryStore.read()).map(c => c.id), [2, 3]);
+});
+
+test('a merge whose product write fails keeps the category', async t => {
+  const api = await startCatalogue(t);
+  api.store.write = async () => { throw new Error('disk full'); };
+  t.mock.method(console, 'error', () => {});
+
+  const merged = await api.admin('POST', '/api/categories/2/merge', { into: 1 });
+  assert.equal(merged.status, 500);
+  assert.deepEqual(await api.categoryStore.read(), [CLOTHES, SHOES]);
+  assert.deepEqual(await productsByCategory(api), { 1: [1, 2], 2: [3] });
+  assert.equal((await api.admin('GET', '/api/history')).body.entries.length, 0);
+});
+
+test('a merge whose category delete fails moves no products', async t => {
+  const api = await startCatalogue(t);
+  api.categoryStore.update = async () => { throw new Error('disk full'); };
+  t.mock.method(console, 'error', () => {});
+
+  assert.equal((await api.admin('POST', '/api/categories/2/merge', { into: 1 })).status, 500);
+  assert.deepEqual(await productsByCategory(api), { 1: [1, 2], 2: [3] });
+  assert.equal((await api.admin('GET', '/api/history')).body.entries.length, 0);
+});
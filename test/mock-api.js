@@ -0,0 +1,103 @@
+const http = require('http');
+
+/**
+ * Local stand-in for a fake-store product API, for the data source tests.
+ * Serves /products with offset/limit paging and records every request.
+ * @param {Object} options
+ * @param {Array} options.products - Records the API starts with
+ * @param {Object} options.auth - { name, value } header every request must carry
+ * @param {boolean} options.ignoreOffset - Answer every page with the first one
+ * @param {number} options.delay - Wait this long before answering, in ms
+ * @param {number} options.nextId - Id given to the next created product
+ * @param {Array<string>} options.ignoreFields - Fields POST and PUT drop, as
+ *   a remote that does not keep them would
+ * @returns {Promise<Object>} { baseUrl, products, requests, close }
+ */
+async function startMockApi({ products = [], auth = null, ignoreOffset = false, delay = 0, nextId = 1000, ignoreFields = [] } = {}) {
+  const state = { products: products.map(product => ({ ...product })), requests: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => setTimeout(() => {
+      const url = new URL(req.url, 'http://localhost');
+      state.requests.push({ method: req.method, path: url.pathname, query: url.search, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (auth && req.headers[auth.name.toLowerCase()] !== auth.value) {
+        return send(401, { message: 'Unauthorized' });
+      }
+      const match = /^\/products(?:\/(\d+))?$/.exec(url.pathname);
+      if (!match) return send(404, { message: 'Not found' });
+
+      const id = match[1] === undefined ? null : Number(match[1]);
+      const category = categoryId => (state.products.find(product => product.category && product.category.id === categoryId) || {}).category ||
+        { id: categoryId, name: `Category ${categoryId}` };
+      const index = state.products.findIndex(product => product.id === id);
+      const input = body ? JSON.parse(body) : {};
+      ignoreFields.forEach(field => { delete input[field]; });
+
+      if (req.method === 'GET' && id === null) {
+        const offset = ignoreOffset ? 0 : Number(url.searchParams.get('offset') || 0);
+        const limit = Number(url.searchParams.get('limit') || state.products.length);
+        return send(200, state.products.slice(offset, offset + limit));
+      }
+      if (req.method === 'POST' && id === null) {
+        const { categoryId, ...fields } = input;
+        const newId = nextId++;
+        const now = new Date().toISOString();
+        const product = { slug: `remote-${newId}`, ...fields, id: newId, category: category(categoryId), creationAt: now, updatedAt: now };
+        state.products.push(product);
+        return send(201, product);
+      }
+      if (index === -1) return send(404, { message: `Product ${id} not found` });
+      if (req.method === 'GET') return send(200, state.products[index]);
+      if (req.method === 'PUT') {
+        const { categoryId, ...fields } = input;
+        state.products[index] = { ...state.products[index], ...fields, category: category(categoryId), updatedAt: new Date().toISOString() };
+        return send(200, state.products[index]);
+      }
+      if (req.method === 'DELETE') {
+        state.products.splice(index, 1);
+        return send(200, true);
+      }
+      return send(405, { message: 'Method not allowed' });
+    }, delay));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    get products() { return state.products; },
+    requests: state.requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * @param {number} id - Product id
+ * @param {Object} fields - Fields to override
+ * @returns {Object} A product record in the db.json shape
+ */
+function product(id, fields = {}) {
+  return {
+    id,
+    title: `Product ${id}`,
+    slug: `product-${id}`,
+    price: 10 * id,
+    description: `Description of product ${id}`,
+    category: { id: 1, name: 'Clothes', slug: 'clothes', image: 'https://i.imgur.com/QkIa5tT.jpeg', creationAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z' },
+    images: ['https://i.imgur.com/QkIa5tT.jpeg'],
+    creationAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+module.exports = { startMockApi, product };
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RestDataSource } = require('../public/data-sources');
+const { SourceStore } = require('../server/data-sources');
+const { startApiServer } = require('./api-server');
+const { startMockApi, product } = require('./mock-api');
+
+/**
+ * Run the API over a mock remote, with an empty categories file so that it
+ * is seeded from the remote's products
+ * @param {Object} t - Test context
+ * @param {Object} remote - Options for startMockApi
+ * @returns {Promise<Object>} { api, remote, admin }
+ */
+async function startRestApi(t, remote) {
+  const mock = await startMockApi(remote);
+  t.after(mock.close);
+  const api = await startApiServer(t, {
+    store: new SourceStore(new RestDataSource({ baseUrl: mock.baseUrl }))
+  });
+  return { api, remote: mock, admin: await api.signIn('admin') };
+}
+
+test('a new product answers with the remote id and is logged under it', async t => {
+  const { api, remote, admin } = await startRestApi(t, { products: [product(1)], nextId: 1000 });
+
+  const created = await admin('POST', '/api/products', {
+    title: 'New',
+    price: 5,
+    description: 'Made remotely',
+    category: { id: 1 },
+    images: ['https://i.imgur.com/QkIa5tT.jpeg']
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.id, 1000);
+  assert.equal(created.headers.get('location'), '/api/products/1000');
+  assert.deepEqual(remote.products.map(record => record.id), [1, 1000]);
+
+  const { entries } = (await admin('GET', '/api/history')).body;
+  assert.deepEqual(entries.map(entry => [entry.action, entry.productId]), [['create', 1000]]);
+});
+
+test('a slug edit reaches the remote and the log', async t => {
+  const { remote, admin } = await startRestApi(t, { products: [product(1)] });
+
+  const updated = await admin('PATCH', '/api/products/1', { slug: 'renamed' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.slug, 'renamed');
+  assert.equal(remote.products[0].slug, 'renamed');
+
+  const { entries } = (await admin('GET', '/api/history')).body;
+  assert.deepEqual(entries[0].changes.map(change => change.field), ['slug']);
+});
+
+test('a slug the remote drops is neither answered nor logged', async t => {
+  const { admin } = await startRestApi(t, { products: [product(1)], ignoreFields: ['slug'] });
+
+  const updated = await admin('PATCH', '/api/products/1', { slug: 'renamed', price: 12 });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.slug, 'product-1');
+
+  const { entries } = (await admin('GET', '/api/history')).body;
+  assert.deepEqual(entries[0].changes.map(change => change.field), ['price']);
+});
+
+test('categories are seeded from the remote, so its products can be edited', async t => {
+  const toys = { ...product(1).category, id: 9, name: 'Toys', slug: 'toys' };
+  const { api, remote, admin } = await startRestApi(t, { products: [product(1), product(2, { category: toys })] });
+
+  const categories = (await admin('GET', '/api/categories')).body;
+  assert.deepEqual(categories.map(category => [category.id, category.name]), [[1, 'Clothes'], [9, 'Toys']]);
+
+  const updated = await admin('PATCH', '/api/products/2', { price: 7 });
+  assert.equal(updated.status, 200);
+  assert.equal(remote.products[1].price, 7);
+  assert.equal(remote.products[1].category.id, 9);
+  assert.deepEqual((await api.categoryStore.read()).map(category => category.id), [1, 9]);
+});
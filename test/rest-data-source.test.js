@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RestDataSource, DataSourceError } = require('../public/data-sources');
+const { startMockApi, product } = require('./mock-api');
+
+const PRODUCTS = [1, 2, 3, 4, 5].map(id => product(id));
+
+test('list reads every page with offset and limit', async t => {
+  const api = await startMockApi({ products: PRODUCTS });
+  t.after(api.close);
+
+  const source = new RestDataSource({ baseUrl: api.baseUrl, pageSize: 2 });
+  const records = await source.list();
+
+  assert.deepEqual(records.map(record => record.id), [1, 2, 3, 4, 5]);
+  assert.deepEqual(api.requests.map(request => request.query), [
+    '?offset=0&limit=2',
+    '?offset=2&limit=2',
+    '?offset=4&limit=2'
+  ]);
+});
+
+test('list asks for one more page when the last one is full', async t => {
+  const api = await startMockApi({ products: PRODUCTS.slice(0, 4) });
+  t.after(api.close);
+
+  const records = await new RestDataSource({ baseUrl: api.baseUrl, pageSize: 2 }).list();
+
+  assert.equal(records.length, 4);
+  assert.equal(api.requests.length, 3);
+});
+
+test('list stops when a remote ignoring the offset repeats a page', async t => {
+  const api = await startMockApi({ products: PRODUCTS, ignoreOffset: true });
+  t.after(api.close);
+
+  const records = await new RestDataSource({ baseUrl: api.baseUrl, pageSize: 2 }).list();
+
+  assert.deepEqual(records.map(record => record.id), [1, 2]);
+  assert.equal(api.requests.length, 2);
+});
+
+test('list accepts pages wrapped in { data }', async () => {
+  const source = new RestDataSource({ baseUrl: 'http://127.0.0.1:9', pageSize: 10 });
+  source.request = async () => ({ data: PRODUCTS });
+  assert.equal((await source.list()).length, 5);
+});
+
+test('the list is cached for cacheTtl and writes drop the cache', async t => {
+  const api = await startMockApi({ products: PRODUCTS });
+  t.after(api.close);
+
+  const source = new RestDataSource({ baseUrl: api.baseUrl, pageSize: 10, cacheTtl: 60 * 1000 });
+  await source.list();
+  await source.list();
+  assert.equal(api.requests.length, 1);
+
+  await source.delete(5);
+  assert.deepEqual((await source.list()).map(record => record.id), [1, 2, 3, 4]);
+  assert.equal(api.requests.length, 3);
+});
+
+test('every request carries the configured auth header', async t => {
+  const api = await startMockApi({ products: PRODUCTS, auth: { name: 'X-Api-Key', value: 'secret' } });
+  t.after(api.close);
+
+  const source = new RestDataSource({ baseUrl: `${api.baseUrl}/`, pageSize: 10, authHeader: 'secret', authHeaderName: 'X-Api-Key' });
+  await source.list();
+  await source.get(1);
+  await source.update(1, product(1, { title: 'Renamed' }));
+
+  assert.equal(api.requests.length, 3);
+  api.requests.forEach(request => assert.equal(request.headers['x-api-key'], 'secret'));
+});
+
+test('an error status becomes a DataSourceError with that status', async t => {
+  const api = await startMockApi({ products: PRODUCTS, auth: { name: 'Authorization', value: 'Bearer good' } });
+  t.after(api.close);
+
+  const source = new RestDataSource({ baseUrl: api.baseUrl, authHeader: 'Bearer bad' });
+  await assert.rejects(source.list(), error => {
+    assert.ok(error instanceof DataSourceError);
+    assert.equal(error.status, 401);
+    assert.match(error.message, /HTTP 401/);
+    return true;
+  });
+});
+
+test('get answers null for a missing product; update and delete reject', async t => {
+  const api = await startMockApi({ products: PRODUCTS });
+  t.after(api.close);
+
+  const source = new RestDataSource({ baseUrl: api.baseUrl });
+  assert.equal(await source.get(42), null);
+  assert.equal((await source.get(3)).title, 'Product 3');
+  await assert.rejects(source.update(42, product(42)), { status: 404 });
+  await assert.rejects(source.delete(42), { status: 404 });
+});
+
+test('a slow remote times out', async t => {
+  const api = await startMockApi({ products: PRODUCTS, delay: 300 });
+  t.after(api.close);
+
+  const source = new RestDataSource({ baseUrl: api.baseUrl, timeout: 50 });
+  await assert.rejects(source.list(), /timed out/);
+});
+
+test('an unreachable remote rejects with a DataSourceError', async () => {
+  const api = await startMockApi();
+  await api.close();
+
+  await assert.rejects(new RestDataSource({ baseUrl: api.baseUrl }).list(), DataSourceError);
+});
+
+test('create sends the editable fields with categoryId and answers with the remote record', async t => {
+  const api = await startMockApi({ products: PRODUCTS, nextId: 1000 });
+  t.after(api.close);
+
+  const source = new RestDataSource({ baseUrl: api.baseUrl });
+  const created = await source.create(product(6, { category: { id: 3, name: 'Shoes' } }));
+
+  assert.equal(created.id, 1000);
+  assert.deepEqual(api.requests[0].body, {
+    title: 'Product 6',
+    slug: 'product-6',
+    price: 60,
+    description: 'Description of product 6',
+    categoryId: 3,
+    images: ['https://i.imgur.com/QkIa5tT.jpeg']
+  });
+});
+
+test('applyChanges deletes, updates, then creates, and returns the created records', async t => {
+  const api = await startMockApi({ products: PRODUCTS, nextId: 1000 });
+  t.after(api.close);
+
+  const source = new RestDataSource({ baseUrl: api.baseUrl });
+  const result = await source.applyChanges({
+    created: [product(6)],
+    updated: [product(2, { title: 'Renamed' })],
+    deleted: [5]
+  });
+
+  assert.deepEqual(api.requests.map(request => `${request.method} ${request.path}`), [
+    'DELETE /products/5',
+    'PUT /products/2',
+    'POST /products'
+  ]);
+  assert.deepEqual(result.created.map(record => record.id), [1000]);
+  assert.equal(result.updated[0].title, 'Renamed');
+});
+
+test('the constructor checks the base URL and page size', () => {
+  assert.throws(() => new RestDataSource({}), /base URL/);
+  assert.throws(() => new RestDataSource({ baseUrl: 'http://localhost', pageSize: 0 }), /page size/);
+});
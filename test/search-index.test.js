@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SearchIndex = require('../public/search-index');
+
+const PRODUCTS = [
+  { id: 1, title: 'Classic Red Sneakers', slug: 'classic-red-sneakers', description: 'Canvas shoes' },
+  { id: 2, title: 'Giày thể thao', slug: 'giay-the-thao', description: 'Running sneakers' },
+  { id: 3, title: 'Leather Jacket', slug: 'leather-jacket', description: 'Warm and classic' }
+];
+
+/**
+ * @param {string} text - Query text
+ * @returns {Array<number>} Ids of the matching products, best first
+ */
+function search(text) {
+  const { scores } = new SearchIndex(PRODUCTS).search(text);
+  return [...scores].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+}
+
+test('exact and prefix matches', () => {
+  assert.deepEqual(search('sneakers'), [1, 2]);
+  assert.deepEqual(search('leath'), [3]);
+});
+
+test('accents are ignored', () => {
+  assert.deepEqual(search('giay'), [2]);
+  assert.deepEqual(search('Giày'), [2]);
+});
+
+test('one typo is tolerated in words of four letters or more', () => {
+  assert.deepEqual(search('snekers'), [1, 2]);
+  assert.deepEqual(search('jackt'), [3]);
+  assert.deepEqual(search('red'), [1]);
+  assert.deepEqual(search('rad'), []);
+});
+
+test('a word one letter short and mistyped still matches the longer word', () => {
+  assert.deepEqual(search('sneakr'), [1, 2]);
+  assert.deepEqual(search('leathr'), [3]);
+  assert.deepEqual(search('snkr'), []);
+});
+
+test('every word of the query must match', () => {
+  assert.deepEqual(search('classic sneakers'), [1]);
+  assert.deepEqual(search('classic boots'), []);
+});
+
+test('titles weigh more than descriptions', () => {
+  assert.deepEqual(search('classic'), [1, 3]);
+});
+
+test('editDistance gives up past the limit and can measure against a prefix', () => {
+  assert.equal(SearchIndex.editDistance('sneakr', 'sneakers', 2), 2);
+  assert.equal(SearchIndex.editDistance('sneakr', 'sneakers', 1), 2);
+  assert.equal(SearchIndex.editDistance('sneakr', 'sneakers', 1, true), 1);
+  assert.equal(SearchIndex.editDistance('sneakers', 'snea', 1, true), 2);
+});
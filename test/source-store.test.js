@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataSource, RestDataSource } = require('../public/data-sources');
+const { SourceStore, JsonFileSource, categoriesFile } = require('../server/data-sources');
+const { startMockApi, product } = require('./mock-api');
+
+/**
+ * In-memory source that logs its writes
+ */
+class MemorySource extends DataSource {
+  constructor(records) {
+    super();
+    this.records = records;
+    this.calls = [];
+  }
+
+  async list() {
+    return this.records;
+  }
+
+  async create(record) {
+    this.calls.push(`create ${record.id}`);
+    this.records = [...this.records, record];
+    return record;
+  }
+
+  async update(id, record) {
+    this.calls.push(`update ${id}`);
+    this.records = this.records.map(item => item.id === id ? record : item);
+    return record;
+  }
+
+  async delete(id) {
+    this.calls.push(`delete ${id}`);
+    this.records = this.records.filter(item => item.id !== id);
+  }
+}
+
+test('diff lists created, updated and deleted records by id', () => {
+  const before = [product(1), product(2), product(3)];
+  const after = [product(3), product(1, { title: 'Renamed' }), product(4)];
+
+  const { created, updated, deleted } = SourceStore.diff(before, after);
+
+  assert.deepEqual(created.map(record => record.id), [4]);
+  assert.deepEqual(updated.map(record => record.id), [1]);
+  assert.deepEqual(deleted, [2]);
+});
+
+test('diff ignores unchanged records, records without an id and reordering', () => {
+  const before = [product(1), product(2)];
+  const after = [product(2), { title: 'No id' }, product(1)];
+
+  assert.deepEqual(SourceStore.diff(before, after), { created: [], updated: [], deleted: [] });
+});
+
+test('diff hands back the records of the new list, not copies', () => {
+  const after = [product(1), product(2)];
+  const { created } = SourceStore.diff([product(1)], after);
+
+  assert.equal(created[0], after[1]);
+});
+
+test('update runs the mutator on a copy and writes only what changed', async () => {
+  const source = new MemorySource([product(1), product(2), product(3)]);
+  const store = new SourceStore(source);
+  let changes = 0;
+  store.on('change', () => { changes++; });
+
+  const result = await store.update(data => {
+    data[0].title = 'Renamed';
+    data.splice(1, 1);
+    data.push(product(4));
+    return 'done';
+  });
+
+  assert.equal(result, 'done');
+  assert.deepEqual(source.calls, ['delete 2', 'update 1', 'create 4']);
+  assert.deepEqual(source.records.map(record => record.id), [1, 3, 4]);
+  assert.equal(changes, 1);
+});
+
+test('nothing is written when the mutator throws', async () => {
+  const source = new MemorySource([product(1)]);
+  const store = new SourceStore(source);
+
+  await assert.rejects(store.update(data => {
+    data.push(product(2));
+    throw new Error('refused');
+  }), /refused/);
+  assert.deepEqual(source.calls, []);
+});
+
+test('updates are queued so they never interleave', async () => {
+  const source = new MemorySource([product(1, { price: 0 })]);
+  const store = new SourceStore(source);
+
+  await Promise.all([1, 2, 3].map(() => store.update(async data => {
+    const price = data[0].price;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    data[0].price = price + 1;
+  })));
+
+  assert.equal(source.records[0].price, 3);
+});
+
+test('a new record takes the id the remote gave it', async t => {
+  const api = await startMockApi({ products: [product(1), product(2)], nextId: 1000 });
+  t.after(api.close);
+  const store = new SourceStore(new RestDataSource({ baseUrl: api.baseUrl }));
+
+  const created = await store.update(data => {
+    const record = product(3, { title: 'New' });
+    data.push(record);
+    return record;
+  });
+
+  assert.equal(created.id, 1000);
+  assert.deepEqual(api.products.map(record => record.id), [1, 2, 1000]);
+});
+
+test('changed records take what the remote stored', async t => {
+  const api = await startMockApi({ products: [product(1), product(2)] });
+  t.after(api.close);
+  const store = new SourceStore(new RestDataSource({ baseUrl: api.baseUrl }));
+
+  const updated = await store.update(data => {
+    data[0].slug = 'renamed';
+    data[0].price = 15;
+    return data[0];
+  });
+
+  assert.equal(updated.slug, 'renamed');
+  assert.equal(api.products[0].slug, 'renamed');
+  assert.equal(updated.updatedAt, api.products[0].updatedAt);
+  assert.notEqual(updated.updatedAt, product(1).updatedAt);
+});
+
+test('fields the remote drops are dropped from the written records', async t => {
+  const api = await startMockApi({ products: [product(1)], ignoreFields: ['slug'] });
+  t.after(api.close);
+  const store = new SourceStore(new RestDataSource({ baseUrl: api.baseUrl }));
+
+  const [updated, created] = await store.update(data => {
+    data[0].slug = 'renamed';
+    data.push(product(2));
+    return [data[0], data[1]];
+  });
+
+  assert.equal(updated.slug, 'product-1');
+  assert.equal(created.slug, 'remote-1000');
+});
+
+test('a JSON file source is rewritten whole, duplicates and order included', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'db.json');
+  fs.writeFileSync(file, JSON.stringify([product(2), product(1)]));
+
+  const store = new SourceStore(new JsonFileSource(file));
+  assert.equal(store.filePath, file);
+  await store.update(data => { data.push(product(1, { title: 'Copy' })); });
+
+  const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  assert.deepEqual(saved.map(record => record.id), [2, 1, 1]);
+});
+
+test('each data source keeps its categories in a file of its own', () => {
+  const rootDir = path.join(os.tmpdir(), 'shop');
+
+  assert.equal(categoriesFile({ type: 'json' }, { rootDir }), path.join(rootDir, 'categories.json'));
+  assert.equal(categoriesFile({ type: 'json', file: '/data/other.json' }, { rootDir }), path.join('/data', 'categories.json'));
+  assert.equal(categoriesFile({ type: 'sqlite' }, { rootDir }), path.join(rootDir, 'db-categories.json'));
+  assert.equal(categoriesFile({ type: 'sqlite', file: '/data/shop.sqlite' }, { rootDir }), path.join('/data', 'shop-categories.json'));
+  assert.equal(
+    categoriesFile({ type: 'rest', baseUrl: 'https://api.escuelajs.co/api/v1' }, { rootDir }),
+    path.join(rootDir, 'categories-rest-api.escuelajs.co-api-v1.json')
+  );
+});
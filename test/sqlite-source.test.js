@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataSourceError } = require('../public/data-sources');
+const { SqliteSource } = require('../server/data-sources');
+const { product } = require('./mock-api');
+
+let available = true;
+try {
+  require('node:sqlite');
+} catch (error) {
+  available = false;
+}
+const options = { skip: !available && 'needs Node.js 22.5 or later' };
+
+/**
+ * @param {Object} t - Test context; the directory is removed after the test
+ * @param {Array} seed - Records written to db.json, if any
+ * @returns {Object} { dbFile, seedFile }
+ */
+function tempFiles(t, seed) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-source-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const seedFile = path.join(dir, 'db.json');
+  if (seed) fs.writeFileSync(seedFile, JSON.stringify(seed));
+  return { dbFile: path.join(dir, 'db.sqlite'), seedFile };
+}
+
+test('a new database is filled from the seed file', options, async t => {
+  const { dbFile, seedFile } = tempFiles(t, [product(2), product(1)]);
+
+  const source = new SqliteSource(dbFile, { seedFile });
+  t.after(() => source.db.close());
+
+  assert.deepEqual((await source.list()).map(record => record.id), [1, 2]);
+  assert.deepEqual(fs.readdirSync(path.dirname(dbFile)).sort(), ['db.json', 'db.sqlite']);
+});
+
+test('an existing database is not seeded again', options, async t => {
+  const { dbFile, seedFile } = tempFiles(t, [product(1)]);
+  const first = new SqliteSource(dbFile, { seedFile });
+  await first.delete(1);
+  first.db.close();
+
+  const source = new SqliteSource(dbFile, { seedFile });
+  t.after(() => source.db.close());
+  assert.deepEqual(await source.list(), []);
+});
+
+test('a seed with duplicate ids is refused and leaves no database', options, t => {
+  const { dbFile, seedFile } = tempFiles(t, [product(1), product(2), product(2)]);
+
+  assert.throws(() => new SqliteSource(dbFile, { seedFile }), error => {
+    assert.ok(error instanceof DataSourceError);
+    assert.match(error.message, /ids used more than once: #2/);
+    return true;
+  });
+  assert.deepEqual(fs.readdirSync(path.dirname(dbFile)), ['db.json']);
+});
+
+test('a seed with records lacking an id is refused', options, t => {
+  const { dbFile, seedFile } = tempFiles(t, [product(1), { title: 'No id' }]);
+
+  assert.throws(() => new SqliteSource(dbFile, { seedFile }), /without a whole-number id/);
+  assert.equal(fs.existsSync(dbFile), false);
+});
+
+test('create, get, update and delete a product', options, async t => {
+  const { dbFile } = tempFiles(t);
+  const source = new SqliteSource(dbFile);
+  t.after(() => source.db.close());
+
+  await source.create(product(1));
+  await assert.rejects(source.create(product(1)), { status: 409 });
+  await source.update(1, product(1, { title: 'Renamed' }));
+  assert.equal((await source.get(1)).title, 'Renamed');
+
+  await source.delete(1);
+  assert.equal(await source.get(1), null);
+  await assert.rejects(source.update(1, product(1)), { status: 404 });
+  await assert.rejects(source.delete(1), { status: 404 });
+});
+
+test('applyChanges writes nothing when one change fails', options, async t => {
+  const { dbFile, seedFile } = tempFiles(t, [product(1), product(2)]);
+  const source = new SqliteSource(dbFile, { seedFile });
+  t.after(() => source.db.close());
+
+  await assert.rejects(source.applyChanges({
+    created: [product(3), product(1)],
+    updated: [product(2, { title: 'Renamed' })],
+    deleted: []
+  }), /Product #1 already exists/);
+
+  const records = await source.list();
+  assert.deepEqual(records.map(record => record.id), [1, 2]);
+  assert.equal(records[1].title, 'Product 2');
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const StaticFiles = require('../server/static-files');
+
+const SCRIPT = 'console.log("static files");\n'.repeat(100);
+
+/**
+ * Serve a temporary public/ directory, with a secret file next to it
+ * @param {Object} t - Test context; the server stops after the test
+ * @returns {Promise<Object>} { root, request(path, headers, method) }
+ */
+async function startServer(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-files-'));
+  const root = path.join(dir, 'public');
+  fs.mkdirSync(root);
+  fs.writeFileSync(path.join(root, 'index.html'), '<h1>Home</h1>');
+  fs.writeFileSync(path.join(root, 'app.js'), SCRIPT);
+  fs.writeFileSync(path.join(root, '.env'), 'SECRET=1');
+  fs.writeFileSync(path.join(dir, 'secret.txt'), 'secret');
+  fs.symlinkSync(path.join(dir, 'secret.txt'), path.join(root, 'link.txt'));
+
+  const files = new StaticFiles(root);
+  const server = http.createServer((req, res) => {
+    files.serve(req, res, req.url.split('?')[0]).catch(error => res.destroy(error));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => {
+    server.close(resolve);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }));
+
+  // http.request sends the path as given; fetch() would resolve the dots
+  const request = (urlPath, headers = {}, method = 'GET') => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, path: urlPath, method, headers, agent: false }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+  return { root, request };
+}
+
+test('files inside the root are served with their type', async t => {
+  const { request } = await startServer(t);
+
+  const response = await request('/index.html');
+  assert.equal(response.status, 200);
+  assert.equal(response.headers['content-type'], 'text/html; charset=utf-8');
+  assert.equal(response.body.toString(), '<h1>Home</h1>');
+});
+
+test('paths leaving the root are refused', async t => {
+  const { request } = await startServer(t);
+
+  for (const urlPath of [
+    '/../secret.txt',
+    '/%2e%2e/secret.txt',
+    '/%2E%2E%2Fsecret.txt',
+    '/..%5csecret.txt',
+    '/js/../../secret.txt',
+    '/link.txt',
+    '/.env',
+    '/%2eenv'
+  ]) {
+    const response = await request(urlPath);
+    assert.equal(response.status, 404, urlPath);
+    assert.doesNotMatch(response.body.toString(), /secret|SECRET/, urlPath);
+  }
+});
+
+test('undecodable paths and NUL bytes are a bad request', async t => {
+  const { request } = await startServer(t);
+
+  assert.equal((await request('/%E0%A4%A')).status, 400);
+  assert.equal((await request('/index.html%00.js')).status, 400);
+});
+
+test('only GET and HEAD are allowed', async t => {
+  const { request } = await startServer(t);
+
+  const response = await request('/index.html', {}, 'POST');
+  assert.equal(response.status, 405);
+  assert.equal(response.headers.allow, 'GET, HEAD');
+
+  const head = await request('/index.html', {}, 'HEAD');
+  assert.equal(head.status, 200);
+  assert.equal(head.headers['content-length'], '13');
+  assert.equal(head.body.length, 0);
+});
+
+test('a matching ETag or an unchanged date answers 304', async t => {
+  const { request } = await startServer(t);
+
+  const { headers } = await request('/index.html');
+  assert.match(headers.etag, /^"[0-9a-f]+-[0-9a-f]+"$/);
+  assert.equal(headers['cache-control'], 'no-cache');
+
+  assert.equal((await request('/index.html', { 'If-None-Match': headers.etag })).status, 304);
+  assert.equal((await request('/index.html', { 'If-None-Match': `W/${headers.etag}` })).status, 304);
+  assert.equal((await request('/index.html', { 'If-None-Match': '"other"' })).status, 200);
+  assert.equal((await request('/index.html', { 'If-Modified-Since': headers['last-modified'] })).status, 304);
+  assert.equal((await request('/index.html', { 'If-Modified-Since': 'Thu, 01 Jan 1970 00:00:00 GMT' })).status, 200);
+  // If-None-Match wins over If-Modified-Since
+  assert.equal((await request('/index.html', {
+    'If-None-Match': '"other"',
+    'If-Modified-Since': headers['last-modified']
+  })).status, 200);
+});
+
+test('a byte range answers 206 with that slice', async t => {
+  const { request } = await startServer(t);
+
+  const first = await request('/app.js', { Range: 'bytes=0-9' });
+  assert.equal(first.status, 206);
+  assert.equal(first.headers['content-range'], `bytes 0-9/${SCRIPT.length}`);
+  assert.equal(first.body.toString(), SCRIPT.slice(0, 10));
+
+  const suffix = await request('/app.js', { Range: 'bytes=-5' });
+  assert.equal(suffix.status, 206);
+  assert.equal(suffix.body.toString(), SCRIPT.slice(-5));
+
+  const open = await request('/app.js', { Range: `bytes=${SCRIPT.length - 3}-` });
+  assert.equal(open.body.toString(), SCRIPT.slice(-3));
+});
+
+test('a range past the end answers 416', async t => {
+  const { request } = await startServer(t);
+
+  const response = await request('/app.js', { Range: `bytes=${SCRIPT.length}-` });
+  assert.equal(response.status, 416);
+  assert.equal(response.headers['content-range'], `bytes */${SCRIPT.length}`);
+  assert.equal((await request('/app.js', { Range: 'bytes=-0' })).status, 416);
+});
+
+test('multiple, malformed or outdated ranges get the whole file', async t => {
+  const { request } = await startServer(t);
+
+  assert.equal((await request('/app.js', { Range: 'bytes=0-1,4-5' })).status, 200);
+  assert.equal((await request('/app.js', { Range: 'bytes=9-2' })).status, 200);
+  assert.equal((await request('/app.js', { Range: 'lines=1-2' })).status, 200);
+
+  const { headers } = await request('/app.js');
+  assert.equal((await request('/app.js', { Range: 'bytes=0-9', 'If-Range': headers.etag })).status, 206);
+  assert.equal((await request('/app.js', { Range: 'bytes=0-9', 'If-Range': '"old"' })).status, 200);
+});
+
+test('brotli is preferred over gzip, and q=0 refuses an encoding', async t => {
+  const { request } = await startServer(t);
+
+  const br = await request('/app.js', { 'Accept-Encoding': 'gzip, br' });
+  assert.equal(br.headers['content-encoding'], 'br');
+  assert.equal(br.headers.vary, 'Accept-Encoding');
+  assert.match(br.headers.etag, /-br"$/);
+  assert.equal(zlib.brotliDecompressSync(br.body).toString(), SCRIPT);
+
+  const gzip = await request('/app.js', { 'Accept-Encoding': 'gzip, br;q=0' });
+  assert.equal(gzip.headers['content-encoding'], 'gzip');
+  assert.equal(zlib.gunzipSync(gzip.body).toString(), SCRIPT);
+
+  const identity = await request('/app.js', { 'Accept-Encoding': '*;q=0' });
+  assert.equal(identity.headers['content-encoding'], undefined);
+  assert.equal(identity.body.toString(), SCRIPT);
+});
+
+test('small files and ranges are sent uncompressed', async t => {
+  const { request } = await startServer(t);
+
+  assert.equal((await request('/index.html', { 'Accept-Encoding': 'br' })).headers['content-encoding'], undefined);
+  const range = await request('/app.js', { 'Accept-Encoding': 'br', Range: 'bytes=0-9' });
+  assert.equal(range.status, 206);
+  assert.equal(range.headers['content-encoding'], undefined);
+});
+
+test('a missing file gets 404.html when the root has one', async t => {
+  const { root, request } = await startServer(t);
+
+  assert.match((await request('/missing.js')).body.toString(), /404 Not Found/);
+  fs.writeFileSync(path.join(root, '404.html'), '<h1>Lost</h1>');
+  const response = await request('/missing.js');
+  assert.equal(response.status, 404);
+  assert.equal(response.body.toString(), '<h1>Lost</h1>');
+});